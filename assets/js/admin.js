@@ -5,10 +5,10 @@
  * Modules are loaded on-demand based on the current page/tab.
  *
  * This file contains:
- * - Core utilities (AJAX error handling, status badges, messages)
+ * - Core utilities (AJAX error handling, status badges, messages, CSV downloads)
  * - Lazy-loading module system
+ * - Job runner shared by all bulk flows (order sync, reconciliation, product auto-map)
  * - Legacy functionality for pages without dedicated modules:
- *   - Bulk sync (date range and selected orders)
  *   - Order/Product meta boxes (manual sync, apply payment)
  *   - Test connection
  *   - Select all/bulk actions
@@ -32,6 +32,8 @@
         config: {
             ajaxUrl: typeof zbooks !== 'undefined' ? zbooks.ajax_url : ajaxurl,
             nonce: typeof zbooks !== 'undefined' ? zbooks.nonce : '',
+            userId: typeof zbooks !== 'undefined' ? zbooks.user_id : 0,
+            bulkWorkers: typeof zbooks !== 'undefined' ? parseInt(zbooks.bulk_sync_workers, 10) || 1 : 1,
             i18n: typeof zbooks !== 'undefined' ? zbooks.i18n : {},
             pluginUrl: typeof zbooksData !== 'undefined' ? zbooksData.pluginUrl : '',
             version: typeof zbooksData !== 'undefined' ? zbooksData.version : ''
@@ -44,19 +46,6 @@
         loadedModules: {},
         loadedStyles: {},
 
-        /**
-         * Bulk sync state
-         */
-        bulkState: {
-            isProcessing: false,
-            queue: [],
-            processed: 0,
-            succeeded: 0,
-            failed: 0,
-            total: 0,
-            asDraft: false
-        },
-
         /**
          * Parse AJAX error and return user-friendly message.
          *
@@ -183,6 +172,435 @@
             return div.innerHTML;
         },
 
+        /**
+         * Build CSV text from rows of values
+         *
+         * @param {Array} rows Rows of cell values (first row is the header)
+         * @return {string} CSV text
+         */
+        toCsv: function(rows) {
+            return rows.map(function(row) {
+                return row.map(function(value) {
+                    var text = value === null || value === undefined ? '' : String(value);
+
+                    // Keep spreadsheets from evaluating cell content as a formula
+                    if (/^[=+@]/.test(text)) {
+                        text = "'" + text;
+                    }
+                    if (/[",\r\n]/.test(text)) {
+                        text = '"' + text.replace(/"/g, '""') + '"';
+                    }
+                    return text;
+                }).join(',');
+            }).join('\r\n');
+        },
+
+        /**
+         * Parse CSV text into rows of values
+         *
+         * Handles quoted cells, escaped quotes, CRLF line endings and a leading
+         * byte order mark. Blank lines are dropped.
+         *
+         * @param {string} text CSV text
+         * @return {Array} Rows of cell values
+         */
+        parseCsv: function(text) {
+            var rows = [];
+            var row = [];
+            var cell = '';
+            var inQuotes = false;
+            var i, ch;
+
+            text = String(text || '').replace(/^\uFEFF/, '');
+
+            for (i = 0; i < text.length; i++) {
+                ch = text.charAt(i);
+
+                if (inQuotes) {
+                    if (ch === '"' && text.charAt(i + 1) === '"') {
+                        cell += '"';
+                        i++;
+                    } else if (ch === '"') {
+                        inQuotes = false;
+                    } else {
+                        cell += ch;
+                    }
+                } else if (ch === '"') {
+                    inQuotes = true;
+                } else if (ch === ',') {
+                    row.push(cell);
+                    cell = '';
+                } else if (ch === '\n' || ch === '\r') {
+                    if (ch === '\r' && text.charAt(i + 1) === '\n') {
+                        i++;
+                    }
+                    row.push(cell);
+                    rows.push(row);
+                    row = [];
+                    cell = '';
+                } else {
+                    cell += ch;
+                }
+            }
+
+            if (cell !== '' || row.length) {
+                row.push(cell);
+                rows.push(row);
+            }
+
+            return rows.filter(function(cells) {
+                return cells.join('').trim() !== '';
+            });
+        },
+
+        /**
+         * Trigger a browser download of generated content
+         *
+         * @param {string} filename File name to save as
+         * @param {string} content  File content
+         * @param {string} mimeType MIME type
+         * @return {void}
+         */
+        downloadFile: function(filename, content, mimeType) {
+            var blob = new Blob([content], { type: mimeType || 'text/plain' });
+            var url = URL.createObjectURL(blob);
+            var link = document.createElement('a');
+
+            link.href = url;
+            link.download = filename;
+            document.body.appendChild(link);
+            link.click();
+            document.body.removeChild(link);
+
+            setTimeout(function() {
+                URL.revokeObjectURL(url);
+            }, 0);
+        },
+
+        /**
+         * Run one AJAX request per item through an adaptive worker pool.
+         *
+         * Shared by every bulk flow (order sync, reconciliation "Sync all missing",
+         * product auto-map) so queueing, rate-limit backoff, pause and cancel only
+         * live here. The pool starts with one worker and ramps up to the configured
+         * maximum while the server responds normally.
+         *
+         * Events (subscribe with job.on(name, fn)):
+         * - itemstart(item)          Request for an item is about to be sent
+         * - itemdone(item, outcome)  Item finished: {success, data, error, response}
+         * - progress(job)            Counts changed (including rate-limit requeues)
+         * - paused(job)              Pause took effect and nothing is in flight
+         * - finished(job)            Queue drained or cancel took effect
+         */
+        JobRunner: {
+            /**
+             * Create a job
+             *
+             * @param {Object}   options           Job options
+             * @param {Array}    options.items     Items to process, in order
+             * @param {string}   options.action    AJAX action sent for each item
+             * @param {Function} options.data      Builds extra POST data for an item
+             * @param {string}   options.nonce     Nonce (defaults to the shared AJAX nonce)
+             * @param {number}   options.workers   Maximum workers (defaults to the bulk sync setting)
+             * @param {number}   options.delay     Pause in ms before a worker takes the next item
+             * @param {string}   options.unit      Plural noun for throughput text (e.g. "orders")
+             * @param {number}   options.processed Starting counts when resuming a previous run
+             * @param {number}   options.succeeded
+             * @param {number}   options.failed
+             * @param {number}   options.total
+             * @return {Object} Job with start/pause/resume/cancel and live counts
+             */
+            create: function(options) {
+                var config = window.ZBooks.config;
+                var items = (options.items || []).slice();
+                var listeners = {};
+                var pauseNotified = false;
+
+                var job = {
+                    queue: items,
+                    inFlight: [],
+                    active: 0,
+                    processed: options.processed || 0,
+                    succeeded: options.succeeded || 0,
+                    failed: options.failed || 0,
+                    total: options.total || items.length,
+                    isRunning: false,
+                    isPaused: false,
+                    isCancelled: false,
+                    maxWorkers: Math.max(1, options.workers || config.bulkWorkers || 1),
+                    concurrency: 1,
+                    healthyStreak: 0,
+                    backoffMs: 0,
+                    pausedUntil: 0,
+                    resumeTimer: null,
+                    runStartedAt: 0,
+                    runProcessed: 0,
+
+                    /**
+                     * Subscribe to a job event
+                     */
+                    on: function(name, fn) {
+                        (listeners[name] = listeners[name] || []).push(fn);
+                        return job;
+                    },
+
+                    /**
+                     * Start processing the queue
+                     */
+                    start: function() {
+                        job.isRunning = true;
+                        job.runStartedAt = Date.now();
+                        job.runProcessed = 0;
+                        dispatch();
+                        return job;
+                    },
+
+                    /**
+                     * Stop taking new items; requests in flight still finish
+                     */
+                    pause: function() {
+                        if (!job.isRunning || job.isPaused) {
+                            return;
+                        }
+
+                        job.isPaused = true;
+                        pauseNotified = false;
+                        clearTimeout(job.resumeTimer);
+                        job.resumeTimer = null;
+                        notifyPaused();
+                    },
+
+                    /**
+                     * Continue a paused job from the same spot
+                     */
+                    resume: function() {
+                        if (!job.isRunning || !job.isPaused) {
+                            return;
+                        }
+
+                        job.isPaused = false;
+                        job.pausedUntil = 0;
+                        job.runStartedAt = Date.now();
+                        job.runProcessed = 0;
+                        dispatch();
+                    },
+
+                    /**
+                     * Drop the rest of the queue; finished fires once nothing is in flight
+                     */
+                    cancel: function() {
+                        if (!job.isRunning) {
+                            return;
+                        }
+
+                        job.isCancelled = true;
+                        job.isPaused = false;
+                        job.queue = [];
+                        clearTimeout(job.resumeTimer);
+                        dispatch();
+                    },
+
+                    /**
+                     * Items not yet done, with in-flight ones first so a reload retries them
+                     */
+                    getPending: function() {
+                        return job.inFlight.concat(job.queue);
+                    },
+
+                    /**
+                     * Build the live throughput, ETA and worker count line
+                     */
+                    getThroughputText: function() {
+                        var elapsed = (Date.now() - job.runStartedAt) / 1000;
+                        var remaining = job.total - job.processed;
+                        var parts = [];
+
+                        if (job.runProcessed > 0 && elapsed > 0) {
+                            var perSecond = job.runProcessed / elapsed;
+                            parts.push((perSecond * 60).toFixed(1) + ' ' + (options.unit || 'items') + '/min');
+                            parts.push('ETA ' + window.ZBooks.formatDuration(remaining / perSecond));
+                        }
+
+                        parts.push(job.concurrency + ' of ' + job.maxWorkers + ' workers');
+
+                        if (job.pausedUntil > Date.now()) {
+                            parts.push('Rate limited, retrying in ' + Math.ceil((job.pausedUntil - Date.now()) / 1000) + 's');
+                        }
+
+                        return parts.join(' · ');
+                    }
+                };
+
+                function emit(name) {
+                    var args = Array.prototype.slice.call(arguments, 1);
+                    $.each(listeners[name] || [], function(i, fn) {
+                        fn.apply(job, args.length ? args : [job]);
+                    });
+                }
+
+                function notifyPaused() {
+                    if (job.isPaused && job.active === 0 && !pauseNotified) {
+                        pauseNotified = true;
+                        emit('paused');
+                    }
+                }
+
+                function isRateLimited(xhr, response) {
+                    if (xhr && xhr.status === 429) {
+                        return true;
+                    }
+
+                    var message = response && !response.success && response.data ? response.data.message : '';
+
+                    return /rate limit|too many requests/i.test(message || '');
+                }
+
+                function dispatch() {
+                    if (!job.isRunning) {
+                        return;
+                    }
+
+                    if (job.queue.length === 0) {
+                        // Finish once every worker has come back
+                        if (job.active === 0) {
+                            job.isRunning = false;
+                            emit('finished');
+                        }
+                        return;
+                    }
+
+                    if (job.isPaused || job.active >= job.concurrency) {
+                        return;
+                    }
+
+                    var wait = job.pausedUntil - Date.now();
+                    if (wait > 0) {
+                        if (!job.resumeTimer) {
+                            job.resumeTimer = setTimeout(function() {
+                                job.resumeTimer = null;
+                                dispatch();
+                            }, wait);
+                        }
+                        return;
+                    }
+
+                    var item = job.queue.shift();
+                    var rateLimited = false;
+                    var outcome = null;
+
+                    job.active++;
+                    job.inFlight.push(item);
+                    emit('itemstart', item);
+
+                    $.ajax({
+                        url: options.url || config.ajaxUrl,
+                        type: 'POST',
+                        data: $.extend({
+                            action: options.action,
+                            nonce: options.nonce || config.nonce
+                        }, options.data ? options.data(item) : {}),
+                        success: function(response) {
+                            if (isRateLimited(null, response)) {
+                                rateLimited = true;
+                                return;
+                            }
+
+                            outcome = {
+                                success: !!response.success,
+                                data: response.data || {},
+                                error: response.success ? '' : (response.data && response.data.message ? response.data.message : 'Failed'),
+                                response: response
+                            };
+                        },
+                        error: function(xhr, status, error) {
+                            if (isRateLimited(xhr)) {
+                                rateLimited = true;
+                                return;
+                            }
+
+                            outcome = {
+                                success: false,
+                                data: {},
+                                error: window.ZBooks.getAjaxErrorMessage(xhr, 'Network error: ' + error),
+                                response: null
+                            };
+                        },
+                        complete: function() {
+                            job.active--;
+                            job.inFlight = $.grep(job.inFlight, function(id) {
+                                return id !== item;
+                            });
+
+                            if (rateLimited) {
+                                // Back off and put the item back at the front
+                                if (!job.isCancelled) {
+                                    job.queue.unshift(item);
+                                }
+                                job.concurrency = Math.max(1, Math.floor(job.concurrency / 2));
+                                job.healthyStreak = 0;
+                                job.backoffMs = Math.min(60000, job.backoffMs ? job.backoffMs * 2 : 5000);
+                                job.pausedUntil = Date.now() + job.backoffMs;
+                            } else {
+                                job.processed++;
+                                job.runProcessed++;
+                                job.healthyStreak++;
+
+                                if (outcome.success) {
+                                    job.succeeded++;
+                                } else {
+                                    job.failed++;
+                                }
+
+                                // Ramp up after a run of healthy responses
+                                if (job.healthyStreak >= 5) {
+                                    job.healthyStreak = 0;
+                                    job.backoffMs = 0;
+                                    job.concurrency = Math.min(job.maxWorkers, job.concurrency + 1);
+                                }
+
+                                emit('itemdone', item, outcome);
+                            }
+
+                            emit('progress');
+                            notifyPaused();
+
+                            if (options.delay) {
+                                setTimeout(dispatch, options.delay);
+                            } else {
+                                dispatch();
+                            }
+                        }
+                    });
+
+                    // Fill the remaining worker slots
+                    dispatch();
+                }
+
+                return job;
+            }
+        },
+
+        /**
+         * Format seconds as a short duration (e.g. "1h 5m", "3m 20s")
+         *
+         * @param {number} seconds Duration in seconds
+         * @return {string}
+         */
+        formatDuration: function(seconds) {
+            seconds = Math.max(0, Math.round(seconds));
+
+            var hours = Math.floor(seconds / 3600);
+            var minutes = Math.floor((seconds % 3600) / 60);
+
+            if (hours > 0) {
+                return hours + 'h ' + minutes + 'm';
+            }
+            if (minutes > 0) {
+                return minutes + 'm ' + (seconds % 60) + 's';
+            }
+            return seconds + 's';
+        },
+
         /**
          * Register a module
          *
@@ -534,425 +952,6 @@
             }
         },
 
-        /**
-         * Handle bulk sync button click (for selected orders)
-         *
-         * @param {Event} e Click event
-         * @return {void}
-         */
-        handleBulkSync: function(e) {
-            e.preventDefault();
-
-            var $checked = $('.zbooks-item-checkbox:checked');
-
-            if ($checked.length === 0 || this.bulkState.isProcessing) {
-                return;
-            }
-
-            // Collect post IDs
-            var postIds = [];
-            $checked.each(function() {
-                postIds.push($(this).val());
-            });
-
-            // Initialize bulk state
-            this.bulkState = {
-                isProcessing: true,
-                queue: postIds,
-                processed: 0,
-                succeeded: 0,
-                failed: 0,
-                total: postIds.length,
-                asDraft: false
-            };
-
-            // Show progress UI
-            this.showBulkProgress();
-
-            // Start processing
-            this.processNextBulkItem();
-        },
-
-        /**
-         * Handle bulk sync date range form submission
-         *
-         * @param {Event} e Submit event
-         * @return {void}
-         */
-        handleBulkSyncDateRange: function(e) {
-            e.preventDefault();
-
-            if (this.bulkState.isProcessing) {
-                return;
-            }
-
-            var self = this;
-            var $button = $(e.currentTarget);
-            var $form = $('#zbooks-bulk-sync-form');
-            var $progress = $('#zbooks-bulk-sync-progress');
-
-            var dateFrom = $form.find('#zbooks_date_from').val();
-            var dateTo = $form.find('#zbooks_date_to').val();
-            var asDraft = $form.find('input[name="as_draft"]:checked').val() === 'true';
-            var orderStatus = $form.find('#zbooks_order_status').val(); // Array of selected statuses
-
-            if (!dateFrom || !dateTo) {
-                alert('Please select a date range.');
-                return;
-            }
-
-            // Hide selected orders progress box if showing
-            $('.zbooks-progress-container').hide();
-            
-            // Disable button and show progress
-            $button.prop('disabled', true).text('Fetching orders...');
-            $progress.show();
-            $progress.find('.zbooks-progress-text').text('Fetching orders in date range...');
-
-            // First, get orders in the date range
-            $.ajax({
-                url: self.config.ajaxUrl,
-                type: 'POST',
-                data: {
-                    action: 'zbooks_get_orders_by_date',
-                    date_from: dateFrom,
-                    date_to: dateTo,
-                    order_status: orderStatus, // Pass order status filter
-                    nonce: self.config.nonce
-                },
-                success: function(response) {
-                    if (response.success && response.data.orders.length > 0) {
-                        var orderIds = response.data.orders.map(function(order) {
-                            return order.id;
-                        });
-
-                        // Initialize bulk state
-                        self.bulkState = {
-                            isProcessing: true,
-                            queue: orderIds,
-                            processed: 0,
-                            succeeded: 0,
-                            failed: 0,
-                            total: orderIds.length,
-                            asDraft: asDraft
-                        };
-
-                        // Update progress UI
-                        $progress.find('.zbooks-progress-text').text('Syncing 0 / ' + orderIds.length + ' orders...');
-
-                        // Add cancel button if not present
-                        if (!$progress.find('.zbooks-cancel-bulk-btn').length) {
-                            $progress.append('<button type="button" class="button zbooks-cancel-bulk-btn">Cancel</button>');
-                        }
-
-                        // Start processing
-                        self.processNextBulkItemDateRange($progress, $button);
-                    } else if (response.success && response.data.orders.length === 0) {
-                        $progress.find('.zbooks-progress-text').text('No orders found in the selected date range.');
-                        $button.prop('disabled', false).text('Start Bulk Sync');
-                    } else {
-                        $progress.find('.zbooks-progress-text').text('Error: ' + (response.data.message || 'Failed to fetch orders'));
-                        $button.prop('disabled', false).text('Start Bulk Sync');
-                    }
-                },
-                error: function(xhr, status, error) {
-                    $progress.find('.zbooks-progress-text').text('Network error: ' + error);
-                    $button.prop('disabled', false).text('Start Bulk Sync');
-                }
-            });
-        },
-
-        /**
-         * Process next item in date range bulk sync
-         *
-         * @param {jQuery} $progress Progress container
-         * @param {jQuery} $button Submit button
-         * @return {void}
-         */
-        processNextBulkItemDateRange: function($progress, $button) {
-            var self = this;
-            var state = this.bulkState;
-
-            if (!state.isProcessing || state.queue.length === 0) {
-                // Complete
-                var statusText = 'Completed: ' + state.succeeded + ' succeeded, ' + state.failed + ' failed.';
-                $progress.find('.zbooks-progress-text').text(statusText);
-                $progress.find('.zbooks-cancel-bulk-btn').remove();
-                $button.prop('disabled', false).text('Start Bulk Sync');
-                state.isProcessing = false;
-
-                // NOTE: No reload needed - table stays updated
-                // If you see this function running, it means order-sync.js module is not loaded properly
-                console.warn('[ZBooks] LEGACY processNextBulkItem function called - order-sync.js module should handle this');
-                
-                // Update stats boxes dynamically instead of reloading
-                if (typeof self.updateStatsBoxes === 'function') {
-                    self.updateStatsBoxes();
-                }
-                return;
-            }
-
-            var orderId = state.queue.shift();
-
-            // Show current order being synced
-            var currentNum = state.processed + 1;
-            $progress.find('.zbooks-progress-text').text(
-                'Syncing order #' + orderId + ' (' + currentNum + ' / ' + state.total + ')...'
-            );
-
-            $.ajax({
-                url: self.config.ajaxUrl,
-                type: 'POST',
-                data: {
-                    action: 'zbooks_manual_sync',
-                    order_id: orderId,
-                    as_draft: state.asDraft ? 'true' : 'false',
-                    nonce: self.config.nonce
-                },
-                success: function(response) {
-                    if (response.success) {
-                        state.succeeded++;
-                    } else {
-                        state.failed++;
-                    }
-                },
-                error: function() {
-                    state.failed++;
-                },
-                complete: function() {
-                    state.processed++;
-                    var percent = Math.round((state.processed / state.total) * 100);
-                    $progress.find('.zbooks-progress-text').text(
-                        'Synced ' + state.processed + ' / ' + state.total + ' orders (' + percent + '%)...'
-                    );
-                    $progress.find('.zbooks-progress-fill').css('width', percent + '%');
-                    self.processNextBulkItemDateRange($progress, $button);
-                }
-            });
-        },
-
-        /**
-         * Show bulk progress UI
-         *
-         * @return {void}
-         */
-        showBulkProgress: function() {
-            // Hide date-range progress box if showing
-            $('#zbooks-bulk-sync-progress').hide();
-            
-            var $container = $('.zbooks-progress-container');
-
-            if (!$container.length) {
-                $container = $(
-                    '<div class="zbooks-progress-container">' +
-                        '<div class="zbooks-progress-header">' +
-                            '<span class="zbooks-progress-title">Syncing orders...</span>' +
-                            '<span class="zbooks-progress-count">0 / ' + this.bulkState.total + '</span>' +
-                        '</div>' +
-                        '<div class="zbooks-progress-bar">' +
-                            '<div class="zbooks-progress-fill" style="width: 0%"></div>' +
-                            '<span class="zbooks-progress-percentage">0%</span>' +
-                        '</div>' +
-                        '<div class="zbooks-progress-status is-processing">Processing...</div>' +
-                        '<button type="button" class="button zbooks-cancel-bulk-btn">Cancel</button>' +
-                    '</div>'
-                );
-                $('.zbooks-bulk-actions').after($container);
-            } else {
-                // Reset existing container
-                $container.find('.zbooks-progress-title').text('Syncing orders...');
-                $container.find('.zbooks-progress-count').text('0 / ' + this.bulkState.total);
-                $container.find('.zbooks-progress-fill').css('width', '0%');
-                $container.find('.zbooks-progress-percentage').text('0%');
-                $container.find('.zbooks-progress-status').removeClass('is-complete is-error').addClass('is-processing').text('Processing...');
-                
-                // Add cancel button if not present
-                if (!$container.find('.zbooks-cancel-bulk-btn').length) {
-                    $container.append('<button type="button" class="button zbooks-cancel-bulk-btn">Cancel</button>');
-                }
-                
-                $container.show();
-            }
-
-            // Disable bulk actions
-            $('.zbooks-bulk-sync-btn, #zbooks-sync-selected').prop('disabled', true);
-            $('.zbooks-select-all, .zbooks-item-checkbox').prop('disabled', true);
-        },
-
-        /**
-         * Update bulk progress UI
-         *
-         * @return {void}
-         */
-        updateBulkProgress: function() {
-            var state = this.bulkState;
-            var percentage = Math.round((state.processed / state.total) * 100);
-
-            $('.zbooks-progress-fill').css('width', percentage + '%');
-            $('.zbooks-progress-percentage').text(percentage + '%');
-            $('.zbooks-progress-count').text(state.processed + ' / ' + state.total);
-        },
-
-        /**
-         * Process next item in bulk queue
-         *
-         * @return {void}
-         */
-        processNextBulkItem: function() {
-            var self = this;
-            var state = this.bulkState;
-
-            if (!state.isProcessing || state.queue.length === 0) {
-                this.completeBulkSync();
-                return;
-            }
-
-            var postId = state.queue.shift();
-            var $row = $('.zbooks-item-checkbox[value="' + postId + '"]').closest('tr');
-
-            // Show syncing status
-            var $status = $row.find('.zbooks-status, .order-status');
-            if ($status.length) {
-                $status.addClass('zbooks-syncing').text('Syncing...');
-            }
-
-            $.ajax({
-                url: self.config.ajaxUrl,
-                type: 'POST',
-                data: {
-                    action: 'zbooks_manual_sync',
-                    order_id: postId,
-                    as_draft: 'false',
-                    nonce: self.config.nonce
-                },
-                success: function(response) {
-                    if (response.success) {
-                        state.succeeded++;
-                        self.updateRowStatus($row, 'synced');
-                    } else {
-                        state.failed++;
-                        var errorMsg = response.data && response.data.message ? response.data.message : 'Failed to sync order';
-                        self.updateRowStatus($row, 'failed', errorMsg);
-                    }
-                },
-                error: function(xhr, status, error) {
-                    state.failed++;
-                    var errorMsg = 'Network error: ' + error;
-                    self.updateRowStatus($row, 'failed', errorMsg);
-                },
-                complete: function() {
-                    state.processed++;
-                    self.updateBulkProgress();
-                    self.processNextBulkItem();
-                }
-            });
-        },
-
-        /**
-         * Update row status in bulk table
-         *
-         * @param {jQuery} $row   Table row
-         * @param {string} status New status
-         * @param {string} errorMsg Optional error message for failed status
-         * @return {void}
-         */
-        updateRowStatus: function($row, status, errorMsg) {
-            var $status = $row.find('.zbooks-status, .order-status');
-            if ($status.length) {
-                $status.removeClass('zbooks-syncing');
-                this.updateStatusBadge($status, status);
-                
-                // Add error tooltip for failed status
-                if (status === 'failed' && errorMsg) {
-                    $status.attr('title', errorMsg).css('cursor', 'help');
-                }
-            }
-        },
-
-        /**
-         * Complete bulk sync process
-         *
-         * @return {void}
-         */
-        completeBulkSync: function() {
-            var state = this.bulkState;
-            var $container = $('.zbooks-progress-container');
-
-            // Update status
-            var statusClass = state.failed > 0 ? 'is-error' : 'is-complete';
-            var statusText = 'Completed: ' + state.succeeded + ' succeeded, ' + state.failed + ' failed';
-
-            $container.find('.zbooks-progress-status')
-                .removeClass('is-processing')
-                .addClass(statusClass)
-                .text(statusText);
-
-            // Remove cancel button
-            $container.find('.zbooks-cancel-bulk-btn').remove();
-
-            // Re-enable controls
-            $('.zbooks-bulk-sync-btn, #zbooks-sync-selected').prop('disabled', false);
-            $('.zbooks-select-all, .zbooks-item-checkbox').prop('disabled', false);
-
-            // Reset state
-            this.bulkState.isProcessing = false;
-
-            // Update stats if they exist
-            this.updateStatsBoxes();
-        },
-
-        /**
-         * Handle cancel bulk sync
-         *
-         * @param {Event} e Click event
-         * @return {void}
-         */
-        handleCancelBulkSync: function(e) {
-            e.preventDefault();
-
-            this.bulkState.isProcessing = false;
-            this.bulkState.queue = [];
-
-            var $container = $('.zbooks-progress-container');
-            $container.find('.zbooks-progress-status')
-                .removeClass('is-processing')
-                .addClass('is-error')
-                .text('Cancelled by user');
-
-            $container.find('.zbooks-cancel-bulk-btn').remove();
-
-            // Re-enable controls
-            $('.zbooks-bulk-sync-btn, #zbooks-sync-selected').prop('disabled', false);
-            $('.zbooks-select-all, .zbooks-item-checkbox').prop('disabled', false);
-        },
-
-        /**
-         * Update stats boxes after bulk sync
-         *
-         * @return {void}
-         */
-        updateStatsBoxes: function() {
-            var self = this;
-
-            $.ajax({
-                url: self.config.ajaxUrl,
-                type: 'POST',
-                data: {
-                    action: 'zbooks_get_stats',
-                    nonce: self.config.nonce
-                },
-                success: function(response) {
-                    if (response.success && response.data) {
-                        var data = response.data;
-                        $('.zbooks-stat-box--total .zbooks-stat-number').text(data.total || 0);
-                        $('.zbooks-stat-box--synced .zbooks-stat-number').text(data.synced || 0);
-                        $('.zbooks-stat-box--pending .zbooks-stat-number').text(data.pending || 0);
-                        $('.zbooks-stat-box--failed .zbooks-stat-number').text(data.failed || 0);
-                    }
-                }
-            });
-        },
-
         /**
          * Load module when tab is clicked or page loads
          *
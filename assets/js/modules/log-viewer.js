@@ -1,8 +1,9 @@
 /**
  * Zbooks Log Viewer Module
  *
- * Handles log viewing functionality including modal display,
- * log detail viewing, and JSON copying.
+ * Handles log viewing functionality including AJAX filtering and paging,
+ * tail mode, export, modal display, log detail viewing, request timelines,
+ * and JSON copying.
  *
  * @package    Zbooks
  * @author     talas9
@@ -18,8 +19,14 @@
      */
     window.ZbooksLogViewer = {
         $modal: null,
+        $table: null,
         currentEntry: null,
         initialized: false,
+        loaded: 0,
+        total: 0,
+        isLoading: false,
+        tailTimer: null,
+        tailInterval: 5000,
 
         /**
          * Initialize the log viewer module
@@ -37,6 +44,9 @@
             }
 
             this.initialized = true;
+            this.$table = $('#zbooks-log-table');
+            this.loaded = this.$table.find('tbody .zbooks-log-row').length;
+            this.total = parseInt(this.$table.data('total'), 10) || 0;
             this.bindEvents();
         },
 
@@ -60,21 +70,65 @@
 
             // Close modal
             $(document).on('click', '.zbooks-modal-close, .zbooks-modal-overlay', function() {
-                self.$modal.fadeOut(200);
+                $(this).closest('.zbooks-modal').fadeOut(200);
             });
 
-            // Close on escape key
+            // Close on escape key (topmost modal first)
             $(document).on('keydown', function(e) {
-                if (e.key === 'Escape' && self.$modal.is(':visible')) {
-                    self.$modal.fadeOut(200);
+                var $open = $('.zbooks-modal:visible');
+                if (e.key === 'Escape' && $open.length) {
+                    $open.last().fadeOut(200);
                 }
             });
 
+            // Show related entries as a waterfall
+            $(document).on('click', '.zbooks-view-timeline', function() {
+                self.showTimeline(self.currentEntry);
+            });
+
             // Copy JSON to clipboard
             $(document).on('click', '.zbooks-copy-json', function() {
                 self.copyJsonToClipboard();
             });
 
+            // Filter logs without reloading the page
+            $(document).on('submit', '#zbooks-log-filters', function(e) {
+                e.preventDefault();
+                self.loadLogs(true);
+            });
+
+            // Load next page
+            $(document).on('click', '.zbooks-load-more-logs', function(e) {
+                e.preventDefault();
+                self.loadLogs(false);
+            });
+
+            // Infinite scroll: load the next page when nearing the bottom
+            $(window).on('scroll', function() {
+                if (self.loaded >= self.total || self.isLoading) {
+                    return;
+                }
+                var bottom = $(window).scrollTop() + $(window).height();
+                if (bottom >= $(document).height() - 200) {
+                    self.loadLogs(false);
+                }
+            });
+
+            // Tail mode toggle
+            $(document).on('change', '#zbooks-log-tail', function() {
+                if ($(this).is(':checked')) {
+                    self.startTail();
+                } else {
+                    self.stopTail();
+                }
+            });
+
+            // Export filtered entries
+            $(document).on('click', '.zbooks-export-logs', function(e) {
+                e.preventDefault();
+                self.exportLogs();
+            });
+
             // Refresh logs button
             $(document).on('click', '.zbooks-refresh-logs', function(e) {
                 e.preventDefault();
@@ -101,15 +155,473 @@
             return typeof zbooksLogViewer !== 'undefined' ? zbooksLogViewer : {
                 ajaxUrl: typeof ajaxurl !== 'undefined' ? ajaxurl : '',
                 nonces: {},
+                pageSize: 100,
                 i18n: {}
             };
         },
 
         /**
-         * Refresh the logs page
+         * Read the current filter values from the form
+         *
+         * @return {Object} Filters for the zbooks_get_logs request
+         */
+        getFilters: function() {
+            return {
+                date_from: $('#zbooks-log-date-from').val() || '',
+                date_to: $('#zbooks-log-date-to').val() || '',
+                level: $('#level').val() || '',
+                order_id: $('#zbooks-log-order-id').val() || '',
+                search: $('#zbooks-log-search').val() || ''
+            };
+        },
+
+        /**
+         * Request a page of log entries
+         *
+         * @param {number}   offset   Number of entries to skip
+         * @param {Function} callback Called with the response data on success
+         * @return {jqXHR}
+         */
+        requestLogs: function(offset, callback) {
+            var self = this;
+            var config = this.getConfig();
+
+            this.isLoading = true;
+
+            return $.ajax({
+                url: config.ajaxUrl,
+                type: 'POST',
+                data: $.extend({
+                    action: 'zbooks_get_logs',
+                    nonce: config.nonces.get_logs || '',
+                    offset: offset,
+                    limit: config.pageSize || 100
+                }, this.getFilters()),
+                success: function(response) {
+                    if (response.success) {
+                        callback(response.data);
+                    } else {
+                        alert((response.data && response.data.message) || config.i18n.load_failed || 'Failed to load logs.');
+                        self.stopTail();
+                    }
+                },
+                error: function() {
+                    self.stopTail();
+                },
+                complete: function() {
+                    self.isLoading = false;
+                }
+            });
+        },
+
+        /**
+         * Load log entries into the table
+         *
+         * @param {boolean} reset Replace the table instead of appending the next page
+         */
+        loadLogs: function(reset) {
+            var self = this;
+            var config = this.getConfig();
+
+            if (this.isLoading) {
+                return;
+            }
+
+            var $button = $('.zbooks-load-more-logs');
+            $button.prop('disabled', true).text(config.i18n.loading || 'Loading...');
+
+            this.requestLogs(reset ? 0 : this.loaded, function(data) {
+                var $tbody = self.$table.find('tbody');
+
+                if (reset) {
+                    $tbody.empty();
+                    self.loaded = 0;
+                }
+
+                $tbody.find('.zbooks-log-empty').remove();
+                $.each(data.entries, function(i, entry) {
+                    $tbody.append(self.buildRow(entry));
+                });
+
+                self.loaded += data.entries.length;
+                self.total = data.total;
+
+                if (!self.loaded) {
+                    $tbody.append(self.buildEmptyRow());
+                }
+
+                self.updateStats(data.stats);
+                self.updatePager();
+                if (reset) {
+                    self.updateUrl();
+                }
+            }).always(function() {
+                $button.prop('disabled', false).text(config.i18n.load_more || 'Load more');
+            });
+        },
+
+        /**
+         * Build a table row for a log entry
+         *
+         * @param {Object} entry Log entry object
+         * @return {jQuery}
+         */
+        buildRow: function(entry) {
+            var config = this.getConfig();
+            var level = String(entry.level || '').toLowerCase();
+            var $row = $('<tr class="zbooks-log-row">').addClass('zbooks-log-' + level);
+
+            $row.append($('<td>').text(entry.timestamp));
+            $row.append($('<td>').append(
+                $('<span class="zbooks-log-level">').addClass('zbooks-level-' + level).text(entry.level)
+            ));
+            $row.append($('<td class="zbooks-log-message">').text(entry.message));
+            $row.append($('<td>').append(
+                $('<button type="button" class="button button-small zbooks-view-details">')
+                    .text(config.i18n.view || 'View')
+            ));
+            $row.data('entry', entry);
+
+            return $row;
+        },
+
+        /**
+         * Build the placeholder row shown when nothing matches
+         *
+         * @return {jQuery}
+         */
+        buildEmptyRow: function() {
+            var config = this.getConfig();
+            return $('<tr class="zbooks-log-empty">').append(
+                $('<td colspan="4">').text(config.i18n.no_entries || 'No log entries found.')
+            );
+        },
+
+        /**
+         * Update the level counts above the table
+         *
+         * @param {Object} stats Counts keyed by level, plus total
+         */
+        updateStats: function(stats) {
+            if (!stats) return;
+            $('.zbooks-log-stats [data-stat]').each(function() {
+                var key = $(this).data('stat');
+                $(this).text(stats[key] || 0);
+            });
+        },
+
+        /**
+         * Update the entry count and load more button
+         */
+        updatePager: function() {
+            var config = this.getConfig();
+            var text = (config.i18n.showing || 'Showing %1$s of %2$s entries')
+                .replace('%1$s', this.loaded)
+                .replace('%2$s', this.total);
+
+            $('.zbooks-log-count').text(text);
+            $('.zbooks-load-more-logs').toggle(this.loaded < this.total);
+        },
+
+        /**
+         * Keep the address bar in sync with the filters so a reload shows the same view
+         */
+        updateUrl: function() {
+            if (!window.history || !window.history.replaceState) return;
+
+            var filters = this.getFilters();
+            var params = { page: 'zbooks-logs' };
+            $.each(filters, function(key, value) {
+                if (value) {
+                    params[key === 'search' ? 's' : key] = value;
+                }
+            });
+
+            window.history.replaceState(null, '', window.location.pathname + '?' + $.param(params));
+        },
+
+        /**
+         * Start polling for new entries
+         */
+        startTail: function() {
+            var self = this;
+
+            this.stopTail();
+            $('#zbooks-log-tail').prop('checked', true);
+            this.tailTimer = setInterval(function() {
+                self.pollTail();
+            }, this.tailInterval);
+        },
+
+        /**
+         * Stop polling for new entries
+         */
+        stopTail: function() {
+            if (this.tailTimer) {
+                clearInterval(this.tailTimer);
+                this.tailTimer = null;
+            }
+            $('#zbooks-log-tail').prop('checked', false);
+        },
+
+        /**
+         * Fetch the newest entries and prepend any that arrived since the last load
+         *
+         * Entries are newest first, so the difference in the total is the number
+         * of new rows at the top of the first page. The window is scrolled by the
+         * height added above the viewport so the rows being read stay in place.
+         */
+        pollTail: function() {
+            var self = this;
+            var config = this.getConfig();
+
+            if (this.isLoading) {
+                return;
+            }
+
+            this.requestLogs(0, function(data) {
+                var newCount = data.total - self.total;
+
+                self.updateStats(data.stats);
+
+                if (newCount <= 0) {
+                    // Logs were cleared or rotated out of the date range.
+                    if (newCount < 0) {
+                        self.loadLogs(true);
+                    }
+                    return;
+                }
+
+                if (newCount >= (config.pageSize || 100)) {
+                    self.loadLogs(true);
+                    return;
+                }
+
+                var $tbody = self.$table.find('tbody');
+                var heightBefore = $tbody.height();
+                var scrolledPast = $(window).scrollTop() > $tbody.offset().top;
+
+                $tbody.find('.zbooks-log-empty').remove();
+                $.each(data.entries.slice(0, newCount).reverse(), function(i, entry) {
+                    $tbody.prepend(self.buildRow(entry).addClass('zbooks-log-new'));
+                });
+
+                if (scrolledPast) {
+                    window.scrollBy(0, $tbody.height() - heightBefore);
+                }
+
+                self.loaded += newCount;
+                self.total = data.total;
+                self.updatePager();
+
+                setTimeout(function() {
+                    $tbody.find('.zbooks-log-new').removeClass('zbooks-log-new');
+                }, 3000);
+            });
+        },
+
+        /**
+         * Download every entry matching the current filters as JSONL or CSV
+         */
+        exportLogs: function() {
+            var self = this;
+            var config = this.getConfig();
+            var format = $('#zbooks-log-export-format').val() || 'jsonl';
+            var redact = $('#zbooks-log-export-redact').is(':checked');
+            var $button = $('.zbooks-export-logs');
+            var originalText = $button.text();
+
+            $button.prop('disabled', true).text(config.i18n.exporting || 'Exporting...');
+
+            this.fetchAllLogs(function(entries) {
+                $button.prop('disabled', false).text(originalText);
+
+                if (!entries.length) {
+                    alert(config.i18n.export_empty || 'No log entries match the current filters.');
+                    return;
+                }
+
+                if (redact) {
+                    entries = $.map(entries, function(entry) {
+                        return $.extend({}, entry, {
+                            message: self.redactString(entry.message),
+                            context: self.redactValue(entry.context || {})
+                        });
+                    });
+                }
+
+                var header = self.getExportHeader(entries.length, redact);
+                var filename = 'zbooks-logs-' + new Date().toISOString().slice(0, 10);
+
+                if (format === 'csv') {
+                    window.ZbooksCommon.downloadFile(filename + '.csv', self.buildCsvExport(header, entries), 'text/csv;charset=utf-8');
+                } else {
+                    window.ZbooksCommon.downloadFile(filename + '.jsonl', self.buildJsonlExport(header, entries), 'application/x-ndjson');
+                }
+            }, function() {
+                $button.prop('disabled', false).text(originalText);
+                alert(config.i18n.load_failed || 'Failed to load logs.');
+            });
+        },
+
+        /**
+         * Page through zbooks_get_logs until every matching entry is loaded
+         *
+         * @param {Function} done    Called with the entries
+         * @param {Function} fail    Called if a request fails
+         * @param {Object}   filters Filters to use instead of the form values
+         */
+        fetchAllLogs: function(done, fail, filters) {
+            var config = this.getConfig();
+            var entries = [];
+
+            filters = filters || this.getFilters();
+
+            function fetchPage() {
+                $.ajax({
+                    url: config.ajaxUrl,
+                    type: 'POST',
+                    data: $.extend({
+                        action: 'zbooks_get_logs',
+                        nonce: config.nonces.get_logs || '',
+                        offset: entries.length,
+                        limit: 500
+                    }, filters),
+                    success: function(response) {
+                        if (!response.success) {
+                            fail();
+                            return;
+                        }
+                        entries = entries.concat(response.data.entries);
+                        if (response.data.has_more && response.data.entries.length) {
+                            fetchPage();
+                        } else {
+                            done(entries);
+                        }
+                    },
+                    error: fail
+                });
+            }
+
+            fetchPage();
+        },
+
+        /**
+         * Describe the export so a support ticket carries its own context
+         *
+         * @param {number}  count  Number of exported entries
+         * @param {boolean} redact Whether personal data was redacted
+         * @return {Object}
+         */
+        getExportHeader: function(count, redact) {
+            var common = window.ZbooksCommon || {};
+
+            return {
+                plugin: 'zbooks-for-woocommerce',
+                version: (common.config && common.config.version) || '',
+                exported_at: new Date().toISOString(),
+                entries: count,
+                redacted: redact,
+                filters: this.getFilters()
+            };
+        },
+
+        /**
+         * Build a JSONL export: the header object followed by one entry per line
+         *
+         * @param {Object} header  Export header
+         * @param {Array}  entries Log entries
+         * @return {string}
+         */
+        buildJsonlExport: function(header, entries) {
+            var lines = [JSON.stringify({ export: header })];
+
+            $.each(entries, function(i, entry) {
+                lines.push(JSON.stringify(entry));
+            });
+
+            return lines.join('\n') + '\n';
+        },
+
+        /**
+         * Build a CSV export with the header as leading comment lines
+         *
+         * @param {Object} header  Export header
+         * @param {Array}  entries Log entries
+         * @return {string}
+         */
+        buildCsvExport: function(header, entries) {
+            var rows = [['timestamp', 'level', 'message', 'order_id', 'context']];
+
+            $.each(entries, function(i, entry) {
+                var context = entry.context || {};
+                rows.push([
+                    entry.timestamp,
+                    entry.level,
+                    entry.message,
+                    context.order_id || '',
+                    $.isEmptyObject(context) ? '' : JSON.stringify(context)
+                ]);
+            });
+
+            return '# ' + header.plugin + ' ' + header.version + ' log export\r\n' +
+                '# exported_at=' + header.exported_at + ' entries=' + header.entries +
+                ' redacted=' + (header.redacted ? 'yes' : 'no') + '\r\n' +
+                window.ZbooksCommon.toCsv(rows);
+        },
+
+        /**
+         * Redact personal data and secrets from a context value
+         *
+         * Values under keys that name an email, address, phone or credential are
+         * replaced outright; other strings have embedded emails and tokens masked.
+         *
+         * @param {*}      value Context value
+         * @param {string} key   Key the value was found under
+         * @return {*}
+         */
+        redactValue: function(value, key) {
+            var self = this;
+
+            if (key && /email|address|street|city|state|postcode|zip|phone|first_name|last_name|token|secret|password|authorization|api_key|client_id/i.test(key)) {
+                return value === null || value === '' ? value : '[redacted]';
+            }
+
+            if ($.isArray(value)) {
+                return $.map(value, function(item) {
+                    return [self.redactValue(item)];
+                });
+            }
+
+            if (value && typeof value === 'object') {
+                var result = {};
+                $.each(value, function(childKey, childValue) {
+                    result[childKey] = self.redactValue(childValue, childKey);
+                });
+                return result;
+            }
+
+            return typeof value === 'string' ? this.redactString(value) : value;
+        },
+
+        /**
+         * Mask emails and tokens embedded in free text
+         *
+         * @param {string} text Text to redact
+         * @return {string}
+         */
+        redactString: function(text) {
+            return String(text || '')
+                .replace(/[^\s@"'<>]+@[^\s@"'<>]+\.[a-z]{2,}/gi, '[redacted email]')
+                .replace(/(Bearer|Zoho-oauthtoken)\s+[\w.\-]+/gi, '$1 [redacted]')
+                .replace(/((?:access|refresh)_token|client_secret|code)=[^&\s"]+/gi, '$1=[redacted]');
+        },
+
+        /**
+         * Reload the current view of the logs
          */
         refreshLogs: function() {
-            window.location.reload();
+            this.loadLogs(true);
         },
 
         /**
@@ -241,9 +753,174 @@
                 $('#zbooks-modal-context-row').hide();
             }
 
+            $('.zbooks-view-timeline').toggle(!!(entry.context && (entry.context.correlation_id || entry.context.order_id)));
+
             this.$modal.fadeIn(200);
         },
 
+        /**
+         * Show the entries related to a log entry as a request waterfall
+         *
+         * Entries sharing the entry's correlation ID (one sync run) are shown
+         * together; without one, every entry for the same order is loaded and
+         * split into one waterfall per sync run.
+         *
+         * @param {Object} entry Log entry object
+         */
+        showTimeline: function(entry) {
+            var self = this;
+            var config = this.getConfig();
+            var context = (entry && entry.context) || {};
+            var day = String(entry.timestamp || '').slice(0, 10);
+            var filters = { date_from: day, date_to: day };
+            var title;
+
+            if (context.correlation_id) {
+                filters.search = context.correlation_id;
+                title = (config.i18n.timeline_sync || 'Timeline for %s').replace('%s', context.correlation_id);
+            } else if (context.order_id) {
+                filters.order_id = context.order_id;
+                title = (config.i18n.timeline_order || 'Timeline for order #%s').replace('%s', context.order_id);
+            } else {
+                return;
+            }
+
+            var $body = $('#zbooks-timeline-body').empty().append(
+                $('<p>').text(config.i18n.loading || 'Loading...')
+            );
+            $('#zbooks-timeline-title').text(title);
+            $('#zbooks-timeline-modal').fadeIn(200);
+
+            this.fetchAllLogs(function(entries) {
+                if (context.correlation_id) {
+                    entries = $.grep(entries, function(e) {
+                        return e.context && e.context.correlation_id === context.correlation_id;
+                    });
+                }
+
+                $body.empty();
+                if (!entries.length) {
+                    $body.append($('<p>').text(config.i18n.timeline_empty || 'No related entries found.'));
+                    return;
+                }
+
+                $.each(self.groupTimelineEntries(entries), function(i, group) {
+                    $body.append(self.renderWaterfall(group));
+                });
+            }, function() {
+                $body.empty().append($('<p>').text(config.i18n.load_failed || 'Failed to load logs.'));
+            }, filters);
+        },
+
+        /**
+         * Split entries into sync runs by correlation ID, oldest first
+         *
+         * @param {Array} entries Log entries, newest first
+         * @return {Array} Groups of {id, entries}
+         */
+        groupTimelineEntries: function(entries) {
+            var groups = [];
+            var byId = {};
+
+            $.each(entries.slice().reverse(), function(i, entry) {
+                var id = (entry.context && entry.context.correlation_id) || '';
+                if (!byId[id]) {
+                    byId[id] = { id: id, entries: [] };
+                    groups.push(byId[id]);
+                }
+                byId[id].entries.push(entry);
+            });
+
+            return groups;
+        },
+
+        /**
+         * Render one group of entries as a waterfall
+         *
+         * Log timestamps only have second precision, so API calls are placed by
+         * subtracting their duration_ms from the time they were logged; other
+         * entries are drawn as markers.
+         *
+         * @param {Object} group Group of {id, entries}
+         * @return {jQuery}
+         */
+        renderWaterfall: function(group) {
+            var config = this.getConfig();
+            var rows = [];
+            var start = null;
+            var end = null;
+            var failed = null;
+
+            $.each(group.entries, function(i, entry) {
+                var context = entry.context || {};
+                var loggedAt = Date.parse(String(entry.timestamp).replace(' ', 'T') + 'Z') || 0;
+                var duration = parseInt(context.duration_ms, 10) || 0;
+                var isApi = !!(context.endpoint || context.request_url);
+                var isError = entry.level === 'ERROR' || context.status_code >= 400;
+                var rowStart = loggedAt - duration;
+
+                start = start === null ? rowStart : Math.min(start, rowStart);
+                end = end === null ? loggedAt : Math.max(end, loggedAt);
+
+                if (isApi && isError && !failed) {
+                    failed = context.endpoint || context.request_url;
+                }
+
+                rows.push({
+                    entry: entry,
+                    start: rowStart,
+                    duration: duration,
+                    isApi: isApi,
+                    status: isError ? 'error' : (entry.level === 'WARNING' ? 'warning' : (isApi ? 'success' : 'info'))
+                });
+            });
+
+            var span = Math.max(end - start, 1000);
+            var $group = $('<div class="zbooks-timeline-group">');
+            var $summary = $('<div class="zbooks-timeline-summary">');
+
+            if (group.id) {
+                $summary.append($('<code>').text(group.id));
+            }
+            $summary.append($('<span>').addClass(failed ? 'zbooks-timeline-failed' : 'zbooks-timeline-ok').text(
+                failed ?
+                    (config.i18n.failed_at || 'Failed at %s').replace('%s', failed) :
+                    (config.i18n.no_failures || 'All API calls succeeded')
+            ));
+            $group.append($summary);
+
+            $.each(rows, function(i, row) {
+                var context = row.entry.context || {};
+                var label = row.isApi ?
+                    ((context.method ? context.method + ' ' : '') + (context.endpoint || context.request_url)) :
+                    row.entry.message;
+                var left = ((row.start - start) / span) * 100;
+                var width = Math.max((row.duration / span) * 100, 0.5);
+
+                var $row = $('<div class="zbooks-timeline-row">')
+                    .addClass('zbooks-timeline-' + row.status)
+                    .attr('title', row.entry.timestamp + ' - ' + row.entry.message)
+                    .data('entry', row.entry);
+
+                $row.append($('<span class="zbooks-timeline-label">').text(label));
+                $row.append($('<span class="zbooks-timeline-status">').text(
+                    context.status_code ? context.status_code : (row.isApi && row.status === 'error' ? 'ERR' : '')
+                ));
+                $row.append($('<span class="zbooks-timeline-track">').append(
+                    $('<span class="zbooks-timeline-bar">')
+                        .toggleClass('zbooks-timeline-marker', !row.isApi)
+                        .css({ left: Math.min(left, 99.5) + '%', width: Math.min(width, 100 - left) + '%' })
+                ));
+                $row.append($('<span class="zbooks-timeline-duration">').text(
+                    row.duration ? row.duration + ' ms' : ''
+                ));
+
+                $group.append($row);
+            });
+
+            return $group;
+        },
+
         /**
          * Copy current log entry JSON to clipboard
          */
@@ -29,17 +29,20 @@
         initialized: false,
 
         /**
-         * Bulk sync state
+         * Bulk sync state: the running ZBooks.JobRunner job plus per-order results
          */
         bulkState: {
-            isProcessing: false,
-            queue: [],
-            processed: 0,
-            succeeded: 0,
-            failed: 0,
-            total: 0
+            mode: 'selected',
+            inDateRangeBox: false,
+            results: [],
+            job: null
         },
 
+        /**
+         * localStorage key prefix for persisted bulk sync state
+         */
+        storagePrefix: 'zbooks_bulk_sync_',
+
         /**
          * Initialize the module
          */
@@ -55,6 +58,7 @@
 
             this.bindEvents();
             this.initSelectAll();
+            this.initResumeBanner();
         },
 
         /**
@@ -78,11 +82,32 @@
             // Cancel bulk sync
             $(document).on('click', '.zbooks-cancel-bulk-btn', this.handleCancelBulkSync.bind(this));
 
+            // Date range sync preview (dry run)
+            $(document).on('change', '.zbooks-preview-checkbox', this.updateBulkPreviewSelection.bind(this));
+            $(document).on('change', '.zbooks-preview-select-all', this.handleBulkPreviewSelectAll.bind(this));
+            $(document).on('click', '.zbooks-confirm-bulk-preview-btn', this.handleConfirmBulkPreview.bind(this));
+            $(document).on('click', '.zbooks-cancel-bulk-preview-btn', this.handleCancelBulkPreview.bind(this));
+
+            // Pause / resume bulk sync (progress box and orders list modal)
+            $(document).on('click', '.zbooks-pause-bulk-btn', this.handlePauseBulkSync.bind(this));
+
+            // Resume or discard a bulk sync interrupted by a page reload
+            $(document).on('click', '.zbooks-resume-bulk-btn', this.handleResumeBulkSync.bind(this));
+            $(document).on('click', '.zbooks-discard-bulk-btn', this.handleDiscardBulkSync.bind(this));
+
             // Select all checkbox
             $(document).on('change', '.zbooks-select-all', this.handleSelectAll.bind(this));
 
             // Individual checkboxes
             $(document).on('change', '.zbooks-item-checkbox', this.updateSelectedCount.bind(this));
+
+            // Per-order results table
+            $(document).on('click', '.zbooks-bulk-results .zbooks-sortable', this.handleResultsSort.bind(this));
+            $(document).on('change input', '.zbooks-results-filter, .zbooks-results-search', function(e) {
+                self.renderBulkResultsRows($(e.currentTarget).closest('.zbooks-bulk-results'));
+            });
+            $(document).on('click', '.zbooks-retry-failed-btn', this.handleRetryFailed.bind(this));
+            $(document).on('click', '.zbooks-download-results-btn', this.handleDownloadResults.bind(this));
             
             // Intercept WooCommerce bulk action for orders list
             this.interceptBulkAction();
@@ -382,9 +407,11 @@
                             '<div class="zbooks-progress-fill" style="background: #2271b1; height: 100%; width: 0%; transition: width 0.3s;"></div>' +
                         '</div>' +
                         '<div class="zbooks-progress-text" style="text-align: center; font-size: 14px; color: #666;">Preparing to sync...</div>' +
+                        '<div class="zbooks-progress-rate" style="text-align: center; font-size: 12px; color: #888; margin-top: 6px;"></div>' +
                         '<div class="zbooks-progress-details" style="margin-top: 20px; max-height: 200px; overflow-y: auto; font-size: 12px;"></div>' +
                     '</div>' +
                     '<div class="zbooks-bulk-actions" style="margin-top: 20px; text-align: right;">' +
+                        '<button type="button" class="button zbooks-pause-bulk-btn">Pause</button> ' +
                         '<button type="button" class="button zbooks-cancel-bulk-action-btn">Cancel</button>' +
                     '</div>' +
                 '</div>' +
@@ -398,117 +425,86 @@
             });
             
             // Start syncing
-            this.bulkActionState = {
-                queue: orderIds.slice(),
-                total: orderIds.length,
-                current: 0,
-                succeeded: 0,
-                failed: 0,
-                isProcessing: true,
-                results: []
-            };
-            
-            this.processBulkActionNext();
+            this.runBulkActionSync(orderIds.slice());
         },
         
         /**
-         * Process next order in bulk action queue
+         * Run the orders list bulk action through ZBooks.JobRunner and
+         * mirror each outcome in the modal
+         * @param {Array}  orderIds Orders to sync
+         * @param {Object} counts   Optional starting counts when retrying
+         * @param {Array}  results  Per-order results carried over from an earlier run
          */
-        processBulkActionNext: function() {
+        runBulkActionSync: function(orderIds, counts, results) {
             var self = this;
-            var state = this.bulkActionState;
-            
-            if (!state.isProcessing) {
-                return;
-            }
+            var $modal = $('#zbooks-bulk-action-modal');
+            var $details = $modal.find('.zbooks-progress-details');
+            var job = this.createSyncJob(orderIds, counts);
 
-            if (state.queue.length === 0) {
-                // Complete
-                this.completeBulkActionSync();
-                return;
-            }
-            
-            var orderId = state.queue.shift();
-            state.current++;
-            
-            // Update progress
-            var percent = Math.round((state.current / state.total) * 100);
-            $('#zbooks-bulk-action-modal .zbooks-progress-fill').css('width', percent + '%');
-            $('#zbooks-bulk-action-modal .zbooks-progress-text').text(
-                'Syncing order ' + state.current + ' of ' + state.total + '...'
-            );
-            
-            // Add "processing" status to details
-            $('#zbooks-bulk-action-modal .zbooks-progress-details').append(
-                '<div class="order-' + orderId + '" style="padding: 5px; color: #666;">' +
-                    'Order #' + orderId + ': <span class="status">Syncing...</span>' +
-                '</div>'
-            );
-            
-            // Sync the order (behavior determined by server-side mappings)
-            $.ajax({
-                url: ajaxurl,
-                type: 'POST',
-                data: {
-                    action: 'zbooks_manual_sync',
-                    order_id: orderId,
-                    nonce: self.nonce || (window.ZbooksCommon && window.ZbooksCommon.config ? window.ZbooksCommon.config.nonce : '')
-                },
-                success: function(response) {
-                    if (response.success) {
-                        state.succeeded++;
-                        $('#zbooks-bulk-action-modal .order-' + orderId + ' .status')
-                            .html('<span style="color: #46b450;">✓ Synced</span>');
-                        state.results.push({
-                            order_id: orderId,
-                            success: true
-                        });
-                        
-                        // Update Zoho Status column badge in orders table
-                        self.updateZohoStatusBadge(orderId, response.data);
-                    } else {
-                        state.failed++;
-                        var errorMsg = response.data ? response.data.message : 'Unknown error';
-                        $('#zbooks-bulk-action-modal .order-' + orderId + ' .status')
-                            .html('<span style="color: #d63638;">✗ Failed: ' + errorMsg + '</span>');
-                        state.results.push({
-                            order_id: orderId,
-                            success: false,
-                            error: errorMsg
-                        });
-                        
-                        // Update Zoho Status column badge to show error
-                        self.updateZohoStatusBadge(orderId, {status: 'error', error: errorMsg});
-                    }
-                },
-                error: function(xhr, status, error) {
-                    state.failed++;
-                    $('#zbooks-bulk-action-modal .order-' + orderId + ' .status')
-                        .html('<span style="color: #d63638;">✗ Error: ' + error + '</span>');
-                    state.results.push({
-                        order_id: orderId,
-                        success: false,
-                        error: error
-                    });
-                },
-                complete: function() {
-                    // Process next order
-                    self.processBulkActionNext();
+            this.bulkActionState = {
+                results: results || [],
+                job: job
+            };
+
+            job.on('itemstart', function(orderId) {
+                // A rate-limited retry reuses its row
+                if ($details.find('.order-' + orderId).length) {
+                    $details.find('.order-' + orderId + ' .status').text('Syncing...');
+                } else {
+                    $details.append(
+                        '<div class="order-' + orderId + '" style="padding: 5px; color: #666;">' +
+                            'Order #' + orderId + ': <span class="status">Syncing...</span>' +
+                        '</div>'
+                    );
+                }
+            }).on('itemdone', function(orderId, outcome) {
+                var $status = $details.find('.order-' + orderId + ' .status');
+
+                if (outcome.success) {
+                    $status.html('<span style="color: #46b450;">✓ Synced</span>');
+                } else {
+                    $status.html('<span style="color: #d63638;">✗ Failed: ' + window.ZbooksCommon.escapeHtml(outcome.error) + '</span>');
                 }
+
+                self.bulkActionState.results.push(self.toSyncResult(orderId, outcome));
+                self.applySyncOutcome(orderId, outcome);
+            }).on('progress', function() {
+                var percent = Math.round((job.processed / job.total) * 100);
+
+                $modal.find('.zbooks-progress-fill').css('width', percent + '%');
+                $modal.find('.zbooks-progress-text').text(
+                    'Synced ' + job.processed + ' of ' + job.total + ' orders...'
+                );
+                $modal.find('.zbooks-progress-rate').text(job.getThroughputText());
+            }).on('paused', function() {
+                $modal.find('.zbooks-progress-text').text(self.getPausedText(job));
+            }).on('finished', function() {
+                self.completeBulkActionSync();
             });
+
+            job.start();
         },
-        
+
         /**
          * Complete bulk action sync
          */
         completeBulkActionSync: function() {
             var state = this.bulkActionState;
+            var job = state.job;
+
+            // A cancelled run already closes the modal itself
+            if (job.isCancelled) {
+                return;
+            }
             
             $('#zbooks-bulk-action-modal .zbooks-progress-text').html(
                 '<strong style="color: #46b450;">Complete!</strong> ' +
-                state.succeeded + ' synced, ' +
-                state.failed + ' failed.'
+                job.succeeded + ' synced, ' +
+                job.failed + ' failed.'
             );
+            $('#zbooks-bulk-action-modal .zbooks-progress-rate').empty();
+            $('#zbooks-bulk-action-modal .zbooks-pause-bulk-btn').remove();
+            this.renderBulkResults($('#zbooks-bulk-action-modal .zbooks-bulk-progress'), state.results, 'modal');
             
             $('#zbooks-bulk-action-modal .zbooks-cancel-bulk-action-btn')
                 .text('Close')
@@ -520,8 +516,6 @@
                     $(this).remove();
                 });
             });
-            
-            state.isProcessing = false;
         },
         
         /**
@@ -532,11 +526,12 @@
                 return;
             }
             
-            this.bulkActionState.isProcessing = false;
+            this.bulkActionState.job.cancel();
             
             $('#zbooks-bulk-action-modal .zbooks-progress-text').html(
                 '<strong style="color: #d63638;">Cancelled</strong>'
             );
+            $('#zbooks-bulk-action-modal .zbooks-pause-bulk-btn').remove();
             
             $('#zbooks-bulk-action-modal .zbooks-cancel-bulk-action-btn').text('Close');
             
@@ -681,7 +676,7 @@
 
             var $checked = $('.zbooks-item-checkbox:checked');
 
-            if ($checked.length === 0 || this.bulkState.isProcessing) {
+            if ($checked.length === 0 || this.isBulkSyncRunning()) {
                 return;
             }
 
@@ -691,24 +686,7 @@
                 postIds.push($(this).val());
             });
 
-            // Initialize bulk state
-            this.bulkState = {
-                isProcessing: true,
-                queue: postIds,
-                processed: 0,
-                succeeded: 0,
-                failed: 0,
-                total: postIds.length
-            };
-
-            // Warn user if they try to navigate away
-            this.setBulkSyncActive(true);
-
-            // Show progress UI
-            this.showBulkProgress();
-
-            // Start processing
-            this.processNextBulkItem();
+            this.runBulkSync('selected', postIds);
         },
 
         /**
@@ -717,7 +695,7 @@
         handleBulkSyncDateRange: function(e) {
             e.preventDefault();
 
-            if (this.bulkState.isProcessing) {
+            if (this.isBulkSyncRunning()) {
                 return;
             }
 
@@ -738,6 +716,7 @@
             // Disable button and show progress
             $button.prop('disabled', true).text('Fetching orders...');
             $progress.show();
+            $progress.find('.zbooks-bulk-results, .zbooks-bulk-preview').remove();
             $progress.find('.zbooks-progress-text').text('Fetching orders in date range...');
 
             // First, get orders in the date range
@@ -756,29 +735,8 @@
                             return order.id;
                         });
 
-                        // Initialize bulk state
-                        self.bulkState = {
-                            isProcessing: true,
-                            queue: orderIds,
-                            processed: 0,
-                            succeeded: 0,
-                            failed: 0,
-                            total: orderIds.length
-                        };
-
-                        // Warn user if they try to navigate away
-                        self.setBulkSyncActive(true);
-
-                        // Update progress UI
-                        $progress.find('.zbooks-progress-text').text('Syncing 0 / ' + orderIds.length + ' orders...');
-
-                        // Add cancel button if not present
-                        if (!$progress.find('.zbooks-cancel-bulk-btn').length) {
-                            $progress.append('<button type="button" class="button zbooks-cancel-bulk-btn">Cancel</button>');
-                        }
-
-                        // Start processing
-                        self.processNextBulkItemDateRange($progress, $button);
+                        // Show what would happen before anything is sent to Zoho
+                        self.fetchBulkSyncPreview(orderIds, $progress, $button);
                     } else if (response.success && response.data.orders.length === 0) {
                         $progress.find('.zbooks-progress-text').text('No orders found in the selected date range.');
                         $button.prop('disabled', false).text('Start Bulk Sync');
@@ -795,64 +753,332 @@
         },
 
         /**
-         * Process next item in date range bulk sync
+         * Ask the server what a date range sync would do for each order
          */
-        processNextBulkItemDateRange: function($progress, $button) {
+        fetchBulkSyncPreview: function(orderIds, $progress, $button) {
             var self = this;
-            var state = this.bulkState;
             var config = window.ZbooksCommon ? window.ZbooksCommon.config : {};
 
-            if (!state.isProcessing || state.queue.length === 0) {
-                // Complete
-                var statusText = 'Completed: ' + state.succeeded + ' succeeded, ' + state.failed + ' failed.';
-                $progress.find('.zbooks-progress-text').text(statusText);
-                $progress.find('.zbooks-cancel-bulk-btn').remove();
-                $button.prop('disabled', false).text('Start Bulk Sync');
-                state.isProcessing = false;
-
-                // Remove beforeunload warning
-                self.setBulkSyncActive(false);
-
-                // Update stats without page reload
-                if (typeof self.updateStatsBoxes === 'function') {
-                    self.updateStatsBoxes();
-                }
-
-                return;
-            }
-
-            var orderId = state.queue.shift();
+            $button.text('Preparing preview...');
+            $progress.find('.zbooks-progress-text').text('Checking ' + orderIds.length + ' orders...');
 
             $.ajax({
                 url: config.ajaxUrl || ajaxurl,
                 type: 'POST',
                 data: {
-                    action: 'zbooks_manual_sync',
-                    order_id: orderId,
+                    action: 'zbooks_preview_bulk_sync',
+                    order_ids: orderIds,
                     nonce: config.nonce || ''
                 },
                 success: function(response) {
                     if (response.success) {
-                        state.succeeded++;
+                        self.renderBulkSyncPreview($progress, response.data.orders);
+                        $button.text('Start Bulk Sync');
                     } else {
-                        state.failed++;
+                        $progress.find('.zbooks-progress-text').text('Error: ' + (response.data.message || 'Failed to preview orders'));
+                        $button.prop('disabled', false).text('Start Bulk Sync');
                     }
                 },
-                error: function() {
-                    state.failed++;
-                },
-                complete: function() {
-                    state.processed++;
-                    var percent = Math.round((state.processed / state.total) * 100);
-                    $progress.find('.zbooks-progress-text').text(
-                        'Syncing ' + state.processed + ' / ' + state.total + ' orders (' + percent + '%)...'
-                    );
-                    $progress.find('.zbooks-progress-fill').css('width', percent + '%');
-                    self.processNextBulkItemDateRange($progress, $button);
+                error: function(xhr, status, error) {
+                    $progress.find('.zbooks-progress-text').text('Network error: ' + error);
+                    $button.prop('disabled', false).text('Start Bulk Sync');
                 }
             });
         },
 
+        /**
+         * Render the dry-run table with planned actions and include checkboxes.
+         * Already synced (re-sync) and blocked orders start unchecked.
+         */
+        renderBulkSyncPreview: function($progress, orders) {
+            var escape = window.ZbooksCommon.escapeHtml;
+            var counts = { create: 0, draft: 0, resync: 0, blocked: 0 };
+            var rows = '';
+
+            $.each(orders, function(i, order) {
+                var blocked = order.warnings.some(function(warning) {
+                    return warning.blocking;
+                });
+                var checked = !blocked && order.action !== 'resync';
+                var warnings = order.warnings.map(function(warning) {
+                    return '<div class="zbooks-preview-warning' + (warning.blocking ? ' is-blocking' : '') + '">' +
+                        escape(warning.message) + '</div>';
+                }).join('');
+                var actionLabel = escape(order.action_label);
+
+                if (order.action === 'resync' && order.invoice_number) {
+                    actionLabel += ' (' + escape(order.invoice_number) + ')';
+                }
+
+                counts[blocked ? 'blocked' : order.action]++;
+
+                rows += '<tr class="zbooks-preview-' + order.action + (blocked ? ' is-blocked' : '') + '">' +
+                    '<th scope="row" class="check-column">' +
+                        '<input type="checkbox" class="zbooks-preview-checkbox" value="' + order.id + '"' +
+                            (checked ? ' checked' : '') + (blocked ? ' disabled' : '') + '>' +
+                    '</th>' +
+                    '<td>#' + escape(order.number) + '</td>' +
+                    '<td>' + escape(order.customer) + '</td>' +
+                    '<td>' + escape(order.status) + '</td>' +
+                    '<td>' + actionLabel + '</td>' +
+                    '<td>' + (warnings || '&mdash;') + '</td>' +
+                '</tr>';
+            });
+
+            $progress.find('.zbooks-bulk-preview').remove();
+            $progress.find('.zbooks-progress-text').text(
+                orders.length + ' orders found: ' +
+                counts.create + ' new invoices, ' +
+                counts.draft + ' drafts, ' +
+                counts.resync + ' already synced, ' +
+                counts.blocked + ' blocked.'
+            );
+
+            $progress.append(
+                '<div class="zbooks-bulk-preview">' +
+                    '<div class="zbooks-bulk-preview-scroll">' +
+                        '<table class="widefat striped zbooks-bulk-preview-table">' +
+                            '<thead><tr>' +
+                                '<td class="check-column"><input type="checkbox" class="zbooks-preview-select-all"></td>' +
+                                '<th>Order</th>' +
+                                '<th>Customer</th>' +
+                                '<th>Status</th>' +
+                                '<th>Planned action</th>' +
+                                '<th>Warnings</th>' +
+                            '</tr></thead>' +
+                            '<tbody>' + rows + '</tbody>' +
+                        '</table>' +
+                    '</div>' +
+                    '<p class="zbooks-bulk-preview-actions">' +
+                        '<button type="button" class="button button-primary zbooks-confirm-bulk-preview-btn"></button> ' +
+                        '<button type="button" class="button zbooks-cancel-bulk-preview-btn">Cancel</button>' +
+                    '</p>' +
+                '</div>'
+            );
+
+            this.updateBulkPreviewSelection();
+        },
+
+        /**
+         * Keep the select-all box and confirm button in step with the checkboxes
+         */
+        updateBulkPreviewSelection: function() {
+            var $preview = $('.zbooks-bulk-preview');
+            var $boxes = $preview.find('.zbooks-preview-checkbox:not(:disabled)');
+            var selected = $boxes.filter(':checked').length;
+
+            $preview.find('.zbooks-preview-select-all').prop('checked', $boxes.length > 0 && selected === $boxes.length);
+            $preview.find('.zbooks-confirm-bulk-preview-btn')
+                .text('Sync ' + selected + ' selected orders')
+                .prop('disabled', selected === 0);
+        },
+
+        /**
+         * Toggle every selectable order in the preview
+         */
+        handleBulkPreviewSelectAll: function(e) {
+            $('.zbooks-bulk-preview .zbooks-preview-checkbox:not(:disabled)').prop('checked', $(e.currentTarget).is(':checked'));
+            this.updateBulkPreviewSelection();
+        },
+
+        /**
+         * Start syncing the orders left checked in the preview
+         */
+        handleConfirmBulkPreview: function(e) {
+            e.preventDefault();
+
+            var $progress = $('#zbooks-bulk-sync-progress');
+            var orderIds = $progress.find('.zbooks-preview-checkbox:checked').map(function() {
+                return parseInt($(this).val(), 10);
+            }).get();
+
+            if (!orderIds.length || this.isBulkSyncRunning()) {
+                return;
+            }
+
+            $progress.find('.zbooks-bulk-preview').remove();
+            this.runBulkSync('date_range', orderIds, null, null, 'Syncing 0 / ' + orderIds.length + ' orders...');
+        },
+
+        /**
+         * Drop the preview without syncing anything
+         */
+        handleCancelBulkPreview: function(e) {
+            e.preventDefault();
+
+            var $progress = $('#zbooks-bulk-sync-progress');
+
+            $progress.find('.zbooks-bulk-preview').remove();
+            $progress.find('.zbooks-progress-text').text('Bulk sync cancelled. No orders were synced.');
+            $('#zbooks-start-bulk-sync').prop('disabled', false).text('Start Bulk Sync');
+        },
+
+        /**
+         * Run a bulk sync on the bulk sync page through ZBooks.JobRunner.
+         * Date range runs report in the date range box, selected orders in
+         * the progress container under the bulk actions.
+         * @param {string} mode       'selected' or 'date_range'
+         * @param {Array}  orderIds   Orders to sync
+         * @param {Object} counts     Optional starting counts when resuming or retrying
+         * @param {Array}  results    Per-order results carried over from an earlier run
+         * @param {string} statusText Optional status line to show until the first order finishes
+         */
+        runBulkSync: function(mode, orderIds, counts, results, statusText) {
+            var self = this;
+            var $progress = $('#zbooks-bulk-sync-progress');
+            var job = this.createSyncJob(orderIds, counts);
+
+            this.bulkState = {
+                mode: mode,
+                inDateRangeBox: mode === 'date_range' && $progress.length > 0,
+                results: results || [],
+                job: job
+            };
+
+            job.on('itemstart', function(orderId) {
+                self.markRowSyncing(orderId);
+            }).on('itemdone', function(orderId, outcome) {
+                self.bulkState.results.push(self.toSyncResult(orderId, outcome));
+                self.applySyncOutcome(orderId, outcome);
+            }).on('progress', function() {
+                self.saveBulkState();
+                self.updateBulkProgress();
+            }).on('paused', function() {
+                self.getBulkStatusElement().text(self.getPausedText(job));
+            }).on('finished', function() {
+                self.completeBulkSync();
+            });
+
+            // Persist the queue so the sync can be resumed after a reload
+            this.saveBulkState();
+            $('.zbooks-resume-banner').remove();
+
+            // Warn user if they try to navigate away
+            this.setBulkSyncActive(true);
+
+            if (this.bulkState.inDateRangeBox) {
+                $('#zbooks-start-bulk-sync').prop('disabled', true).text('Syncing...');
+                $progress.show();
+                this.ensureDateRangeControls($progress);
+            } else {
+                this.showBulkProgress();
+            }
+
+            this.updateBulkProgress();
+
+            if (statusText) {
+                this.getBulkStatusElement().text(statusText);
+            }
+
+            job.start();
+        },
+
+        /**
+         * Create a job that syncs one order per request
+         * @param {Array}  orderIds Orders to sync
+         * @param {Object} counts   Optional starting counts ({processed, succeeded, failed, total})
+         * @return {Object} ZBooks.JobRunner job
+         */
+        createSyncJob: function(orderIds, counts) {
+            return window.ZBooks.JobRunner.create($.extend({
+                items: orderIds,
+                action: 'zbooks_manual_sync',
+                unit: 'orders',
+                data: function(orderId) {
+                    return { order_id: orderId };
+                }
+            }, counts));
+        },
+
+        /**
+         * Whether a bulk sync on the bulk sync page is still running
+         */
+        isBulkSyncRunning: function() {
+            return !!(this.bulkState.job && this.bulkState.job.isRunning);
+        },
+
+        /**
+         * Element that carries the status line for the current bulk sync
+         */
+        getBulkStatusElement: function() {
+            if (this.bulkState.inDateRangeBox) {
+                return $('#zbooks-bulk-sync-progress .zbooks-progress-text');
+            }
+
+            return $('.zbooks-progress-container .zbooks-progress-status');
+        },
+
+        /**
+         * Turn a finished job item into a per-order result entry
+         * @param {*}      orderId Order ID
+         * @param {Object} outcome JobRunner outcome ({success, data, error})
+         * @return {Object}
+         */
+        toSyncResult: function(orderId, outcome) {
+            if (outcome.success) {
+                return {
+                    order_id: orderId,
+                    success: true,
+                    invoice_number: outcome.data.invoice_number || '',
+                    invoice_url: outcome.data.invoice_url || ''
+                };
+            }
+
+            return {
+                order_id: orderId,
+                success: false,
+                error: outcome.error
+            };
+        },
+
+        /**
+         * Show an order as syncing in the bulk sync table
+         */
+        markRowSyncing: function(orderId) {
+            var $row = $('.zbooks-item-checkbox[value="' + orderId + '"]').closest('tr');
+            var $status = $row.find('.zbooks-status, .order-status');
+
+            if ($status.length) {
+                $status.removeClass('zbooks-status-synced zbooks-status-failed zbooks-status-pending')
+                    .addClass('zbooks-status-syncing')
+                    .text('Syncing...');
+            }
+        },
+
+        /**
+         * Reflect a sync outcome in the bulk sync table row and the orders list badge
+         * @param {*}      orderId Order ID
+         * @param {Object} outcome JobRunner outcome ({success, data, error})
+         */
+        applySyncOutcome: function(orderId, outcome) {
+            var $row = $('.zbooks-item-checkbox[value="' + orderId + '"]').closest('tr');
+
+            if (outcome.success) {
+                this.updateRowStatus($row, outcome.data);
+                this.updateZohoStatusBadge(orderId, outcome.data);
+            } else {
+                this.updateRowStatus($row, {status: 'failed', message: outcome.error});
+                this.updateZohoStatusBadge(orderId, {status: 'error', error: outcome.error});
+            }
+        },
+
+        /**
+         * Add the throughput line, pause and cancel buttons to the date range progress box
+         */
+        ensureDateRangeControls: function($progress) {
+            if (!$progress.find('.zbooks-progress-rate').length) {
+                $progress.find('.zbooks-progress-text').after('<div class="zbooks-progress-rate"></div>');
+            }
+
+            if (!$progress.find('.zbooks-pause-bulk-btn').length) {
+                $progress.append('<button type="button" class="button zbooks-pause-bulk-btn">Pause</button> ');
+            }
+
+            if (!$progress.find('.zbooks-cancel-bulk-btn').length) {
+                $progress.append('<button type="button" class="button zbooks-cancel-bulk-btn">Cancel</button>');
+            }
+        },
+
         /**
          * Show bulk progress UI
          */
@@ -864,17 +1090,34 @@
                     '<div class="zbooks-progress-container">' +
                         '<div class="zbooks-progress-header">' +
                             '<span class="zbooks-progress-title">Syncing posts...</span>' +
-                            '<span class="zbooks-progress-count">0 / ' + this.bulkState.total + '</span>' +
+                            '<span class="zbooks-progress-count">0 / ' + this.bulkState.job.total + '</span>' +
                         '</div>' +
                         '<div class="zbooks-progress-bar">' +
                             '<div class="zbooks-progress-fill" style="width: 0%"></div>' +
                             '<span class="zbooks-progress-percentage">0%</span>' +
                         '</div>' +
                         '<div class="zbooks-progress-status is-processing">Processing...</div>' +
+                        '<div class="zbooks-progress-rate"></div>' +
+                        '<button type="button" class="button zbooks-pause-bulk-btn">Pause</button> ' +
                         '<button type="button" class="button zbooks-cancel-bulk-btn">Cancel</button>' +
                     '</div>'
                 );
                 $('.zbooks-bulk-actions').after($container);
+            } else {
+                // Reset existing container
+                $container.find('.zbooks-progress-status').removeClass('is-complete is-error').addClass('is-processing').text('Processing...');
+                $container.find('.zbooks-bulk-results').remove();
+
+                // Add pause and cancel buttons if not present
+                if (!$container.find('.zbooks-pause-bulk-btn').length) {
+                    $container.append('<button type="button" class="button zbooks-pause-bulk-btn">Pause</button> ');
+                }
+                $container.find('.zbooks-pause-bulk-btn').text('Pause');
+                if (!$container.find('.zbooks-cancel-bulk-btn').length) {
+                    $container.append('<button type="button" class="button zbooks-cancel-bulk-btn">Cancel</button>');
+                }
+
+                $container.show();
             }
 
             // Disable bulk actions
@@ -886,65 +1129,26 @@
          * Update bulk progress UI
          */
         updateBulkProgress: function() {
-            var state = this.bulkState;
-            var percentage = Math.round((state.processed / state.total) * 100);
-
-            $('.zbooks-progress-fill').css('width', percentage + '%');
-            $('.zbooks-progress-percentage').text(percentage + '%');
-            $('.zbooks-progress-count').text(state.processed + ' / ' + state.total);
-        },
+            var job = this.bulkState.job;
+            var percentage = job.total ? Math.round((job.processed / job.total) * 100) : 0;
 
-        /**
-         * Process next item in bulk queue
-         */
-        processNextBulkItem: function() {
-            var self = this;
-            var state = this.bulkState;
-            var config = window.ZbooksCommon ? window.ZbooksCommon.config : {};
+            if (this.bulkState.inDateRangeBox) {
+                var $progress = $('#zbooks-bulk-sync-progress');
 
-            if (!state.isProcessing || state.queue.length === 0) {
-                this.completeBulkSync();
+                $progress.find('.zbooks-progress-text').text(
+                    'Syncing ' + job.processed + ' / ' + job.total + ' orders (' + percentage + '%)...'
+                );
+                $progress.find('.zbooks-progress-fill').css('width', percentage + '%');
+                $progress.find('.zbooks-progress-rate').text(job.getThroughputText());
                 return;
             }
 
-            var postId = state.queue.shift();
-            var $row = $('.zbooks-item-checkbox[value="' + postId + '"]').closest('tr');
-
-            // Show syncing status immediately
-            var $status = $row.find('.zbooks-status, .order-status');
-            if ($status.length) {
-                $status.removeClass('zbooks-status-synced zbooks-status-failed zbooks-status-pending')
-                    .addClass('zbooks-status-syncing')
-                    .text('Syncing...');
-            }
+            var $container = $('.zbooks-progress-container');
 
-            $.ajax({
-                url: config.ajaxUrl || ajaxurl,
-                type: 'POST',
-                data: {
-                    action: 'zbooks_manual_sync',
-                    order_id: postId,
-                    nonce: config.nonce || ''
-                },
-                success: function(response) {
-                    if (response.success) {
-                        state.succeeded++;
-                        self.updateRowStatus($row, response.data);
-                    } else {
-                        state.failed++;
-                        self.updateRowStatus($row, {status: 'failed', message: response.data ? response.data.message : 'Failed'});
-                    }
-                },
-                error: function() {
-                    state.failed++;
-                    self.updateRowStatus($row, {status: 'failed', message: 'Network error'});
-                },
-                complete: function() {
-                    state.processed++;
-                    self.updateBulkProgress();
-                    self.processNextBulkItem();
-                }
-            });
+            $container.find('.zbooks-progress-fill').css('width', percentage + '%');
+            $container.find('.zbooks-progress-percentage').text(percentage + '%');
+            $container.find('.zbooks-progress-count').text(job.processed + ' / ' + job.total);
+            $container.find('.zbooks-progress-rate').text(job.getThroughputText());
         },
 
         /**
@@ -1008,61 +1212,336 @@
         },
 
         /**
-         * Complete bulk sync process
+         * Complete bulk sync process (also runs once a cancel has taken effect)
          */
         completeBulkSync: function() {
             var state = this.bulkState;
-            var $container = $('.zbooks-progress-container');
-
-            // Update status
-            var statusClass = state.failed > 0 ? 'is-error' : 'is-complete';
-            var statusText = 'Completed: ' + state.succeeded + ' succeeded, ' + state.failed + ' failed';
+            var job = state.job;
+            var statusText = (job.isCancelled ? 'Cancelled: ' : 'Completed: ') +
+                job.succeeded + ' succeeded, ' + job.failed + ' failed';
+
+            if (state.inDateRangeBox) {
+                var $progress = $('#zbooks-bulk-sync-progress');
+
+                $progress.find('.zbooks-progress-text').text(statusText + '.');
+                $progress.find('.zbooks-progress-rate').empty();
+                $progress.find('.zbooks-cancel-bulk-btn, .zbooks-pause-bulk-btn').remove();
+                this.renderBulkResults($progress, state.results, 'bulk');
+                $('#zbooks-start-bulk-sync').prop('disabled', false).text('Start Bulk Sync');
+            } else {
+                var $container = $('.zbooks-progress-container');
+                var statusClass = job.failed > 0 || job.isCancelled ? 'is-error' : 'is-complete';
 
-            $container.find('.zbooks-progress-status')
-                .removeClass('is-processing')
-                .addClass(statusClass)
-                .text(statusText);
+                $container.find('.zbooks-progress-status')
+                    .removeClass('is-processing')
+                    .addClass(statusClass)
+                    .text(statusText);
 
-            // Remove cancel button
-            $container.find('.zbooks-cancel-bulk-btn').remove();
+                // Remove pause/cancel buttons and throughput line
+                $container.find('.zbooks-cancel-bulk-btn, .zbooks-pause-bulk-btn').remove();
+                $container.find('.zbooks-progress-rate').empty();
 
-            // Re-enable controls
-            $('.zbooks-bulk-sync-btn').prop('disabled', false);
-            $('.zbooks-select-all, .zbooks-item-checkbox').prop('disabled', false);
+                // Show per-order outcomes under the progress bar
+                this.renderBulkResults($container, state.results, 'bulk');
 
-            // Reset state
-            this.bulkState.isProcessing = false;
+                // Re-enable controls
+                $('.zbooks-bulk-sync-btn').prop('disabled', false);
+                $('.zbooks-select-all, .zbooks-item-checkbox').prop('disabled', false);
+            }
 
-            // Remove beforeunload warning
+            // Remove beforeunload warning and the persisted queue
             this.setBulkSyncActive(false);
+            this.clearSavedBulkState();
 
-            // Update stats if they exist
+            // Update stats without page reload
             this.updateStatsBoxes();
         },
 
         /**
-         * Handle cancel bulk sync
+         * Handle cancel bulk sync. Requests already in flight still finish,
+         * then completeBulkSync reports the partial outcome.
          */
         handleCancelBulkSync: function(e) {
             e.preventDefault();
 
-            this.bulkState.isProcessing = false;
-            this.bulkState.queue = [];
+            var job = this.bulkState.job;
 
-            // Remove beforeunload warning
+            if (!job || !job.isRunning) {
+                return;
+            }
+
+            // Remove beforeunload warning and the persisted queue
             this.setBulkSyncActive(false);
+            this.clearSavedBulkState();
 
-            var $container = $('.zbooks-progress-container');
-            $container.find('.zbooks-progress-status')
-                .removeClass('is-processing')
-                .addClass('is-error')
-                .text('Cancelled by user');
+            this.getBulkStatusElement().text('Cancelling...');
+            $('.zbooks-cancel-bulk-btn, .zbooks-progress-container .zbooks-pause-bulk-btn, #zbooks-bulk-sync-progress .zbooks-pause-bulk-btn').remove();
+
+            job.cancel();
+        },
 
-            $container.find('.zbooks-cancel-bulk-btn').remove();
+        /**
+         * Pause or resume the bulk sync the clicked button belongs to.
+         * Pausing lets in-flight requests finish and then holds the queue.
+         */
+        handlePauseBulkSync: function(e) {
+            e.preventDefault();
+
+            var $button = $(e.currentTarget);
+            var inModal = $button.closest('#zbooks-bulk-action-modal').length > 0;
+            var state = inModal ? this.bulkActionState : this.bulkState;
+            var job = state ? state.job : null;
+            var $text = inModal ? $('#zbooks-bulk-action-modal .zbooks-progress-text') : this.getBulkStatusElement();
+
+            if (!job || !job.isRunning) {
+                return;
+            }
+
+            if (!job.isPaused) {
+                $button.text('Resume');
+                $text.text('Pausing after ' + job.active + ' order(s) in progress...');
+                job.pause();
+                return;
+            }
+
+            $button.text('Pause');
+            $text.text('Resuming...');
+            job.resume();
+        },
 
-            // Re-enable controls
-            $('.zbooks-bulk-sync-btn').prop('disabled', false);
-            $('.zbooks-select-all, .zbooks-item-checkbox').prop('disabled', false);
+        /**
+         * Status text for a paused run
+         */
+        getPausedText: function(job) {
+            return 'Paused: ' + job.processed + ' / ' + job.total + ' orders synced, ' +
+                (job.total - job.processed) + ' remaining.';
+        },
+
+        /**
+         * Render the per-order outcome table below a progress bar
+         * @param {jQuery} $target  Progress container to append the table to
+         * @param {Array}  results  Per-order results ({order_id, success, invoice_number, invoice_url, error})
+         * @param {string} context  'bulk' for the bulk sync page, 'modal' for the orders list modal
+         */
+        renderBulkResults: function($target, results, context) {
+            var $results = $target.find('.zbooks-bulk-results');
+
+            if (!$results.length) {
+                $results = $(
+                    '<div class="zbooks-bulk-results">' +
+                        '<div class="zbooks-bulk-results-toolbar">' +
+                            '<select class="zbooks-results-filter">' +
+                                '<option value="all">All outcomes</option>' +
+                                '<option value="synced">Synced</option>' +
+                                '<option value="failed">Failed</option>' +
+                            '</select>' +
+                            '<input type="search" class="zbooks-results-search" placeholder="Search order, invoice or error...">' +
+                            '<button type="button" class="button zbooks-retry-failed-btn">Retry failed only</button>' +
+                            '<button type="button" class="button zbooks-download-results-btn">Download results as CSV</button>' +
+                        '</div>' +
+                        '<div class="zbooks-bulk-results-scroll">' +
+                            '<table class="widefat striped zbooks-bulk-results-table">' +
+                                '<thead><tr>' +
+                                    '<th class="zbooks-sortable" data-sort="order_id">Order</th>' +
+                                    '<th class="zbooks-sortable" data-sort="outcome">Outcome</th>' +
+                                    '<th class="zbooks-sortable" data-sort="invoice_number">Invoice</th>' +
+                                    '<th class="zbooks-sortable" data-sort="error">Error</th>' +
+                                '</tr></thead>' +
+                                '<tbody></tbody>' +
+                            '</table>' +
+                        '</div>' +
+                    '</div>'
+                );
+                $target.append($results);
+            }
+
+            $results.data({
+                context: context,
+                rows: this.getResultRows(results),
+                sortKey: $results.data('sortKey') || 'order_id',
+                sortDir: $results.data('sortDir') || 'asc'
+            });
+
+            this.renderBulkResultsRows($results);
+        },
+
+        /**
+         * Normalize bulk results into table rows (one row per order, latest outcome wins)
+         */
+        getResultRows: function(results) {
+            var byOrder = {};
+            var order = [];
+
+            $.each(results || [], function(i, result) {
+                var id = String(result.order_id);
+                if (!byOrder[id]) {
+                    order.push(id);
+                }
+                byOrder[id] = {
+                    order_id: id,
+                    outcome: result.success ? 'synced' : 'failed',
+                    invoice_number: result.invoice_number || '',
+                    invoice_url: result.invoice_url || '',
+                    error: result.error || ''
+                };
+            });
+
+            return $.map(order, function(id) {
+                return byOrder[id];
+            });
+        },
+
+        /**
+         * Re-render result rows applying the current filter, search and sort
+         * @param {jQuery} $results Results wrapper
+         */
+        renderBulkResultsRows: function($results) {
+            var escape = window.ZbooksCommon.escapeHtml.bind(window.ZbooksCommon);
+            var rows = $results.data('rows') || [];
+            var outcome = $results.find('.zbooks-results-filter').val();
+            var search = $.trim($results.find('.zbooks-results-search').val() || '').toLowerCase();
+            var sortKey = $results.data('sortKey');
+            var direction = $results.data('sortDir') === 'desc' ? -1 : 1;
+
+            var visible = $.grep(rows, function(row) {
+                if (outcome && outcome !== 'all' && row.outcome !== outcome) {
+                    return false;
+                }
+                if (search) {
+                    return (row.order_id + ' ' + row.invoice_number + ' ' + row.error).toLowerCase().indexOf(search) !== -1;
+                }
+                return true;
+            });
+
+            visible.sort(function(a, b) {
+                var left = a[sortKey];
+                var right = b[sortKey];
+
+                if (sortKey === 'order_id') {
+                    return (parseInt(left, 10) - parseInt(right, 10)) * direction;
+                }
+                return String(left).localeCompare(String(right)) * direction;
+            });
+
+            var html = $.map(visible, function(row) {
+                var invoice = row.invoice_url
+                    ? '<a href="' + escape(row.invoice_url) + '" target="_blank">' + escape(row.invoice_number) + '</a>'
+                    : escape(row.invoice_number);
+
+                return '<tr class="zbooks-result-' + row.outcome + '">' +
+                    '<td>#' + escape(row.order_id) + '</td>' +
+                    '<td><span class="zbooks-status zbooks-status-' + row.outcome + '">' +
+                        (row.outcome === 'synced' ? 'Synced' : 'Failed') +
+                    '</span></td>' +
+                    '<td>' + invoice + '</td>' +
+                    '<td>' + escape(row.error) + '</td>' +
+                '</tr>';
+            }).join('');
+
+            $results.find('tbody').html(html || '<tr><td colspan="4">No matching orders.</td></tr>');
+            $results.find('.zbooks-sortable')
+                .removeClass('is-sorted-asc is-sorted-desc')
+                .filter('[data-sort="' + sortKey + '"]')
+                .addClass(direction === 1 ? 'is-sorted-asc' : 'is-sorted-desc');
+
+            var failedCount = $.grep(rows, function(row) {
+                return row.outcome === 'failed';
+            }).length;
+            $results.find('.zbooks-retry-failed-btn')
+                .prop('disabled', failedCount === 0)
+                .text('Retry failed only (' + failedCount + ')');
+        },
+
+        /**
+         * Sort the results table by the clicked column
+         */
+        handleResultsSort: function(e) {
+            var $header = $(e.currentTarget);
+            var $results = $header.closest('.zbooks-bulk-results');
+            var key = $header.data('sort');
+
+            $results.data('sortDir', $results.data('sortKey') === key && $results.data('sortDir') === 'asc' ? 'desc' : 'asc');
+            $results.data('sortKey', key);
+            this.renderBulkResultsRows($results);
+        },
+
+        /**
+         * Re-queue only the failed orders from the last run
+         */
+        handleRetryFailed: function(e) {
+            e.preventDefault();
+
+            var $results = $(e.currentTarget).closest('.zbooks-bulk-results');
+            var context = $results.data('context');
+            var state = context === 'modal' ? this.bulkActionState : this.bulkState;
+
+            if (!state || !state.job || state.job.isRunning) {
+                return;
+            }
+
+            var rows = this.getResultRows(state.results);
+            var failedIds = [];
+            var succeeded = [];
+
+            $.each(rows, function(i, row) {
+                if (row.outcome === 'failed') {
+                    failedIds.push(row.order_id);
+                } else {
+                    succeeded.push({
+                        order_id: row.order_id,
+                        success: true,
+                        invoice_number: row.invoice_number,
+                        invoice_url: row.invoice_url
+                    });
+                }
+            });
+
+            if (!failedIds.length) {
+                return;
+            }
+
+            // Keep the successful outcomes so the table still covers the whole run
+            var counts = {
+                processed: succeeded.length,
+                succeeded: succeeded.length,
+                failed: 0,
+                total: succeeded.length + failedIds.length
+            };
+
+            $results.remove();
+
+            if (context === 'modal') {
+                $('#zbooks-bulk-action-modal .zbooks-close-bulk-action-btn')
+                    .text('Cancel')
+                    .removeClass('zbooks-close-bulk-action-btn')
+                    .addClass('zbooks-cancel-bulk-action-btn')
+                    .before('<button type="button" class="button zbooks-pause-bulk-btn">Pause</button> ');
+                $('#zbooks-bulk-action-modal .zbooks-progress-text').text('Retrying ' + failedIds.length + ' failed orders...');
+                this.runBulkActionSync(failedIds, counts, succeeded);
+                return;
+            }
+
+            this.runBulkSync(state.mode, failedIds, counts, succeeded, 'Retrying ' + failedIds.length + ' failed orders...');
+        },
+
+        /**
+         * Download the per-order outcomes as CSV
+         */
+        handleDownloadResults: function(e) {
+            e.preventDefault();
+
+            var rows = $(e.currentTarget).closest('.zbooks-bulk-results').data('rows') || [];
+            var csv = [['order_id', 'outcome', 'invoice_number', 'error']];
+
+            $.each(rows, function(i, row) {
+                csv.push([row.order_id, row.outcome, row.invoice_number, row.error]);
+            });
+
+            window.ZbooksCommon.downloadFile(
+                'zbooks-bulk-sync-results-' + new Date().toISOString().slice(0, 10) + '.csv',
+                window.ZbooksCommon.toCsv(csv),
+                'text/csv;charset=utf-8'
+            );
         },
 
         /**
@@ -1090,13 +1569,145 @@
             });
         },
 
+        /**
+         * Get the localStorage key for the persisted bulk sync state.
+         * Keyed by site and user so queues never leak between accounts.
+         */
+        getBulkStorageKey: function() {
+            var config = window.ZbooksCommon ? window.ZbooksCommon.config : {};
+            var site = (config.ajaxUrl || ajaxurl || window.location.host).replace(/[^a-z0-9]+/gi, '_');
+
+            return this.storagePrefix + site + '_' + (config.userId || 0);
+        },
+
+        /**
+         * Persist the current bulk sync queue, cursor and per-order outcomes
+         */
+        saveBulkState: function() {
+            var state = this.bulkState;
+            var job = state.job;
+
+            if (!job || job.isCancelled) {
+                return;
+            }
+
+            try {
+                window.localStorage.setItem(this.getBulkStorageKey(), JSON.stringify({
+                    mode: state.mode,
+                    // In-flight orders go back to the front so a reload retries them
+                    queue: job.getPending(),
+                    processed: job.processed,
+                    succeeded: job.succeeded,
+                    failed: job.failed,
+                    total: job.total,
+                    results: state.results,
+                    savedAt: Date.now()
+                }));
+            } catch (error) {
+                // Storage unavailable or full - sync continues without resume support
+            }
+        },
+
+        /**
+         * Load a persisted bulk sync state
+         * @return {Object|null} Saved state with a non-empty queue, or null
+         */
+        loadSavedBulkState: function() {
+            try {
+                var saved = JSON.parse(window.localStorage.getItem(this.getBulkStorageKey()));
+
+                if (saved && $.isArray(saved.queue) && saved.queue.length > 0) {
+                    return saved;
+                }
+            } catch (error) {
+                // Corrupt or unavailable storage - treat as nothing to resume
+            }
+
+            return null;
+        },
+
+        /**
+         * Remove the persisted bulk sync state
+         */
+        clearSavedBulkState: function() {
+            try {
+                window.localStorage.removeItem(this.getBulkStorageKey());
+            } catch (error) {
+                // Storage unavailable - nothing to clear
+            }
+        },
+
+        /**
+         * Show a resume banner if a previous bulk sync was interrupted
+         */
+        initResumeBanner: function() {
+            var $anchor = $('#zbooks-bulk-sync-form, .zbooks-bulk-actions').first();
+            var saved = this.loadSavedBulkState();
+
+            if (!$anchor.length || !saved) {
+                return;
+            }
+
+            var i18n = window.ZbooksCommon ? window.ZbooksCommon.config.i18n : {};
+            var remaining = saved.queue.length.toLocaleString() + ' of ' + saved.total.toLocaleString() + ' remaining';
+
+            $('.zbooks-resume-banner').remove();
+            $anchor.before(
+                '<div class="zbooks-resume-banner notice notice-warning inline">' +
+                    '<p>' +
+                        '<button type="button" class="button button-primary zbooks-resume-bulk-btn">' +
+                            (i18n.resume_bulk_sync || 'Resume previous bulk sync') + ' (' + remaining + ')' +
+                        '</button> ' +
+                        '<button type="button" class="button zbooks-discard-bulk-btn">' +
+                            (i18n.discard_bulk_sync || 'Discard') +
+                        '</button>' +
+                        '<span class="zbooks-resume-summary">' +
+                            saved.succeeded + ' succeeded, ' + saved.failed + ' failed so far.' +
+                        '</span>' +
+                    '</p>' +
+                '</div>'
+            );
+        },
+
+        /**
+         * Resume a persisted bulk sync from where it stopped
+         */
+        handleResumeBulkSync: function(e) {
+            e.preventDefault();
+
+            var saved = this.loadSavedBulkState();
+
+            $('.zbooks-resume-banner').remove();
+
+            if (!saved || this.isBulkSyncRunning()) {
+                return;
+            }
+
+            this.runBulkSync(saved.mode, saved.queue, {
+                processed: saved.processed,
+                succeeded: saved.succeeded,
+                failed: saved.failed,
+                total: saved.total
+            }, saved.results, 'Resuming: ' + saved.processed + ' / ' + saved.total + ' orders synced...');
+        },
+
+        /**
+         * Discard a persisted bulk sync
+         */
+        handleDiscardBulkSync: function(e) {
+            e.preventDefault();
+
+            this.clearSavedBulkState();
+            $('.zbooks-resume-banner').remove();
+        },
+
         /**
          * Warn user when navigating away during bulk sync
          */
         handleBeforeUnload: function(e) {
             var i18n = window.ZbooksCommon ? window.ZbooksCommon.config.i18n : {};
             var message = i18n.bulk_sync_leave_warning ||
-                'Bulk sync is in progress. Leaving this page will cancel the sync. Are you sure you want to leave?';
+                'Bulk sync is in progress. Leaving this page will pause the sync until you resume it. Are you sure you want to leave?';
             e.preventDefault();
             e.returnValue = message;
             return message;
@@ -29,6 +29,43 @@
         nonce: '',
         mappingInProgress: false,
         initialized: false,
+        gridRequest: null,
+        gridSearchTimer: null,
+        importRows: [],
+        importInProgress: false,
+        bulkInProgress: false,
+        auditChanged: false,
+        expandedParents: {},
+        itemFilters: {
+            includeInactive: false,
+            productType: ''
+        },
+        history: [],
+        historyLimit: 50,
+        revertInProgress: false,
+        undoToastTimer: null,
+
+        /**
+         * How long the undo toast stays up, in ms
+         */
+        undoWindow: 15000,
+
+        /**
+         * sessionStorage key prefix for the mapping change history
+         */
+        historyStoragePrefix: 'zbooks_mapping_history_',
+
+        /**
+         * Product grid query state
+         */
+        grid: {
+            filter: 'all',
+            type: '',
+            search: '',
+            page: 1,
+            pages: 0,
+            perPage: 25
+        },
 
         init: function() {
             // Prevent double initialization
@@ -48,13 +85,28 @@
 
             this.nonce = typeof zbooks_mapping !== 'undefined' ? zbooks_mapping.nonce : '';
 
+            this.bindRowEvents();
+
             if (isProductsTab) {
                 this.bindEvents();
-                this.initSelect2();
+                this.loadHistory();
+                this.renderHistory();
+
+                if ($('.zbooks-product-grid').length) {
+                    this.grid.filter = $('.zbooks-grid-filters a.current').data('filter') || 'all';
+                    this.grid.perPage = parseInt($('.zbooks-product-grid').data('per-page'), 10) || 25;
+                    this.loadGrid();
+                } else {
+                    this.initSelect2();
+                }
             }
 
             if (isProductEditPage) {
                 this.bindMetaBoxEvents();
+
+                $('.zbooks-variations-panel').each(function(i, panel) {
+                    this.loadVariations($(panel).data('product-id'));
+                }.bind(this));
             }
         },
 
@@ -70,6 +122,9 @@
             $('.zbooks-total-products').text(totals.total);
             $('.zbooks-mapped-products').text(totals.mapped);
             $('.zbooks-unmapped-products').text(totals.unmapped);
+            $('.zbooks-grid-count[data-filter="all"]').text(totals.total);
+            $('.zbooks-grid-count[data-filter="mapped"]').text(totals.mapped);
+            $('.zbooks-grid-count[data-filter="unmapped"]').text(totals.unmapped);
             
             // Optional: Add visual feedback (flash animation)
             $('.zbooks-product-totals').addClass('updated');
@@ -78,33 +133,101 @@
             }, 1000);
         },
 
-        bindEvents: function() {
+        /**
+         * Update the selected product count and bulk buttons
+         *
+         * "Create Selected in Zoho" only applies to selected rows that are not linked yet.
+         */
+        updateSelectedCount: function() {
+            var count = $('.zbooks-product-checkbox:checked').length;
+            var unmapped = $('tr:not(.zbooks-row-mapped) .zbooks-product-checkbox:checked').length;
+            var $countSpan = $('#zbooks-selected-count');
+            var i18n = window.ZbooksCommon ? window.ZbooksCommon.config.i18n : {};
+
+            $countSpan.text(count > 0 ? count + ' ' + (i18n.selected || 'selected') : '');
+            $('#zbooks-bulk-create').prop('disabled', unmapped === 0);
+            $('#zbooks-bulk-apply').prop('disabled', count === 0 || this.bulkInProgress);
+        },
+
+        /**
+         * Toggle a row between linked and unlinked
+         *
+         * The checkbox stays on linked rows so they can be used with bulk actions.
+         *
+         * @param {jQuery}  $row   Grid row
+         * @param {boolean} mapped Whether the product is now linked
+         */
+        setRowMapped: function($row, mapped) {
+            var i18n = window.ZbooksCommon ? window.ZbooksCommon.config.i18n : {};
+
+            $row.toggleClass('zbooks-row-mapped', mapped);
+            $row.find('.zbooks-mapped-indicator').remove();
+
+            if (mapped) {
+                $row.find('.zbooks-product-checkbox').after(
+                    $('<span class="dashicons dashicons-yes zbooks-mapped-indicator">').attr('title', i18n.mapped || 'Mapped')
+                );
+            }
+
+            this.updateSelectedCount();
+        },
+
+        /**
+         * Show the outcome of a bulk action on a row
+         *
+         * @param {jQuery} $row Grid row
+         * @param {string} type success, warning or error
+         * @param {string} text Result text
+         */
+        setRowResult: function($row, type, text) {
+            var $result = $row.find('.zbooks-row-result');
+
+            if (!$result.length) {
+                $result = $('<span class="zbooks-row-result">').appendTo($row.find('td:last'));
+            }
+
+            $result
+                .removeClass('zbooks-row-result-success zbooks-row-result-warning zbooks-row-result-error')
+                .addClass('zbooks-row-result-' + type)
+                .text(text);
+        },
+
+        /**
+         * Bind per-row link, unlink and create handlers
+         *
+         * Shared by the Products tab grid and the variation rows in the product meta box.
+         */
+        bindRowEvents: function() {
             var self = this;
 
-            // Update selected count
-            function updateSelectedCount() {
-                var count = $('.zbooks-product-checkbox:checked').length;
-                var $countSpan = $('#zbooks-selected-count');
-                var $bulkBtn = $('#zbooks-bulk-create');
-                var i18n = window.ZbooksCommon ? window.ZbooksCommon.config.i18n : {};
+            // Expand/collapse variation sub-rows
+            $(document).on('click', '.zbooks-toggle-variations', function() {
+                var parentId = $(this).data('product-id');
 
-                if (count > 0) {
-                    $countSpan.text(count + ' ' + (i18n.selected || 'selected'));
-                    $bulkBtn.prop('disabled', false);
+                if ($(this).attr('aria-expanded') === 'true') {
+                    self.collapseVariations(parentId);
                 } else {
-                    $countSpan.text('');
-                    $bulkBtn.prop('disabled', true);
+                    self.loadVariations(parentId);
                 }
-            }
+            });
 
-            // Select all checkbox
-            $('#zbooks-select-all-products').on('change', function() {
-                $('.zbooks-product-checkbox').prop('checked', $(this).is(':checked'));
-                updateSelectedCount();
+            // Create all variations in Zoho
+            $(document).on('click', '.zbooks-create-variations', function() {
+                var $btn = $(this);
+                var i18n = window.ZbooksCommon ? window.ZbooksCommon.config.i18n : {};
+
+                if (!confirm(i18n.confirm_create_variations || 'Create a Zoho item for every unlinked variation?')) {
+                    return;
+                }
+
+                self.createAllVariations($btn.data('product-id'), $btn, $btn.siblings('.zbooks-variation-status'));
             });
 
-            // Individual checkbox
-            $('.zbooks-product-checkbox').on('change', updateSelectedCount);
+            // Auto-map variations by SKU
+            $(document).on('click', '.zbooks-automap-variations', function() {
+                var $btn = $(this);
+                self.autoMapVariations($btn.data('product-id'), $btn, $btn.siblings('.zbooks-variation-status'));
+            });
 
             // Single create button
             $(document).on('click', '.zbooks-create-single', function() {
@@ -122,9 +245,7 @@
                 }, function(response) {
                     if (response.success) {
                         $status.text(i18n.created || 'Created!');
-                        setTimeout(function() {
-                            location.reload();
-                        }, 1000);
+                        self.refreshRows($btn.closest('tr'));
                     } else {
                         $btn.prop('disabled', false).text(i18n.create || 'Create');
                         $status.text(response.data.message || 'Error creating item');
@@ -132,45 +253,6 @@
                 });
             });
 
-            // Bulk create button
-            $('#zbooks-bulk-create').on('click', function() {
-                var $btn = $(this);
-                var $status = $('#zbooks-action-status');
-                var productIds = [];
-                var i18n = window.ZbooksCommon ? window.ZbooksCommon.config.i18n : {};
-
-                $('.zbooks-product-checkbox:checked').each(function() {
-                    productIds.push($(this).val());
-                });
-
-                if (productIds.length === 0) {
-                    return;
-                }
-
-                if (!confirm((i18n.create || 'Create') + ' ' + productIds.length + ' ' + (i18n.items_in_zoho_books || 'items in Zoho Books?'))) {
-                    return;
-                }
-
-                $btn.prop('disabled', true).text(i18n.creating || 'Creating...');
-                $status.text(i18n.creating_items_in_zoho || 'Creating items in Zoho...');
-
-                $.post(ajaxurl, {
-                    action: 'zbooks_bulk_create_items',
-                    nonce: self.nonce,
-                    product_ids: productIds
-                }, function(response) {
-                    $btn.prop('disabled', false).text(i18n.create_selected_in_zoho || 'Create Selected in Zoho');
-                    if (response.success) {
-                        $status.text(response.data.message);
-                        setTimeout(function() {
-                            location.reload();
-                        }, 1500);
-                    } else {
-                        $status.text(response.data.message || 'Error creating items');
-                    }
-                });
-            });
-
             // Save mapping (link to existing) - AJAX without page reload
             $(document).on('click', '.zbooks-save-mapping', function() {
                 var $btn = $(this);
@@ -192,7 +274,8 @@
 
                 // Check for SKU mismatch before linking
                 var selectedOption = $select.find('option:selected');
-                var itemSku = selectedOption.data('sku') || '';
+                var selectedItem = $select.hasClass('select2-hidden-accessible') ? $select.select2('data')[0] : null;
+                var itemSku = selectedOption.data('sku') || (selectedItem && selectedItem.sku) || '';
                 var productSku = $select.data('product-sku') || '';
                 
                 // Compare SKUs (case-insensitive, trim whitespace)
@@ -207,6 +290,10 @@
                     }
                 }
 
+                if (!self.confirmDuplicateLink(selectedItem)) {
+                    return;
+                }
+
                 $btn.prop('disabled', true).text(i18n.linking || 'Linking...');
 
                 $.post(ajaxurl, {
@@ -218,6 +305,7 @@
                     if (response.success) {
                         // Update totals
                         self.updateTotals(response.data.totals);
+                        self.finishHistoryGroup(self.recordChange(self.startHistoryGroup(i18n.history_link || 'Link'), response.data));
                         
                         // Replace the entire actions cell with Linked and Unlink buttons only
                         var $actionsCell = $row.find('td:last');
@@ -228,12 +316,7 @@
                                 (i18n.unlink || 'Unlink') + '</button>'
                         );
                         
-                        // Update checkbox to checkmark
-                        var $checkbox = $row.find('.zbooks-product-checkbox');
-                        if ($checkbox.length) {
-                            $checkbox.replaceWith('<span class="dashicons dashicons-yes" style="color: #00a32a;" title="' +
-                                (i18n.mapped || 'Mapped') + '"></span>');
-                        }
+                        self.setRowMapped($row, true);
                         
                         // Show success message
                         var $statusSpan = $('#zbooks-action-status');
@@ -272,6 +355,7 @@
                     if (response.success) {
                         // Update totals
                         self.updateTotals(response.data.totals);
+                        self.finishHistoryGroup(self.recordChange(self.startHistoryGroup(i18n.history_unlink || 'Unlink'), response.data));
                         
                         // Replace the action buttons with Create and Link buttons
                         var $actionsCell = $row.find('td:last');
@@ -286,11 +370,7 @@
                         var $select = $row.find('.zbooks-zoho-item-select');
                         $select.val('').trigger('change');
                         
-                        // Update checkmark to checkbox
-                        var $checkmark = $row.find('.dashicons-yes');
-                        if ($checkmark.length) {
-                            $checkmark.replaceWith('<input type="checkbox" class="zbooks-product-checkbox" value="' + productId + '">');
-                        }
+                        self.setRowMapped($row, false);
                         
                         // Show success message
                         var $statusSpan = $('#zbooks-action-status');
@@ -307,6 +387,149 @@
                     alert('Network error. Please try again.');
                 });
             });
+        },
+
+        bindEvents: function() {
+            var self = this;
+
+            // History drawer
+            $('#zbooks-history-toggle').on('click', function() {
+                self.toggleHistoryDrawer();
+            });
+
+            $('#zbooks-history-drawer').on('click', '.zbooks-history-close', function() {
+                self.toggleHistoryDrawer(false);
+            }).on('click', '.zbooks-history-clear', function() {
+                var i18n = window.ZbooksCommon ? window.ZbooksCommon.config.i18n : {};
+
+                if (!confirm(i18n.confirm_clear_history || 'Clear the change history? Mappings are not changed.')) {
+                    return;
+                }
+
+                self.history = [];
+                self.saveHistory();
+                self.renderHistory();
+                self.hideUndoToast();
+            }).on('click', '.zbooks-history-revert-group', function() {
+                var group = self.findHistoryGroup($(this).closest('.zbooks-history-group').data('group-id'));
+                if (group) {
+                    self.revertChanges(group.changes);
+                }
+            }).on('click', '.zbooks-history-revert-change', function() {
+                var group = self.findHistoryGroup($(this).closest('.zbooks-history-group').data('group-id'));
+                if (group) {
+                    self.revertChanges([group.changes[$(this).data('index')]]);
+                }
+            });
+
+            // Undo toast
+            $('#zbooks-undo-toast').on('click', '.zbooks-undo-toast-undo', function() {
+                var group = self.findHistoryGroup($(this).data('group-id'));
+                if (group) {
+                    self.undoGroup(group);
+                }
+            }).on('click', '.zbooks-undo-toast-dismiss', function() {
+                self.hideUndoToast();
+            });
+
+            // Select all checkbox
+            $('#zbooks-select-all-products').on('change', function() {
+                $('.zbooks-product-checkbox').prop('checked', $(this).is(':checked'));
+                self.updateSelectedCount();
+            });
+
+            // Individual checkbox (rows are re-rendered by the grid)
+            $(document).on('change', '.zbooks-product-checkbox', function() {
+                self.updateSelectedCount();
+            });
+
+            // Grid: filter links
+            $('.zbooks-grid-filters').on('click', 'a[data-filter]', function(e) {
+                e.preventDefault();
+                $('.zbooks-grid-filters a').removeClass('current');
+                $(this).addClass('current');
+                self.grid.filter = $(this).data('filter');
+                self.grid.page = 1;
+                self.loadGrid();
+            });
+
+            // Grid: product type
+            $('#zbooks-grid-type').on('change', function() {
+                self.grid.type = $(this).val();
+                self.grid.page = 1;
+                self.loadGrid();
+            });
+
+            // Grid: search by name or SKU (debounced)
+            $('#zbooks-grid-search').on('input', function() {
+                var value = $.trim($(this).val());
+                clearTimeout(self.gridSearchTimer);
+                self.gridSearchTimer = setTimeout(function() {
+                    if (value !== self.grid.search) {
+                        self.grid.search = value;
+                        self.grid.page = 1;
+                        self.loadGrid();
+                    }
+                }, 300);
+            });
+
+            // Grid: pagination
+            $('.zbooks-grid-pager').on('click', '.zbooks-grid-page', function() {
+                var target = $(this).data('page');
+                var page = self.grid.page;
+
+                if (target === 'first') {
+                    page = 1;
+                } else if (target === 'prev') {
+                    page = Math.max(1, page - 1);
+                } else if (target === 'next') {
+                    page = Math.min(self.grid.pages, page + 1);
+                } else if (target === 'last') {
+                    page = self.grid.pages;
+                }
+
+                if (page !== self.grid.page) {
+                    self.grid.page = page;
+                    self.loadGrid();
+                }
+            });
+
+            // Bulk create button
+            $('#zbooks-bulk-create').on('click', function() {
+                var $btn = $(this);
+                var $status = $('#zbooks-action-status');
+                var productIds = [];
+                var i18n = window.ZbooksCommon ? window.ZbooksCommon.config.i18n : {};
+
+                $('tr:not(.zbooks-row-mapped) .zbooks-product-checkbox:checked').each(function() {
+                    productIds.push($(this).val());
+                });
+
+                if (productIds.length === 0) {
+                    return;
+                }
+
+                if (!confirm((i18n.create || 'Create') + ' ' + productIds.length + ' ' + (i18n.items_in_zoho_books || 'items in Zoho Books?'))) {
+                    return;
+                }
+
+                $btn.prop('disabled', true).text(i18n.creating || 'Creating...');
+                $status.text(i18n.creating_items_in_zoho || 'Creating items in Zoho...');
+
+                $.post(ajaxurl, {
+                    action: 'zbooks_bulk_create_items',
+                    nonce: self.nonce,
+                    product_ids: productIds
+                }, function(response) {
+                    $btn.prop('disabled', false).text(i18n.create_selected_in_zoho || 'Create Selected in Zoho');
+                    if (response.success) {
+                        $status.text(response.data.message);
+                        self.loadGrid();
+                    } else {
+                        $status.text(response.data.message || 'Error creating items');
+                    }
+                });
+            });
 
             // Auto-map by SKU button
             $('#zbooks-auto-map').on('click', function() {
@@ -318,280 +541,2326 @@
                     return;
                 }
 
-                if (!confirm(i18n.confirm_auto_map || 'Automatically map products to Zoho items by matching SKU?')) {
-                    return;
-                }
+                var mode = $('#zbooks-auto-map-mode').val() || 'exact';
+                var confirmMsg = mode === 'fuzzy' ?
+                    (i18n.confirm_fuzzy_map || 'Find likely Zoho items for unmapped products? Nothing is linked until you review the suggestions.') :
+                    (i18n.confirm_auto_map || 'Automatically map products to Zoho items by matching SKU?');
+
+                if (!confirm(confirmMsg)) {
+                    return;
+                }
+
+                self.autoMapProductsIndividually($btn, $status, i18n, mode);
+            });
+
+            // Bulk actions on selected rows
+            $('#zbooks-bulk-apply').on('click', function() {
+                var action = $('#zbooks-bulk-action').val();
+                if (action) {
+                    self.runBulkAction(action, $(this));
+                }
+            });
+
+            // Export current mappings
+            $('#zbooks-export-mappings').on('click', function() {
+                self.exportMappings($(this));
+            });
+
+            // Open the audit dialog and run a fresh audit
+            $('#zbooks-audit-mappings').on('click', function() {
+                $('#zbooks-audit-modal').fadeIn(200);
+                self.runAudit();
+            });
+
+            $('#zbooks-audit-modal').on('click', '.zbooks-audit-rerun', function() {
+                self.runAudit();
+            }).on('click', '.zbooks-modal-close, .zbooks-modal-overlay', function() {
+                $('#zbooks-audit-modal').fadeOut(200);
+
+                if (self.auditChanged) {
+                    self.auditChanged = false;
+                    self.loadGrid();
+                }
+            }).on('click', '.zbooks-audit-relink', function() {
+                self.fixAuditRow($(this).closest('tr'), 'relink');
+            }).on('click', '.zbooks-audit-unlink', function() {
+                self.fixAuditRow($(this).closest('tr'), 'unlink');
+            });
+
+            // Open the import dialog
+            $('#zbooks-import-mappings').on('click', function() {
+                var $modal = $('#zbooks-import-modal');
+
+                self.importRows = [];
+                $modal.find('#zbooks-import-file').val('');
+                $modal.find('.zbooks-import-preview').hide().find('tbody').empty();
+                $modal.find('.zbooks-import-status').text('');
+                $modal.find('.zbooks-import-apply').prop('disabled', true);
+                $modal.fadeIn(200);
+            });
+
+            // Close the import dialog (not while links are being applied)
+            $('#zbooks-import-modal').on('click', '.zbooks-modal-close, .zbooks-modal-overlay', function() {
+                if (!self.importInProgress) {
+                    $('#zbooks-import-modal').fadeOut(200);
+                }
+            });
+
+            // Read and validate the chosen CSV
+            $('#zbooks-import-file').on('change', function() {
+                var file = this.files && this.files[0];
+                if (file) {
+                    self.previewImport(file);
+                }
+            });
+
+            // Re-evaluate which rows will be applied
+            $('#zbooks-import-include-conflicts').on('change', function() {
+                self.updateImportApply();
+            });
+
+            // Apply validated links
+            $('#zbooks-import-modal').on('click', '.zbooks-import-apply', function() {
+                self.applyImport($(this));
+            });
+
+            // Review queue: switching candidate updates the confidence badge
+            $('#zbooks-review-queue').on('change', '.zbooks-review-candidate', function() {
+                self.updateReviewConfidence($(this).closest('tr'));
+            });
+
+            // Review queue: accept a suggestion
+            $('#zbooks-review-queue').on('click', '.zbooks-review-accept', function() {
+                self.acceptSuggestion($(this).closest('tr'));
+            });
+
+            // Review queue: reject a suggestion
+            $('#zbooks-review-queue').on('click', '.zbooks-review-reject', function() {
+                $(this).closest('tr').remove();
+                self.updateReviewCount();
+            });
+
+            // Review queue: accept every high-confidence suggestion
+            $('#zbooks-review-queue').on('click', '.zbooks-review-accept-high', function() {
+                self.acceptHighConfidence($(this));
+            });
+
+            // Review queue: close
+            $('#zbooks-review-queue').on('click', '.zbooks-review-close', function() {
+                $('#zbooks-review-queue').hide().find('tbody').empty();
+            });
+
+            // Refresh Zoho items button
+            $('#zbooks-refresh-items').on('click', function() {
+                var $btn = $(this);
+                var $status = $('#zbooks-action-status');
+                var i18n = window.ZbooksCommon ? window.ZbooksCommon.config.i18n : {};
+
+                if ($btn.prop('disabled')) {
+                    return;
+                }
+
+                $btn.prop('disabled', true).text(i18n.refreshing || 'Refreshing...');
+                $status.text(i18n.fetching_zoho_items || 'Fetching Zoho items...');
+
+                $.post(ajaxurl, {
+                    action: 'zbooks_fetch_zoho_items',
+                    nonce: self.nonce
+                }, function(response) {
+                    $btn.prop('disabled', false).text(i18n.refresh_zoho_items || 'Refresh Zoho Items');
+                    if (response.success) {
+                        $status.text(response.data.message || (i18n.items_refreshed || 'Items refreshed!'));
+                        setTimeout(function() {
+                            location.reload();
+                        }, 1000);
+                    } else {
+                        $status.text(response.data.message || (i18n.refresh_failed || 'Refresh failed'));
+                    }
+                }).fail(function(xhr) {
+                    $btn.prop('disabled', false).text(i18n.refresh_zoho_items || 'Refresh Zoho Items');
+                    var errorMsg = window.ZbooksCommon ? 
+                        window.ZbooksCommon.getAjaxErrorMessage(xhr, i18n.refresh_failed || 'Refresh failed') :
+                        'Refresh failed';
+                    $status.text(errorMsg);
+                });
+            });
+        },
+
+        /**
+         * Auto-map products individually via AJAX without page reload
+         *
+         * In 'fuzzy' mode products are only scored and queued for review.
+         *
+         * @param {jQuery} $btn    The auto-map button
+         * @param {jQuery} $status The status display element
+         * @param {Object} i18n    Internationalization strings
+         * @param {string} mode    'exact' or 'fuzzy'
+         */
+        autoMapProductsIndividually: function($btn, $status, i18n, mode) {
+            var self = this;
+
+            // Set flag to prevent navigation
+            self.mappingInProgress = true;
+
+            // Add beforeunload event listener
+            $(window).on('beforeunload.zbooks-mapping', function(e) {
+                if (self.mappingInProgress) {
+                    var message = i18n.mapping_leave_warning ||
+                        'Mapping is in progress. Are you sure you want to leave? Unmapped products will not be processed.';
+                    e.preventDefault();
+                    e.returnValue = message;
+                    return message;
+                }
+            });
+
+            // Disable button during processing
+            $btn.prop('disabled', true).text(i18n.mapping || 'Mapping...');
+
+            // Ask the server for every unmapped product, not just the rows on this page
+            $.post(ajaxurl, {
+                action: 'zbooks_get_product_grid',
+                nonce: self.nonce,
+                filter: 'unmapped',
+                ids_only: 1
+            }, function(response) {
+                var productIds = response.success ? response.data.ids : [];
+
+                if (productIds.length === 0) {
+                    self.mappingInProgress = false;
+                    $(window).off('beforeunload.zbooks-mapping');
+                    $btn.prop('disabled', false).text(i18n.auto_map_by_sku || 'Auto-Map by SKU');
+                    $status.html('<span style="color: #dba617;">⚠ ' + (i18n.no_unmapped_products || 'No unmapped products found.') + '</span>');
+                    return;
+                }
+
+                if (mode === 'fuzzy') {
+                    self.runSuggestJob(productIds, $btn, $status, i18n);
+                    return;
+                }
+
+                // Refresh the Zoho item cache once; each product request then reads the cached list
+                $status.html('<span class="spinner is-active" style="float:none; margin:0 5px 0 0;"></span>' +
+                    (i18n.fetching_zoho_items || 'Fetching Zoho items...'));
+
+                $.post(ajaxurl, {
+                    action: 'zbooks_fetch_zoho_items',
+                    nonce: self.nonce
+                }, function(response) {
+                    if (!response.success || !response.data.count) {
+                        self.mappingInProgress = false;
+                        $(window).off('beforeunload.zbooks-mapping');
+                        $btn.prop('disabled', false).text(i18n.auto_map_by_sku || 'Auto-Map by SKU');
+                        $status.text((response.data && response.data.message) || (i18n.refresh_failed || 'Refresh failed'));
+                        return;
+                    }
+
+                    self.runAutoMapJob(productIds, $btn, $status, i18n);
+                }).fail(function(xhr) {
+                    self.mappingInProgress = false;
+                    $(window).off('beforeunload.zbooks-mapping');
+                    $btn.prop('disabled', false).text(i18n.auto_map_by_sku || 'Auto-Map by SKU');
+                    $status.text(window.ZbooksCommon ?
+                        window.ZbooksCommon.getAjaxErrorMessage(xhr, i18n.refresh_failed || 'Refresh failed') :
+                        (i18n.refresh_failed || 'Refresh failed'));
+                });
+            }).fail(function(xhr) {
+                self.mappingInProgress = false;
+                $(window).off('beforeunload.zbooks-mapping');
+                $btn.prop('disabled', false).text(i18n.auto_map_by_sku || 'Auto-Map by SKU');
+                $status.text(window.ZbooksCommon ?
+                    window.ZbooksCommon.getAjaxErrorMessage(xhr, i18n.failed || 'Failed') :
+                    (i18n.failed || 'Failed'));
+            });
+        },
+
+        /**
+         * Map each product by SKU through the job runner
+         *
+         * Rows on the current grid page are updated as they finish; the grid is
+         * reloaded at the end so filters and counts reflect the new mappings.
+         *
+         * @param {Array}  productIds Unmapped product IDs
+         * @param {jQuery} $btn       The auto-map button
+         * @param {jQuery} $status    The status display element
+         * @param {Object} i18n       Internationalization strings
+         */
+        runAutoMapJob: function(productIds, $btn, $status, i18n) {
+            var self = this;
+            var group = this.startHistoryGroup(i18n.auto_map_by_sku || 'Auto-Map by SKU');
+
+            var job = window.ZBooks.JobRunner.create({
+                items: productIds,
+                action: 'zbooks_auto_map_single_product',
+                nonce: self.nonce,
+                unit: 'products',
+                delay: 300,
+                data: function(productId) {
+                    return { product_id: productId };
+                }
+            });
+
+            job.on('itemstart', function(productId) {
+                var $row = $('tr[data-product-id="' + productId + '"]');
+
+                // Update progress
+                var progressMsg = (i18n.mapping_product || 'Mapping product') + ' ' + (job.processed + 1) + ' ' + (i18n.of || 'of') + ' ' + job.total + '...';
+                $status.html('<span class="spinner is-active" style="float:none; margin:0 5px 0 0;"></span>' + progressMsg);
+
+                // Grey out the row and add spinner
+                $row.addClass('zbooks-mapping-in-progress');
+                $row.find('td:nth-child(3)').append('<span class="zbooks-mapping-spinner"></span>');
+            }).on('itemdone', function(productId, outcome) {
+                var $row = $('tr[data-product-id="' + productId + '"]');
+                var $select = $row.find('.zbooks-zoho-item-select');
+                var data = outcome.data;
+
+                // Remove grey-out and spinner
+                $row.removeClass('zbooks-mapping-in-progress');
+                $row.find('.zbooks-mapping-spinner').remove();
+
+                if (!outcome.success) {
+                    $row.css('background-color', '#f8d7da');
+                    return;
+                }
+
+                // Update totals after each product is mapped
+                self.updateTotals(data.totals);
+                self.recordChange(group, data);
+
+                // Check if option exists, if not add it
+                var itemId = data.item_id;
+                var $option = $select.find('option[value="' + itemId + '"]');
+                if ($option.length === 0) {
+                    var optionText = data.item_name;
+                    if (data.item_sku) {
+                        optionText += ' (' + data.item_sku + ')';
+                    }
+                    $select.append('<option value="' + itemId + '">' + optionText + '</option>');
+                }
+
+                // Set the selected value
+                $select.val(itemId).trigger('change');
+
+                self.setRowMapped($row, true);
+
+                // Update row background to success
+                $row.css('background-color', '#d4edda');
+
+                // Update the action buttons
+                $row.find('td:last').html(
+                    '<button type="button" class="button button-small zbooks-save-mapping" data-product-id="' + productId + '" disabled style="opacity: 0.5; cursor: not-allowed;">' +
+                    (i18n.linked || 'Linked') +
+                    '</button> ' +
+                    '<button type="button" class="button button-small zbooks-remove-mapping" data-product-id="' + productId + '">' +
+                    (i18n.unlink || 'Unlink') +
+                    '</button>'
+                );
+            }).on('finished', function() {
+                // All done - show summary
+                $btn.prop('disabled', false).text(i18n.auto_map_by_sku || 'Auto-Map by SKU');
+
+                // Clear mapping in progress flag and remove warning
+                self.mappingInProgress = false;
+                $(window).off('beforeunload.zbooks-mapping');
+                self.finishHistoryGroup(group);
+
+                var mapped = job.succeeded;
+                var failed = job.failed;
+                var summaryMsg = (i18n.mapping_complete || 'Mapping complete!') + ' ';
+                summaryMsg += (i18n.mapped || 'Mapped') + ': ' + mapped + ', ';
+                summaryMsg += (i18n.failed || 'Failed') + ': ' + failed;
+
+                if (mapped > 0) {
+                    $status.html('<span style="color: #00a32a;">✓ ' + summaryMsg + '</span>');
+                } else {
+                    $status.html('<span style="color: #dba617;">⚠ ' + summaryMsg + '</span>');
+                }
+
+                if (mapped > 0 && $('.zbooks-product-grid').length) {
+                    self.loadGrid();
+                }
+            });
+
+            job.start();
+        },
+
+        /**
+         * Run a bulk action on the selected rows with per-row results
+         *
+         * @param {string} action unlink, push or recheck
+         * @param {jQuery} $btn   The apply button
+         */
+        runBulkAction: function(action, $btn) {
+            var self = this;
+            var i18n = window.ZbooksCommon ? window.ZbooksCommon.config.i18n : {};
+            var $status = $('#zbooks-action-status');
+            var productNonce = typeof zbooks_product !== 'undefined' ? zbooks_product.nonce : self.nonce;
+            var group = this.startHistoryGroup(i18n.history_bulk_unlink || 'Bulk unlink');
+            var actions = {
+                unlink: {
+                    ajax: 'zbooks_unlink_product',
+                    nonce: self.nonce,
+                    confirm: i18n.confirm_bulk_unlink || 'Unlink the selected products from Zoho?',
+                    done: function($row, data) {
+                        self.updateTotals(data.totals);
+                        self.recordChange(group, data);
+                        self.setRowMapped($row, false);
+                        $row.find('.zbooks-zoho-item-select').val('').trigger('change');
+                        $row.find('td:last').html(
+                            '<button type="button" class="button button-small zbooks-create-single" data-product-id="' + $row.data('product-id') + '">' +
+                                (i18n.create || 'Create') + '</button> ' +
+                            '<button type="button" class="button button-small zbooks-save-mapping" data-product-id="' + $row.data('product-id') + '">' +
+                                (i18n.link || 'Link') + '</button>'
+                        );
+                        return ['success', i18n.unlinked || 'Unlinked'];
+                    }
+                },
+                push: {
+                    ajax: 'zbooks_sync_product_to_zoho',
+                    nonce: productNonce,
+                    confirm: i18n.confirm_bulk_push || 'Push the selected products to their linked Zoho items?',
+                    done: function() {
+                        return ['success', i18n.updated || 'Updated'];
+                    }
+                },
+                recheck: {
+                    ajax: 'zbooks_check_product_sku',
+                    nonce: self.nonce,
+                    done: function($row, data) {
+                        var mismatch = data.status !== 'match';
+                        $row.toggleClass('zbooks-sku-mismatch-row', data.status === 'mismatch');
+                        return [mismatch ? 'warning' : 'success', data.message];
+                    }
+                }
+            };
+            var config = actions[action];
+
+            // Only linked products can be unlinked, pushed or checked
+            var productIds = $('tr.zbooks-row-mapped .zbooks-product-checkbox:checked').map(function() {
+                return $(this).val();
+            }).get();
+            var skipped = $('tr:not(.zbooks-row-mapped) .zbooks-product-checkbox:checked').closest('tr');
+
+            $('tr[data-product-id] .zbooks-row-result').remove();
+            skipped.each(function() {
+                self.setRowResult($(this), 'warning', i18n.not_linked || 'Not linked');
+            });
+
+            if (!config || !productIds.length) {
+                $status.text(i18n.no_linked_selected || 'Select at least one linked product.');
+                return;
+            }
+
+            if (config.confirm && !confirm(config.confirm + ' (' + productIds.length + ')')) {
+                return;
+            }
+
+            self.bulkInProgress = true;
+            $btn.prop('disabled', true);
+
+            var job = window.ZBooks.JobRunner.create({
+                items: productIds,
+                action: config.ajax,
+                nonce: config.nonce,
+                unit: 'products',
+                data: function(productId) {
+                    return { product_id: productId };
+                }
+            });
+
+            job.on('itemstart', function(productId) {
+                $('tr[data-product-id="' + productId + '"]').addClass('zbooks-mapping-in-progress');
+            }).on('progress', function() {
+                $status.html('<span class="spinner is-active" style="float:none; margin:0 5px 0 0;"></span>' +
+                    job.processed + ' ' + (i18n.of || 'of') + ' ' + job.total);
+            }).on('itemdone', function(productId, outcome) {
+                var $row = $('tr[data-product-id="' + productId + '"]');
+                var result;
+
+                $row.removeClass('zbooks-mapping-in-progress');
+
+                if (outcome.success) {
+                    result = config.done($row, outcome.data);
+                    self.setRowResult($row, result[0], result[1]);
+                } else {
+                    self.setRowResult($row, 'error', outcome.error || (i18n.failed || 'Failed'));
+                }
+            }).on('finished', function() {
+                self.bulkInProgress = false;
+                self.updateSelectedCount();
+                self.finishHistoryGroup(group);
+                $status.text(
+                    (i18n.done || 'Done') + ': ' + job.succeeded + ', ' +
+                    (i18n.failed || 'Failed') + ': ' + job.failed
+                );
+            });
+
+            job.start();
+        },
+
+        /**
+         * Download current mappings as CSV in the format the import accepts
+         *
+         * @param {jQuery} $btn The export button
+         */
+        exportMappings: function($btn) {
+            var self = this;
+            var i18n = window.ZbooksCommon ? window.ZbooksCommon.config.i18n : {};
+            var $status = $('#zbooks-action-status');
+
+            $btn.prop('disabled', true);
+
+            $.post(ajaxurl, {
+                action: 'zbooks_export_mappings',
+                nonce: self.nonce
+            }, function(response) {
+                if (!response.success) {
+                    $status.text(response.data.message || (i18n.failed || 'Failed'));
+                    return;
+                }
+
+                var columns = ['product_id', 'sku', 'product_name', 'zoho_item_id', 'zoho_sku', 'zoho_item_name'];
+                var rows = [columns].concat($.map(response.data.rows, function(row) {
+                    return [$.map(columns, function(column) {
+                        return [row[column]];
+                    })];
+                }));
+
+                window.ZbooksCommon.downloadFile(
+                    'zbooks-product-mappings-' + new Date().toISOString().slice(0, 10) + '.csv',
+                    '\uFEFF' + window.ZbooksCommon.toCsv(rows),
+                    'text/csv;charset=utf-8'
+                );
+                $status.text(response.data.rows.length + ' ' + (i18n.mappings_exported || 'mappings exported.'));
+            }).fail(function(xhr) {
+                $status.text(window.ZbooksCommon.getAjaxErrorMessage(xhr, i18n.failed || 'Failed'));
+            }).always(function() {
+                $btn.prop('disabled', false);
+            });
+        },
+
+        /**
+         * Parse a mapping CSV and ask the server to validate every row
+         *
+         * @param {File} file Uploaded CSV file
+         */
+        previewImport: function(file) {
+            var self = this;
+            var i18n = window.ZbooksCommon ? window.ZbooksCommon.config.i18n : {};
+            var $modal = $('#zbooks-import-modal');
+            var $status = $modal.find('.zbooks-import-status');
+            var reader = new FileReader();
+
+            $modal.find('.zbooks-import-preview').hide();
+            $modal.find('.zbooks-import-apply').prop('disabled', true);
+            $status.text(i18n.validating || 'Validating...');
+
+            reader.onload = function() {
+                var parsed = self.readImportRows(window.ZbooksCommon.parseCsv(reader.result));
+
+                if (!parsed.rows.length) {
+                    $status.text(i18n.import_empty || 'The file has no mapping rows.');
+                    return;
+                }
+
+                $.post(ajaxurl, {
+                    action: 'zbooks_preview_mapping_import',
+                    nonce: self.nonce,
+                    rows: JSON.stringify(parsed.rows),
+                    product_key: parsed.productKey,
+                    item_key: parsed.itemKey
+                }, function(response) {
+                    if (!response.success) {
+                        $status.text(response.data.message || (i18n.failed || 'Failed'));
+                        return;
+                    }
+
+                    $status.text('');
+                    self.importRows = response.data.rows;
+                    self.renderImportPreview(response.data);
+                }).fail(function(xhr) {
+                    $status.text(window.ZbooksCommon.getAjaxErrorMessage(xhr, i18n.failed || 'Failed'));
+                });
+            };
+
+            reader.onerror = function() {
+                $status.text(i18n.import_read_failed || 'Could not read the file.');
+            };
+
+            reader.readAsText(file);
+        },
+
+        /**
+         * Turn parsed CSV cells into product/item references
+         *
+         * A header row naming product_id or sku and zoho_item_id or zoho_sku
+         * selects those columns; otherwise the first two columns are used and
+         * each reference is resolved as an ID first, then a SKU.
+         *
+         * @param {Array} cells Parsed CSV rows
+         * @return {Object} {rows, productKey, itemKey}
+         */
+        readImportRows: function(cells) {
+            var productCol = 0;
+            var itemCol = 1;
+            var productKey = '';
+            var itemKey = '';
+            var start = 0;
+
+            // Undo the formula guard toCsv adds to exported cells
+            function clean(value) {
+                value = $.trim(value || '');
+                return /^'[=+@]/.test(value) ? value.slice(1) : value;
+            }
+
+            if (cells.length) {
+                var header = $.map(cells[0], function(cell) {
+                    return [$.trim(cell).toLowerCase()];
+                });
+
+                $.each(['product_id', 'sku'], function(i, key) {
+                    if (!productKey && $.inArray(key, header) !== -1) {
+                        productKey = key;
+                        productCol = $.inArray(key, header);
+                    }
+                });
+                $.each(['zoho_item_id', 'zoho_sku'], function(i, key) {
+                    if (!itemKey && $.inArray(key, header) !== -1) {
+                        itemKey = key;
+                        itemCol = $.inArray(key, header);
+                    }
+                });
+
+                if (productKey || itemKey) {
+                    start = 1;
+                }
+            }
+
+            var rows = [];
+            for (var i = start; i < cells.length; i++) {
+                rows.push({
+                    line: i + 1,
+                    product: clean(cells[i][productCol]),
+                    item: clean(cells[i][itemCol])
+                });
+            }
+
+            return {
+                rows: rows,
+                productKey: productKey,
+                itemKey: itemKey
+            };
+        },
+
+        /**
+         * Render the validated import rows
+         *
+         * @param {Object} data Preview response with rows and counts
+         */
+        renderImportPreview: function(data) {
+            var i18n = window.ZbooksCommon ? window.ZbooksCommon.config.i18n : {};
+            var $preview = $('#zbooks-import-modal .zbooks-import-preview');
+            var $tbody = $preview.find('tbody').empty();
+            var labels = {
+                ok: i18n.import_ok || 'Ready',
+                conflict: i18n.import_conflict || 'Conflict',
+                error: i18n.import_error || 'Error',
+                unchanged: i18n.import_unchanged || 'Unchanged'
+            };
+
+            $.each(data.rows, function(i, row) {
+                var product = row.product_id ?
+                    row.product_name + (row.product_sku ? ' (' + row.product_sku + ')' : '') :
+                    row.product_ref;
+                var item = row.item_id ?
+                    row.item_name + (row.item_sku ? ' (' + row.item_sku + ')' : '') :
+                    row.item_ref;
+
+                $tbody.append(
+                    $('<tr>')
+                        .attr('data-line', row.line)
+                        .addClass('zbooks-import-' + row.status)
+                        .append(
+                            $('<td>').text(row.line),
+                            $('<td>').text(product),
+                            $('<td>').text(item),
+                            $('<td class="zbooks-import-state">').text(labels[row.status] || row.status),
+                            $('<td>').text(row.issues.join(' '))
+                        )
+                );
+            });
+
+            $preview.find('.zbooks-import-summary').text(
+                labels.ok + ': ' + data.counts.ok + ', ' +
+                labels.conflict + ': ' + data.counts.conflict + ', ' +
+                labels.error + ': ' + data.counts.error + ', ' +
+                labels.unchanged + ': ' + data.counts.unchanged
+            );
+            $preview.show();
+
+            this.updateImportApply();
+        },
+
+        /**
+         * Rows that will be linked by Apply
+         *
+         * @return {Array}
+         */
+        getImportApplicableRows: function() {
+            var includeConflicts = $('#zbooks-import-include-conflicts').is(':checked');
+
+            return $.grep(this.importRows, function(row) {
+                return !row.applied && (row.status === 'ok' || (includeConflicts && row.status === 'conflict'));
+            });
+        },
+
+        /**
+         * Update the apply button label and state
+         */
+        updateImportApply: function() {
+            var i18n = window.ZbooksCommon ? window.ZbooksCommon.config.i18n : {};
+            var count = this.getImportApplicableRows().length;
+
+            $('#zbooks-import-modal .zbooks-import-apply')
+                .prop('disabled', count === 0 || this.importInProgress)
+                .text((i18n.apply_links || 'Apply Links') + ' (' + count + ')');
+        },
+
+        /**
+         * Link validated rows in batches through the existing link endpoint
+         *
+         * @param {jQuery} $btn The apply button
+         */
+        applyImport: function($btn) {
+            var self = this;
+            var i18n = window.ZbooksCommon ? window.ZbooksCommon.config.i18n : {};
+            var $modal = $('#zbooks-import-modal');
+            var $status = $modal.find('.zbooks-import-status');
+            var rows = this.getImportApplicableRows();
+            var byLine = {};
+            var group = this.startHistoryGroup(i18n.history_import || 'CSV import');
+
+            if (!rows.length) {
+                return;
+            }
+
+            $.each(rows, function(i, row) {
+                byLine[row.line] = row;
+            });
+
+            this.importInProgress = true;
+            $btn.prop('disabled', true);
+
+            var job = window.ZBooks.JobRunner.create({
+                items: $.map(rows, function(row) {
+                    return row.line;
+                }),
+                action: 'zbooks_link_product',
+                nonce: self.nonce,
+                unit: 'products',
+                data: function(line) {
+                    return {
+                        product_id: byLine[line].product_id,
+                        item_id: byLine[line].item_id
+                    };
+                }
+            });
+
+            job.on('progress', function() {
+                $status.text((i18n.linking || 'Linking...') + ' ' + job.processed + ' ' + (i18n.of || 'of') + ' ' + job.total);
+            }).on('itemdone', function(line, outcome) {
+                var $row = $modal.find('tr[data-line="' + line + '"]');
+
+                if (outcome.success) {
+                    byLine[line].applied = true;
+                    self.updateTotals(outcome.data.totals);
+                    self.recordChange(group, outcome.data);
+                    $row.removeClass('zbooks-import-ok zbooks-import-conflict').addClass('zbooks-import-applied');
+                    $row.find('.zbooks-import-state').text(i18n.linked || 'Linked');
+                } else {
+                    $row.addClass('zbooks-import-error');
+                    $row.find('.zbooks-import-state').text(i18n.failed || 'Failed');
+                }
+            }).on('finished', function() {
+                self.importInProgress = false;
+                self.updateImportApply();
+                self.finishHistoryGroup(group);
+                $status.text(
+                    (i18n.linked || 'Linked') + ': ' + job.succeeded + ', ' +
+                    (i18n.failed || 'Failed') + ': ' + job.failed
+                );
+                self.loadGrid();
+            });
+
+            job.start();
+        },
+
+        /**
+         * Refresh the Zoho item cache, then audit every mapping against it
+         */
+        runAudit: function() {
+            var self = this;
+            var i18n = window.ZbooksCommon ? window.ZbooksCommon.config.i18n : {};
+            var $modal = $('#zbooks-audit-modal');
+            var $status = $modal.find('.zbooks-audit-status');
+            var $rerun = $modal.find('.zbooks-audit-rerun').prop('disabled', true);
+            var fail = function(message) {
+                $rerun.prop('disabled', false);
+                $status.html('<span style="color: #d63638;">' + window.ZBooks.escapeHtml(message) + '</span>');
+            };
+            var failXhr = function(xhr) {
+                fail(window.ZbooksCommon.getAjaxErrorMessage(xhr, i18n.failed || 'Failed'));
+            };
+
+            $modal.find('.zbooks-audit-summary').empty();
+            $modal.find('.zbooks-audit-table').hide().find('tbody').empty();
+            $status.html('<span class="spinner is-active" style="float:none; margin:0 5px 0 0;"></span>' +
+                (i18n.fetching_zoho_items || 'Fetching Zoho items...'));
+
+            $.post(ajaxurl, {
+                action: 'zbooks_fetch_zoho_items',
+                nonce: self.nonce
+            }, function(response) {
+                // A partial item list would report the missing items as deleted
+                if (!response.success || response.data.complete === false) {
+                    fail(response.data.message || (i18n.refresh_failed || 'Refresh failed'));
+                    return;
+                }
+
+                $status.html('<span class="spinner is-active" style="float:none; margin:0 5px 0 0;"></span>' +
+                    (i18n.auditing || 'Checking mappings...'));
+
+                $.post(ajaxurl, {
+                    action: 'zbooks_audit_mappings',
+                    nonce: self.nonce
+                }, function(response) {
+                    $rerun.prop('disabled', false);
+
+                    if (!response.success) {
+                        fail(response.data.message || (i18n.failed || 'Failed'));
+                        return;
+                    }
+
+                    $status.empty();
+                    self.renderAudit(response.data);
+                }).fail(failXhr);
+            }).fail(failXhr);
+        },
+
+        /**
+         * Render the audit summary and the rows with issues
+         *
+         * @param {Object} data Audit response with rows and summary
+         */
+        renderAudit: function(data) {
+            var self = this;
+            var i18n = window.ZbooksCommon ? window.ZbooksCommon.config.i18n : {};
+            var $modal = $('#zbooks-audit-modal');
+            var $tbody = $modal.find('.zbooks-audit-table tbody').empty();
+            var summary = data.summary;
+            var labels = this.getAuditIssueLabels();
+            var parts = [
+                (i18n.checked || 'Checked') + ': ' + summary.checked,
+                (i18n.healthy || 'Healthy') + ': ' + summary.healthy
+            ];
+
+            $.each(labels, function(code, label) {
+                if (summary[code]) {
+                    parts.push(label + ': ' + summary[code]);
+                }
+            });
+
+            $modal.find('.zbooks-audit-summary').text(parts.join(' · '));
+
+            if (!data.rows.length) {
+                $modal.find('.zbooks-audit-summary').append(
+                    $('<strong class="zbooks-audit-ok">').text(' ' + (i18n.all_mappings_healthy || 'All mappings are healthy.'))
+                );
+                return;
+            }
+
+            $.each(data.rows, function(i, row) {
+                $tbody.append(self.buildAuditRow(row));
+            });
+            $modal.find('.zbooks-audit-table').show();
+        },
+
+        /**
+         * Labels for audit issue codes, in summary order
+         *
+         * @return {Object}
+         */
+        getAuditIssueLabels: function() {
+            var i18n = window.ZbooksCommon ? window.ZbooksCommon.config.i18n : {};
+
+            return {
+                item_missing: i18n.audit_item_missing || 'Zoho item deleted',
+                item_unverified: i18n.audit_item_unverified || 'Zoho item could not be checked',
+                item_inactive: i18n.audit_item_inactive || 'Zoho item inactive',
+                product_missing: i18n.audit_product_missing || 'Product deleted',
+                sku_drift: i18n.audit_sku_drift || 'SKU drift',
+                duplicate: i18n.audit_duplicate || 'Duplicate mapping'
+            };
+        },
+
+        /**
+         * Build one audit report row
+         *
+         * @param {Object} row Audit row
+         * @return {jQuery}
+         */
+        buildAuditRow: function(row) {
+            var i18n = window.ZbooksCommon ? window.ZbooksCommon.config.i18n : {};
+            var labels = this.getAuditIssueLabels();
+            var $issues = $('<ul class="zbooks-audit-issues">');
+            var $actions = $('<td class="zbooks-audit-actions">');
+
+            $.each(row.issues, function(i, code) {
+                var text = labels[code] || code;
+
+                if (code === 'sku_drift') {
+                    text += ': ' + row.product_sku + ' / ' + row.item_sku;
+                } else if (code === 'duplicate') {
+                    text += ': ' + $.map(row.shared_with, function(product) {
+                        return product.name;
+                    }).join(', ');
+                }
+
+                $issues.append($('<li>').addClass('zbooks-audit-issue-' + code).text(text));
+            });
+
+            // An item that could not be checked may be fine, so it alone is no reason to change the link.
+            var actionable = $.grep(row.issues, function(code) {
+                return code !== 'item_unverified';
+            }).length > 0;
+
+            if (actionable && row.suggestion) {
+                $actions.append(
+                    $('<button type="button" class="button button-small zbooks-audit-relink">')
+                        .text((i18n.relink_to || 'Relink to') + ' ' + row.suggestion.name + (row.suggestion.sku ? ' (' + row.suggestion.sku + ')' : '')),
+                    ' '
+                );
+            }
+            if (actionable) {
+                $actions.append(
+                    $('<button type="button" class="button button-small zbooks-audit-unlink">').text(i18n.unlink || 'Unlink')
+                );
+            } else {
+                $actions.append($('<span class="description">').text(i18n.audit_recheck_later || 'Run the audit again later'));
+            }
+
+            return $('<tr>')
+                .attr('data-product-id', row.product_id)
+                .data('audit', row)
+                .append(
+                    $('<td>').append(
+                        row.edit_url ?
+                            $('<a target="_blank">').attr('href', row.edit_url).text(row.product_name) :
+                            $('<span>').text('#' + row.product_id),
+                        row.product_sku ? $('<span class="zbooks-product-type">').text((i18n.sku || 'SKU') + ': ' + row.product_sku) : null
+                    ),
+                    $('<td>').append(
+                        $('<a target="_blank">').attr('href', row.item_url).text(row.item_name || row.item_id),
+                        row.item_sku ? $('<span class="zbooks-product-type">').text((i18n.sku || 'SKU') + ': ' + row.item_sku) : null
+                    ),
+                    $('<td>').append($issues),
+                    $actions
+                );
+        },
+
+        /**
+         * Relink or unlink the product on an audit row
+         *
+         * Mappings for deleted products are removed directly, since the unlink
+         * endpoint needs the product to exist.
+         *
+         * @param {jQuery} $row   Audit row
+         * @param {string} action relink or unlink
+         */
+        fixAuditRow: function($row, action) {
+            var self = this;
+            var i18n = window.ZbooksCommon ? window.ZbooksCommon.config.i18n : {};
+            var row = $row.data('audit');
+            var orphaned = $.inArray('product_missing', row.issues) !== -1;
+            var request;
+
+            if (action === 'relink') {
+                request = {
+                    action: 'zbooks_link_product',
+                    product_id: row.product_id,
+                    item_id: row.suggestion.item_id
+                };
+            } else {
+                request = {
+                    action: orphaned ? 'zbooks_remove_mapping' : 'zbooks_unlink_product',
+                    product_id: row.product_id
+                };
+            }
+
+            $row.find('button').prop('disabled', true);
+
+            $.post(ajaxurl, $.extend({ nonce: self.nonce }, request), function(response) {
+                if (!response.success) {
+                    $row.find('button').prop('disabled', false);
+                    self.setRowResult($row, 'error', response.data.message || (i18n.failed || 'Failed'));
+                    return;
+                }
+
+                self.auditChanged = true;
+                self.updateTotals(response.data.totals);
+
+                if (!orphaned) {
+                    self.finishHistoryGroup(self.recordChange(
+                        self.startHistoryGroup(action === 'relink' ? (i18n.history_audit_relink || 'Audit relink') : (i18n.history_audit_unlink || 'Audit unlink')),
+                        response.data
+                    ));
+                }
+
+                $row.addClass('zbooks-audit-fixed');
+                $row.find('.zbooks-audit-actions').empty();
+                self.setRowResult($row, 'success', action === 'relink' ? (i18n.relinked || 'Relinked') : (i18n.unlinked || 'Unlinked'));
+            }).fail(function(xhr) {
+                $row.find('button').prop('disabled', false);
+                self.setRowResult($row, 'error', window.ZbooksCommon.getAjaxErrorMessage(xhr, i18n.failed || 'Failed'));
+            });
+        },
+
+        /**
+         * Collect match suggestions for each product into the review queue
+         *
+         * @param {Array}  productIds Unmapped product IDs
+         * @param {jQuery} $btn       The auto-map button
+         * @param {jQuery} $status    The status display element
+         * @param {Object} i18n       Internationalization strings
+         */
+        runSuggestJob: function(productIds, $btn, $status, i18n) {
+            var self = this;
+            var $queue = $('#zbooks-review-queue');
+
+            $queue.find('tbody').empty();
+            $queue.show();
+            this.updateReviewCount();
+
+            var job = window.ZBooks.JobRunner.create({
+                items: productIds,
+                action: 'zbooks_suggest_item_matches',
+                nonce: self.nonce,
+                unit: 'products',
+                delay: 100,
+                data: function(productId) {
+                    return { product_id: productId };
+                }
+            });
+
+            job.on('itemstart', function() {
+                var progressMsg = (i18n.matching_product || 'Matching product') + ' ' + (job.processed + 1) + ' ' + (i18n.of || 'of') + ' ' + job.total + '...';
+                $status.html('<span class="spinner is-active" style="float:none; margin:0 5px 0 0;"></span>' + progressMsg);
+            }).on('itemdone', function(productId, outcome) {
+                if (outcome.success) {
+                    $queue.find('tbody').append(self.buildReviewRow(outcome.data));
+                    self.updateReviewCount();
+                }
+            }).on('finished', function() {
+                $btn.prop('disabled', false).text(i18n.auto_map_by_sku || 'Auto-Map by SKU');
+
+                self.mappingInProgress = false;
+                $(window).off('beforeunload.zbooks-mapping');
+
+                var summaryMsg = (i18n.matching_complete || 'Matching complete!') + ' ';
+                summaryMsg += (i18n.suggestions || 'Suggestions') + ': ' + job.succeeded + ', ';
+                summaryMsg += (i18n.no_match || 'No match') + ': ' + job.failed;
+
+                if (job.succeeded > 0) {
+                    $status.html('<span style="color: #00a32a;">✓ ' + summaryMsg + '</span>');
+                } else {
+                    $status.html('<span style="color: #dba617;">⚠ ' + summaryMsg + '</span>');
+                    $queue.hide();
+                }
+            });
+
+            job.start();
+        },
+
+        /**
+         * Build a review queue row for one product's suggestions
+         *
+         * @param {Object} suggestion Product info and scored candidates
+         * @return {jQuery}
+         */
+        buildReviewRow: function(suggestion) {
+            var i18n = window.ZbooksCommon ? window.ZbooksCommon.config.i18n : {};
+            var $select = $('<select class="zbooks-review-candidate">');
+
+            $.each(suggestion.candidates, function(i, candidate) {
+                var text = candidate.name + (candidate.sku ? ' (' + candidate.sku + ')' : '') + ' - ' + candidate.confidence + '%';
+                if (candidate.already_mapped) {
+                    text += ' - ' + (i18n.already_linked || 'already linked');
+                }
+                $select.append(
+                    $('<option>')
+                        .val(candidate.item_id)
+                        .text(text)
+                        .data('candidate', candidate)
+                );
+            });
+
+            var details = [];
+            if (suggestion.product_sku) {
+                details.push((i18n.sku || 'SKU') + ': ' + suggestion.product_sku);
+            }
+            if (suggestion.product_price) {
+                details.push((i18n.price || 'Price') + ': ' + suggestion.product_price);
+            }
+
+            var $row = $('<tr>')
+                .attr('data-product-id', suggestion.product_id)
+                .append(
+                    $('<td>').append(
+                        $('<a>').attr('href', suggestion.edit_url).text(suggestion.product_name),
+                        $('<span class="zbooks-review-details">').text(details.join(' · '))
+                    ),
+                    $('<td>').append($select, $('<span class="zbooks-review-reasons">')),
+                    $('<td>').append($('<span class="zbooks-confidence">')),
+                    $('<td>').append(
+                        $('<button type="button" class="button button-small button-primary zbooks-review-accept">').text(i18n.accept || 'Accept'),
+                        ' ',
+                        $('<button type="button" class="button button-small zbooks-review-reject">').text(i18n.reject || 'Reject')
+                    )
+                );
+
+            this.updateReviewConfidence($row);
+
+            return $row;
+        },
+
+        /**
+         * Show the confidence and reasons for the selected candidate
+         *
+         * @param {jQuery} $row Review queue row
+         */
+        updateReviewConfidence: function($row) {
+            var i18n = window.ZbooksCommon ? window.ZbooksCommon.config.i18n : {};
+            var candidate = $row.find('.zbooks-review-candidate option:selected').data('candidate') || {};
+            var confidence = candidate.confidence || 0;
+            var labels = {
+                sku: i18n.reason_sku || 'SKU',
+                normalized_sku: i18n.reason_normalized_sku || 'Similar SKU',
+                partial_sku: i18n.reason_partial_sku || 'Partial SKU',
+                name: i18n.reason_name || 'Name',
+                price: i18n.reason_price || 'Price'
+            };
+
+            $row.find('.zbooks-confidence')
+                .text(confidence + '%')
+                .removeClass('zbooks-confidence-high zbooks-confidence-medium zbooks-confidence-low')
+                .addClass(confidence >= 90 ? 'zbooks-confidence-high' : (confidence >= 70 ? 'zbooks-confidence-medium' : 'zbooks-confidence-low'));
+
+            $row.find('.zbooks-review-reasons').text(
+                $.map(candidate.reasons || [], function(reason) {
+                    return labels[reason] || reason;
+                }).join(', ')
+            );
+        },
+
+        /**
+         * Update the pending suggestion count in the review queue header
+         */
+        updateReviewCount: function() {
+            var i18n = window.ZbooksCommon ? window.ZbooksCommon.config.i18n : {};
+            var count = $('#zbooks-review-queue tbody tr').length;
+
+            $('#zbooks-review-queue .zbooks-review-queue-count').text(count + ' ' + (i18n.pending || 'pending'));
+        },
+
+        /**
+         * Link the selected candidate for one review row
+         *
+         * @param {jQuery} $row Review queue row
+         */
+        acceptSuggestion: function($row) {
+            var self = this;
+            var i18n = window.ZbooksCommon ? window.ZbooksCommon.config.i18n : {};
+            var candidate = $row.find('.zbooks-review-candidate option:selected').data('candidate');
+            var $btn = $row.find('.zbooks-review-accept');
+
+            if (!candidate) {
+                return;
+            }
+
+            if (candidate.already_mapped &&
+                !confirm(i18n.confirm_already_linked || 'This Zoho item is already linked to another product. Link it anyway?')) {
+                return;
+            }
+
+            $row.find('button').prop('disabled', true);
+            $btn.text(i18n.linking || 'Linking...');
+
+            $.post(ajaxurl, {
+                action: 'zbooks_link_product',
+                nonce: self.nonce,
+                product_id: $row.data('product-id'),
+                item_id: candidate.item_id
+            }, function(response) {
+                if (response.success) {
+                    self.updateTotals(response.data.totals);
+                    self.finishHistoryGroup(self.recordChange(self.startHistoryGroup(i18n.history_accept || 'Accept suggestion'), response.data));
+                    $row.remove();
+                    self.updateReviewCount();
+                    self.loadGrid();
+                } else {
+                    $row.find('button').prop('disabled', false);
+                    $btn.text(i18n.accept || 'Accept');
+                    alert(response.data.message || (i18n.failed || 'Failed'));
+                }
+            }).fail(function(xhr) {
+                $row.find('button').prop('disabled', false);
+                $btn.text(i18n.accept || 'Accept');
+                alert(window.ZbooksCommon ?
+                    window.ZbooksCommon.getAjaxErrorMessage(xhr, i18n.failed || 'Failed') :
+                    (i18n.failed || 'Failed'));
+            });
+        },
+
+        /**
+         * Link every queued suggestion whose selected candidate scores 90% or more
+         *
+         * @param {jQuery} $btn The accept-all button
+         */
+        acceptHighConfidence: function($btn) {
+            var self = this;
+            var i18n = window.ZbooksCommon ? window.ZbooksCommon.config.i18n : {};
+            var selections = {};
+
+            var productIds = $('#zbooks-review-queue tbody tr').map(function() {
+                var candidate = $(this).find('.zbooks-review-candidate option:selected').data('candidate');
+                if (!candidate || candidate.confidence < 90 || candidate.already_mapped) {
+                    return null;
+                }
+                selections[$(this).data('product-id')] = candidate.item_id;
+                return $(this).data('product-id');
+            }).get();
+
+            if (!productIds.length) {
+                alert(i18n.no_high_confidence || 'No suggestions at 90% or higher.');
+                return;
+            }
+
+            if (!confirm((i18n.link || 'Link') + ' ' + productIds.length + ' ' + (i18n.products || 'products') + '?')) {
+                return;
+            }
+
+            $btn.prop('disabled', true);
+
+            var group = this.startHistoryGroup(i18n.history_accept_high || 'Accept all 90%+');
+            var job = window.ZBooks.JobRunner.create({
+                items: productIds,
+                action: 'zbooks_link_product',
+                nonce: self.nonce,
+                unit: 'products',
+                delay: 100,
+                data: function(productId) {
+                    return { product_id: productId, item_id: selections[productId] };
+                }
+            });
+
+            job.on('itemdone', function(productId, outcome) {
+                if (outcome.success) {
+                    self.updateTotals(outcome.data.totals);
+                    self.recordChange(group, outcome.data);
+                    $('#zbooks-review-queue tr[data-product-id="' + productId + '"]').remove();
+                    self.updateReviewCount();
+                }
+            }).on('finished', function() {
+                $btn.prop('disabled', false);
+                self.finishHistoryGroup(group);
+                self.loadGrid();
+            });
+
+            job.start();
+        },
+
+        /**
+         * Load the current page of the product grid
+         */
+        loadGrid: function() {
+            var self = this;
+            var i18n = window.ZbooksCommon ? window.ZbooksCommon.config.i18n : {};
+            var $tbody = $('.zbooks-product-grid tbody');
+
+            if (this.gridRequest) {
+                this.gridRequest.abort();
+            }
+
+            $('.zbooks-product-grid').addClass('zbooks-grid-busy');
+
+            this.gridRequest = $.ajax({
+                url: ajaxurl,
+                type: 'POST',
+                data: {
+                    action: 'zbooks_get_product_grid',
+                    nonce: self.nonce,
+                    filter: self.grid.filter,
+                    type: self.grid.type,
+                    search: self.grid.search,
+                    page: self.grid.page,
+                    per_page: self.grid.perPage
+                },
+                success: function(response) {
+                    if (!response.success) {
+                        $tbody.empty().append($('<tr>').append($('<td colspan="6">').text(response.data.message || (i18n.failed || 'Failed'))));
+                        return;
+                    }
+
+                    var data = response.data;
+
+                    // Step back when the last row of the last page was unlinked or mapped away.
+                    if (!data.rows.length && data.page > 1 && data.pages > 0) {
+                        self.grid.page = data.pages;
+                        self.loadGrid();
+                        return;
+                    }
+
+                    self.grid.pages = data.pages;
+                    self.renderGrid(data);
+                },
+                error: function(xhr, status) {
+                    if (status === 'abort') return;
+                    var message = window.ZbooksCommon ?
+                        window.ZbooksCommon.getAjaxErrorMessage(xhr, i18n.failed || 'Failed') :
+                        (i18n.failed || 'Failed');
+                    $tbody.empty().append($('<tr>').append($('<td colspan="6">').text(message)));
+                },
+                complete: function(xhr, status) {
+                    if (status !== 'abort') {
+                        self.gridRequest = null;
+                        $('.zbooks-product-grid').removeClass('zbooks-grid-busy');
+                    }
+                }
+            });
+        },
+
+        /**
+         * Render grid rows, filter counts and pager
+         *
+         * @param {Object} data Grid response data
+         */
+        renderGrid: function(data) {
+            var self = this;
+            var i18n = window.ZbooksCommon ? window.ZbooksCommon.config.i18n : {};
+            var $tbody = $('.zbooks-product-grid tbody').empty();
+
+            $.each(data.rows, function(i, row) {
+                $tbody.append(self.buildGridRow(row));
+            });
+
+            // Keep expanded variable products open across reloads
+            $.each(this.expandedParents, function(parentId) {
+                if ($tbody.find('tr[data-product-id="' + parentId + '"]').length) {
+                    self.loadVariations(parentId);
+                } else {
+                    delete self.expandedParents[parentId];
+                }
+            });
+
+            if (!data.rows.length) {
+                $tbody.append($('<tr>').append($('<td colspan="6">').text(i18n.no_products_found || 'No products found.')));
+            }
+
+            $.each(data.counts || {}, function(filter, count) {
+                $('.zbooks-grid-count[data-filter="' + filter + '"]').text(count);
+            });
+            this.updateTotals(data.totals);
+
+            $('#zbooks-select-all-products').prop('checked', false);
+            this.updateSelectedCount();
+
+            var $pager = $('.zbooks-grid-pager');
+            $pager.find('.displaying-num').text(data.total + ' ' + (i18n.items || 'items'));
+            $pager.find('.zbooks-grid-page-info').text(data.pages ? data.page + ' ' + (i18n.of || 'of') + ' ' + data.pages : '');
+            $pager.find('[data-page="first"], [data-page="prev"]').prop('disabled', data.page <= 1);
+            $pager.find('[data-page="next"], [data-page="last"]').prop('disabled', data.page >= data.pages);
+            $pager.toggle(data.pages > 1);
+
+            this.initSelect2();
+        },
+
+        /**
+         * Build a grid row with the same markup the link, unlink and create actions expect
+         *
+         * @param {Object} row Product row data
+         * @return {jQuery}
+         */
+        buildGridRow: function(row) {
+            var i18n = window.ZbooksCommon ? window.ZbooksCommon.config.i18n : {};
+            var isMapped = !!row.zoho_item_id;
+
+            var $sku = $('<td>').text(row.sku || '-');
+            if (row.sku_mismatch) {
+                $sku.append(
+                    ' ',
+                    $('<span class="dashicons dashicons-warning zbooks-sku-mismatch">')
+                        .attr('title', (i18n.sku_mismatch || 'SKU mismatch') + ': ' + row.zoho_item_sku)
+                );
+            }
+
+            var $product = $('<td>').append(
+                $('<a>').attr('href', row.edit_url).text(row.name),
+                $('<span class="zbooks-product-type">').text(row.type_label)
+            );
+            if (row.variation_count) {
+                $product.append(
+                    $('<button type="button" class="button-link zbooks-toggle-variations" aria-expanded="false">')
+                        .attr('data-product-id', row.id)
+                        .text((i18n.variations || 'Variations') + ' (' + row.variation_count + ')')
+                );
+            }
+
+            return $('<tr>')
+                .attr('data-product-id', row.id)
+                .toggleClass('zbooks-row-mapped', isMapped)
+                .toggleClass('zbooks-sku-mismatch-row', !!row.sku_mismatch)
+                .append(
+                    $('<td>').append(
+                        $('<input type="checkbox" class="zbooks-product-checkbox">').val(row.id),
+                        isMapped ? $('<span class="dashicons dashicons-yes zbooks-mapped-indicator">').attr('title', i18n.mapped || 'Mapped') : null
+                    ),
+                    $('<td>').text(row.id),
+                    $product,
+                    $sku,
+                    $('<td>').append(this.buildItemSelect(row)),
+                    $('<td>').append(this.buildRowActions(row))
+                );
+        },
+
+        /**
+         * Build the Zoho item picker for a row
+         *
+         * Only the mapped item is rendered; Select2 loads the rest from zbooks_search_zoho_items.
+         *
+         * @param {Object} row Product row data
+         * @return {jQuery}
+         */
+        buildItemSelect: function(row) {
+            var i18n = window.ZbooksCommon ? window.ZbooksCommon.config.i18n : {};
+
+            var $select = $('<select class="zbooks-zoho-item-select" style="width: 100%;">')
+                .attr('id', 'zoho-item-' + row.id)
+                .attr('name', 'zoho_item_id[' + row.id + ']')
+                .attr('data-product-id', row.id)
+                .attr('data-product-name', row.name)
+                .attr('data-product-sku', row.sku || '')
+                .append($('<option value="">').text(i18n.not_mapped || '-- Not Mapped --'));
+
+            if (row.zoho_item_id) {
+                $select.append(
+                    $('<option>')
+                        .val(row.zoho_item_id)
+                        .attr('data-sku', row.zoho_item_sku || '')
+                        .prop('selected', true)
+                        .text((row.zoho_item_name || row.zoho_item_id) + (row.zoho_item_sku ? ' (' + row.zoho_item_sku + ')' : ''))
+                );
+            }
+
+            return $select;
+        },
+
+        /**
+         * Build the link/unlink/create buttons for a row
+         *
+         * @param {Object} row Product row data
+         * @return {Array} Elements for the actions cell
+         */
+        buildRowActions: function(row) {
+            var i18n = window.ZbooksCommon ? window.ZbooksCommon.config.i18n : {};
+
+            if (row.zoho_item_id) {
+                return [
+                    $('<button type="button" class="button button-small zbooks-save-mapping" disabled style="opacity: 0.5; cursor: not-allowed;">')
+                        .attr('data-product-id', row.id)
+                        .text(i18n.linked || 'Linked'),
+                    ' ',
+                    $('<button type="button" class="button button-small zbooks-remove-mapping">')
+                        .attr('data-product-id', row.id)
+                        .text(i18n.unlink || 'Unlink')
+                ];
+            }
+
+            return [
+                $('<button type="button" class="button button-small zbooks-create-single">')
+                    .attr('data-product-id', row.id)
+                    .text(i18n.create || 'Create'),
+                ' ',
+                $('<button type="button" class="button button-small zbooks-save-mapping">')
+                    .attr('data-product-id', row.id)
+                    .text(i18n.link || 'Link')
+            ];
+        },
+
+        /**
+         * Reload whatever list a row belongs to after its mapping changed
+         *
+         * @param {jQuery} $row Grid, variation or meta box row
+         */
+        refreshRows: function($row) {
+            var parentId = $row.data('parent-id');
+
+            if (parentId) {
+                this.loadVariations(parentId);
+            } else if ($('.zbooks-product-grid').length) {
+                this.loadGrid();
+            }
+        },
+
+        /**
+         * Load and render the variations of a variable product
+         *
+         * Renders sub-rows under the parent in the Products tab grid, or into
+         * the variations panel of the product meta box.
+         *
+         * @param {number}   parentId Variable product ID
+         * @param {Function} done     Optional callback receiving the variation rows
+         */
+        loadVariations: function(parentId, done) {
+            var self = this;
+            var i18n = window.ZbooksCommon ? window.ZbooksCommon.config.i18n : {};
+
+            $.post(ajaxurl, {
+                action: 'zbooks_get_product_variations',
+                nonce: self.nonce,
+                product_id: parentId
+            }, function(response) {
+                if (!response.success) {
+                    $('#zbooks-action-status, .zbooks-product-result').first().text(response.data.message || (i18n.failed || 'Failed'));
+                    return;
+                }
+
+                var rows = response.data.rows;
+                var $panel = $('.zbooks-variations-panel[data-product-id="' + parentId + '"]');
+
+                if ($panel.length) {
+                    var $tbody = $panel.find('tbody').empty();
+                    $.each(rows, function(i, row) {
+                        $tbody.append(self.buildVariationItemRow(row));
+                    });
+                    if (!rows.length) {
+                        $tbody.append($('<tr>').append($('<td colspan="2">').text(i18n.no_variations || 'No variations.')));
+                    }
+                } else {
+                    self.renderVariationRows(parentId, rows);
+                }
+
+                self.initSelect2();
+
+                if (done) {
+                    done(rows);
+                }
+            });
+        },
+
+        /**
+         * Render variation sub-rows under their parent grid row
+         *
+         * @param {number} parentId Variable product ID
+         * @param {Array}  rows     Variation rows
+         */
+        renderVariationRows: function(parentId, rows) {
+            var self = this;
+            var i18n = window.ZbooksCommon ? window.ZbooksCommon.config.i18n : {};
+            var $parent = $('.zbooks-product-grid tr[data-product-id="' + parentId + '"]').not('.zbooks-variation-row');
+
+            if (!$parent.length) {
+                return;
+            }
+
+            $('.zbooks-product-grid tr[data-parent-id="' + parentId + '"]').remove();
+
+            var $after = $('<tr class="zbooks-variation-toolbar">')
+                .attr('data-parent-id', parentId)
+                .append(
+                    $('<td colspan="6">').append(
+                        $('<button type="button" class="button button-small zbooks-create-variations">')
+                            .attr('data-product-id', parentId)
+                            .text(i18n.create_all_variations || 'Create all variations in Zoho'),
+                        ' ',
+                        $('<button type="button" class="button button-small zbooks-automap-variations">')
+                            .attr('data-product-id', parentId)
+                            .text(i18n.auto_map_variations || 'Auto-map variations by SKU'),
+                        ' ',
+                        $('<span class="zbooks-variation-status">')
+                    )
+                );
+            $parent.after($after);
+
+            $.each(rows, function(i, row) {
+                var $row = self.buildGridRow(row)
+                    .addClass('zbooks-variation-row')
+                    .attr('data-parent-id', parentId);
+                $after.after($row);
+                $after = $row;
+            });
+
+            $parent.find('.zbooks-toggle-variations').attr('aria-expanded', 'true');
+            this.expandedParents[parentId] = true;
+        },
+
+        /**
+         * Build a compact variation row for the product meta box
+         *
+         * @param {Object} row Variation row data
+         * @return {jQuery}
+         */
+        buildVariationItemRow: function(row) {
+            var i18n = window.ZbooksCommon ? window.ZbooksCommon.config.i18n : {};
+
+            return $('<tr class="zbooks-variation-row">')
+                .attr('data-product-id', row.id)
+                .attr('data-parent-id', row.parent_id)
+                .toggleClass('zbooks-row-mapped', !!row.zoho_item_id)
+                .append(
+                    $('<td>').append(
+                        $('<strong>').text(row.name),
+                        $('<span class="zbooks-product-type">').text((i18n.sku || 'SKU') + ': ' + (row.sku || '-')),
+                        this.buildItemSelect(row)
+                    ),
+                    $('<td class="zbooks-variation-actions">').append(this.buildRowActions(row))
+                );
+        },
+
+        /**
+         * Collapse a parent's variation sub-rows
+         *
+         * @param {number} parentId Variable product ID
+         */
+        collapseVariations: function(parentId) {
+            $('.zbooks-product-grid tr[data-parent-id="' + parentId + '"]').remove();
+            $('.zbooks-product-grid .zbooks-toggle-variations[data-product-id="' + parentId + '"]').attr('aria-expanded', 'false');
+            delete this.expandedParents[parentId];
+            this.updateSelectedCount();
+        },
+
+        /**
+         * Create Zoho items for every unlinked variation of a product
+         *
+         * @param {number} parentId Variable product ID
+         * @param {jQuery} $btn     The button
+         * @param {jQuery} $status  Status element
+         */
+        createAllVariations: function(parentId, $btn, $status) {
+            var self = this;
+            var i18n = window.ZbooksCommon ? window.ZbooksCommon.config.i18n : {};
+
+            $btn.prop('disabled', true);
+            $status.text(i18n.creating || 'Creating...');
+
+            this.loadVariations(parentId, function(rows) {
+                var productIds = $.map(rows, function(row) {
+                    return row.zoho_item_id ? null : row.id;
+                });
+
+                if (!productIds.length) {
+                    $btn.prop('disabled', false);
+                    $status.text(i18n.all_variations_linked || 'All variations are already linked.');
+                    return;
+                }
+
+                $.post(ajaxurl, {
+                    action: 'zbooks_bulk_create_items',
+                    nonce: self.nonce,
+                    product_ids: productIds
+                }, function(response) {
+                    $status.text(response.data.message || (response.success ? (i18n.created || 'Created!') : (i18n.failed || 'Failed')));
+                    self.loadVariations(parentId);
+                    self.updateTotals(response.data.totals);
+                }).fail(function(xhr) {
+                    $status.text(window.ZbooksCommon.getAjaxErrorMessage(xhr, i18n.failed || 'Failed'));
+                }).always(function() {
+                    $btn.prop('disabled', false);
+                });
+            });
+        },
+
+        /**
+         * Map each unlinked variation to the Zoho item with the same SKU
+         *
+         * @param {number} parentId Variable product ID
+         * @param {jQuery} $btn     The button
+         * @param {jQuery} $status  Status element
+         */
+        autoMapVariations: function(parentId, $btn, $status) {
+            var self = this;
+            var i18n = window.ZbooksCommon ? window.ZbooksCommon.config.i18n : {};
+
+            $btn.prop('disabled', true);
+
+            this.loadVariations(parentId, function(rows) {
+                var productIds = $.map(rows, function(row) {
+                    return row.zoho_item_id ? null : row.id;
+                });
+
+                if (!productIds.length) {
+                    $btn.prop('disabled', false);
+                    $status.text(i18n.all_variations_linked || 'All variations are already linked.');
+                    return;
+                }
+
+                var group = self.startHistoryGroup(i18n.auto_map_variations || 'Auto-map variations by SKU');
+                var job = window.ZBooks.JobRunner.create({
+                    items: productIds,
+                    action: 'zbooks_auto_map_single_product',
+                    nonce: self.nonce,
+                    unit: 'products',
+                    delay: 300,
+                    data: function(productId) {
+                        return { product_id: productId };
+                    }
+                });
+
+                job.on('progress', function() {
+                    $status.text((i18n.mapping || 'Mapping...') + ' ' + job.processed + ' ' + (i18n.of || 'of') + ' ' + job.total);
+                }).on('itemdone', function(productId, outcome) {
+                    var $row = $('tr.zbooks-variation-row[data-product-id="' + productId + '"]');
+                    if (outcome.success) {
+                        self.updateTotals(outcome.data.totals);
+                        self.recordChange(group, outcome.data);
+                    } else {
+                        self.setRowResult($row, 'error', outcome.error);
+                    }
+                }).on('finished', function() {
+                    $btn.prop('disabled', false);
+                    self.finishHistoryGroup(group);
+                    $status.text(
+                        (i18n.mapped || 'Mapped') + ': ' + job.succeeded + ', ' +
+                        (i18n.failed || 'Failed') + ': ' + job.failed
+                    );
+
+                    // Keep the per-row errors visible after the refresh
+                    var errors = {};
+                    $('tr.zbooks-variation-row[data-parent-id="' + parentId + '"] .zbooks-row-result').each(function() {
+                        errors[$(this).closest('tr').data('product-id')] = $(this).text();
+                    });
+                    self.loadVariations(parentId, function() {
+                        $.each(errors, function(productId, text) {
+                            self.setRowResult($('tr.zbooks-variation-row[data-product-id="' + productId + '"]'), 'error', text);
+                        });
+                    });
+                });
+
+                job.start();
+            });
+        },
+
+        /**
+         * Initialize Select2 on Zoho item dropdowns
+         */
+        initSelect2: function() {
+            var self = this;
+
+            // Check if Select2 is available
+            if (typeof $.fn.select2 === 'undefined') {
+                return;
+            }
+
+            // Initialize Select2 on each dropdown
+            $('.zbooks-zoho-item-select').each(function() {
+                var $select = $(this);
+                var productId = $select.data('product-id');
+                var productName = $select.data('product-name') || '';
+                var productSku = $select.data('product-sku') || '';
+
+                // Check if already initialized to prevent duplicates
+                if ($select.hasClass('select2-hidden-accessible')) {
+                    return;
+                }
+
+                $select.select2({
+                    placeholder: '-- Not Mapped --',
+                    allowClear: true,
+                    width: '100%',
+                    ajax: {
+                        url: ajaxurl,
+                        dataType: 'json',
+                        delay: 250,
+                        data: function(params) {
+                            return {
+                                action: 'zbooks_search_zoho_items',
+                                nonce: self.nonce,
+                                q: params.term || '',
+                                product_id: productId,
+                                product_name: productName,
+                                product_sku: productSku,
+                                include_inactive: self.itemFilters.includeInactive ? 1 : 0,
+                                product_type: self.itemFilters.productType,
+                                page: params.page || 1
+                            };
+                        },
+                        processResults: function(response) {
+                            if (response.success && response.data) {
+                                return {
+                                    results: response.data.results,
+                                    pagination: response.data.pagination
+                                };
+                            }
+                            return {
+                                results: []
+                            };
+                        },
+                        cache: true
+                    },
+                    minimumInputLength: 0,
+                    templateResult: function(item) {
+                        if (item.loading || !item.name) {
+                            return item.text;
+                        }
+                        return self.buildItemCard(item);
+                    },
+                    templateSelection: function(item) {
+                        return item.text || item.id;
+                    }
+                });
+
+                // Inline status/type filters at the top of the dropdown
+                $select.on('select2:open', function() {
+                    var $dropdown = $select.data('select2').$dropdown;
+
+                    if ($dropdown.find('.zbooks-item-filters').length) {
+                        $dropdown.find('.zbooks-item-filter-inactive').prop('checked', self.itemFilters.includeInactive);
+                        $dropdown.find('.zbooks-item-filter-type').val(self.itemFilters.productType);
+                        return;
+                    }
+
+                    self.buildItemFilters()
+                        .insertAfter($dropdown.find('.select2-search'))
+                        .on('change', 'input, select', function() {
+                            self.readItemFilters($(this).closest('.zbooks-item-filters'));
+                            $dropdown.find('.select2-search__field').trigger('input');
+                        });
+                });
+            });
+        },
+
+        /**
+         * Build the inactive/type filter controls for the item pickers
+         *
+         * @return {jQuery}
+         */
+        buildItemFilters: function() {
+            var i18n = window.ZbooksCommon ? window.ZbooksCommon.config.i18n : {};
+
+            return $('<div class="zbooks-item-filters">').append(
+                $('<label>').append(
+                    $('<input type="checkbox" class="zbooks-item-filter-inactive">').prop('checked', this.itemFilters.includeInactive),
+                    ' ',
+                    i18n.show_inactive || 'Show inactive'
+                ),
+                $('<select class="zbooks-item-filter-type">').append(
+                    $('<option value="">').text(i18n.all_item_types || 'Goods and services'),
+                    $('<option value="goods">').text(i18n.goods || 'Goods'),
+                    $('<option value="service">').text(i18n.service || 'Service')
+                ).val(this.itemFilters.productType)
+            );
+        },
+
+        /**
+         * Store the filter values from a filter bar
+         *
+         * @param {jQuery} $filters Filter bar built by buildItemFilters
+         */
+        readItemFilters: function($filters) {
+            this.itemFilters.includeInactive = $filters.find('.zbooks-item-filter-inactive').is(':checked');
+            this.itemFilters.productType = $filters.find('.zbooks-item-filter-type').val();
+        },
+
+        /**
+         * Check whether an item passes the current picker filters
+         *
+         * @param {Object} item Zoho item preview
+         * @return {boolean}
+         */
+        itemMatchesFilters: function(item) {
+            if (!this.itemFilters.includeInactive && item.status === 'inactive') {
+                return false;
+            }
+
+            return !this.itemFilters.productType || item.product_type === this.itemFilters.productType;
+        },
+
+        /**
+         * Build a result card for a Zoho item
+         *
+         * @param {Object} item Zoho item preview (name, sku, rate, stock_on_hand, tax, type, status, linked_products)
+         * @return {jQuery}
+         */
+        buildItemCard: function(item) {
+            var i18n = window.ZbooksCommon ? window.ZbooksCommon.config.i18n : {};
+            var meta = [];
+
+            if (item.sku) {
+                meta.push((i18n.sku || 'SKU') + ': ' + item.sku);
+            }
+            if (item.rate !== undefined && item.rate !== null && item.rate !== '') {
+                meta.push((i18n.rate || 'Rate') + ': ' + parseFloat(item.rate).toFixed(2));
+            }
+            if (item.stock_on_hand !== undefined && item.stock_on_hand !== null) {
+                meta.push((i18n.stock || 'Stock') + ': ' + item.stock_on_hand);
+            }
+            if (item.tax_name) {
+                meta.push((i18n.tax || 'Tax') + ': ' + item.tax_name + (item.tax_percentage !== null && item.tax_percentage !== undefined ? ' (' + item.tax_percentage + '%)' : ''));
+            }
+
+            var $title = $('<div class="zbooks-item-card-title">').append($('<span>').text(item.name));
+
+            if (item.product_type) {
+                $title.append(
+                    $('<span class="zbooks-item-badge">').text(item.product_type === 'service' ? (i18n.service || 'Service') : (i18n.goods || 'Goods'))
+                );
+            }
+            $title.append(
+                item.status === 'inactive' ?
+                    $('<span class="zbooks-item-badge zbooks-item-badge-inactive">').text(i18n.inactive || 'Inactive') :
+                    $('<span class="zbooks-item-badge zbooks-item-badge-active">').text(i18n.active || 'Active')
+            );
+
+            var $card = $('<div class="zbooks-item-card">')
+                .toggleClass('zbooks-item-card-inactive', item.status === 'inactive')
+                .append($title);
+
+            if (meta.length) {
+                $card.append($('<div class="zbooks-item-card-meta">').text(meta.join(' \u00b7 ')));
+            }
+
+            if (item.linked_products && item.linked_products.length) {
+                $card.append(
+                    $('<div class="zbooks-item-card-linked">').text(
+                        (i18n.already_linked_to || 'Already linked to') + ': ' +
+                        $.map(item.linked_products, function(product) {
+                            return product.name;
+                        }).join(', ')
+                    )
+                );
+            }
+
+            return $card;
+        },
+
+        /**
+         * Confirm linking an item that other products already use
+         *
+         * @param {Object} item Zoho item preview
+         * @return {boolean} Whether to go ahead with the link
+         */
+        confirmDuplicateLink: function(item) {
+            var i18n = window.ZbooksCommon ? window.ZbooksCommon.config.i18n : {};
+
+            if (!item || !item.linked_products || !item.linked_products.length) {
+                return true;
+            }
+
+            var names = $.map(item.linked_products, function(product) {
+                return '- ' + product.name + ' (#' + product.id + ')';
+            });
+
+            return confirm(
+                (i18n.confirm_duplicate_link || 'This Zoho item is already linked to:') + '\n\n' +
+                names.join('\n') + '\n\n' +
+                (i18n.duplicate_link_proceed || 'Link it to this product as well?')
+            );
+        },
+
+        /**
+         * ========================================================================
+         * MAPPING HISTORY (undo for link, unlink and auto-map changes)
+         * ========================================================================
+         */
+
+        /**
+         * Get the sessionStorage key for the mapping history.
+         * Keyed by site and user like the bulk sync state.
+         */
+        getHistoryStorageKey: function() {
+            var config = window.ZbooksCommon ? window.ZbooksCommon.config : {};
+            var site = (config.ajaxUrl || ajaxurl || window.location.host).replace(/[^a-z0-9]+/gi, '_');
+
+            return this.historyStoragePrefix + site + '_' + (config.userId || 0);
+        },
+
+        /**
+         * Load the mapping history for this browser session
+         */
+        loadHistory: function() {
+            try {
+                var saved = JSON.parse(window.sessionStorage.getItem(this.getHistoryStorageKey()));
+                this.history = $.isArray(saved) ? saved : [];
+            } catch (error) {
+                // Corrupt or unavailable storage - start a fresh history
+                this.history = [];
+            }
+        },
+
+        /**
+         * Persist the mapping history, keeping the newest groups
+         */
+        saveHistory: function() {
+            this.history = this.history.slice(-this.historyLimit);
+
+            try {
+                window.sessionStorage.setItem(this.getHistoryStorageKey(), JSON.stringify(this.history));
+            } catch (error) {
+                // Storage unavailable or full - history lasts until the page is left
+            }
+        },
+
+        /**
+         * Start a group of changes made by one action or run
+         *
+         * @param {string} label Action name shown in the history
+         * @return {Object} Group to pass to recordChange and finishHistoryGroup
+         */
+        startHistoryGroup: function(label) {
+            return {
+                id: Date.now() + '-' + Math.random().toString(36).slice(2, 8),
+                label: label,
+                time: Date.now(),
+                changes: []
+            };
+        },
+
+        /**
+         * Record a mapping change from a link, unlink or auto-map response
+         *
+         * @param {Object} group History group
+         * @param {Object} data  Response data with product_id, item_id and previous_item_id
+         * @return {Object} The group
+         */
+        recordChange: function(group, data) {
+            var itemId = data.item_id ? String(data.item_id) : '';
+            var previousItemId = data.previous_item_id ? String(data.previous_item_id) : '';
+
+            if (itemId !== previousItemId) {
+                group.changes.push({
+                    productId: data.product_id,
+                    productName: data.product_name || '',
+                    itemId: itemId,
+                    itemName: data.item_name || '',
+                    previousItemId: previousItemId,
+                    previousItemName: data.previous_item_name || '',
+                    state: 'applied'
+                });
+            }
+
+            return group;
+        },
+
+        /**
+         * Add a finished group to the history and offer to undo it
+         *
+         * @param {Object} group History group
+         */
+        finishHistoryGroup: function(group) {
+            if (!group.changes.length) {
+                return;
+            }
+
+            this.history.push(group);
+            this.saveHistory();
+            this.renderHistory();
+            this.showUndoToast(group);
+        },
+
+        /**
+         * Find a history group by ID
+         *
+         * @param {string} groupId Group ID
+         * @return {Object|null}
+         */
+        findHistoryGroup: function(groupId) {
+            var found = null;
+
+            $.each(this.history, function(i, group) {
+                if (group.id === String(groupId)) {
+                    found = group;
+                    return false;
+                }
+            });
+
+            return found;
+        },
+
+        /**
+         * Count the changes in a list that can still be reverted
+         *
+         * @param {Array} changes History changes
+         * @return {number}
+         */
+        countApplied: function(changes) {
+            return $.grep(changes, function(change) {
+                return change.state === 'applied';
+            }).length;
+        },
+
+        /**
+         * Show the undo toast for a group
+         *
+         * @param {Object} group History group
+         */
+        showUndoToast: function(group) {
+            var self = this;
+            var i18n = window.ZbooksCommon ? window.ZbooksCommon.config.i18n : {};
+            var $toast = $('#zbooks-undo-toast');
+            var count = this.countApplied(group.changes);
+            var noun = count === 1 ? (i18n.change || 'change') : (i18n.changes || 'changes');
+
+            if (!$toast.length || !count) {
+                return;
+            }
 
-                self.autoMapProductsIndividually($btn, $status, i18n);
-            });
+            clearTimeout(this.undoToastTimer);
 
-            // Refresh Zoho items button
-            $('#zbooks-refresh-items').on('click', function() {
-                var $btn = $(this);
-                var $status = $('#zbooks-action-status');
-                var i18n = window.ZbooksCommon ? window.ZbooksCommon.config.i18n : {};
+            $toast.find('.zbooks-undo-toast-text').text(group.label + ': ' + count + ' ' + noun);
+            $toast.find('.zbooks-undo-toast-undo')
+                .data('group-id', group.id)
+                .prop('disabled', false)
+                .text((i18n.undo_last || 'Undo last') + ' ' + count + ' ' + noun);
+            $toast.stop(true, true).fadeIn(150);
 
-                if ($btn.prop('disabled')) {
-                    return;
-                }
+            this.undoToastTimer = setTimeout(function() {
+                self.hideUndoToast();
+            }, this.undoWindow);
+        },
 
-                $btn.prop('disabled', true).text(i18n.refreshing || 'Refreshing...');
-                $status.text(i18n.fetching_zoho_items || 'Fetching Zoho items...');
+        /**
+         * Hide the undo toast
+         */
+        hideUndoToast: function() {
+            clearTimeout(this.undoToastTimer);
+            $('#zbooks-undo-toast').stop(true, true).fadeOut(150);
+        },
 
-                $.post(ajaxurl, {
-                    action: 'zbooks_fetch_zoho_items',
-                    nonce: self.nonce
-                }, function(response) {
-                    $btn.prop('disabled', false).text(i18n.refresh_zoho_items || 'Refresh Zoho Items');
-                    if (response.success) {
-                        $status.text(response.data.message || (i18n.items_refreshed || 'Items refreshed!'));
-                        setTimeout(function() {
-                            location.reload();
-                        }, 1000);
-                    } else {
-                        $status.text(response.data.message || (i18n.refresh_failed || 'Refresh failed'));
-                    }
-                }).fail(function(xhr) {
-                    $btn.prop('disabled', false).text(i18n.refresh_zoho_items || 'Refresh Zoho Items');
-                    var errorMsg = window.ZbooksCommon ? 
-                        window.ZbooksCommon.getAjaxErrorMessage(xhr, i18n.refresh_failed || 'Refresh failed') :
-                        'Refresh failed';
-                    $status.text(errorMsg);
-                });
+        /**
+         * Undo a whole group from the toast
+         *
+         * @param {Object} group History group
+         */
+        undoGroup: function(group) {
+            var self = this;
+            var i18n = window.ZbooksCommon ? window.ZbooksCommon.config.i18n : {};
+            var $toast = $('#zbooks-undo-toast');
+
+            clearTimeout(this.undoToastTimer);
+            $toast.find('.zbooks-undo-toast-undo').prop('disabled', true);
+            $toast.find('.zbooks-undo-toast-text').text(i18n.undoing || 'Undoing...');
+
+            this.revertChanges(group.changes, function(summary) {
+                $toast.find('.zbooks-undo-toast-text').text(self.describeRevert(summary));
+                self.undoToastTimer = setTimeout(function() {
+                    self.hideUndoToast();
+                }, 4000);
             });
         },
 
         /**
-         * Auto-map products individually via AJAX without page reload
+         * Revert mapping changes on the server
          *
-         * @param {jQuery} $btn    The auto-map button
-         * @param {jQuery} $status The status display element
-         * @param {Object} i18n    Internationalization strings
+         * A change whose product has been linked elsewhere since is left alone
+         * and marked as a conflict.
+         *
+         * @param {Array}    changes History changes to revert
+         * @param {Function} done    Optional callback receiving {reverted, conflicts, failed}
          */
-        autoMapProductsIndividually: function($btn, $status, i18n) {
+        revertChanges: function(changes, done) {
             var self = this;
+            var summary = { reverted: 0, conflicts: 0, failed: 0 };
+            var chunkSize = 200;
+            var chunks = [];
+
+            // Newest first, so a product changed twice ends up on its original item
+            var pending = $.grep(changes, function(change) {
+                return change.state === 'applied';
+            }).reverse();
+
+            if (!pending.length || this.revertInProgress) {
+                if (done) {
+                    done(summary);
+                }
+                return;
+            }
 
-            // Set flag to prevent navigation
-            self.mappingInProgress = true;
+            for (var i = 0; i < pending.length; i += chunkSize) {
+                chunks.push(pending.slice(i, i + chunkSize));
+            }
 
-            // Add beforeunload event listener
-            $(window).on('beforeunload.zbooks-mapping', function(e) {
-                if (self.mappingInProgress) {
-                    var message = i18n.mapping_leave_warning ||
-                        'Mapping is in progress. Are you sure you want to leave? Unmapped products will not be processed.';
-                    e.preventDefault();
-                    e.returnValue = message;
-                    return message;
+            this.revertInProgress = true;
+            $('#zbooks-history-drawer').addClass('zbooks-history-busy');
+
+            var job = window.ZBooks.JobRunner.create({
+                items: chunks,
+                action: 'zbooks_revert_mappings',
+                nonce: self.nonce,
+                unit: 'changes',
+                // One writer at a time: every request rewrites the whole mapping option
+                workers: 1,
+                data: function(chunk) {
+                    return {
+                        changes: JSON.stringify($.map(chunk, function(change) {
+                            return {
+                                product_id: change.productId,
+                                item_id: change.itemId,
+                                previous_item_id: change.previousItemId
+                            };
+                        }))
+                    };
                 }
             });
 
-            // Find all unmapped product rows (those with empty select values)
-            var $unmappedRows = $('tr[data-product-id]').filter(function() {
-                var $row = $(this);
-                var $select = $row.find('.zbooks-zoho-item-select');
-                var currentValue = $select.val();
-                // Only include rows that are not currently mapped
-                return !currentValue || currentValue === '';
-            });
-
-            if ($unmappedRows.length === 0) {
-                $status.html('<span style="color: #dba617;">⚠ ' + (i18n.no_unmapped_products || 'No unmapped products found.') + '</span>');
-                return;
-            }
+            job.on('itemdone', function(chunk, outcome) {
+                if (!outcome.success) {
+                    summary.failed += chunk.length;
+                    return;
+                }
 
-            var total = $unmappedRows.length;
-            var mapped = 0;
-            var failed = 0;
-            var currentIndex = 0;
+                self.updateTotals(outcome.data.totals);
 
-            // Disable button during processing
-            $btn.prop('disabled', true).text(i18n.mapping || 'Mapping...');
+                $.each(chunk, function(index, change) {
+                    var result = outcome.data.results[change.productId];
 
-            /**
-             * Process a single product
-             */
-            function processSingleProduct() {
-                if (currentIndex >= $unmappedRows.length) {
-                    // All done - show summary
-                    $btn.prop('disabled', false).text(i18n.auto_map_by_sku || 'Auto-Map by SKU');
-                    
-                    // Clear mapping in progress flag and remove warning
-                    self.mappingInProgress = false;
-                    $(window).off('beforeunload.zbooks-mapping');
-                    
-                    var summaryMsg = (i18n.mapping_complete || 'Mapping complete!') + ' ';
-                    summaryMsg += (i18n.mapped || 'Mapped') + ': ' + mapped + ', ';
-                    summaryMsg += (i18n.failed || 'Failed') + ': ' + failed;
-                    
-                    if (mapped > 0) {
-                        $status.html('<span style="color: #00a32a;">✓ ' + summaryMsg + '</span>');
+                    if (result === 'reverted') {
+                        change.state = 'reverted';
+                        summary.reverted++;
+                    } else if (result === 'conflict') {
+                        change.state = 'conflict';
+                        summary.conflicts++;
                     } else {
-                        $status.html('<span style="color: #dba617;">⚠ ' + summaryMsg + '</span>');
+                        summary.failed++;
                     }
-
-                    return;
+                });
+            }).on('finished', function() {
+                self.revertInProgress = false;
+                $('#zbooks-history-drawer').removeClass('zbooks-history-busy');
+                self.saveHistory();
+                self.renderHistory();
+                $('#zbooks-history-drawer .zbooks-history-status').text(self.describeRevert(summary));
+
+                if (summary.reverted && $('.zbooks-product-grid').length) {
+                    self.loadGrid();
                 }
 
-                var $row = $($unmappedRows[currentIndex]);
-                var productId = $row.data('product-id');
-                var $select = $row.find('.zbooks-zoho-item-select');
-                var $checkbox = $row.find('.zbooks-product-checkbox');
+                if (done) {
+                    done(summary);
+                }
+            });
 
-                // Update progress
-                var progressMsg = (i18n.mapping_product || 'Mapping product') + ' ' + (currentIndex + 1) + ' ' + (i18n.of || 'of') + ' ' + total + '...';
-                $status.html('<span class="spinner is-active" style="float:none; margin:0 5px 0 0;"></span>' + progressMsg);
+            job.start();
+        },
 
-                // Grey out the row and add spinner
-                $row.addClass('zbooks-mapping-in-progress');
-                var $productNameCell = $row.find('td:nth-child(3)');
-                $productNameCell.append('<span class="zbooks-mapping-spinner"></span>');
-
-                $.ajax({
-                    url: ajaxurl,
-                    type: 'POST',
-                    data: {
-                        action: 'zbooks_auto_map_single_product',
-                        product_id: productId,
-                        nonce: self.nonce
-                    },
-                    success: function(response) {
-                        // Remove grey-out and spinner
-                        $row.removeClass('zbooks-mapping-in-progress');
-                        $row.find('.zbooks-mapping-spinner').remove();
-                        
-                        if (response.success && response.data) {
-                            // Successfully mapped - update the UI
-                            mapped++;
-                            
-                            // Update totals after each product is mapped
-                            self.updateTotals(response.data.totals);
-                            
-                            // Update the select dropdown
-                            var itemId = response.data.item_id;
-                            var itemName = response.data.item_name;
-                            var itemSku = response.data.item_sku || '';
-                            
-                            // Check if option exists, if not add it
-                            var $option = $select.find('option[value="' + itemId + '"]');
-                            if ($option.length === 0) {
-                                var optionText = itemName;
-                                if (itemSku) {
-                                    optionText += ' (' + itemSku + ')';
-                                }
-                                $select.append('<option value="' + itemId + '">' + optionText + '</option>');
-                            }
-                            
-                            // Set the selected value
-                            $select.val(itemId).trigger('change');
-                            
-                            // Replace checkbox with success icon
-                            $checkbox.replaceWith('<span class="dashicons dashicons-yes" style="color: #00a32a;" title="' + (i18n.mapped || 'Mapped') + '"></span>');
-                            
-                            // Update row background to success
-                            $row.css('background-color', '#d4edda');
-                            
-                            // Update the action buttons
-                            var $actionsCell = $row.find('td:last');
-                            $actionsCell.html(
-                                '<button type="button" class="button button-small zbooks-save-mapping" data-product-id="' + productId + '" disabled style="opacity: 0.5; cursor: not-allowed;">' +
-                                (i18n.linked || 'Linked') +
-                                '</button> ' +
-                                '<button type="button" class="button button-small zbooks-remove-mapping" data-product-id="' + productId + '">' +
-                                (i18n.unlink || 'Unlink') +
-                                '</button>'
-                            );
-                        } else {
-                            // Failed to map
-                            failed++;
-                            $row.css('background-color', '#f8d7da');
-                        }
-                    },
-                    error: function() {
-                        // Remove grey-out and spinner
-                        $row.removeClass('zbooks-mapping-in-progress');
-                        $row.find('.zbooks-mapping-spinner').remove();
+        /**
+         * Describe the outcome of a revert
+         *
+         * @param {Object} summary Counts from revertChanges
+         * @return {string}
+         */
+        describeRevert: function(summary) {
+            var i18n = window.ZbooksCommon ? window.ZbooksCommon.config.i18n : {};
+            var parts = [(i18n.reverted || 'Reverted') + ': ' + summary.reverted];
 
-                        failed++;
-                        $row.css('background-color', '#f8d7da');
-                    },
-                    complete: function() {
-                        // Move to next product after a short delay
-                        currentIndex++;
-                        setTimeout(processSingleProduct, 300);
-                    }
-                });
+            if (summary.conflicts) {
+                parts.push((i18n.changed_since || 'Changed since') + ': ' + summary.conflicts);
+            }
+            if (summary.failed) {
+                parts.push((i18n.failed || 'Failed') + ': ' + summary.failed);
             }
 
-            // Start processing
-            processSingleProduct();
+            return parts.join(', ');
         },
 
         /**
-         * Initialize Select2 on Zoho item dropdowns
+         * Open or close the history drawer
+         *
+         * @param {boolean} open Force a state; toggles when omitted
          */
-        initSelect2: function() {
+        toggleHistoryDrawer: function(open) {
+            var $drawer = $('#zbooks-history-drawer');
+
+            open = typeof open === 'boolean' ? open : !$drawer.hasClass('zbooks-history-open');
+            $drawer.toggleClass('zbooks-history-open', open).attr('aria-hidden', open ? 'false' : 'true');
+            $('#zbooks-history-toggle').attr('aria-expanded', open ? 'true' : 'false');
+        },
+
+        /**
+         * Render the history drawer, newest group first
+         */
+        renderHistory: function() {
             var self = this;
+            var i18n = window.ZbooksCommon ? window.ZbooksCommon.config.i18n : {};
+            var $drawer = $('#zbooks-history-drawer');
+            var $list = $drawer.find('.zbooks-history-list').empty();
+            var visibleChanges = 50;
+            var applied = 0;
 
-            // Check if Select2 is available
-            if (typeof $.fn.select2 === 'undefined') {
+            if (!$drawer.length) {
                 return;
             }
 
-            // Initialize Select2 on each dropdown
-            $('.zbooks-zoho-item-select').each(function() {
-                var $select = $(this);
-                var productId = $select.data('product-id');
-                var productName = $select.data('product-name') || '';
-                var productSku = $select.data('product-sku') || '';
+            $.each(this.history, function(i, group) {
+                applied += self.countApplied(group.changes);
+            });
+            $('.zbooks-history-count').text(applied);
+            $drawer.find('.zbooks-history-clear').prop('disabled', !this.history.length);
 
-                // Check if already initialized to prevent duplicates
-                if ($select.hasClass('select2-hidden-accessible')) {
-                    return;
-                }
+            if (!this.history.length) {
+                $list.append($('<p class="description">').text(i18n.no_history || 'No mapping changes in this session yet.'));
+                return;
+            }
 
-                $select.select2({
-                    placeholder: '-- Not Mapped --',
-                    allowClear: true,
-                    width: '100%',
-                    ajax: {
-                        url: ajaxurl,
-                        dataType: 'json',
-                        delay: 250,
-                        data: function(params) {
-                            return {
-                                action: 'zbooks_search_zoho_items',
-                                nonce: self.nonce,
-                                q: params.term || '',
-                                product_id: productId,
-                                product_name: productName,
-                                product_sku: productSku,
-                                page: params.page || 1
-                            };
-                        },
-                        processResults: function(response) {
-                            if (response.success && response.data) {
-                                return {
-                                    results: response.data.results,
-                                    pagination: response.data.pagination
-                                };
-                            }
-                            return {
-                                results: []
-                            };
-                        },
-                        cache: true
-                    },
-                    minimumInputLength: 0,
-                    templateResult: function(item) {
-                        if (item.loading) {
-                            return item.text;
-                        }
-                        return item.text;
-                    },
-                    templateSelection: function(item) {
-                        return item.text || item.id;
-                    }
+            var describeItem = function(name, id) {
+                return id ? (name || id) : (i18n.not_linked || 'Not linked');
+            };
+            var stateLabels = {
+                reverted: i18n.reverted || 'Reverted',
+                conflict: i18n.changed_since || 'Changed since'
+            };
+
+            $.each(this.history.slice().reverse(), function(i, group) {
+                var groupApplied = self.countApplied(group.changes);
+                var $changes = $('<ul class="zbooks-history-changes">');
+
+                $.each(group.changes.slice(0, visibleChanges), function(index, change) {
+                    $changes.append(
+                        $('<li>').addClass('zbooks-history-' + change.state).append(
+                            $('<span class="zbooks-history-product">').text(change.productName || '#' + change.productId),
+                            $('<span class="zbooks-history-diff">').text(
+                                describeItem(change.previousItemName, change.previousItemId) + ' → ' +
+                                describeItem(change.itemName, change.itemId)
+                            ),
+                            change.state === 'applied' ?
+                                $('<button type="button" class="button-link zbooks-history-revert-change">')
+                                    .attr('data-index', index)
+                                    .text(i18n.revert || 'Revert') :
+                                $('<span class="zbooks-history-state">').text(stateLabels[change.state] || change.state)
+                        )
+                    );
                 });
+
+                if (group.changes.length > visibleChanges) {
+                    $changes.append(
+                        $('<li class="zbooks-history-more">').text(
+                            '+ ' + (group.changes.length - visibleChanges) + ' ' + (i18n.more || 'more')
+                        )
+                    );
+                }
+
+                $list.append(
+                    $('<div class="zbooks-history-group">').attr('data-group-id', group.id).append(
+                        $('<div class="zbooks-history-group-header">').append(
+                            $('<strong>').text(group.label),
+                            $('<span class="zbooks-history-time">').text(new Date(group.time).toLocaleTimeString()),
+                            group.changes.length > 1 ?
+                                $('<button type="button" class="button button-small zbooks-history-revert-group">')
+                                    .prop('disabled', !groupApplied)
+                                    .text((i18n.revert_all || 'Revert all') + ' (' + groupApplied + ')') :
+                                null
+                        ),
+                        $changes
+                    )
+                );
             });
         },
 
@@ -639,6 +2908,29 @@
                 self.syncProductToZoho(productId, $btn, $result);
             });
 
+            // Compare with Zoho
+            $(document).on('click', '.zbooks-compare-item-btn', function() {
+                self.compareWithZoho($(this).data('product-id'), $(this));
+            });
+
+            // Compare panel: one direction per field
+            $(document).on('change', '.zbooks-compare-direction', function() {
+                if ($(this).is(':checked')) {
+                    $('.zbooks-compare-direction[data-field="' + $(this).data('field') + '"]').not(this).prop('checked', false);
+                }
+                $('.zbooks-compare-apply').prop('disabled', !$('.zbooks-compare-direction:checked').length);
+            });
+
+            // Compare panel: apply selected directions
+            $(document).on('click', '.zbooks-compare-apply', function() {
+                self.syncSelectedFields($(this).data('product-id'), $(this));
+            });
+
+            // Compare panel: close
+            $(document).on('click', '.zbooks-compare-close', function() {
+                $('.zbooks-compare-panel').slideUp(150);
+            });
+
             // Unlink button
             $(document).on('click', '.zbooks-unlink-btn', function() {
                 var $btn = $(this);
@@ -783,43 +3075,68 @@
             var self = this;
             var i18n = (window.ZBooks && window.ZBooks.config && window.ZBooks.config.i18n) || {};
 
-            var dialogHtml = '<div class="zbooks-item-selection" style="background:#e7f3ff;border:1px solid #b3d7ff;padding:12px;border-radius:4px;margin-top:10px;">' +
-                '<p style="margin:0 0 10px;color:#004085;"><strong>' + (i18n.select_item_to_link || 'Select Item to Link') + '</strong></p>' +
-                '<div style="max-height:200px;overflow-y:auto;margin-bottom:10px;">';
+            var $list = $('<div class="zbooks-item-selection-list">');
+            var $dialog = $('<div class="zbooks-item-selection" style="background:#e7f3ff;border:1px solid #b3d7ff;padding:12px;border-radius:4px;margin-top:10px;">').append(
+                $('<p style="margin:0 0 10px;color:#004085;">').append($('<strong>').text(i18n.select_item_to_link || 'Select Item to Link')),
+                this.buildItemFilters(),
+                $list,
+                $('<p class="zbooks-item-selection-empty" style="display:none;">').text(i18n.no_items_match_filters || 'No items match the filters.'),
+                $('<p style="margin:0;">').append(
+                    $('<button type="button" class="button button-primary zbooks-link-selected" style="margin-right:5px;">').text(i18n.link_selected || 'Link Selected'),
+                    $('<button type="button" class="button zbooks-cancel-create">').text(i18n.cancel || 'Cancel')
+                )
+            );
+
+            items.forEach(function(item) {
+                $list.append(
+                    $('<label class="zbooks-item-option">')
+                        .data('item', item)
+                        .append(
+                            $('<input type="radio" name="zbooks_select_item">').val(item.item_id),
+                            self.buildItemCard(item)
+                        )
+                );
+            });
 
-            items.forEach(function(item, index) {
-                var itemInfo = item.name;
-                if (item.sku) {
-                    itemInfo += ' (SKU: ' + item.sku + ')';
-                }
-                if (item.rate) {
-                    itemInfo += ' - ' + item.rate;
+            // Hide filtered-out items and keep a visible item selected
+            var applyFilters = function() {
+                var $visible = $list.find('.zbooks-item-option').filter(function() {
+                    var matches = self.itemMatchesFilters($(this).data('item'));
+                    $(this).toggle(matches);
+                    return matches;
+                });
+
+                if (!$visible.find('input:checked').length) {
+                    $list.find('input:checked').prop('checked', false);
+                    $visible.first().find('input').prop('checked', true);
                 }
 
-                dialogHtml += '<label style="display:block;padding:8px;margin:4px 0;background:#fff;border:1px solid #ddd;border-radius:3px;cursor:pointer;">' +
-                    '<input type="radio" name="zbooks_select_item" value="' + item.item_id + '" ' + (index === 0 ? 'checked' : '') + ' style="margin-right:8px;">' +
-                    '<span>' + itemInfo + '</span>' +
-                    '</label>';
-            });
+                $dialog.find('.zbooks-item-selection-empty').toggle(!$visible.length);
+                $dialog.find('.zbooks-link-selected').prop('disabled', !$visible.length);
+            };
 
-            dialogHtml += '</div>' +
-                '<p style="margin:0;">' +
-                '<button type="button" class="button button-primary zbooks-link-selected" style="margin-right:5px;">' + (i18n.link_selected || 'Link Selected') + '</button>' +
-                '<button type="button" class="button zbooks-cancel-create">' + (i18n.cancel || 'Cancel') + '</button>' +
-                '</p></div>';
+            $result.empty().append($dialog);
+            applyFilters();
 
-            $result.html(dialogHtml);
+            $dialog.find('.zbooks-item-filters').on('change', 'input, select', function() {
+                self.readItemFilters($(this).closest('.zbooks-item-filters'));
+                applyFilters();
+            });
 
             // Handle link selected
-            $result.find('.zbooks-link-selected').on('click', function() {
-                var selectedItemId = $result.find('input[name="zbooks_select_item"]:checked').val();
-                if (selectedItemId) {
-                    self.linkItemToProduct(productId, selectedItemId, $result);
+            $dialog.find('.zbooks-link-selected').on('click', function() {
+                var $selected = $list.find('input[name="zbooks_select_item"]:checked');
+                if (!$selected.length) {
+                    return;
+                }
+                if (!self.confirmDuplicateLink($selected.closest('.zbooks-item-option').data('item'))) {
+                    return;
                 }
+                self.linkItemToProduct(productId, $selected.val(), $result);
             });
 
             // Handle cancel
-            $result.find('.zbooks-cancel-create').on('click', function() {
+            $dialog.find('.zbooks-cancel-create').on('click', function() {
                 $result.html('');
             });
         },
@@ -901,6 +3218,165 @@
             });
         },
 
+        /**
+         * Fetch the linked Zoho item and show it next to the product values
+         *
+         * @param {number} productId Product ID
+         * @param {jQuery} $btn      The compare button
+         */
+        compareWithZoho: function(productId, $btn) {
+            var self = this;
+            var i18n = (window.ZBooks && window.ZBooks.config && window.ZBooks.config.i18n) || {};
+            var $result = $('.zbooks-product-result');
+
+            $btn.prop('disabled', true).text(i18n.comparing || 'Comparing...');
+            $result.html('');
+
+            $.post(ajaxurl, {
+                action: 'zbooks_compare_product_item',
+                nonce: self.productNonce || self.nonce,
+                product_id: productId
+            }, function(response) {
+                if (response.success) {
+                    self.renderComparePanel(productId, response.data.fields);
+                } else {
+                    $result.html('<span style="color:red;">' + window.ZBooks.escapeHtml(response.data.message) + '</span>');
+                }
+            }).fail(function(xhr) {
+                $result.html('<span style="color:red;">' +
+                    window.ZBooks.escapeHtml(window.ZBooks.getAjaxErrorMessage(xhr, i18n.failed || 'Failed')) + '</span>');
+            }).always(function() {
+                $btn.prop('disabled', false).text(i18n.compare_with_zoho || 'Compare with Zoho');
+            });
+        },
+
+        /**
+         * Render the side-by-side field comparison
+         *
+         * @param {number} productId Product ID
+         * @param {Array}  fields    Fields from the compare endpoint
+         */
+        renderComparePanel: function(productId, fields) {
+            var i18n = (window.ZBooks && window.ZBooks.config && window.ZBooks.config.i18n) || {};
+            var $panel = $('.zbooks-compare-panel').empty();
+            var differing = 0;
+
+            function value(text) {
+                return text === '' || text === null || text === undefined ?
+                    $('<em>').text('—') :
+                    document.createTextNode(text);
+            }
+
+            $.each(fields, function(i, field) {
+                if (field.differs) {
+                    differing++;
+                }
+
+                var $directions = $('<div class="zbooks-compare-directions">');
+                if (field.can_push) {
+                    $directions.append($('<label>').append(
+                        $('<input type="checkbox" class="zbooks-compare-direction" value="push">').attr('data-field', field.key),
+                        ' ' + (i18n.push_to_zoho || 'Push to Zoho')
+                    ));
+                }
+                if (field.can_pull) {
+                    $directions.append($('<label>').append(
+                        $('<input type="checkbox" class="zbooks-compare-direction" value="pull">').attr('data-field', field.key),
+                        ' ' + (i18n.pull_into_woocommerce || 'Pull into WooCommerce')
+                    ));
+                }
+
+                $panel.append(
+                    $('<div class="zbooks-compare-field">')
+                        .toggleClass('zbooks-compare-differs', !!field.differs)
+                        .append(
+                            $('<strong>').text(field.label),
+                            $('<div class="zbooks-compare-values">').append(
+                                $('<div>').append($('<span class="zbooks-compare-source">').text(i18n.woocommerce || 'WooCommerce'), value(field.wc)),
+                                $('<div>').append($('<span class="zbooks-compare-source">').text(i18n.zoho || 'Zoho'), value(field.zoho))
+                            ),
+                            $directions
+                        )
+                );
+            });
+
+            $panel.prepend(
+                $('<p class="zbooks-compare-summary">').text(
+                    differing ?
+                        differing + ' ' + (i18n.fields_differ || 'field(s) differ') :
+                        (i18n.fields_in_sync || 'All fields match.')
+                )
+            );
+
+            $panel.append(
+                $('<p>').append(
+                    $('<button type="button" class="button button-primary zbooks-compare-apply" disabled>')
+                        .attr('data-product-id', productId)
+                        .text(i18n.apply_selected || 'Apply Selected'),
+                    ' ',
+                    $('<button type="button" class="button zbooks-compare-close">').text(i18n.close || 'Close')
+                )
+            );
+
+            $panel.slideDown(150);
+        },
+
+        /**
+         * Sync the checked fields in their chosen direction
+         *
+         * @param {number} productId Product ID
+         * @param {jQuery} $btn      The apply button
+         */
+        syncSelectedFields: function(productId, $btn) {
+            var self = this;
+            var i18n = (window.ZBooks && window.ZBooks.config && window.ZBooks.config.i18n) || {};
+            var $result = $('.zbooks-product-result');
+            var fields = {};
+
+            $('.zbooks-compare-direction:checked').each(function() {
+                fields[$(this).data('field')] = $(this).val();
+            });
+
+            if ($.isEmptyObject(fields)) {
+                return;
+            }
+
+            $btn.prop('disabled', true).text(i18n.syncing || 'Syncing...');
+            $result.html('');
+
+            $.post(ajaxurl, {
+                action: 'zbooks_sync_product_fields',
+                nonce: self.productNonce || self.nonce,
+                product_id: productId,
+                fields: JSON.stringify(fields)
+            }, function(response) {
+                if (response.success) {
+                    $result.html('<span style="color:green;">' + window.ZBooks.escapeHtml(response.data.message) + '</span>');
+                    self.updateProductMetaBox(response.data);
+                    self.renderComparePanel(productId, response.data.fields);
+
+                    // Pulled values are saved on the product; reload so the edit form does not overwrite them
+                    if (response.data.pulled && response.data.pulled.length) {
+                        $result.append(
+                            ' ',
+                            $('<a href="#">').text(i18n.reload_to_see_changes || 'Reload to see pulled values')
+                                .on('click', function(e) {
+                                    e.preventDefault();
+                                    window.location.reload();
+                                })
+                        );
+                    }
+                } else {
+                    $btn.prop('disabled', false).text(i18n.apply_selected || 'Apply Selected');
+                    $result.html('<span style="color:red;">' + window.ZBooks.escapeHtml(response.data.message) + '</span>');
+                }
+            }).fail(function(xhr) {
+                $btn.prop('disabled', false).text(i18n.apply_selected || 'Apply Selected');
+                $result.html('<span style="color:red;">' +
+                    window.ZBooks.escapeHtml(window.ZBooks.getAjaxErrorMessage(xhr, i18n.failed || 'Failed')) + '</span>');
+            });
+        },
+
         /**
          * Update product meta box display with sync results
          */
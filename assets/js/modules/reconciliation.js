@@ -2,7 +2,8 @@
  * Zbooks Reconciliation Module
  *
  * Handles reconciliation report running, viewing, and management.
- * Includes date range reconciliation, report viewing, CSV export, and report deletion.
+ * Includes date range reconciliation, report viewing with a filterable discrepancy
+ * table, an order vs. invoice diff viewer, CSV export, and report deletion.
  *
  * @package    Zbooks
  * @author     talas9
@@ -19,6 +20,45 @@
     window.ZbooksReconciliation = {
         nonce: '',
         initialized: false,
+        reconRun: null,
+        trendPoints: [],
+        trendHidden: {},
+
+        /**
+         * Series plotted on the trend chart
+         */
+        trendSeries: [
+            { key: 'matched', color: '#00a32a' },
+            { key: 'missing_in_zoho', color: '#d63638' },
+            { key: 'amount_mismatches', color: '#dba617' },
+            { key: 'payment_issues', color: '#2271b1' }
+        ],
+
+        /**
+         * Discrepancy types in display order
+         */
+        discrepancyTypes: [
+            'missing_in_zoho',
+            'amount_mismatch',
+            'payment_mismatch',
+            'refund_mismatch',
+            'status_mismatch',
+            'missing_in_wc'
+        ],
+
+        /**
+         * Fix action for each discrepancy type (missing_in_zoho uses the Sync button)
+         *
+         * ajaxNonce marks the order endpoints shared with the order screens,
+         * which check the general AJAX nonce instead of the reconciliation one.
+         */
+        fixActions: {
+            amount_mismatch: { action: 'zbooks_reconciliation_sync', i18nKey: 'repush_invoice', label: 'Re-push Invoice' },
+            payment_mismatch: { action: 'zbooks_apply_payment', i18nKey: 'apply_payment', label: 'Apply Payment', ajaxNonce: true },
+            refund_mismatch: { action: 'zbooks_reconciliation_fix_refunds', i18nKey: 'create_credit_note', label: 'Create Credit Note' },
+            status_mismatch: { action: 'zbooks_refresh_invoice_status', i18nKey: 'refresh_status', label: 'Refresh Status', ajaxNonce: true },
+            missing_in_wc: { action: 'zbooks_reconciliation_link_invoice', i18nKey: 'link_to_order', label: 'Link to Order' }
+        },
 
         /**
          * Initialize the reconciliation module
@@ -38,6 +78,46 @@
             this.nonce = typeof zbooks !== 'undefined' ? zbooks.reconciliation_nonce : '';
             this.bindEvents();
             this.initialized = true;
+
+            if ($('#zbooks-recon-trend').length) {
+                this.loadTrend();
+            }
+        },
+
+        /**
+         * Load a report and show it in the report modal
+         *
+         * @param {number}   reportId Report ID
+         * @param {Function} done     Called when the request completes (optional)
+         */
+        viewReport: function(reportId, done) {
+            var self = this;
+            var i18n = (window.ZBooks && window.ZBooks.config && window.ZBooks.config.i18n) || {};
+
+            $.ajax({
+                url: ajaxurl,
+                type: 'POST',
+                data: {
+                    action: 'zbooks_view_report',
+                    nonce: self.nonce,
+                    report_id: reportId
+                },
+                success: function(response) {
+                    if (response.success) {
+                        self.showReportModal(response.data);
+                    } else {
+                        alert(response.data.message || (i18n.failed_to_load_report || 'Failed to load report.'));
+                    }
+                },
+                error: function(xhr) {
+                    alert(self.getAjaxErrorMessage(xhr, i18n.failed_to_load_report || 'Failed to load report.'));
+                },
+                complete: function() {
+                    if (done) {
+                        done();
+                    }
+                }
+            });
         },
 
         /**
@@ -60,8 +140,6 @@
 
             // Run reconciliation
             $('#zbooks-run-reconciliation').on('click', function() {
-                var $btn = $(this);
-                var $progress = $('#zbooks-reconciliation-progress');
                 var startDate = $('#zbooks-recon-start').val();
                 var endDate = $('#zbooks-recon-end').val();
 
@@ -75,34 +153,12 @@
                     return;
                 }
 
-                $btn.prop('disabled', true);
-                $progress.show();
+                self.startReconciliation(startDate, endDate);
+            });
 
-                $.ajax({
-                    url: ajaxurl,
-                    type: 'POST',
-                    data: {
-                        action: 'zbooks_run_reconciliation',
-                        nonce: self.nonce,
-                        start_date: startDate,
-                        end_date: endDate
-                    },
-                    success: function(response) {
-                        if (response.success) {
-                            location.reload();
-                        } else {
-                            alert(response.data.message || (i18n.reconciliation_failed || 'Reconciliation failed.'));
-                            $btn.prop('disabled', false);
-                            $progress.hide();
-                        }
-                    },
-                    error: function(xhr) {
-                        var msg = self.getAjaxErrorMessage(xhr, i18n.reconciliation_failed || 'Reconciliation failed.');
-                        alert(msg);
-                        $btn.prop('disabled', false);
-                        $progress.hide();
-                    }
-                });
+            // Cancel a running reconciliation
+            $(document).on('click', '.zbooks-cancel-reconciliation', function() {
+                self.cancelReconciliation();
             });
 
             // Delete report
@@ -185,34 +241,92 @@
             $(document).on('click', '.zbooks-view-report', function(e) {
                 e.preventDefault();
                 var $btn = $(this);
-                var reportId = $btn.data('report-id');
 
                 $btn.prop('disabled', true);
+                self.viewReport($btn.data('report-id'), function() {
+                    $btn.prop('disabled', false);
+                });
+            });
+
+            // Compare mode: pick two reports
+            $(document).on('change', '.zbooks-compare-select', function() {
+                var count = $('.zbooks-compare-select:checked').length;
+                $('.zbooks-compare-reports')
+                    .prop('disabled', count !== 2)
+                    .text((i18n.compare_selected || 'Compare Selected') + (count ? ' (' + count + ')' : ''));
+            });
+
+            $(document).on('click', '.zbooks-compare-reports', function() {
+                var ids = $('.zbooks-compare-select:checked').map(function() {
+                    return $(this).val();
+                }).get();
+
+                if (ids.length === 2) {
+                    self.compareReports(ids, $(this));
+                }
+            });
+
+            // Export an open report in another format
+            $(document).on('click', '.zbooks-report-export-btn', function() {
+                var data = $(this).closest('.zbooks-modal, .zbooks-recon-live-report').data('report');
+                if (data) {
+                    self.exportReport(data, $(this).data('format'));
+                }
+            });
+
+            // Export a report from the history list
+            $(document).on('change', '.zbooks-report-export', function() {
+                var $select = $(this);
+                var format = $select.val();
+
+                if (!format) return;
 
+                // Open the print window while still handling the user's action so it isn't blocked.
+                var printWindow = format === 'print' ? window.open('', '_blank') : null;
+
+                $select.prop('disabled', true);
                 $.ajax({
                     url: ajaxurl,
                     type: 'POST',
                     data: {
                         action: 'zbooks_view_report',
                         nonce: self.nonce,
-                        report_id: reportId
+                        report_id: $select.data('report-id')
                     },
                     success: function(response) {
-                        $btn.prop('disabled', false);
                         if (response.success) {
-                            self.showReportModal(response.data);
+                            self.exportReport(response.data, format, printWindow);
                         } else {
+                            if (printWindow) printWindow.close();
                             alert(response.data.message || (i18n.failed_to_load_report || 'Failed to load report.'));
                         }
                     },
                     error: function(xhr) {
-                        var msg = self.getAjaxErrorMessage(xhr, i18n.failed_to_load_report || 'Failed to load report.');
-                        alert(msg);
-                        $btn.prop('disabled', false);
+                        if (printWindow) printWindow.close();
+                        alert(self.getAjaxErrorMessage(xhr, i18n.failed_to_load_report || 'Failed to load report.'));
+                    },
+                    complete: function() {
+                        $select.prop('disabled', false).val('');
                     }
                 });
             });
 
+            // Open a report from the trend chart
+            $(document).on('click', '.zbooks-trend-point', function() {
+                self.viewReport($(this).data('report-id'));
+            });
+
+            // Show or hide a trend series
+            $(document).on('change', '.zbooks-trend-toggle', function() {
+                var key = $(this).val();
+                if ($(this).is(':checked')) {
+                    delete self.trendHidden[key];
+                } else {
+                    self.trendHidden[key] = true;
+                }
+                self.renderTrend();
+            });
+
             // Single order sync from discrepancy row
             $(document).on('click', '.zbooks-recon-sync', function() {
                 var $btn = $(this);
@@ -235,6 +349,7 @@
                             $btn.replaceWith('<span class="zbooks-sync-done">' +
                                 (i18n.synced || 'Synced') + '</span>');
                             self.updateMissingCount(-1);
+                            self.setDiscrepancySyncState(orderId, 'synced');
                         } else {
                             $btn.prop('disabled', false)
                                 .text(i18n.retry || 'Retry')
@@ -249,6 +364,71 @@
                 });
             });
 
+            // Type-specific fix from a discrepancy row
+            $(document).on('click', '.zbooks-recon-fix', function() {
+                self.fixDiscrepancy($(this));
+            });
+
+            // Order vs. invoice diff from an amount mismatch row
+            $(document).on('click', '.zbooks-recon-diff', function() {
+                self.showDiffModal($(this).data('order-id'), String($(this).data('invoice-id') || ''));
+            });
+
+            // Re-sync the order shown in the diff viewer
+            $(document).on('click', '.zbooks-diff-resync', function() {
+                self.resyncDiffOrder($(this));
+            });
+
+            // Discrepancy table: type filter
+            $(document).on('click', '.zbooks-disc-type-filter', function() {
+                var $browser = $(this).closest('.zbooks-disc-browser');
+                $browser.data('discState').type = $(this).data('type') || '';
+                $browser.find('.zbooks-disc-type-filter').removeClass('active');
+                $(this).addClass('active');
+                self.renderDiscrepancyRows($browser);
+            });
+
+            // Discrepancy table: search by order or invoice number
+            $(document).on('input', '.zbooks-disc-search', function() {
+                var $browser = $(this).closest('.zbooks-disc-browser');
+                $browser.data('discState').search = $.trim($(this).val()).toLowerCase();
+                self.renderDiscrepancyRows($browser);
+            });
+
+            // Discrepancy table: column sorting
+            $(document).on('click', '.zbooks-disc-sort', function() {
+                var $browser = $(this).closest('.zbooks-disc-browser');
+                var state = $browser.data('discState');
+                var key = $(this).data('sort');
+
+                state.sortDir = state.sortKey === key && state.sortDir === 'asc' ? 'desc' : 'asc';
+                state.sortKey = key;
+                self.renderDiscrepancyRows($browser);
+            });
+
+            // Discrepancy table: row selection
+            $(document).on('change', '.zbooks-disc-select', function() {
+                var $browser = $(this).closest('.zbooks-disc-browser');
+                $browser.data('discState').selected[$(this).data('index')] = $(this).is(':checked');
+                self.updateDiscrepancySelection($browser);
+            });
+
+            $(document).on('change', '.zbooks-disc-select-all', function() {
+                var $browser = $(this).closest('.zbooks-disc-browser');
+                var state = $browser.data('discState');
+                var checked = $(this).is(':checked');
+                $browser.find('.zbooks-disc-select:enabled').each(function() {
+                    $(this).prop('checked', checked);
+                    state.selected[$(this).data('index')] = checked;
+                });
+                self.updateDiscrepancySelection($browser);
+            });
+
+            // Discrepancy table: bulk re-sync selected rows
+            $(document).on('click', '.zbooks-disc-bulk-resync', function() {
+                self.resyncSelectedDiscrepancies($(this));
+            });
+
             // Bulk sync all missing orders
             $(document).on('click', '.zbooks-sync-all-missing', function() {
                 var $btn = $(this);
@@ -273,112 +453,1524 @@
                     return;
                 }
 
-                $.ajax({
+                // One request per order so each row updates as it finishes
+                var job = window.ZBooks.JobRunner.create({
+                    items: orderIds,
+                    action: 'zbooks_reconciliation_sync',
+                    nonce: self.nonce,
+                    unit: 'orders',
+                    data: function(orderId) {
+                        return { order_id: orderId };
+                    }
+                });
+
+                job.on('itemstart', function(orderId) {
+                    $('.zbooks-recon-sync[data-order-id="' + orderId + '"]')
+                        .prop('disabled', true)
+                        .text(i18n.syncing || 'Syncing...');
+                }).on('itemdone', function(orderId, outcome) {
+                    var $rowBtn = $('.zbooks-recon-sync[data-order-id="' + orderId + '"]');
+
+                    if (outcome.success) {
+                        $rowBtn.closest('tr').addClass('zbooks-recon-sync-success');
+                        $rowBtn.replaceWith('<span class="zbooks-sync-done">' +
+                            (i18n.synced || 'Synced') + '</span>');
+                        self.updateMissingCount(-1);
+                    } else {
+                        $rowBtn.prop('disabled', false)
+                            .text(i18n.retry || 'Retry')
+                            .addClass('zbooks-recon-sync-error')
+                            .attr('title', outcome.error);
+                    }
+                }).on('progress', function() {
+                    $btn.text((i18n.syncing || 'Syncing...') + ' ' + job.processed + ' / ' + job.total);
+                }).on('finished', function() {
+                    $btn.prop('disabled', false).text(originalText);
+                    alert('Synced ' + job.succeeded + ' orders, ' + job.failed + ' failed.');
+                });
+
+                job.start();
+            });
+        },
+
+        /**
+         * Start a reconciliation run and step it until the report is ready
+         *
+         * @param {string} startDate Period start (Y-m-d)
+         * @param {string} endDate   Period end (Y-m-d)
+         */
+        startReconciliation: function(startDate, endDate) {
+            var self = this;
+            var i18n = (window.ZBooks && window.ZBooks.config && window.ZBooks.config.i18n) || {};
+
+            this.reconRun = { reportId: 0, cancelled: false };
+
+            $('#zbooks-run-reconciliation').prop('disabled', true);
+            $('#zbooks-reconciliation-result').empty();
+            this.updateReconciliationProgress({ phase: 'wc_orders' });
+            $('#zbooks-reconciliation-progress').show();
+
+            $.ajax({
+                url: ajaxurl,
+                type: 'POST',
+                data: {
+                    action: 'zbooks_run_reconciliation',
+                    nonce: self.nonce,
+                    start_date: startDate,
+                    end_date: endDate
+                },
+                success: function(response) {
+                    if (response.success) {
+                        self.reconRun.reportId = response.data.report_id;
+                        self.updateReconciliationProgress(response.data);
+                        self.stepReconciliation();
+                    } else {
+                        self.failReconciliation(response.data.message || (i18n.reconciliation_failed || 'Reconciliation failed.'));
+                    }
+                },
+                error: function(xhr) {
+                    self.failReconciliation(self.getAjaxErrorMessage(xhr, i18n.reconciliation_failed || 'Reconciliation failed.'));
+                }
+            });
+        },
+
+        /**
+         * Run the next step of the current reconciliation run
+         */
+        stepReconciliation: function() {
+            var self = this;
+            var i18n = (window.ZBooks && window.ZBooks.config && window.ZBooks.config.i18n) || {};
+            var run = this.reconRun;
+
+            if (!run || run.cancelled) {
+                return;
+            }
+
+            $.ajax({
+                url: ajaxurl,
+                type: 'POST',
+                data: {
+                    action: 'zbooks_reconciliation_step',
+                    nonce: self.nonce,
+                    report_id: run.reportId
+                },
+                success: function(response) {
+                    if (run.cancelled) {
+                        return;
+                    }
+                    if (!response.success) {
+                        self.failReconciliation(response.data.message || (i18n.reconciliation_failed || 'Reconciliation failed.'));
+                        return;
+                    }
+
+                    self.updateReconciliationProgress(response.data);
+
+                    if (response.data.done) {
+                        self.finishReconciliation(response.data.report);
+                    } else {
+                        setTimeout(function() {
+                            self.stepReconciliation();
+                        }, 200);
+                    }
+                },
+                error: function(xhr) {
+                    if (!run.cancelled) {
+                        self.failReconciliation(self.getAjaxErrorMessage(xhr, i18n.reconciliation_failed || 'Reconciliation failed.'));
+                    }
+                }
+            });
+        },
+
+        /**
+         * Show the current phase and counts found so far
+         *
+         * @param {Object} progress Progress from zbooks_run_reconciliation / zbooks_reconciliation_step
+         */
+        updateReconciliationProgress: function(progress) {
+            var i18n = (window.ZBooks && window.ZBooks.config && window.ZBooks.config.i18n) || {};
+            var phases = ['wc_orders', 'zoho_invoices', 'zoho_payments', 'matching', 'payments'];
+            var current = progress.done ? phases.length : $.inArray(progress.phase, phases);
+            var orders = progress.wc_orders || 0;
+            var counts = {
+                wc_orders: orders + ' ' + (i18n.found || 'found'),
+                zoho_invoices: (progress.zoho_invoices || 0) + ' ' + (i18n.found || 'found'),
+                zoho_payments: (progress.zoho_payments || 0) + ' ' + (i18n.found || 'found'),
+                matching: (current > 3 ? orders : (progress.processed || 0)) + ' / ' + orders,
+                payments: (current > 4 ? orders : (progress.processed || 0)) + ' / ' + orders
+            };
+
+            $.each(phases, function(i, phase) {
+                var $item = $('#zbooks-reconciliation-progress [data-phase="' + phase + '"]');
+                $item.toggleClass('is-done', i < current)
+                    .toggleClass('is-active', i === current);
+                $item.find('.zbooks-recon-phase-count').text(i <= current && progress.report_id ? counts[phase] : '');
+            });
+
+            $('#zbooks-reconciliation-progress .zbooks-recon-discrepancy-count').text(
+                progress.report_id ? (progress.discrepancies || 0) + ' ' + (i18n.discrepancies_so_far || 'discrepancies found so far') : ''
+            );
+        },
+
+        /**
+         * Render the finished report in place
+         *
+         * @param {Object} report Report data, same shape as zbooks_view_report
+         */
+        finishReconciliation: function(report) {
+            this.reconRun = null;
+            $('#zbooks-run-reconciliation').prop('disabled', false);
+            $('#zbooks-reconciliation-progress').hide();
+
+            if (!report) {
+                return;
+            }
+
+            var $result = $('#zbooks-reconciliation-result').html(
+                '<div class="zbooks-recon-live-report">' + this.buildReportHtml(report) + '</div>'
+            );
+            $result.find('.zbooks-recon-live-report').data('report', report);
+            this.renderDiscrepancies($result.find('.zbooks-disc-browser'), report.discrepancies || []);
+
+            if ($('#zbooks-recon-trend').length) {
+                this.loadTrend();
+            }
+        },
+
+        /**
+         * Load two reports and show what changed between them
+         *
+         * @param {Array}  reportIds Two report IDs
+         * @param {jQuery} $btn      Compare button
+         */
+        compareReports: function(reportIds, $btn) {
+            var self = this;
+            var i18n = (window.ZBooks && window.ZBooks.config && window.ZBooks.config.i18n) || {};
+            var requests = $.map(reportIds, function(reportId) {
+                return $.ajax({
                     url: ajaxurl,
                     type: 'POST',
                     data: {
-                        action: 'zbooks_reconciliation_bulk_sync',
+                        action: 'zbooks_view_report',
                         nonce: self.nonce,
-                        order_ids: orderIds
-                    },
-                    success: function(response) {
-                        if (response.success) {
-                            alert(response.data.message);
-                            location.reload();
-                        } else {
-                            alert(response.data.message || (i18n.bulk_sync_failed || 'Bulk sync failed'));
-                            $btn.prop('disabled', false).text(originalText);
-                        }
-                    },
-                    error: function() {
-                        alert(i18n.bulk_sync_failed || 'Bulk sync failed');
-                        $btn.prop('disabled', false).text(originalText);
+                        report_id: reportId
                     }
                 });
             });
+
+            $btn.prop('disabled', true);
+
+            $.when.apply($, requests).done(function(first, second) {
+                var a = first[0];
+                var b = second[0];
+
+                if (!a.success || !b.success) {
+                    alert((!a.success ? a : b).data.message || (i18n.failed_to_load_report || 'Failed to load report.'));
+                    return;
+                }
+
+                // Compare in the order the reports were generated, whichever was ticked first.
+                var older = a.data.generated_at <= b.data.generated_at ? a.data : b.data;
+                var newer = older === a.data ? b.data : a.data;
+
+                self.showCompareModal(older, newer, self.diffReports(older, newer));
+            }).fail(function(xhr) {
+                alert(self.getAjaxErrorMessage(xhr, i18n.failed_to_load_report || 'Failed to load report.'));
+            }).always(function() {
+                $btn.prop('disabled', $('.zbooks-compare-select:checked').length !== 2);
+            });
         },
 
         /**
-         * Update the missing orders count in summary cards
+         * Identify a discrepancy across reports
          *
-         * @param {number} delta Change in count (negative to decrease)
+         * @param {Object} row Discrepancy row
+         * @return {string}
          */
-        updateMissingCount: function(delta) {
-            var $card = $('.zbooks-card-danger .zbooks-card-value, .zbooks-card.zbooks-card-danger .zbooks-card-value');
-            if ($card.length) {
-                var current = parseInt($card.text(), 10) || 0;
-                var newVal = Math.max(0, current + delta);
-                $card.text(newVal);
+        getDiscrepancyKey: function(row) {
+            return row.type + ':' + (row.order_id || row.invoice_id || row.invoice_number || '');
+        },
 
-                if (newVal === 0) {
-                    $card.closest('.zbooks-card').removeClass('zbooks-card-danger').addClass('zbooks-card-neutral');
+        /**
+         * Check whether a discrepancy's order or invoice date falls in a report's period
+         *
+         * @param {Object} row    Discrepancy row
+         * @param {Object} report Report data
+         * @return {boolean}
+         */
+        isInReportPeriod: function(row, report) {
+            var date = row.date || '';
+
+            // Dates are Y-m-d, so they compare as strings.
+            return date !== '' && date >= report.period_start && date <= report.period_end;
+        },
+
+        /**
+         * Split discrepancies into resolved, new and persisting between two reports
+         *
+         * A row missing from the later report only counts as resolved when its
+         * date falls in the later report's period; otherwise the later run never
+         * looked at it and it goes in the unchecked group.
+         *
+         * @param {Object} older Baseline report data
+         * @param {Object} newer Later report data
+         * @return {{resolved: Array, unchecked: Array, added: Array, persisting: Array}}
+         */
+        diffReports: function(older, newer) {
+            var self = this;
+            var olderKeys = {};
+            var newerKeys = {};
+            var result = { resolved: [], unchecked: [], added: [], persisting: [] };
+
+            $.each(older.discrepancies || [], function(i, row) {
+                olderKeys[self.getDiscrepancyKey(row)] = true;
+            });
+
+            $.each(newer.discrepancies || [], function(i, row) {
+                var key = self.getDiscrepancyKey(row);
+                newerKeys[key] = true;
+                result[olderKeys[key] ? 'persisting' : 'added'].push($.extend({}, row));
+            });
+
+            $.each(older.discrepancies || [], function(i, row) {
+                if (newerKeys[self.getDiscrepancyKey(row)]) {
+                    return;
                 }
-            }
+
+                if (self.isInReportPeriod(row, newer)) {
+                    // Already cleared, so there is nothing left to re-sync.
+                    result.resolved.push($.extend({}, row, { can_sync: false }));
+                } else {
+                    result.unchecked.push($.extend({}, row));
+                }
+            });
+
+            return result;
         },
 
         /**
-         * Show report modal with reconciliation details
+         * Show the comparison of two reports in a modal
          *
-         * @param {Object} data Report data
+         * @param {Object} older  Baseline report data
+         * @param {Object} newer  Later report data
+         * @param {Object} groups Result of diffReports()
          */
-        showReportModal: function(data) {
+        showCompareModal: function(older, newer, groups) {
+            var self = this;
             var i18n = (window.ZBooks && window.ZBooks.config && window.ZBooks.config.i18n) || {};
-            var summary = data.summary || {};
-            var paymentIssues = (summary.payment_mismatches || 0) + (summary.refund_mismatches || 0);
-            var statusIssues = summary.status_mismatches || 0;
+            var sections = [
+                { key: 'resolved', className: 'success', label: i18n.resolved || 'Resolved', desc: i18n.resolved_desc || 'In the earlier report only' },
+                { key: 'unchecked', className: 'neutral', label: i18n.not_rechecked || 'Not re-checked', desc: i18n.not_rechecked_desc || 'Outside the later report\'s period' },
+                { key: 'added', className: 'danger', label: i18n.new_discrepancies || 'New', desc: i18n.new_desc || 'In the later report only' },
+                { key: 'persisting', className: 'warning', label: i18n.persisting || 'Persisting', desc: i18n.persisting_desc || 'In both reports' }
+            ];
 
-            var modalHtml = '<div id="zbooks-report-modal" class="zbooks-modal">' +
-                '<div class="zbooks-modal-content">' +
-                '<span class="zbooks-modal-close">&times;</span>' +
-                '<h2>' + (i18n.reconciliation_report || 'Reconciliation Report') + '</h2>' +
-                '<p><strong>' + (i18n.period || 'Period:') + '</strong> ' + data.period_start + ' - ' + data.period_end + '</p>' +
-                '<p><strong>' + (i18n.generated || 'Generated:') + '</strong> ' + data.generated_at + '</p>' +
-                '<p><strong>' + (i18n.status || 'Status:') + '</strong> <span class="zbooks-status zbooks-status-' + data.status + '">' + data.status.charAt(0).toUpperCase() + data.status.slice(1) + '</span></p>' +
-                (data.error ? '<p class="error"><strong>' + (i18n.error || 'Error:') + '</strong> ' + data.error + '</p>' : '') +
-                '<div class="zbooks-modal-summary">' +
-                '<h3>' + (i18n.summary || 'Summary') + '</h3>' +
-                '<div class="summary-grid">' +
-                '<div class="summary-item neutral"><span class="value">' + (summary.total_wc_orders || 0) + '</span><span class="label">' + (i18n.wc_orders || 'WC Orders') + '</span><span class="desc">' + (i18n.orders_in_period || 'Orders in period') + '</span></div>' +
-                '<div class="summary-item neutral"><span class="value">' + (summary.total_zoho_invoices || 0) + '</span><span class="label">' + (i18n.zoho_invoices || 'Zoho Invoices') + '</span><span class="desc">' + (i18n.invoices_in_period || 'Invoices in period') + '</span></div>' +
-                '<div class="summary-item success"><span class="value">' + (summary.matched_count || 0) + '</span><span class="label">' + (i18n.matched || 'Matched') + '</span><span class="desc">' + (i18n.orders_synced_correctly || 'Orders synced correctly') + '</span></div>' +
-                '<div class="summary-item ' + ((summary.missing_in_zoho || 0) > 0 ? 'danger' : 'neutral') + '"><span class="value">' + (summary.missing_in_zoho || 0) + '</span><span class="label">' + (i18n.missing_in_zoho || 'Missing in Zoho') + '</span><span class="desc">' + (i18n.orders_without_invoices || 'Orders without invoices') + '</span></div>' +
-                '<div class="summary-item ' + ((summary.amount_mismatches || 0) > 0 ? 'warning' : 'neutral') + '"><span class="value">' + (summary.amount_mismatches || 0) + '</span><span class="label">' + (i18n.amount_mismatches || 'Amount Mismatches') + '</span><span class="desc">' + (i18n.totals_dont_match || "Totals don't match") + '</span></div>' +
-                '<div class="summary-item ' + (paymentIssues > 0 ? 'warning' : 'neutral') + '"><span class="value">' + paymentIssues + '</span><span class="label">' + (i18n.payment_issues || 'Payment Issues') + '</span><span class="desc">' + (i18n.payment_or_refund_mismatch || 'Payment or refund mismatch') + '</span></div>' +
-                '<div class="summary-item ' + (statusIssues > 0 ? 'info' : 'neutral') + '"><span class="value">' + statusIssues + '</span><span class="label">' + (i18n.status_mismatches || 'Status Mismatches') + '</span><span class="desc">' + (i18n.invoice_status_differs || 'Invoice status differs') + '</span></div>' +
-                '<div class="summary-item neutral"><span class="value">' + (summary.missing_in_wc || 0) + '</span><span class="label">' + (i18n.missing_in_wc || 'Missing in WC') + '</span><span class="desc">' + (i18n.invoices_without_orders || 'Invoices without orders') + '</span></div>' +
-                '</div></div>' +
-                '<div class="zbooks-modal-discrepancies">' +
-                '<h3>' + (i18n.discrepancies || 'Discrepancies') + ' (' + data.discrepancy_count + ')</h3>' +
-                data.discrepancies_html +
-                '</div>' +
-                '</div></div>';
+            function period(report) {
+                return report.period_start + ' - ' + report.period_end + ' (' + (i18n.generated || 'Generated:') + ' ' + report.generated_at + ')';
+            }
 
-            // Remove existing modal
-            $('#zbooks-report-modal').remove();
+            $('#zbooks-compare-modal').remove();
 
-            // Add modal to body
-            $('body').append(modalHtml);
+            var $summary = $('<div class="summary-grid">');
+            var $content = $('<div class="zbooks-modal-content">').append(
+                $('<span class="zbooks-modal-close">&times;</span>'),
+                $('<h2>').text(i18n.compare_reports || 'Compare Reports'),
+                $('<p>').append($('<strong>').text(i18n.earlier_report || 'Earlier report:'), ' ', document.createTextNode(period(older))),
+                $('<p>').append($('<strong>').text(i18n.later_report || 'Later report:'), ' ', document.createTextNode(period(newer))),
+                $('<div class="zbooks-modal-summary">').append($summary)
+            );
 
-            // Show modal
-            $('#zbooks-report-modal').fadeIn();
+            if (older.period_start > newer.period_end || older.period_end < newer.period_start) {
+                $content.find('.zbooks-modal-summary').before(
+                    $('<div class="notice notice-warning inline">').append(
+                        $('<p>').text(i18n.periods_do_not_overlap || 'These reports cover periods that do not overlap, so nothing from the earlier report was re-checked.')
+                    )
+                );
+            }
 
-            // Close on X click
-            $('.zbooks-modal-close').on('click', function() {
-                $('#zbooks-report-modal').fadeOut(function() {
-                    $(this).remove();
-                });
+            $.each(sections, function(i, section) {
+                var rows = groups[section.key];
+
+                $summary.append(
+                    $('<div class="summary-item">').addClass(rows.length ? section.className : 'neutral').append(
+                        $('<span class="value">').text(rows.length),
+                        $('<span class="label">').text(section.label),
+                        $('<span class="desc">').text(section.desc)
+                    )
+                );
+
+                var $section = $('<div class="zbooks-compare-section zbooks-modal-discrepancies">').attr('data-group', section.key).append(
+                    $('<h3>').text(section.label + ' (' + rows.length + ')')
+                );
+
+                if (rows.length) {
+                    $section.append($('<div class="zbooks-disc-browser">'));
+                } else {
+                    $section.append($('<p class="description">').text(i18n.none || 'None.'));
+                }
+
+                $content.append($section);
             });
 
-            // Close on outside click
-            $('#zbooks-report-modal').on('click', function(e) {
-                if ($(e.target).is('.zbooks-modal')) {
-                    $(this).fadeOut(function() {
-                        $(this).remove();
+            var $modal = $('<div id="zbooks-compare-modal" class="zbooks-modal">').append($content);
+            $('body').append($modal);
+
+            $.each(sections, function(i, section) {
+                if (groups[section.key].length) {
+                    self.renderDiscrepancies($modal.find('[data-group="' + section.key + '"] .zbooks-disc-browser'), groups[section.key]);
+                }
+            });
+
+            $modal.fadeIn().on('click', function(e) {
+                if ($(e.target).is('.zbooks-modal, .zbooks-modal-close')) {
+                    $modal.fadeOut(function() {
+                        $modal.remove();
                     });
                 }
             });
         },
 
+        /**
+         * Load the summaries of all saved reports for the trend chart
+         */
+        loadTrend: function() {
+            var self = this;
+            var i18n = (window.ZBooks && window.ZBooks.config && window.ZBooks.config.i18n) || {};
+            var $chart = $('#zbooks-recon-trend .zbooks-recon-trend-chart');
+
+            $.ajax({
+                url: ajaxurl,
+                type: 'POST',
+                data: {
+                    action: 'zbooks_reconciliation_trend',
+                    nonce: self.nonce
+                },
+                success: function(response) {
+                    if (response.success) {
+                        self.trendPoints = response.data.points || [];
+                        self.renderTrend();
+                    } else {
+                        $chart.empty().append($('<p class="error">').text(response.data.message || (i18n.failed_to_load_trend || 'Failed to load the trend.')));
+                    }
+                },
+                error: function(xhr) {
+                    $chart.empty().append($('<p class="error">').text(self.getAjaxErrorMessage(xhr, i18n.failed_to_load_trend || 'Failed to load the trend.')));
+                }
+            });
+        },
+
+        /**
+         * Draw the trend chart as an inline SVG line chart
+         */
+        renderTrend: function() {
+            var self = this;
+            var i18n = (window.ZBooks && window.ZBooks.config && window.ZBooks.config.i18n) || {};
+            var $chart = $('#zbooks-recon-trend .zbooks-recon-trend-chart');
+            var points = this.trendPoints;
+            var labels = {
+                matched: i18n.matched || 'Matched',
+                missing_in_zoho: i18n.missing_in_zoho || 'Missing in Zoho',
+                amount_mismatches: i18n.amount_mismatches || 'Amount Mismatches',
+                payment_issues: i18n.payment_issues || 'Payment Issues'
+            };
+
+            if (!points.length) {
+                $chart.empty().append($('<p class="description">').text(i18n.no_completed_reports || 'No completed reports yet.'));
+                return;
+            }
+
+            var width = 800, height = 240;
+            var pad = { top: 10, right: 15, bottom: 30, left: 45 };
+            var plotWidth = width - pad.left - pad.right;
+            var plotHeight = height - pad.top - pad.bottom;
+            var series = $.grep(this.trendSeries, function(s) { return !self.trendHidden[s.key]; });
+
+            var max = 1;
+            $.each(points, function(i, point) {
+                $.each(series, function(j, s) {
+                    max = Math.max(max, point[s.key] || 0);
+                });
+            });
+            var step = Math.max(1, Math.ceil(max / 4));
+            max = step * 4;
+
+            function x(i) {
+                return pad.left + (points.length === 1 ? plotWidth / 2 : i * plotWidth / (points.length - 1));
+            }
+
+            function y(value) {
+                return pad.top + plotHeight - (value / max) * plotHeight;
+            }
+
+            function esc(text) {
+                return $('<div>').text(text).html();
+            }
+
+            var svg = '<svg class="zbooks-trend-svg" viewBox="0 0 ' + width + ' ' + height + '" role="img">';
+
+            for (var tick = 0; tick <= 4; tick++) {
+                var tickY = y(tick * step);
+                svg += '<line class="zbooks-trend-grid" x1="' + pad.left + '" x2="' + (width - pad.right) + '" y1="' + tickY + '" y2="' + tickY + '"></line>' +
+                    '<text class="zbooks-trend-axis" x="' + (pad.left - 6) + '" y="' + (tickY + 4) + '" text-anchor="end">' + (tick * step) + '</text>';
+            }
+
+            var labelEvery = Math.ceil(points.length / 8);
+            $.each(points, function(i, point) {
+                if (i % labelEvery === 0 || i === points.length - 1) {
+                    svg += '<text class="zbooks-trend-axis" x="' + x(i) + '" y="' + (height - 8) + '" text-anchor="middle">' + esc(point.period_end) + '</text>';
+                }
+            });
+
+            $.each(series, function(j, s) {
+                var path = $.map(points, function(point, i) {
+                    return (i ? 'L' : 'M') + x(i) + ' ' + y(point[s.key] || 0);
+                }).join(' ');
+
+                svg += '<path class="zbooks-trend-line" d="' + path + '" stroke="' + s.color + '"></path>';
+
+                $.each(points, function(i, point) {
+                    svg += '<circle class="zbooks-trend-point" data-report-id="' + point.report_id + '" cx="' + x(i) + '" cy="' + y(point[s.key] || 0) + '" r="4" fill="' + s.color + '">' +
+                        '<title>' + esc(point.period_start + ' – ' + point.period_end + ': ' + labels[s.key] + ' ' + (point[s.key] || 0)) + '</title>' +
+                        '</circle>';
+                });
+            });
+
+            svg += '</svg>';
+
+            var $legend = $('<div class="zbooks-trend-legend">');
+            $.each(this.trendSeries, function(i, s) {
+                $legend.append(
+                    $('<label>').append(
+                        $('<input type="checkbox" class="zbooks-trend-toggle">').val(s.key).prop('checked', !self.trendHidden[s.key]),
+                        $('<span class="zbooks-trend-swatch">').css('background', s.color),
+                        document.createTextNode(labels[s.key])
+                    )
+                );
+            });
+
+            $chart.empty().append($legend, $(svg));
+        },
+
+        /**
+         * Stop the run after an error
+         *
+         * @param {string} message Error message
+         */
+        failReconciliation: function(message) {
+            this.reconRun = null;
+            alert(message);
+            $('#zbooks-run-reconciliation').prop('disabled', false);
+            $('#zbooks-reconciliation-progress').hide();
+        },
+
+        /**
+         * Cancel the current reconciliation run
+         */
+        cancelReconciliation: function() {
+            var run = this.reconRun;
+
+            if (!run) {
+                return;
+            }
+
+            run.cancelled = true;
+            this.reconRun = null;
+            $('#zbooks-run-reconciliation').prop('disabled', false);
+            $('#zbooks-reconciliation-progress').hide();
+
+            if (run.reportId) {
+                $.ajax({
+                    url: ajaxurl,
+                    type: 'POST',
+                    data: {
+                        action: 'zbooks_cancel_reconciliation',
+                        nonce: this.nonce,
+                        report_id: run.reportId
+                    }
+                });
+            }
+        },
+
+        /**
+         * Export report data as JSON, a sectioned spreadsheet CSV, or printable HTML
+         *
+         * @param {Object} data        Report data from zbooks_view_report
+         * @param {string} format      json, sheet or print
+         * @param {Window} printWindow Window already opened for printing (optional)
+         */
+        exportReport: function(data, format, printWindow) {
+            var common = window.ZbooksCommon;
+            var filename = 'zbooks-reconciliation-' + data.period_start + '-to-' + data.period_end;
+
+            if (format === 'json') {
+                var payload = {
+                    export: {
+                        plugin: 'zbooks-for-woocommerce',
+                        version: (common.config && common.config.version) || '',
+                        exported_at: new Date().toISOString()
+                    },
+                    report: data
+                };
+                // Leave out row state added by the discrepancy table.
+                var json = JSON.stringify(payload, function(key, value) {
+                    return key === 'sync_state' || key === 'sync_error' ? undefined : value;
+                }, 2);
+                common.downloadFile(filename + '.json', json, 'application/json');
+            } else if (format === 'sheet') {
+                // The BOM makes Excel read the file as UTF-8.
+                common.downloadFile(filename + '.csv', '\ufeff' + common.toCsv(this.buildReportSheetRows(data)), 'text/csv;charset=utf-8');
+            } else if (format === 'print') {
+                var win = printWindow || window.open('', '_blank');
+                if (!win) return;
+                win.document.open();
+                win.document.write(this.buildPrintableReport(data));
+                win.document.close();
+                win.focus();
+            }
+        },
+
+        /**
+         * Get the summary figures shown for a report
+         *
+         * @param {Object} data Report data
+         * @return {Array} Items with label and value
+         */
+        getReportSummaryItems: function(data) {
+            var i18n = (window.ZBooks && window.ZBooks.config && window.ZBooks.config.i18n) || {};
+            var summary = data.summary || {};
+
+            return [
+                { label: i18n.wc_orders || 'WC Orders', value: summary.total_wc_orders || 0 },
+                { label: i18n.zoho_invoices || 'Zoho Invoices', value: summary.total_zoho_invoices || 0 },
+                { label: i18n.matched || 'Matched', value: summary.matched_count || 0 },
+                { label: i18n.missing_in_zoho || 'Missing in Zoho', value: summary.missing_in_zoho || 0 },
+                { label: i18n.amount_mismatches || 'Amount Mismatches', value: summary.amount_mismatches || 0 },
+                { label: i18n.payment_issues || 'Payment Issues', value: (summary.payment_mismatches || 0) + (summary.refund_mismatches || 0) },
+                { label: i18n.status_mismatches || 'Status Mismatches', value: summary.status_mismatches || 0 },
+                { label: i18n.missing_in_wc || 'Missing in WC', value: summary.missing_in_wc || 0 },
+                { label: i18n.total_difference || 'Total Difference', value: summary.amount_difference || 0 }
+            ];
+        },
+
+        /**
+         * Group discrepancy rows by type in display order
+         *
+         * @param {Array} rows Discrepancy rows
+         * @return {Array} Groups with type, label and rows
+         */
+        groupDiscrepanciesByType: function(rows) {
+            var byType = {};
+            var order = this.discrepancyTypes.slice();
+
+            $.each(rows || [], function(i, row) {
+                if (!byType[row.type]) {
+                    byType[row.type] = { type: row.type, label: row.type_label, rows: [] };
+                    if ($.inArray(row.type, order) === -1) {
+                        order.push(row.type);
+                    }
+                }
+                byType[row.type].rows.push(row);
+            });
+
+            return $.map(order, function(type) {
+                return byType[type] || null;
+            });
+        },
+
+        /**
+         * Get the plain-text cells for a discrepancy in exports
+         *
+         * @param {Object} row Discrepancy row
+         * @return {Array}
+         */
+        getDiscrepancyExportCells: function(row) {
+            return [
+                row.order_id ? row.order_number : '',
+                row.order_status,
+                row.invoice_number,
+                row.invoice_status,
+                row.payment_status,
+                row.date,
+                row.wc_amount,
+                row.zoho_amount,
+                row.difference,
+                $('<div>').html(row.message || '').text()
+            ];
+        },
+
+        /**
+         * Get the column headings for discrepancies in exports
+         *
+         * @return {Array}
+         */
+        getDiscrepancyExportHeadings: function() {
+            var i18n = (window.ZBooks && window.ZBooks.config && window.ZBooks.config.i18n) || {};
+
+            return [
+                i18n.order || 'Order',
+                i18n.order_status || 'Order Status',
+                i18n.invoice || 'Invoice',
+                i18n.invoice_status || 'Invoice Status',
+                i18n.payment_status || 'Payment Status',
+                i18n.date || 'Date',
+                i18n.wc_amount || 'WooCommerce Amount',
+                i18n.zoho_amount || 'Zoho Amount',
+                i18n.difference || 'Difference',
+                i18n.details || 'Details'
+            ];
+        },
+
+        /**
+         * Build spreadsheet rows with a summary block and one section per discrepancy type
+         *
+         * @param {Object} data Report data
+         * @return {Array} Rows for toCsv()
+         */
+        buildReportSheetRows: function(data) {
+            var self = this;
+            var i18n = (window.ZBooks && window.ZBooks.config && window.ZBooks.config.i18n) || {};
+            var rows = [
+                [i18n.reconciliation_report || 'Reconciliation Report'],
+                [i18n.report_id || 'Report ID', data.id],
+                [i18n.report_period || 'Period', data.period_start, data.period_end],
+                [i18n.generated_at || 'Generated At', data.generated_at],
+                [i18n.report_status || 'Status', data.status],
+                [],
+                [i18n.summary || 'Summary']
+            ];
+
+            $.each(this.getReportSummaryItems(data), function(i, item) {
+                rows.push([item.label, item.value]);
+            });
+
+            $.each(this.groupDiscrepanciesByType(data.discrepancies), function(i, group) {
+                rows.push([], [group.label + ' (' + group.rows.length + ')'], self.getDiscrepancyExportHeadings());
+                $.each(group.rows, function(j, row) {
+                    rows.push(self.getDiscrepancyExportCells(row));
+                });
+            });
+
+            return rows;
+        },
+
+        /**
+         * Build a standalone HTML document of the report for printing or saving as PDF
+         *
+         * @param {Object} data Report data
+         * @return {string} HTML document
+         */
+        buildPrintableReport: function(data) {
+            var self = this;
+            var i18n = (window.ZBooks && window.ZBooks.config && window.ZBooks.config.i18n) || {};
+            var title = (i18n.reconciliation_report || 'Reconciliation Report') + ' ' + data.period_start + ' - ' + data.period_end;
+
+            function esc(text) {
+                return $('<div>').text(text === null || text === undefined ? '' : String(text)).html();
+            }
+
+            var html = '<!DOCTYPE html><html><head><meta charset="utf-8"><title>' + esc(title) + '</title><style>' +
+                'body{font:13px/1.4 -apple-system,BlinkMacSystemFont,"Segoe UI",Roboto,sans-serif;color:#1d2327;margin:24px;}' +
+                'h1{font-size:20px;margin:0 0 8px;}h2{font-size:15px;margin:24px 0 8px;page-break-after:avoid;}' +
+                '.meta{color:#50575e;margin:0 0 16px;}' +
+                '.summary{display:grid;grid-template-columns:repeat(3,1fr);gap:8px;}' +
+                '.summary div{border:1px solid #c3c4c7;padding:8px;}.summary strong{display:block;font-size:18px;}' +
+                'table{width:100%;border-collapse:collapse;font-size:11px;}' +
+                'th,td{border:1px solid #c3c4c7;padding:4px 6px;text-align:left;vertical-align:top;}' +
+                'th{background:#f0f0f1;}tr{page-break-inside:avoid;}thead{display:table-header-group;}' +
+                '.actions{margin-bottom:16px;}' +
+                '@page{margin:15mm;}@media print{body{margin:0;}.actions{display:none;}}' +
+                '</style></head><body>' +
+                '<p class="actions"><button type="button" onclick="window.print()">' + esc(i18n.print_save_pdf || 'Print / Save as PDF') + '</button></p>' +
+                '<h1>' + esc(title) + '</h1>' +
+                '<p class="meta">' + esc((i18n.generated || 'Generated:') + ' ' + data.generated_at + ' · ' + (i18n.status || 'Status:') + ' ' + data.status) + '</p>' +
+                '<h2>' + esc(i18n.summary || 'Summary') + '</h2><div class="summary">';
+
+            $.each(this.getReportSummaryItems(data), function(i, item) {
+                html += '<div><strong>' + esc(item.value) + '</strong>' + esc(item.label) + '</div>';
+            });
+            html += '</div>';
+
+            var groups = this.groupDiscrepanciesByType(data.discrepancies);
+            if (!groups.length) {
+                html += '<p>' + esc(i18n.no_discrepancies || 'No discrepancies found. All orders match their invoices.') + '</p>';
+            }
+
+            $.each(groups, function(i, group) {
+                html += '<h2>' + esc(group.label + ' (' + group.rows.length + ')') + '</h2><table><thead><tr>';
+                $.each(self.getDiscrepancyExportHeadings(), function(j, heading) {
+                    html += '<th>' + esc(heading) + '</th>';
+                });
+                html += '</tr></thead><tbody>';
+                $.each(group.rows, function(j, row) {
+                    html += '<tr>';
+                    $.each(self.getDiscrepancyExportCells(row), function(k, cell) {
+                        html += '<td>' + esc(cell) + '</td>';
+                    });
+                    html += '</tr>';
+                });
+                html += '</tbody></table>';
+            });
+
+            return html + '</body></html>';
+        },
+
+        /**
+         * Update the missing orders count in summary cards
+         *
+         * @param {number} delta Change in count (negative to decrease)
+         */
+        updateMissingCount: function(delta) {
+            this.updateDiscrepancyCount('missing_in_zoho', delta);
+        },
+
+        /**
+         * Update the summary cards counting a discrepancy type
+         *
+         * Covers the latest report cards and any open report views.
+         *
+         * @param {string} type  Discrepancy type
+         * @param {number} delta Change in count
+         */
+        updateDiscrepancyCount: function(type, delta) {
+            $('.zbooks-card, .summary-item').filter(function() {
+                return $.inArray(type, String($(this).data('discrepancy-types') || '').split(' ')) !== -1;
+            }).each(function() {
+                var $card = $(this);
+                var $value = $card.find('.zbooks-card-value, .value').first();
+                var newVal = Math.max(0, (parseInt($value.text(), 10) || 0) + delta);
+
+                $value.text(newVal);
+
+                if (newVal === 0) {
+                    $card.removeClass('zbooks-card-danger zbooks-card-warning zbooks-card-info danger warning info')
+                        .addClass($card.hasClass('zbooks-card') ? 'zbooks-card-neutral' : 'neutral');
+                }
+            });
+        },
+
+        /**
+         * Show report modal with reconciliation details
+         *
+         * @param {Object} data Report data
+         */
+        showReportModal: function(data) {
+            var modalHtml = '<div id="zbooks-report-modal" class="zbooks-modal">' +
+                '<div class="zbooks-modal-content">' +
+                '<span class="zbooks-modal-close">&times;</span>' +
+                this.buildReportHtml(data) +
+                '</div></div>';
+
+            // Remove existing modal
+            $('#zbooks-report-modal').remove();
+
+            // Add modal to body
+            $('body').append(modalHtml);
+
+            $('#zbooks-report-modal').data('report', data);
+            this.renderDiscrepancies($('#zbooks-report-modal .zbooks-disc-browser'), data.discrepancies || []);
+
+            // Show modal
+            $('#zbooks-report-modal').fadeIn();
+
+            // Close on X click
+            $('.zbooks-modal-close').on('click', function() {
+                $('#zbooks-report-modal').fadeOut(function() {
+                    $(this).remove();
+                });
+            });
+
+            // Close on outside click
+            $('#zbooks-report-modal').on('click', function(e) {
+                if ($(e.target).is('.zbooks-modal')) {
+                    $(this).fadeOut(function() {
+                        $(this).remove();
+                    });
+                }
+            });
+        },
+
+        /**
+         * Build the report header, summary and discrepancy container markup
+         *
+         * @param {Object} data Report data
+         * @return {string} HTML
+         */
+        buildReportHtml: function(data) {
+            var i18n = (window.ZBooks && window.ZBooks.config && window.ZBooks.config.i18n) || {};
+            var summary = data.summary || {};
+            var paymentIssues = (summary.payment_mismatches || 0) + (summary.refund_mismatches || 0);
+            var statusIssues = summary.status_mismatches || 0;
+
+            return '<h2>' + (i18n.reconciliation_report || 'Reconciliation Report') + '</h2>' +
+                '<p><strong>' + (i18n.period || 'Period:') + '</strong> ' + data.period_start + ' - ' + data.period_end + '</p>' +
+                '<p><strong>' + (i18n.generated || 'Generated:') + '</strong> ' + data.generated_at + '</p>' +
+                '<p><strong>' + (i18n.status || 'Status:') + '</strong> <span class="zbooks-status zbooks-status-' + data.status + '">' + data.status.charAt(0).toUpperCase() + data.status.slice(1) + '</span></p>' +
+                (data.error ? '<p class="error"><strong>' + (i18n.error || 'Error:') + '</strong> ' + data.error + '</p>' : '') +
+                '<p class="zbooks-report-export-actions"><strong>' + (i18n.export || 'Export:') + '</strong> ' +
+                '<button type="button" class="button button-small zbooks-report-export-btn" data-format="json">' + (i18n.json || 'JSON') + '</button> ' +
+                '<button type="button" class="button button-small zbooks-report-export-btn" data-format="sheet">' + (i18n.spreadsheet_csv || 'Spreadsheet CSV') + '</button> ' +
+                '<button type="button" class="button button-small zbooks-report-export-btn" data-format="print">' + (i18n.printable || 'Printable / PDF') + '</button>' +
+                '</p>' +
+                '<div class="zbooks-modal-summary">' +
+                '<h3>' + (i18n.summary || 'Summary') + '</h3>' +
+                '<div class="summary-grid">' +
+                '<div class="summary-item neutral"><span class="value">' + (summary.total_wc_orders || 0) + '</span><span class="label">' + (i18n.wc_orders || 'WC Orders') + '</span><span class="desc">' + (i18n.orders_in_period || 'Orders in period') + '</span></div>' +
+                '<div class="summary-item neutral"><span class="value">' + (summary.total_zoho_invoices || 0) + '</span><span class="label">' + (i18n.zoho_invoices || 'Zoho Invoices') + '</span><span class="desc">' + (i18n.invoices_in_period || 'Invoices in period') + '</span></div>' +
+                '<div class="summary-item success"><span class="value">' + (summary.matched_count || 0) + '</span><span class="label">' + (i18n.matched || 'Matched') + '</span><span class="desc">' + (i18n.orders_synced_correctly || 'Orders synced correctly') + '</span></div>' +
+                '<div class="summary-item ' + ((summary.missing_in_zoho || 0) > 0 ? 'danger' : 'neutral') + '" data-discrepancy-types="missing_in_zoho"><span class="value">' + (summary.missing_in_zoho || 0) + '</span><span class="label">' + (i18n.missing_in_zoho || 'Missing in Zoho') + '</span><span class="desc">' + (i18n.orders_without_invoices || 'Orders without invoices') + '</span></div>' +
+                '<div class="summary-item ' + ((summary.amount_mismatches || 0) > 0 ? 'warning' : 'neutral') + '" data-discrepancy-types="amount_mismatch"><span class="value">' + (summary.amount_mismatches || 0) + '</span><span class="label">' + (i18n.amount_mismatches || 'Amount Mismatches') + '</span><span class="desc">' + (i18n.totals_dont_match || "Totals don't match") + '</span></div>' +
+                '<div class="summary-item ' + (paymentIssues > 0 ? 'warning' : 'neutral') + '" data-discrepancy-types="payment_mismatch refund_mismatch"><span class="value">' + paymentIssues + '</span><span class="label">' + (i18n.payment_issues || 'Payment Issues') + '</span><span class="desc">' + (i18n.payment_or_refund_mismatch || 'Payment or refund mismatch') + '</span></div>' +
+                '<div class="summary-item ' + (statusIssues > 0 ? 'info' : 'neutral') + '" data-discrepancy-types="status_mismatch"><span class="value">' + statusIssues + '</span><span class="label">' + (i18n.status_mismatches || 'Status Mismatches') + '</span><span class="desc">' + (i18n.invoice_status_differs || 'Invoice status differs') + '</span></div>' +
+                '<div class="summary-item neutral" data-discrepancy-types="missing_in_wc"><span class="value">' + (summary.missing_in_wc || 0) + '</span><span class="label">' + (i18n.missing_in_wc || 'Missing in WC') + '</span><span class="desc">' + (i18n.invoices_without_orders || 'Invoices without orders') + '</span></div>' +
+                '</div></div>' +
+                '<div class="zbooks-modal-discrepancies">' +
+                '<h3>' + (i18n.discrepancies || 'Discrepancies') + ' (' + data.discrepancy_count + ')</h3>' +
+                '<div class="zbooks-disc-browser"></div>' +
+                '</div>';
+        },
+
+        /**
+         * Render the discrepancy toolbar and table into a report view
+         *
+         * Filter, sort and selection state is kept on the container, so the
+         * modal and an in-page report can be open at the same time.
+         *
+         * @param {jQuery} $container Container element
+         * @param {Array}  rows       Structured discrepancy rows from zbooks_view_report
+         */
+        renderDiscrepancies: function($container, rows) {
+            var i18n = (window.ZBooks && window.ZBooks.config && window.ZBooks.config.i18n) || {};
+            var counts = {};
+
+            if (!rows.length) {
+                $container.append($('<p>').text(i18n.no_discrepancies || 'No discrepancies found. All orders match their invoices.'));
+                return;
+            }
+
+            $container.data('discState', {
+                rows: rows,
+                type: '',
+                search: '',
+                sortKey: 'date',
+                sortDir: 'desc',
+                selected: {}
+            });
+
+            $.each(rows, function(i, row) {
+                counts[row.type] = (counts[row.type] || 0) + 1;
+            });
+
+            var $filters = $('<div class="zbooks-disc-filters">').append(
+                $('<button type="button" class="button button-small zbooks-disc-type-filter active" data-type="">')
+                    .text((i18n.all || 'All') + ' (' + rows.length + ')')
+            );
+            $.each(this.discrepancyTypes, function(i, type) {
+                if (!counts[type]) return;
+                $filters.append(
+                    $('<button type="button" class="button button-small zbooks-disc-type-filter">')
+                        .attr('data-type', type)
+                        .text(type.replace(/_/g, ' ').replace(/\b\w/g, function(c) { return c.toUpperCase(); }) + ' (' + counts[type] + ')')
+                );
+            });
+
+            var $toolbar = $('<div class="zbooks-disc-toolbar">').append(
+                $filters,
+                $('<input type="search" class="zbooks-disc-search">')
+                    .attr('placeholder', i18n.search_order_invoice || 'Search order or invoice #...'),
+                $('<button type="button" class="button zbooks-disc-bulk-resync" disabled>')
+                    .text(i18n.resync_selected || 'Re-sync Selected')
+            );
+
+            var columns = [
+                { key: 'type', label: i18n.type || 'Type' },
+                { key: 'order', label: i18n.order || 'Order' },
+                { key: 'order_status', label: i18n.order_status || 'Order Status' },
+                { key: 'invoice', label: i18n.invoice || 'Invoice' },
+                { key: 'invoice_status', label: i18n.invoice_status || 'Invoice Status' },
+                { key: 'payment_status', label: i18n.payment_status || 'Payment Status' },
+                { key: 'date', label: i18n.date || 'Date' },
+                { key: 'difference', label: i18n.difference || 'Difference' },
+                { key: '', label: i18n.details || 'Details' },
+                { key: '', label: i18n.actions || 'Actions' }
+            ];
+
+            var $headRow = $('<tr>').append(
+                $('<td class="check-column">').append('<input type="checkbox" class="zbooks-disc-select-all">')
+            );
+            $.each(columns, function(i, column) {
+                var $th = $('<th>').text(column.label);
+                if (column.key) {
+                    $th.addClass('zbooks-disc-sort').attr('data-sort', column.key);
+                }
+                $headRow.append($th);
+            });
+
+            $container.append(
+                $toolbar,
+                $('<div class="zbooks-disc-scroll">').append(
+                    $('<table class="widefat striped zbooks-disc-table">').append(
+                        $('<thead>').append($headRow),
+                        $('<tbody>')
+                    )
+                )
+            );
+
+            this.renderDiscrepancyRows($container);
+        },
+
+        /**
+         * Rebuild the discrepancy table body from the current filter and sort
+         *
+         * @param {jQuery} $browser Discrepancy browser container
+         */
+        renderDiscrepancyRows: function($browser) {
+            var self = this;
+            var state = $browser.data('discState');
+            var i18n = (window.ZBooks && window.ZBooks.config && window.ZBooks.config.i18n) || {};
+
+            if (!state) return;
+
+            var visible = [];
+            $.each(state.rows, function(i, row) {
+                if (state.type && row.type !== state.type) return;
+                if (state.search &&
+                    String(row.order_number).toLowerCase().indexOf(state.search) === -1 &&
+                    String(row.invoice_number).toLowerCase().indexOf(state.search) === -1) {
+                    return;
+                }
+                visible.push(i);
+            });
+
+            visible.sort(function(a, b) {
+                var va = self.getDiscrepancySortValue(state.rows[a], state.sortKey);
+                var vb = self.getDiscrepancySortValue(state.rows[b], state.sortKey);
+                var result = va < vb ? -1 : (va > vb ? 1 : 0);
+                return state.sortDir === 'asc' ? result : -result;
+            });
+
+            var $tbody = $browser.find('.zbooks-disc-table tbody').empty();
+
+            if (!visible.length) {
+                $tbody.append($('<tr>').append(
+                    $('<td colspan="11">').text(i18n.no_matching_discrepancies || 'No discrepancies match the current filters.')
+                ));
+            }
+
+            $.each(visible, function(i, index) {
+                $tbody.append(self.buildDiscrepancyRow(state.rows[index], index, state));
+            });
+
+            $browser.find('.zbooks-disc-sort').removeClass('sorted asc desc')
+                .filter('[data-sort="' + state.sortKey + '"]').addClass('sorted ' + state.sortDir);
+            $browser.find('.zbooks-disc-select-all').prop('checked', false);
+            this.updateDiscrepancySelection($browser);
+        },
+
+        /**
+         * Get the value a discrepancy row is sorted by for a column
+         *
+         * @param {Object} row Discrepancy row
+         * @param {string} key Sort key
+         * @return {string|number}
+         */
+        getDiscrepancySortValue: function(row, key) {
+            switch (key) {
+                case 'order':
+                    return row.order_id || 0;
+                case 'invoice':
+                    return String(row.invoice_number || '');
+                case 'difference':
+                    return Math.abs(parseFloat(row.difference) || 0);
+                default:
+                    return String(row[key] || '');
+            }
+        },
+
+        /**
+         * Build a table row for a discrepancy
+         *
+         * @param {Object} row   Discrepancy row
+         * @param {number} index Index in the report's rows
+         * @param {Object} state Browser state
+         * @return {jQuery}
+         */
+        buildDiscrepancyRow: function(row, index, state) {
+            var i18n = (window.ZBooks && window.ZBooks.config && window.ZBooks.config.i18n) || {};
+
+            function link(url, text) {
+                if (!text) return '—';
+                return url ? $('<a target="_blank" rel="noopener noreferrer">').attr('href', url).text(text) : text;
+            }
+
+            function status(value, separator) {
+                if (!value) return '—';
+                return $('<span class="zbooks-status">').addClass('zbooks-status-' + value)
+                    .text(value.split(separator).join(' ').replace(/\b\w/g, function(c) { return c.toUpperCase(); }));
+            }
+
+            var $check = $('<input type="checkbox" class="zbooks-disc-select">')
+                .attr('data-index', index)
+                .prop('disabled', !row.can_sync || row.sync_state === 'syncing')
+                .prop('checked', !!state.selected[index]);
+
+            var fix = this.fixActions[row.type];
+            var $action = '—';
+            if (row.sync_state === 'syncing') {
+                $action = $('<span class="zbooks-sync-pending">').text(i18n.syncing || 'Syncing...');
+            } else if (row.sync_state === 'synced') {
+                $action = $('<span class="zbooks-sync-done">').text(
+                    row.type === 'missing_in_zoho' ? (i18n.synced || 'Synced') : (i18n.fixed || 'Fixed')
+                );
+            } else if (row.type === 'missing_in_zoho' && row.order_id) {
+                $action = $('<button type="button" class="button button-small zbooks-recon-sync">')
+                    .attr('data-order-id', row.order_id)
+                    .text(i18n.sync || 'Sync');
+            } else if (fix && (row.order_id || (row.type === 'missing_in_wc' && row.invoice_id))) {
+                $action = $('<button type="button" class="button button-small zbooks-recon-fix">')
+                    .attr('data-index', index)
+                    .text(i18n[fix.i18nKey] || fix.label);
+            } else if (row.order_url) {
+                $action = $('<a class="button button-small" target="_blank">').attr('href', row.order_url).text(i18n.view || 'View');
+            }
+
+            if (row.type === 'amount_mismatch' && row.order_id && row.invoice_id && row.sync_state !== 'syncing') {
+                $action = [
+                    $('<button type="button" class="button button-small zbooks-recon-diff">')
+                        .attr('data-order-id', row.order_id)
+                        .attr('data-invoice-id', row.invoice_id)
+                        .text(i18n.diff || 'Diff'),
+                    ' ',
+                    $action
+                ];
+            }
+
+            return $('<tr>')
+                .toggleClass('zbooks-recon-sync-success', row.sync_state === 'synced')
+                .toggleClass('zbooks-recon-sync-error', row.sync_state === 'failed')
+                .attr('title', row.sync_state === 'failed' ? row.sync_error : null)
+                .append(
+                    $('<th class="check-column">').append($check),
+                    $('<td>').append($('<span class="zbooks-badge">').addClass('zbooks-badge-' + row.type).text(row.type_label)),
+                    $('<td>').append(link(row.order_url, row.order_id ? '#' + row.order_number : '')),
+                    $('<td>').append(status(row.order_status, '-')),
+                    $('<td>').append(link(row.invoice_url, row.invoice_number)),
+                    $('<td>').append(status(row.invoice_status, '_')),
+                    $('<td>').append(status(row.payment_status, '_')),
+                    $('<td>').text(row.date || '—'),
+                    $('<td>').text(row.difference !== null && row.difference !== undefined ? row.difference : '—'),
+                    $('<td>').html(row.message),
+                    $('<td>').append($action)
+                );
+        },
+
+        /**
+         * Record a sync outcome on every discrepancy row for an order
+         *
+         * @param {number} orderId   Order ID
+         * @param {string} syncState syncing, synced or failed
+         * @param {string} error     Error message for failures
+         */
+        setDiscrepancySyncState: function(orderId, syncState, error) {
+            this.setDiscrepancyState(function(row) {
+                return row.order_id === orderId;
+            }, syncState, error);
+        },
+
+        /**
+         * Record a sync or fix outcome on the discrepancy rows a filter matches
+         *
+         * Kept in state so the outcome survives re-filtering and sorting, and
+         * applied to every open report view.
+         *
+         * @param {Function} matches   Returns true for rows to update
+         * @param {string}   syncState syncing, synced or failed
+         * @param {string}   error     Error message for failures
+         */
+        setDiscrepancyState: function(matches, syncState, error) {
+            var self = this;
+
+            $('.zbooks-disc-browser').each(function() {
+                var $browser = $(this);
+                var state = $browser.data('discState');
+                var changed = false;
+
+                if (!state) return;
+
+                $.each(state.rows, function(i, row) {
+                    if (matches(row)) {
+                        row.sync_state = syncState;
+                        row.sync_error = error || '';
+                        changed = true;
+                        if (syncState !== 'failed') {
+                            delete state.selected[i];
+                        }
+                    }
+                });
+
+                if (changed) {
+                    self.renderDiscrepancyRows($browser);
+                }
+            });
+        },
+
+        /**
+         * Run the fix action for a discrepancy row
+         *
+         * @param {jQuery} $btn Fix button
+         */
+        fixDiscrepancy: function($btn) {
+            var self = this;
+            var i18n = (window.ZBooks && window.ZBooks.config && window.ZBooks.config.i18n) || {};
+            var state = $btn.closest('.zbooks-disc-browser').data('discState');
+            var row = state && state.rows[$btn.data('index')];
+            var fix = row && this.fixActions[row.type];
+
+            if (!fix) return;
+
+            var data = {
+                action: fix.action,
+                nonce: fix.ajaxNonce ? (typeof zbooks !== 'undefined' ? zbooks.nonce : '') : self.nonce,
+                order_id: row.order_id
+            };
+
+            if (row.type === 'missing_in_wc') {
+                var orderId = parseInt(window.prompt(
+                    (i18n.link_invoice_prompt || 'Link invoice %s to which WooCommerce order? Enter the order ID:').replace('%s', row.invoice_number)
+                ), 10);
+
+                if (!orderId) return;
+
+                data.order_id = orderId;
+                data.invoice_id = row.invoice_id;
+            }
+
+            // Only this discrepancy is fixed; other issues on the same order stay open.
+            var matches = function(other) {
+                return other.type === row.type &&
+                    (row.order_id ? other.order_id === row.order_id : other.invoice_id === row.invoice_id);
+            };
+
+            self.setDiscrepancyState(matches, 'syncing');
+
+            var send = function() {
+                $.ajax({
+                    url: ajaxurl,
+                    type: 'POST',
+                    data: data,
+                    success: function(response) {
+                        if (response.success) {
+                            self.setDiscrepancyState(matches, 'synced');
+                            self.updateDiscrepancyCount(row.type, -1);
+                        } else if (response.data.confirm_required) {
+                            // The order doesn't look like this invoice's order; let the user decide.
+                            if (window.confirm(response.data.message + '\n\n' + (i18n.confirm_link_anyway || 'Link anyway?'))) {
+                                data.confirmed = 1;
+                                send();
+                            } else {
+                                self.setDiscrepancyState(matches, '');
+                            }
+                        } else {
+                            self.setDiscrepancyState(matches, 'failed', response.data.message || (i18n.fix_failed || 'Fix failed'));
+                        }
+                    },
+                    error: function(xhr) {
+                        self.setDiscrepancyState(matches, 'failed', self.getAjaxErrorMessage(xhr, i18n.fix_failed || 'Fix failed'));
+                    }
+                });
+            };
+
+            send();
+        },
+
+        /**
+         * Open the side-by-side order vs. invoice diff for an order
+         *
+         * @param {number} orderId   Order ID
+         * @param {string} invoiceId Zoho invoice ID (optional, defaults to the linked invoice)
+         */
+        showDiffModal: function(orderId, invoiceId) {
+            var self = this;
+            var i18n = (window.ZBooks && window.ZBooks.config && window.ZBooks.config.i18n) || {};
+            var $modal = $('#zbooks-diff-modal');
+
+            if (!$modal.length) {
+                $modal = $('<div id="zbooks-diff-modal" class="zbooks-modal">').append(
+                    $('<div class="zbooks-modal-content">').append(
+                        $('<span class="zbooks-modal-close">&times;</span>'),
+                        $('<div class="zbooks-diff-body">')
+                    )
+                );
+                $('body').append($modal);
+
+                $modal.on('click', function(e) {
+                    if ($(e.target).is('.zbooks-modal, .zbooks-modal-close')) {
+                        $modal.fadeOut(function() {
+                            $modal.remove();
+                        });
+                    }
+                });
+            }
+
+            var $body = $modal.find('.zbooks-diff-body')
+                .empty()
+                .append($('<p class="zbooks-diff-loading">').text(i18n.loading_diff || 'Loading order and invoice...'));
+
+            $modal.data('order-id', orderId).fadeIn();
+
+            $.ajax({
+                url: ajaxurl,
+                type: 'POST',
+                data: {
+                    action: 'zbooks_reconciliation_diff',
+                    nonce: self.nonce,
+                    order_id: orderId,
+                    invoice_id: invoiceId
+                },
+                success: function(response) {
+                    if (response.success) {
+                        self.renderDiff($body, response.data);
+                    } else {
+                        $body.empty().append($('<p class="error">').text(response.data.message || (i18n.failed_to_load_diff || 'Failed to load the diff.')));
+                    }
+                },
+                error: function(xhr) {
+                    $body.empty().append($('<p class="error">').text(self.getAjaxErrorMessage(xhr, i18n.failed_to_load_diff || 'Failed to load the diff.')));
+                }
+            });
+        },
+
+        /**
+         * Render line and total comparisons into the diff modal
+         *
+         * @param {jQuery} $body Modal body
+         * @param {Object} data  Diff data from zbooks_reconciliation_diff
+         */
+        renderDiff: function($body, data) {
+            var i18n = (window.ZBooks && window.ZBooks.config && window.ZBooks.config.i18n) || {};
+            var totalLabels = {
+                subtotal: i18n.subtotal || 'Subtotal',
+                discount: i18n.discount || 'Discount',
+                shipping: i18n.shipping || 'Shipping',
+                tax: i18n.tax || 'Tax',
+                adjustment: i18n.adjustment || 'Adjustment / rounding',
+                total: i18n.total || 'Total'
+            };
+
+            function amount(value) {
+                return value === null || value === undefined ? '—' : (parseFloat(value) || 0).toFixed(2);
+            }
+
+            function cell(side, field, changed) {
+                return $('<td class="zbooks-diff-num">')
+                    .toggleClass('zbooks-diff-changed', changed)
+                    .text(side ? (field === 'quantity' ? String(side.quantity) : amount(side[field])) : '—');
+            }
+
+            var $lines = $('<tbody>');
+            $.each(data.lines || [], function(i, line) {
+                var $row = $('<tr>')
+                    .toggleClass('zbooks-diff-only-wc', !line.zoho)
+                    .toggleClass('zbooks-diff-only-zoho', !line.wc)
+                    .append($('<td>').text(line.name || '—').append(
+                        !line.wc ? $('<span class="zbooks-diff-note">').text(i18n.only_in_zoho || 'Only in Zoho') :
+                            !line.zoho ? $('<span class="zbooks-diff-note">').text(i18n.only_in_wc || 'Only in WooCommerce') : ''
+                    ));
+
+                $.each(['wc', 'zoho'], function(j, side) {
+                    $.each(['quantity', 'rate', 'total'], function(k, field) {
+                        $row.append(cell(line[side], field, line.differs[field]));
+                    });
+                });
+
+                $lines.append($row);
+            });
+
+            if (!$lines.children().length) {
+                $lines.append($('<tr>').append($('<td colspan="7">').text(i18n.no_line_items || 'No line items.')));
+            }
+
+            var $totals = $('<tbody>');
+            $.each(data.totals || [], function(i, row) {
+                $totals.append($('<tr>').toggleClass('zbooks-diff-total-row', row.key === 'total').append(
+                    $('<td>').text(totalLabels[row.key] || row.key),
+                    $('<td class="zbooks-diff-num">').toggleClass('zbooks-diff-changed', row.differs).text(amount(row.wc)),
+                    $('<td class="zbooks-diff-num">').toggleClass('zbooks-diff-changed', row.differs).text(amount(row.zoho)),
+                    $('<td class="zbooks-diff-num">').text(row.differs ? amount(row.wc - row.zoho) : '—')
+                ));
+            });
+
+            var wcLabel = (i18n.woocommerce || 'WooCommerce') + ' #' + data.order.number;
+            var zohoLabel = (i18n.zoho_invoice || 'Zoho invoice') + ' ' + data.invoice.number;
+
+            $body.empty().append(
+                $('<h2>').text(wcLabel + ' ↔ ' + zohoLabel),
+                $('<p class="zbooks-diff-meta">').text(
+                    (i18n.order_status || 'Order Status') + ': ' + data.order.status + ' · ' +
+                    (i18n.invoice_status || 'Invoice Status') + ': ' + (data.invoice.status || '—')
+                ),
+                $('<h3>').text(i18n.line_items || 'Line items'),
+                $('<table class="widefat zbooks-diff-table">').append(
+                    $('<thead>').append(
+                        $('<tr>').append(
+                            $('<th rowspan="2">').text(i18n.item || 'Item'),
+                            $('<th colspan="3" class="zbooks-diff-side">').text(wcLabel),
+                            $('<th colspan="3" class="zbooks-diff-side">').text(zohoLabel)
+                        ),
+                        $('<tr>').append(
+                            $('<th class="zbooks-diff-num">').text(i18n.qty || 'Qty'),
+                            $('<th class="zbooks-diff-num">').text(i18n.rate || 'Rate'),
+                            $('<th class="zbooks-diff-num">').text(i18n.line_total || 'Total'),
+                            $('<th class="zbooks-diff-num">').text(i18n.qty || 'Qty'),
+                            $('<th class="zbooks-diff-num">').text(i18n.rate || 'Rate'),
+                            $('<th class="zbooks-diff-num">').text(i18n.line_total || 'Total')
+                        )
+                    ),
+                    $lines
+                ),
+                $('<h3>').text(i18n.totals || 'Totals'),
+                $('<table class="widefat zbooks-diff-table zbooks-diff-totals">').append(
+                    $('<thead>').append($('<tr>').append(
+                        $('<th>'),
+                        $('<th class="zbooks-diff-num">').text(i18n.woocommerce || 'WooCommerce'),
+                        $('<th class="zbooks-diff-num">').text(i18n.zoho || 'Zoho'),
+                        $('<th class="zbooks-diff-num">').text(i18n.difference || 'Difference')
+                    )),
+                    $totals
+                ),
+                $('<p class="zbooks-diff-actions">').append(
+                    $('<button type="button" class="button button-primary zbooks-diff-resync">')
+                        .attr('data-order-id', data.order.id)
+                        .text(i18n.resync_order || 'Re-sync order'),
+                    ' ',
+                    $('<span class="zbooks-diff-resync-status">')
+                )
+            );
+        },
+
+        /**
+         * Re-sync the order shown in the diff viewer, then reload the diff
+         *
+         * @param {jQuery} $btn Re-sync button
+         */
+        resyncDiffOrder: function($btn) {
+            var self = this;
+            var i18n = (window.ZBooks && window.ZBooks.config && window.ZBooks.config.i18n) || {};
+            var orderId = parseInt($btn.data('order-id'), 10);
+            var $status = $btn.siblings('.zbooks-diff-resync-status');
+
+            $btn.prop('disabled', true).text(i18n.syncing || 'Syncing...');
+            $status.removeClass('error').text('');
+            self.setDiscrepancySyncState(orderId, 'syncing');
+
+            $.ajax({
+                url: ajaxurl,
+                type: 'POST',
+                data: {
+                    action: 'zbooks_reconciliation_sync',
+                    nonce: self.nonce,
+                    order_id: orderId
+                },
+                success: function(response) {
+                    if (response.success) {
+                        self.setDiscrepancySyncState(orderId, 'synced');
+                        self.showDiffModal(orderId, response.data.invoice_id || '');
+                    } else {
+                        var message = response.data.message || (i18n.sync_failed || 'Sync failed');
+                        self.setDiscrepancySyncState(orderId, 'failed', message);
+                        $btn.prop('disabled', false).text(i18n.retry || 'Retry');
+                        $status.addClass('error').text(message);
+                    }
+                },
+                error: function(xhr) {
+                    var message = self.getAjaxErrorMessage(xhr, i18n.sync_failed || 'Sync failed');
+                    self.setDiscrepancySyncState(orderId, 'failed', message);
+                    $btn.prop('disabled', false).text(i18n.retry || 'Retry');
+                    $status.addClass('error').text(message);
+                }
+            });
+        },
+
+        /**
+         * Update the bulk re-sync button for the current selection
+         *
+         * @param {jQuery} $browser Discrepancy browser container
+         */
+        updateDiscrepancySelection: function($browser) {
+            var i18n = (window.ZBooks && window.ZBooks.config && window.ZBooks.config.i18n) || {};
+            var count = this.getSelectedDiscrepancyOrders($browser).length;
+            var $btn = $browser.find('.zbooks-disc-bulk-resync');
+
+            if ($btn.data('running')) return;
+
+            $btn.prop('disabled', count === 0)
+                .text((i18n.resync_selected || 'Re-sync Selected') + (count ? ' (' + count + ')' : ''));
+        },
+
+        /**
+         * Get the unique order IDs of the selected discrepancy rows
+         *
+         * @param {jQuery} $browser Discrepancy browser container
+         * @return {Array}
+         */
+        getSelectedDiscrepancyOrders: function($browser) {
+            var state = $browser.data('discState');
+            var orderIds = [];
+
+            if (!state) return orderIds;
+
+            $.each(state.selected, function(index, checked) {
+                var row = state.rows[index];
+                if (checked && row && row.can_sync && $.inArray(row.order_id, orderIds) === -1) {
+                    orderIds.push(row.order_id);
+                }
+            });
+
+            return orderIds;
+        },
+
+        /**
+         * Re-sync the orders behind the selected discrepancy rows
+         *
+         * @param {jQuery} $btn Bulk re-sync button
+         */
+        resyncSelectedDiscrepancies: function($btn) {
+            var self = this;
+            var i18n = (window.ZBooks && window.ZBooks.config && window.ZBooks.config.i18n) || {};
+            var $browser = $btn.closest('.zbooks-disc-browser');
+            var orderIds = this.getSelectedDiscrepancyOrders($browser);
+
+            if (!orderIds.length) return;
+
+            if (!confirm((i18n.confirm_resync_selected || 'Re-sync the selected orders to Zoho Books?') + ' (' + orderIds.length + ')')) {
+                return;
+            }
+
+            var job = window.ZBooks.JobRunner.create({
+                items: orderIds,
+                action: 'zbooks_reconciliation_sync',
+                nonce: self.nonce,
+                unit: 'orders',
+                data: function(orderId) {
+                    return { order_id: orderId };
+                }
+            });
+
+            $btn.data('running', true).prop('disabled', true);
+
+            job.on('itemstart', function(orderId) {
+                self.setDiscrepancySyncState(orderId, 'syncing');
+            }).on('itemdone', function(orderId, outcome) {
+                self.setDiscrepancySyncState(orderId, outcome.success ? 'synced' : 'failed', outcome.error);
+            }).on('progress', function() {
+                $btn.text((i18n.syncing || 'Syncing...') + ' ' + job.processed + ' / ' + job.total);
+            }).on('finished', function() {
+                $btn.data('running', false);
+                self.updateDiscrepancySelection($browser);
+                alert('Synced ' + job.succeeded + ' orders, ' + job.failed + ' failed.');
+            });
+
+            job.start();
+        },
+
         /**
          * Parse AJAX error and return user-friendly message
          *
@@ -20,6 +20,11 @@ defined( 'ABSPATH' ) || exit;
  */
 class LogViewer {
 
+	/**
+	 * Number of log entries loaded per page.
+	 */
+	private const PAGE_SIZE = 100;
+
 	/**
 	 * Logger instance.
 	 *
@@ -77,14 +82,32 @@ class LogViewer {
 			'zbooks-log-viewer',
 			'zbooksLogViewer',
 			[
-				'ajaxUrl' => admin_url( 'admin-ajax.php' ),
-				'nonces'  => [
+				'ajaxUrl'  => admin_url( 'admin-ajax.php' ),
+				'nonces'   => [
 					'get_logs'       => wp_create_nonce( 'zbooks_get_logs' ),
 					'clear_logs'     => wp_create_nonce( 'zbooks_clear_logs' ),
 					'clear_all_logs' => wp_create_nonce( 'zbooks_clear_all_logs' ),
 				],
-				'i18n'    => [
+				'pageSize' => self::PAGE_SIZE,
+				'i18n'     => [
 					'refreshing'      => __( 'Refreshing...', 'zbooks-for-woocommerce' ),
+					'loading'         => __( 'Loading...', 'zbooks-for-woocommerce' ),
+					'load_more'       => __( 'Load more', 'zbooks-for-woocommerce' ),
+					'no_entries'      => __( 'No log entries found.', 'zbooks-for-woocommerce' ),
+					'view'            => __( 'View', 'zbooks-for-woocommerce' ),
+					/* translators: 1: number of entries shown, 2: total matching entries */
+					'showing'         => __( 'Showing %1$s of %2$s entries', 'zbooks-for-woocommerce' ),
+					'load_failed'     => __( 'Failed to load logs.', 'zbooks-for-woocommerce' ),
+					'exporting'       => __( 'Exporting...', 'zbooks-for-woocommerce' ),
+					'export_empty'    => __( 'No log entries match the current filters.', 'zbooks-for-woocommerce' ),
+					/* translators: %s: order ID */
+					'timeline_order'  => __( 'Timeline for order #%s', 'zbooks-for-woocommerce' ),
+					/* translators: %s: correlation ID */
+					'timeline_sync'   => __( 'Timeline for %s', 'zbooks-for-woocommerce' ),
+					'timeline_empty'  => __( 'No related entries found.', 'zbooks-for-woocommerce' ),
+					/* translators: %s: API endpoint */
+					'failed_at'       => __( 'Failed at %s', 'zbooks-for-woocommerce' ),
+					'no_failures'     => __( 'All API calls succeeded', 'zbooks-for-woocommerce' ),
 					'clearing'        => __( 'Clearing...', 'zbooks-for-woocommerce' ),
 					'confirm_clear'   => __( 'Are you sure you want to clear old logs?', 'zbooks-for-woocommerce' ),
 					'confirm_clear_all' => __( 'Are you sure you want to clear ALL logs? This cannot be undone.', 'zbooks-for-woocommerce' ),
@@ -110,43 +133,51 @@ class LogViewer {
 
 	/**
 	 * Render the log viewer page.
+	 *
+	 * The first page is rendered here so the filters also work without
+	 * JavaScript; log-viewer.js then takes over filtering, paging and tail mode.
 	 */
 	public function render_page(): void {
 		$files          = $this->logger->get_log_files();
-		$selected_date  = isset( $_GET['date'] ) ? sanitize_text_field( wp_unslash( $_GET['date'] ) ) : '';
+		$legacy_date    = isset( $_GET['date'] ) ? sanitize_text_field( wp_unslash( $_GET['date'] ) ) : '';
+		$date_from      = isset( $_GET['date_from'] ) ? sanitize_text_field( wp_unslash( $_GET['date_from'] ) ) : $legacy_date;
+		$date_to        = isset( $_GET['date_to'] ) ? sanitize_text_field( wp_unslash( $_GET['date_to'] ) ) : $legacy_date;
 		$selected_level = isset( $_GET['level'] ) ? sanitize_text_field( wp_unslash( $_GET['level'] ) ) : '';
+		$order_id       = isset( $_GET['order_id'] ) ? absint( $_GET['order_id'] ) : 0;
+		$search         = isset( $_GET['s'] ) ? sanitize_text_field( wp_unslash( $_GET['s'] ) ) : '';
 
-		if ( empty( $selected_date ) && ! empty( $files ) ) {
-			$selected_date = $files[0]['date'];
+		// Default to the most recent day with logs.
+		if ( empty( $date_from ) && empty( $date_to ) && ! empty( $files ) ) {
+			$date_from = $files[0]['date'];
+			$date_to   = $files[0]['date'];
 		}
 
-		$entries = [];
-		$stats   = [];
-		if ( ! empty( $selected_date ) ) {
-			$entries = $this->logger->read_log( $selected_date, 200, $selected_level );
-			$stats   = $this->logger->get_stats( $selected_date );
-		}
+		$result  = $this->logger->query_logs(
+			[
+				'date_from' => $date_from,
+				'date_to'   => $date_to,
+				'level'     => $selected_level,
+				'order_id'  => $order_id,
+				'search'    => $search,
+			],
+			0,
+			self::PAGE_SIZE
+		);
+		$entries = $result['entries'];
+		$stats   = $result['stats'];
 		?>
 		<div class="wrap">
 			<h1><?php esc_html_e( 'ZBooks Sync Logs', 'zbooks-for-woocommerce' ); ?></h1>
 
 			<div class="zbooks-log-controls">
-				<form method="get" action="">
+				<form method="get" action="" id="zbooks-log-filters">
 					<input type="hidden" name="page" value="zbooks-logs">
 
-					<label for="date"><?php esc_html_e( 'Date:', 'zbooks-for-woocommerce' ); ?></label>
-					<select name="date" id="date">
-						<?php if ( empty( $files ) ) : ?>
-							<option value=""><?php esc_html_e( 'No logs available', 'zbooks-for-woocommerce' ); ?></option>
-						<?php else : ?>
-							<?php foreach ( $files as $file ) : ?>
-								<option value="<?php echo esc_attr( $file['date'] ); ?>" <?php selected( $selected_date, $file['date'] ); ?>>
-									<?php echo esc_html( $file['date'] ); ?>
-									(<?php echo esc_html( size_format( $file['size'] ) ); ?>)
-								</option>
-							<?php endforeach; ?>
-						<?php endif; ?>
-					</select>
+					<label for="zbooks-log-date-from"><?php esc_html_e( 'From:', 'zbooks-for-woocommerce' ); ?></label>
+					<input type="date" name="date_from" id="zbooks-log-date-from" value="<?php echo esc_attr( $date_from ); ?>">
+
+					<label for="zbooks-log-date-to"><?php esc_html_e( 'To:', 'zbooks-for-woocommerce' ); ?></label>
+					<input type="date" name="date_to" id="zbooks-log-date-to" value="<?php echo esc_attr( $date_to ); ?>">
 
 					<label for="level"><?php esc_html_e( 'Level:', 'zbooks-for-woocommerce' ); ?></label>
 					<select name="level" id="level">
@@ -165,11 +196,37 @@ class LogViewer {
 						</option>
 					</select>
 
+					<label for="zbooks-log-order-id"><?php esc_html_e( 'Order ID:', 'zbooks-for-woocommerce' ); ?></label>
+					<input type="number" name="order_id" id="zbooks-log-order-id" min="1" class="small-text" value="<?php echo $order_id ? esc_attr( (string) $order_id ) : ''; ?>">
+
+					<label for="zbooks-log-search" class="screen-reader-text"><?php esc_html_e( 'Search logs', 'zbooks-for-woocommerce' ); ?></label>
+					<input type="search" name="s" id="zbooks-log-search" value="<?php echo esc_attr( $search ); ?>" placeholder="<?php esc_attr_e( 'Search message and context...', 'zbooks-for-woocommerce' ); ?>">
+
 					<button type="submit" class="button"><?php esc_html_e( 'Filter', 'zbooks-for-woocommerce' ); ?></button>
 
 					<button type="button" class="button zbooks-refresh-logs">
 						<?php esc_html_e( 'Refresh', 'zbooks-for-woocommerce' ); ?>
 					</button>
+
+					<label class="zbooks-log-tail-toggle">
+						<input type="checkbox" id="zbooks-log-tail">
+						<?php esc_html_e( 'Tail (auto-refresh)', 'zbooks-for-woocommerce' ); ?>
+					</label>
+
+					<span class="zbooks-log-export">
+						<label for="zbooks-log-export-format" class="screen-reader-text"><?php esc_html_e( 'Export format', 'zbooks-for-woocommerce' ); ?></label>
+						<select id="zbooks-log-export-format">
+							<option value="jsonl"><?php esc_html_e( 'JSONL', 'zbooks-for-woocommerce' ); ?></option>
+							<option value="csv"><?php esc_html_e( 'CSV', 'zbooks-for-woocommerce' ); ?></option>
+						</select>
+						<label>
+							<input type="checkbox" id="zbooks-log-export-redact" checked>
+							<?php esc_html_e( 'Redact personal data', 'zbooks-for-woocommerce' ); ?>
+						</label>
+						<button type="button" class="button zbooks-export-logs">
+							<?php esc_html_e( 'Export', 'zbooks-for-woocommerce' ); ?>
+						</button>
+					</span>
 				</form>
 
 				<form method="post" action="">
@@ -190,28 +247,26 @@ class LogViewer {
 				</form>
 			</div>
 
-			<?php if ( ! empty( $stats ) ) : ?>
-				<div class="zbooks-log-stats" style="margin: 15px 0; padding: 10px; background: #f0f0f1; display: inline-flex; gap: 20px;">
-					<span>
-						<strong><?php esc_html_e( 'Total:', 'zbooks-for-woocommerce' ); ?></strong>
-						<?php echo esc_html( $stats['total'] ); ?>
-					</span>
-					<span style="color: #d63638;">
-						<strong><?php esc_html_e( 'Errors:', 'zbooks-for-woocommerce' ); ?></strong>
-						<?php echo esc_html( $stats['ERROR'] ); ?>
-					</span>
-					<span style="color: #dba617;">
-						<strong><?php esc_html_e( 'Warnings:', 'zbooks-for-woocommerce' ); ?></strong>
-						<?php echo esc_html( $stats['WARNING'] ); ?>
-					</span>
-					<span style="color: #00a32a;">
-						<strong><?php esc_html_e( 'Info:', 'zbooks-for-woocommerce' ); ?></strong>
-						<?php echo esc_html( $stats['INFO'] ); ?>
-					</span>
-				</div>
-			<?php endif; ?>
+			<div class="zbooks-log-stats" style="margin: 15px 0; padding: 10px; background: #f0f0f1; display: inline-flex; gap: 20px;">
+				<span>
+					<strong><?php esc_html_e( 'Total:', 'zbooks-for-woocommerce' ); ?></strong>
+					<span data-stat="total"><?php echo esc_html( $stats['total'] ); ?></span>
+				</span>
+				<span style="color: #d63638;">
+					<strong><?php esc_html_e( 'Errors:', 'zbooks-for-woocommerce' ); ?></strong>
+					<span data-stat="ERROR"><?php echo esc_html( $stats['ERROR'] ); ?></span>
+				</span>
+				<span style="color: #dba617;">
+					<strong><?php esc_html_e( 'Warnings:', 'zbooks-for-woocommerce' ); ?></strong>
+					<span data-stat="WARNING"><?php echo esc_html( $stats['WARNING'] ); ?></span>
+				</span>
+				<span style="color: #00a32a;">
+					<strong><?php esc_html_e( 'Info:', 'zbooks-for-woocommerce' ); ?></strong>
+					<span data-stat="INFO"><?php echo esc_html( $stats['INFO'] ); ?></span>
+				</span>
+			</div>
 
-			<table class="widefat fixed striped" id="zbooks-log-table">
+			<table class="widefat fixed striped" id="zbooks-log-table" data-total="<?php echo esc_attr( (string) $result['total'] ); ?>">
 				<thead>
 					<tr>
 						<th style="width: 160px;"><?php esc_html_e( 'Timestamp', 'zbooks-for-woocommerce' ); ?></th>
@@ -222,7 +277,7 @@ class LogViewer {
 				</thead>
 				<tbody>
 					<?php if ( empty( $entries ) ) : ?>
-						<tr>
+						<tr class="zbooks-log-empty">
 							<td colspan="4"><?php esc_html_e( 'No log entries found.', 'zbooks-for-woocommerce' ); ?></td>
 						</tr>
 					<?php else : ?>
@@ -246,6 +301,22 @@ class LogViewer {
 					<?php endif; ?>
 				</tbody>
 			</table>
+
+			<div class="zbooks-log-pager">
+				<span class="zbooks-log-count">
+					<?php
+					printf(
+						/* translators: 1: number of entries shown, 2: total matching entries */
+						esc_html__( 'Showing %1$s of %2$s entries', 'zbooks-for-woocommerce' ),
+						esc_html( number_format_i18n( count( $entries ) ) ),
+						esc_html( number_format_i18n( $result['total'] ) )
+					);
+					?>
+				</span>
+				<button type="button" class="button zbooks-load-more-logs" <?php echo count( $entries ) >= $result['total'] ? 'style="display: none;"' : ''; ?>>
+					<?php esc_html_e( 'Load more', 'zbooks-for-woocommerce' ); ?>
+				</button>
+			</div>
 		</div>
 
 		<!-- Log Details Modal -->
@@ -279,6 +350,9 @@ class LogViewer {
 					</div>
 				</div>
 				<div class="zbooks-modal-footer">
+					<button type="button" class="button zbooks-view-timeline" style="display: none;">
+						<?php esc_html_e( 'View Timeline', 'zbooks-for-woocommerce' ); ?>
+					</button>
 					<button type="button" class="button zbooks-copy-json">
 						<?php esc_html_e( 'Copy JSON', 'zbooks-for-woocommerce' ); ?>
 					</button>
@@ -288,11 +362,31 @@ class LogViewer {
 				</div>
 			</div>
 		</div>
+
+		<!-- Request Timeline Modal -->
+		<div id="zbooks-timeline-modal" class="zbooks-modal" style="display: none;">
+			<div class="zbooks-modal-overlay"></div>
+			<div class="zbooks-modal-content zbooks-timeline-content">
+				<div class="zbooks-modal-header">
+					<h2 id="zbooks-timeline-title"><?php esc_html_e( 'Request Timeline', 'zbooks-for-woocommerce' ); ?></h2>
+					<button type="button" class="zbooks-modal-close">&times;</button>
+				</div>
+				<div class="zbooks-modal-body" id="zbooks-timeline-body"></div>
+				<div class="zbooks-modal-footer">
+					<button type="button" class="button button-primary zbooks-modal-close">
+						<?php esc_html_e( 'Close', 'zbooks-for-woocommerce' ); ?>
+					</button>
+				</div>
+			</div>
+		</div>
 		<?php
 	}
 
 	/**
 	 * AJAX handler for getting logs.
+	 *
+	 * Accepts a date range, level, order ID and search text, and pages
+	 * through the matches with offset/limit.
 	 */
 	public function ajax_get_logs(): void {
 		check_ajax_referer( 'zbooks_get_logs', 'nonce' );
@@ -301,17 +395,40 @@ class LogViewer {
 			wp_send_json_error( [ 'message' => __( 'Permission denied.', 'zbooks-for-woocommerce' ) ] );
 		}
 
-		$date  = isset( $_POST['date'] ) ? sanitize_text_field( wp_unslash( $_POST['date'] ) ) : gmdate( 'Y-m-d' );
-		$level = isset( $_POST['level'] ) ? sanitize_text_field( wp_unslash( $_POST['level'] ) ) : '';
-		$limit = isset( $_POST['limit'] ) ? absint( wp_unslash( $_POST['limit'] ) ) : 100;
+		// A single "date" is still accepted for older callers.
+		$date      = isset( $_POST['date'] ) ? sanitize_text_field( wp_unslash( $_POST['date'] ) ) : '';
+		$date_from = isset( $_POST['date_from'] ) ? sanitize_text_field( wp_unslash( $_POST['date_from'] ) ) : $date;
+		$date_to   = isset( $_POST['date_to'] ) ? sanitize_text_field( wp_unslash( $_POST['date_to'] ) ) : $date;
+		$level     = isset( $_POST['level'] ) ? sanitize_text_field( wp_unslash( $_POST['level'] ) ) : '';
+		$order_id  = isset( $_POST['order_id'] ) ? absint( wp_unslash( $_POST['order_id'] ) ) : 0;
+		$search    = isset( $_POST['search'] ) ? sanitize_text_field( wp_unslash( $_POST['search'] ) ) : '';
+		$offset    = isset( $_POST['offset'] ) ? absint( wp_unslash( $_POST['offset'] ) ) : 0;
+		$limit     = isset( $_POST['limit'] ) ? absint( wp_unslash( $_POST['limit'] ) ) : self::PAGE_SIZE;
+
+		if ( empty( $date_from ) && empty( $date_to ) ) {
+			$date_from = gmdate( 'Y-m-d' );
+			$date_to   = $date_from;
+		}
 
-		$entries = $this->logger->read_log( $date, $limit, $level );
-		$stats   = $this->logger->get_stats( $date );
+		$result = $this->logger->query_logs(
+			[
+				'date_from' => $date_from,
+				'date_to'   => $date_to,
+				'level'     => $level,
+				'order_id'  => $order_id,
+				'search'    => $search,
+			],
+			$offset,
+			min( max( 1, $limit ), 500 )
+		);
 
 		wp_send_json_success(
 			[
-				'entries' => $entries,
-				'stats'   => $stats,
+				'entries'  => $result['entries'],
+				'stats'    => $result['stats'],
+				'total'    => $result['total'],
+				'offset'   => $offset,
+				'has_more' => $offset + count( $result['entries'] ) < $result['total'],
 			]
 		);
 	}
@@ -189,6 +189,14 @@ class OrdersTab {
 			'zbooks_sync_behavior_section'
 		);
 
+		add_settings_field(
+			'zbooks_bulk_sync_workers',
+			__( 'Bulk Sync Workers', 'zbooks-for-woocommerce' ),
+			[ $this, 'render_bulk_sync_workers_field' ],
+			'zbooks-settings-orders',
+			'zbooks_sync_behavior_section'
+		);
+
 		// Currency info section.
 		add_settings_section(
 			'zbooks_currency_section',
@@ -525,6 +533,28 @@ class OrdersTab {
 		<?php
 	}
 
+	/**
+	 * Render bulk sync workers field.
+	 *
+	 * Stored in zbooks_sync_behavior so it saves with the locked invoice option.
+	 */
+	public function render_bulk_sync_workers_field(): void {
+		$settings = get_option( 'zbooks_sync_behavior', [] );
+		$workers  = (int) ( $settings['bulk_sync_workers'] ?? 3 );
+		?>
+		<input type="number" name="zbooks_sync_behavior[bulk_sync_workers]" id="zbooks_bulk_sync_workers"
+			value="<?php echo esc_attr( $workers ); ?>" min="1" max="10" step="1" class="small-text">
+		<p class="description">
+			<?php esc_html_e( 'Maximum number of orders synced in parallel during bulk sync (1-10). The pool starts with one worker, adds workers while requests succeed and drops back when Zoho rate limits. Lower this if your Zoho plan has a tight API limit.', 'zbooks-for-woocommerce' ); ?>
+		</p>
+		<?php if ( has_filter( 'zbooks_bulk_sync_workers' ) ) : ?>
+			<p class="description">
+				<?php esc_html_e( 'A zbooks_bulk_sync_workers filter is active on this site and overrides this value.', 'zbooks-for-woocommerce' ); ?>
+			</p>
+		<?php endif; ?>
+		<?php
+	}
+
 	/**
 	 * Render currency section description.
 	 */
@@ -688,6 +718,7 @@ class OrdersTab {
 	public function sanitize_sync_behavior( array $input ): array {
 		return [
 			'backoff_on_locked' => ! empty( $input['backoff_on_locked'] ),
+			'bulk_sync_workers' => max( 1, min( 10, absint( $input['bulk_sync_workers'] ?? 3 ) ) ),
 		];
 	}
 }
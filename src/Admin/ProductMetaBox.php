@@ -13,6 +13,7 @@ namespace Zbooks\Admin;
 
 use WC_Product;
 use Zbooks\Api\ZohoClient;
+use Zbooks\Helper\ItemPreview;
 use Zbooks\Helper\ZohoUrlHelper;
 use Zbooks\Repository\ItemMappingRepository;
 
@@ -56,6 +57,8 @@ class ProductMetaBox {
 		add_action( 'add_meta_boxes', [ $this, 'add_meta_box' ] );
 		add_action( 'wp_ajax_zbooks_create_zoho_item', [ $this, 'ajax_create_item' ] );
 		add_action( 'wp_ajax_zbooks_sync_product_to_zoho', [ $this, 'ajax_sync_product' ] );
+		add_action( 'wp_ajax_zbooks_compare_product_item', [ $this, 'ajax_compare_product_item' ] );
+		add_action( 'wp_ajax_zbooks_sync_product_fields', [ $this, 'ajax_sync_product_fields' ] );
 		add_action( 'wp_ajax_zbooks_search_and_link_item', [ $this, 'ajax_search_and_link_item' ] );
 	}
 
@@ -148,6 +151,14 @@ class ProductMetaBox {
 						<?php esc_html_e( 'Unlink', 'zbooks-for-woocommerce' ); ?>
 					</button>
 				</p>
+				<p>
+					<button type="button"
+						class="button zbooks-compare-item-btn"
+						data-product-id="<?php echo esc_attr( $product_id ); ?>">
+						<?php esc_html_e( 'Compare with Zoho', 'zbooks-for-woocommerce' ); ?>
+					</button>
+				</p>
+				<div class="zbooks-compare-panel" style="display: none;"></div>
 			<?php elseif ( $zoho_item_id && ! $zoho_item ) : ?>
 				<p>
 					<strong><?php esc_html_e( 'Status:', 'zbooks-for-woocommerce' ); ?></strong>
@@ -206,6 +217,36 @@ class ProductMetaBox {
 				</p>
 			<?php endif; ?>
 
+			<?php if ( $product->is_type( 'variable' ) && $product->get_children() ) : ?>
+				<hr>
+
+				<div class="zbooks-variations-panel" data-product-id="<?php echo esc_attr( $product_id ); ?>">
+					<p>
+						<strong><?php esc_html_e( 'Variations', 'zbooks-for-woocommerce' ); ?></strong>
+					</p>
+					<p>
+						<button type="button"
+							class="button button-small zbooks-create-variations"
+							data-product-id="<?php echo esc_attr( $product_id ); ?>">
+							<?php esc_html_e( 'Create all variations in Zoho', 'zbooks-for-woocommerce' ); ?>
+						</button>
+						<button type="button"
+							class="button button-small zbooks-automap-variations"
+							data-product-id="<?php echo esc_attr( $product_id ); ?>">
+							<?php esc_html_e( 'Auto-map by SKU', 'zbooks-for-woocommerce' ); ?>
+						</button>
+						<span class="zbooks-variation-status"></span>
+					</p>
+					<table class="widefat striped zbooks-variations-table">
+						<tbody>
+							<tr>
+								<td colspan="2"><?php esc_html_e( 'Loading variations...', 'zbooks-for-woocommerce' ); ?></td>
+							</tr>
+						</tbody>
+					</table>
+				</div>
+			<?php endif; ?>
+
 			<p class="zbooks-product-result"></p>
 		</div>
 		<?php
@@ -481,6 +522,307 @@ class ProductMetaBox {
 		}
 	}
 
+	/**
+	 * AJAX handler for comparing a product with its linked Zoho item.
+	 */
+	public function ajax_compare_product_item(): void {
+		check_ajax_referer( 'zbooks_product_ajax', 'nonce' );
+
+		if ( ! current_user_can( 'manage_woocommerce' ) ) {
+			wp_send_json_error( [ 'message' => __( 'Permission denied.', 'zbooks-for-woocommerce' ) ] );
+		}
+
+		$product_id = isset( $_POST['product_id'] ) ? absint( $_POST['product_id'] ) : 0;
+		$product    = $product_id ? wc_get_product( $product_id ) : null;
+
+		if ( ! $product ) {
+			wp_send_json_error( [ 'message' => __( 'Product not found.', 'zbooks-for-woocommerce' ) ] );
+		}
+
+		$zoho_item_id = $this->mapping_repo->get_zoho_item_id( $product_id );
+		if ( ! $zoho_item_id ) {
+			wp_send_json_error( [ 'message' => __( 'Product not linked to Zoho.', 'zbooks-for-woocommerce' ) ] );
+		}
+
+		// Always compare against the live item.
+		delete_transient( 'zbooks_zoho_item_' . $zoho_item_id );
+		$zoho_item = $this->get_zoho_item( $zoho_item_id );
+
+		if ( ! $zoho_item ) {
+			wp_send_json_error( [ 'message' => __( 'The linked Zoho item could not be found. It may have been deleted.', 'zbooks-for-woocommerce' ) ] );
+		}
+
+		wp_send_json_success(
+			[
+				'item_id' => $zoho_item_id,
+				'fields'  => $this->compare_fields( $product, $zoho_item ),
+			]
+		);
+	}
+
+	/**
+	 * AJAX handler for syncing selected fields in either direction.
+	 *
+	 * Expects `fields` as a JSON object of field key => "push" or "pull".
+	 */
+	public function ajax_sync_product_fields(): void {
+		check_ajax_referer( 'zbooks_product_ajax', 'nonce' );
+
+		if ( ! current_user_can( 'manage_woocommerce' ) ) {
+			wp_send_json_error( [ 'message' => __( 'Permission denied.', 'zbooks-for-woocommerce' ) ] );
+		}
+
+		$product_id = isset( $_POST['product_id'] ) ? absint( $_POST['product_id'] ) : 0;
+		// phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Decoded JSON, keys and values are whitelisted below.
+		$directions = isset( $_POST['fields'] ) ? json_decode( wp_unslash( $_POST['fields'] ), true ) : null;
+		$product    = $product_id ? wc_get_product( $product_id ) : null;
+
+		if ( ! $product ) {
+			wp_send_json_error( [ 'message' => __( 'Product not found.', 'zbooks-for-woocommerce' ) ] );
+		}
+
+		$zoho_item_id = $this->mapping_repo->get_zoho_item_id( $product_id );
+		if ( ! $zoho_item_id ) {
+			wp_send_json_error( [ 'message' => __( 'Product not linked to Zoho.', 'zbooks-for-woocommerce' ) ] );
+		}
+
+		if ( ! $this->client->is_configured() ) {
+			wp_send_json_error( [ 'message' => __( 'Zoho Books not configured.', 'zbooks-for-woocommerce' ) ] );
+		}
+
+		$push = [];
+		$pull = [];
+		foreach ( (array) $directions as $field => $direction ) {
+			if ( $direction === 'push' && in_array( $field, [ 'name', 'sku', 'rate', 'description', 'tax' ], true ) ) {
+				$push[] = $field;
+			} elseif ( $direction === 'pull' && in_array( $field, [ 'name', 'sku', 'rate', 'description', 'tax', 'stock' ], true ) ) {
+				$pull[] = $field;
+			}
+		}
+
+		if ( empty( $push ) && empty( $pull ) ) {
+			wp_send_json_error( [ 'message' => __( 'Select at least one field to sync.', 'zbooks-for-woocommerce' ) ] );
+		}
+
+		delete_transient( 'zbooks_zoho_item_' . $zoho_item_id );
+		$zoho_item = $this->get_zoho_item( $zoho_item_id );
+
+		if ( ! $zoho_item ) {
+			wp_send_json_error( [ 'message' => __( 'The linked Zoho item could not be found. It may have been deleted.', 'zbooks-for-woocommerce' ) ] );
+		}
+
+		try {
+			if ( ! empty( $pull ) ) {
+				$this->pull_item_fields( $product, $zoho_item, $pull );
+			}
+
+			if ( ! empty( $push ) ) {
+				$item_data = $this->build_item_data( $product );
+				$keys      = [
+					'name'        => [ 'name' ],
+					'sku'         => [ 'sku' ],
+					'rate'        => [ 'rate' ],
+					'description' => [ 'description' ],
+					'tax'         => [ 'is_taxable' ],
+				];
+				$update    = [];
+				foreach ( $push as $field ) {
+					foreach ( $keys[ $field ] as $key ) {
+						if ( array_key_exists( $key, $item_data ) ) {
+							$update[ $key ] = $item_data[ $key ];
+						}
+					}
+				}
+
+				if ( ! empty( $update ) ) {
+					$this->client->request(
+						function ( $client ) use ( $zoho_item_id, $update ) {
+							return $client->items->update( $zoho_item_id, $update );
+						},
+						[
+							'endpoint'     => 'items.update',
+							'product_id'   => $product_id,
+							'zoho_item_id' => $zoho_item_id,
+						]
+					);
+				}
+
+				delete_transient( 'zbooks_zoho_item_' . $zoho_item_id );
+				$zoho_item = $this->get_zoho_item( $zoho_item_id ) ?? $zoho_item;
+			}
+		} catch ( \Throwable $e ) {
+			wp_send_json_error( [ 'message' => $this->extract_api_error( $e ) ] );
+		}
+
+		$product = wc_get_product( $product_id );
+
+		wp_send_json_success(
+			[
+				'message'     => __( 'Selected fields synced.', 'zbooks-for-woocommerce' ),
+				'item_id'     => $zoho_item_id,
+				'item_url'    => ZohoUrlHelper::item( $zoho_item_id ),
+				'item_name'   => $zoho_item['name'] ?? '',
+				'item_sku'    => $zoho_item['sku'] ?? '',
+				'item_rate'   => isset( $zoho_item['rate'] ) ? wc_price( $zoho_item['rate'] ) : '',
+				'item_status' => isset( $zoho_item['status'] ) ? ucfirst( $zoho_item['status'] ) : '',
+				'pushed'      => $push,
+				'pulled'      => $pull,
+				'fields'      => $this->compare_fields( $product, $zoho_item ),
+			]
+		);
+	}
+
+	/**
+	 * Build a side-by-side comparison of product and Zoho item fields.
+	 *
+	 * Stock can only be pulled: Zoho changes stock through adjustments,
+	 * not item updates.
+	 *
+	 * @param WC_Product $product   WooCommerce product.
+	 * @param array      $zoho_item Zoho item.
+	 * @return array[] Fields with key, label, wc, zoho, differs, can_push and can_pull.
+	 */
+	private function compare_fields( WC_Product $product, array $zoho_item ): array {
+		$item_data = $this->build_item_data( $product );
+		$fields    = [];
+
+		$add = function ( string $key, string $label, $wc, $zoho, bool $differs, bool $can_push = true, bool $can_pull = true ) use ( &$fields ) {
+			$fields[] = [
+				'key'      => $key,
+				'label'    => $label,
+				'wc'       => $wc,
+				'zoho'     => $zoho,
+				'differs'  => $differs,
+				'can_push' => $can_push,
+				'can_pull' => $can_pull,
+			];
+		};
+
+		$add(
+			'name',
+			__( 'Name', 'zbooks-for-woocommerce' ),
+			$item_data['name'],
+			(string) ( $zoho_item['name'] ?? '' ),
+			trim( $item_data['name'] ) !== trim( (string) ( $zoho_item['name'] ?? '' ) )
+		);
+
+		$wc_sku   = (string) ( $item_data['sku'] ?? '' );
+		$zoho_sku = (string) ( $zoho_item['sku'] ?? '' );
+		$add(
+			'sku',
+			__( 'SKU', 'zbooks-for-woocommerce' ),
+			$wc_sku,
+			$zoho_sku,
+			strtolower( trim( $wc_sku ) ) !== strtolower( trim( $zoho_sku ) )
+		);
+
+		$zoho_rate = isset( $zoho_item['rate'] ) ? (float) $zoho_item['rate'] : null;
+		$add(
+			'rate',
+			__( 'Rate', 'zbooks-for-woocommerce' ),
+			wc_format_decimal( $item_data['rate'], wc_get_price_decimals() ),
+			$zoho_rate === null ? '' : wc_format_decimal( $zoho_rate, wc_get_price_decimals() ),
+			$zoho_rate === null || abs( $item_data['rate'] - $zoho_rate ) >= 0.01
+		);
+
+		$wc_description   = trim( (string) preg_replace( '/\s+/', ' ', $item_data['description'] ) );
+		$zoho_description = trim( (string) preg_replace( '/\s+/', ' ', (string) ( $zoho_item['description'] ?? '' ) ) );
+		$add(
+			'description',
+			__( 'Description', 'zbooks-for-woocommerce' ),
+			$wc_description,
+			$zoho_description,
+			$wc_description !== $zoho_description
+		);
+
+		$zoho_taxable = isset( $zoho_item['is_taxable'] ) ? (bool) $zoho_item['is_taxable'] : null;
+		$zoho_tax     = $zoho_taxable === null ? '' : ( $zoho_taxable ? __( 'Taxable', 'zbooks-for-woocommerce' ) : __( 'Not taxable', 'zbooks-for-woocommerce' ) );
+		if ( $zoho_taxable && ! empty( $zoho_item['tax_name'] ) ) {
+			$zoho_tax .= ' (' . $zoho_item['tax_name'] . ')';
+		}
+		$add(
+			'tax',
+			__( 'Tax', 'zbooks-for-woocommerce' ),
+			$item_data['is_taxable'] ? __( 'Taxable', 'zbooks-for-woocommerce' ) : __( 'Not taxable', 'zbooks-for-woocommerce' ),
+			$zoho_tax,
+			$zoho_taxable !== null && $zoho_taxable !== (bool) $item_data['is_taxable'],
+			true,
+			$zoho_taxable !== null
+		);
+
+		$wc_stock   = $product->managing_stock() ? (string) wc_stock_amount( $product->get_stock_quantity() ?? 0 ) : '';
+		$zoho_stock = isset( $zoho_item['stock_on_hand'] ) && ( $zoho_item['item_type'] ?? '' ) === 'inventory' ?
+			(string) wc_stock_amount( $zoho_item['stock_on_hand'] ) : '';
+		$add(
+			'stock',
+			__( 'Stock', 'zbooks-for-woocommerce' ),
+			$wc_stock,
+			$zoho_stock,
+			$wc_stock !== '' && $zoho_stock !== '' && $wc_stock !== $zoho_stock,
+			false,
+			$zoho_stock !== ''
+		);
+
+		return $fields;
+	}
+
+	/**
+	 * Copy selected Zoho item fields into the WooCommerce product.
+	 *
+	 * @param WC_Product $product   WooCommerce product.
+	 * @param array      $zoho_item Zoho item.
+	 * @param string[]   $fields    Field keys to pull.
+	 * @throws \WC_Data_Exception When a value is rejected (e.g. duplicate SKU).
+	 */
+	private function pull_item_fields( WC_Product $product, array $zoho_item, array $fields ): void {
+		foreach ( $fields as $field ) {
+			switch ( $field ) {
+				case 'name':
+					if ( ! empty( $zoho_item['name'] ) ) {
+						$product->set_name( $zoho_item['name'] );
+					}
+					break;
+
+				case 'sku':
+					$product->set_sku( (string) ( $zoho_item['sku'] ?? '' ) );
+					break;
+
+				case 'rate':
+					if ( isset( $zoho_item['rate'] ) ) {
+						$product->set_regular_price( wc_format_decimal( $zoho_item['rate'] ) );
+						if ( ! $product->is_on_sale( 'edit' ) ) {
+							$product->set_price( wc_format_decimal( $zoho_item['rate'] ) );
+						}
+					}
+					break;
+
+				case 'description':
+					// build_item_data() pushes the short description when present, so pull into the same field.
+					if ( $product->get_short_description() !== '' ) {
+						$product->set_short_description( (string) ( $zoho_item['description'] ?? '' ) );
+					} else {
+						$product->set_description( (string) ( $zoho_item['description'] ?? '' ) );
+					}
+					break;
+
+				case 'tax':
+					if ( isset( $zoho_item['is_taxable'] ) ) {
+						$product->set_tax_status( $zoho_item['is_taxable'] ? 'taxable' : 'none' );
+					}
+					break;
+
+				case 'stock':
+					if ( isset( $zoho_item['stock_on_hand'] ) ) {
+						$product->set_manage_stock( true );
+						$product->set_stock_quantity( wc_stock_amount( $zoho_item['stock_on_hand'] ) );
+					}
+					break;
+			}
+		}
+
+		$product->save();
+	}
+
 	/**
 	 * Extract detailed error message from API exceptions.
 	 *
@@ -705,7 +1047,7 @@ class ProductMetaBox {
 
 		try {
 			// Search for items in Zoho.
-			$items = $this->search_zoho_items( $search_term );
+			$items = $this->search_zoho_items( $search_term, $product_id );
 
 			if ( empty( $items ) ) {
 				wp_send_json_error(
@@ -742,9 +1084,10 @@ class ProductMetaBox {
 	 * Search for items in Zoho Books.
 	 *
 	 * @param string $search_term Search term (SKU or name).
+	 * @param int    $product_id  Product being linked, left out of the linked-product warnings.
 	 * @return array List of matching items.
 	 */
-	private function search_zoho_items( string $search_term ): array {
+	private function search_zoho_items( string $search_term, int $product_id = 0 ): array {
 		// Fetch all item types when searching to include inventory-tracked items.
 		$response = $this->client->request(
 			function ( $client ) use ( $search_term ) {
@@ -783,13 +1126,8 @@ class ProductMetaBox {
 				$item_data = is_object( $item ) && method_exists( $item, 'toArray' ) ? $item->toArray() : (array) $item;
 
 				if ( isset( $item_data['item_id'], $item_data['name'] ) ) {
-					$formatted[] = [
-						'item_id' => $item_data['item_id'],
-						'name'    => $item_data['name'],
-						'sku'     => $item_data['sku'] ?? '',
-						'rate'    => $item_data['rate'] ?? 0,
-						'status'  => $item_data['status'] ?? '',
-					];
+					$linked_ids  = array_diff( $this->mapping_repo->get_product_ids_by_item( (string) $item_data['item_id'] ), [ $product_id ] );
+					$formatted[] = ItemPreview::describe( $item_data, $linked_ids );
 				}
 			}
 		}
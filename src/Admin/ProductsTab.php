@@ -12,6 +12,10 @@ declare(strict_types=1);
 namespace Zbooks\Admin;
 
 use Zbooks\Api\ZohoClient;
+use Zbooks\Helper\ItemMatcher;
+use Zbooks\Helper\ItemPreview;
+use Zbooks\Helper\ZohoItemList;
+use Zbooks\Helper\ZohoUrlHelper;
 use Zbooks\Repository\ItemMappingRepository;
 use Zbooks\Logger\SyncLogger;
 
@@ -22,6 +26,31 @@ defined( 'ABSPATH' ) || exit;
  */
 class ProductsTab {
 
+	/**
+	 * Default number of products per grid page.
+	 */
+	private const GRID_PER_PAGE = 25;
+
+	/**
+	 * Maximum number of products per grid page.
+	 */
+	private const GRID_MAX_PER_PAGE = 100;
+
+	/**
+	 * Maximum number of rows accepted in one mapping import.
+	 */
+	private const IMPORT_MAX_ROWS = 5000;
+
+	/**
+	 * Maximum number of mapping changes reverted per request.
+	 */
+	private const REVERT_MAX_CHANGES = 200;
+
+	/**
+	 * Maximum number of uncached items the audit looks up one by one.
+	 */
+	private const AUDIT_MAX_ITEM_LOOKUPS = 50;
+
 	/**
 	 * Zoho client.
 	 *
@@ -79,9 +108,17 @@ class ProductsTab {
 		add_action( 'wp_ajax_zbooks_unlink_product', [ $this, 'ajax_unlink_product' ] );
 		add_action( 'wp_ajax_zbooks_auto_map_products', [ $this, 'ajax_auto_map' ] );
 		add_action( 'wp_ajax_zbooks_auto_map_single_product', [ $this, 'ajax_auto_map_single_product' ] );
+		add_action( 'wp_ajax_zbooks_suggest_item_matches', [ $this, 'ajax_suggest_item_matches' ] );
+		add_action( 'wp_ajax_zbooks_revert_mappings', [ $this, 'ajax_revert_mappings' ] );
+		add_action( 'wp_ajax_zbooks_audit_mappings', [ $this, 'ajax_audit_mappings' ] );
 		add_action( 'wp_ajax_zbooks_fetch_zoho_items', [ $this, 'ajax_fetch_zoho_items' ] );
 		add_action( 'wp_ajax_zbooks_bulk_create_items', [ $this, 'ajax_bulk_create_items' ] );
 		add_action( 'wp_ajax_zbooks_search_zoho_items', [ $this, 'ajax_search_zoho_items' ] );
+		add_action( 'wp_ajax_zbooks_get_product_grid', [ $this, 'ajax_get_product_grid' ] );
+		add_action( 'wp_ajax_zbooks_get_product_variations', [ $this, 'ajax_get_product_variations' ] );
+		add_action( 'wp_ajax_zbooks_preview_mapping_import', [ $this, 'ajax_preview_mapping_import' ] );
+		add_action( 'wp_ajax_zbooks_export_mappings', [ $this, 'ajax_export_mappings' ] );
+		add_action( 'wp_ajax_zbooks_check_product_sku', [ $this, 'ajax_check_product_sku' ] );
 	}
 
 	/**
@@ -89,19 +126,11 @@ class ProductsTab {
 	 * Called by SettingsPage for the Products tab.
 	 */
 	public function render_content(): void {
-		// phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Read-only pagination parameters for display only.
-		$paged    = isset( $_GET['paged'] ) ? max( 1, absint( wp_unslash( $_GET['paged'] ) ) ) : 1;
-		$per_page = 20;
 		// phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Read-only filter parameter for display only.
 		$filter = isset( $_GET['filter'] ) ? sanitize_key( wp_unslash( $_GET['filter'] ) ) : 'all';
 
-		$products       = $this->get_products( $filter, $paged, $per_page );
-		$total_products = $this->count_products( $filter );
-		$total_pages    = ceil( $total_products / $per_page );
-
 		$zoho_items = $this->get_zoho_items();
-		$mappings   = $this->mapping_repo->get_all();
-		
+
 		// Count only mappings for published products (not orphaned mappings).
 		$mapping_count = $this->count_products( 'mapped' );
 
@@ -153,6 +182,10 @@ class ProductsTab {
 			</div>
 
 			<div class="zbooks-mapping-actions" style="margin: 15px 0;">
+				<select id="zbooks-auto-map-mode" aria-label="<?php esc_attr_e( 'Matching mode', 'zbooks-for-woocommerce' ); ?>">
+					<option value="exact"><?php esc_html_e( 'Exact SKU', 'zbooks-for-woocommerce' ); ?></option>
+					<option value="fuzzy"><?php esc_html_e( 'Fuzzy (review first)', 'zbooks-for-woocommerce' ); ?></option>
+				</select>
 				<button type="button" id="zbooks-auto-map" class="button button-primary">
 					<?php esc_html_e( 'Auto-Map by SKU', 'zbooks-for-woocommerce' ); ?>
 				</button>
@@ -162,38 +195,96 @@ class ProductsTab {
 				<button type="button" id="zbooks-refresh-items" class="button">
 					<?php esc_html_e( 'Refresh Zoho Items', 'zbooks-for-woocommerce' ); ?>
 				</button>
+				<button type="button" id="zbooks-import-mappings" class="button">
+					<?php esc_html_e( 'Import CSV', 'zbooks-for-woocommerce' ); ?>
+				</button>
+				<button type="button" id="zbooks-export-mappings" class="button">
+					<?php esc_html_e( 'Export CSV', 'zbooks-for-woocommerce' ); ?>
+				</button>
+				<button type="button" id="zbooks-audit-mappings" class="button">
+					<?php esc_html_e( 'Audit Mappings', 'zbooks-for-woocommerce' ); ?>
+				</button>
+				<button type="button" id="zbooks-history-toggle" class="button" aria-expanded="false" aria-controls="zbooks-history-drawer">
+					<?php esc_html_e( 'History', 'zbooks-for-woocommerce' ); ?>
+					(<span class="zbooks-history-count">0</span>)
+				</button>
+				<select id="zbooks-bulk-action" aria-label="<?php esc_attr_e( 'Bulk action for selected products', 'zbooks-for-woocommerce' ); ?>">
+					<option value=""><?php esc_html_e( 'Bulk actions', 'zbooks-for-woocommerce' ); ?></option>
+					<option value="unlink"><?php esc_html_e( 'Unlink selected', 'zbooks-for-woocommerce' ); ?></option>
+					<option value="push"><?php esc_html_e( 'Push updates to Zoho', 'zbooks-for-woocommerce' ); ?></option>
+					<option value="recheck"><?php esc_html_e( 'Re-check SKU consistency', 'zbooks-for-woocommerce' ); ?></option>
+				</select>
+				<button type="button" id="zbooks-bulk-apply" class="button" disabled>
+					<?php esc_html_e( 'Apply', 'zbooks-for-woocommerce' ); ?>
+				</button>
 				<span id="zbooks-selected-count" style="margin-left: 10px; color: #646970;"></span>
 				<span id="zbooks-action-status" style="margin-left: 10px;"></span>
 			</div>
 
-			<ul class="subsubsub">
-				<li>
-					<a href="<?php echo esc_url( add_query_arg( 'filter', 'all' ) ); ?>"
-						class="<?php echo $filter === 'all' ? 'current' : ''; ?>">
-						<?php esc_html_e( 'All', 'zbooks-for-woocommerce' ); ?>
-						<span class="count">(<?php echo esc_html( $this->count_products( 'all' ) ); ?>)</span>
-					</a> |
-				</li>
-				<li>
-					<a href="<?php echo esc_url( add_query_arg( 'filter', 'mapped' ) ); ?>"
-						class="<?php echo $filter === 'mapped' ? 'current' : ''; ?>">
-						<?php esc_html_e( 'Mapped', 'zbooks-for-woocommerce' ); ?>
-						<span class="count">(<?php echo esc_html( $mapping_count ); ?>)</span>
-					</a> |
-				</li>
-				<li>
-					<a href="<?php echo esc_url( add_query_arg( 'filter', 'unmapped' ) ); ?>"
-						class="<?php echo $filter === 'unmapped' ? 'current' : ''; ?>">
-						<?php esc_html_e( 'Unmapped', 'zbooks-for-woocommerce' ); ?>
-						<span class="count">(<?php echo esc_html( $this->count_products( 'all' ) - $mapping_count ); ?>)</span>
-					</a>
-				</li>
+			<div id="zbooks-review-queue" class="zbooks-review-queue" style="display: none;">
+				<div class="zbooks-review-queue-header">
+					<h3><?php esc_html_e( 'Review Suggested Matches', 'zbooks-for-woocommerce' ); ?></h3>
+					<span class="zbooks-review-queue-count"></span>
+					<span class="zbooks-review-queue-actions">
+						<button type="button" class="button zbooks-review-accept-high">
+							<?php esc_html_e( 'Accept All 90%+', 'zbooks-for-woocommerce' ); ?>
+						</button>
+						<button type="button" class="button zbooks-review-close">
+							<?php esc_html_e( 'Close', 'zbooks-for-woocommerce' ); ?>
+						</button>
+					</span>
+				</div>
+				<p class="description">
+					<?php esc_html_e( 'Nothing is linked until you accept a suggestion. Pick an alternative from the list if the top match is wrong.', 'zbooks-for-woocommerce' ); ?>
+				</p>
+				<table class="widefat striped zbooks-review-table">
+					<thead>
+						<tr>
+							<th><?php esc_html_e( 'Product', 'zbooks-for-woocommerce' ); ?></th>
+							<th style="width: 340px;"><?php esc_html_e( 'Suggested Zoho Item', 'zbooks-for-woocommerce' ); ?></th>
+							<th style="width: 90px;"><?php esc_html_e( 'Confidence', 'zbooks-for-woocommerce' ); ?></th>
+							<th style="width: 150px;"><?php esc_html_e( 'Actions', 'zbooks-for-woocommerce' ); ?></th>
+						</tr>
+					</thead>
+					<tbody></tbody>
+				</table>
+			</div>
+
+			<ul class="subsubsub zbooks-grid-filters">
+				<?php
+				$filters = [
+					'all'          => __( 'All', 'zbooks-for-woocommerce' ),
+					'mapped'       => __( 'Mapped', 'zbooks-for-woocommerce' ),
+					'unmapped'     => __( 'Unmapped', 'zbooks-for-woocommerce' ),
+					'sku_mismatch' => __( 'SKU Mismatch', 'zbooks-for-woocommerce' ),
+				];
+				$last    = array_key_last( $filters );
+				foreach ( $filters as $key => $label ) :
+					?>
+					<li>
+						<a href="#" data-filter="<?php echo esc_attr( $key ); ?>" class="<?php echo $filter === $key ? 'current' : ''; ?>">
+							<?php echo esc_html( $label ); ?>
+							<span class="count">(<span class="zbooks-grid-count" data-filter="<?php echo esc_attr( $key ); ?>">…</span>)</span>
+						</a><?php echo $key !== $last ? ' |' : ''; ?>
+					</li>
+				<?php endforeach; ?>
 			</ul>
 
-			<table class="widefat fixed striped" style="margin-top: 10px;">
+			<div class="zbooks-grid-toolbar">
+				<select id="zbooks-grid-type" aria-label="<?php esc_attr_e( 'Product type', 'zbooks-for-woocommerce' ); ?>">
+					<option value=""><?php esc_html_e( 'All product types', 'zbooks-for-woocommerce' ); ?></option>
+					<?php foreach ( wc_get_product_types() as $type_key => $type_label ) : ?>
+						<option value="<?php echo esc_attr( $type_key ); ?>"><?php echo esc_html( $type_label ); ?></option>
+					<?php endforeach; ?>
+				</select>
+				<input type="search" id="zbooks-grid-search" placeholder="<?php esc_attr_e( 'Search name or SKU...', 'zbooks-for-woocommerce' ); ?>">
+			</div>
+
+			<table class="widefat fixed striped zbooks-product-grid" style="margin-top: 10px;"
+				data-per-page="<?php echo esc_attr( self::GRID_PER_PAGE ); ?>">
 				<thead>
 					<tr>
-						<th style="width: 30px;"><input type="checkbox" id="zbooks-select-all-products"></th>
+						<th style="width: 50px;"><input type="checkbox" id="zbooks-select-all-products"></th>
 						<th style="width: 60px;"><?php esc_html_e( 'ID', 'zbooks-for-woocommerce' ); ?></th>
 						<th><?php esc_html_e( 'Product', 'zbooks-for-woocommerce' ); ?></th>
 						<th style="width: 120px;"><?php esc_html_e( 'SKU', 'zbooks-for-woocommerce' ); ?></th>
@@ -202,165 +293,137 @@ class ProductsTab {
 					</tr>
 				</thead>
 				<tbody>
-					<?php if ( empty( $products ) ) : ?>
-						<tr>
-							<td colspan="6"><?php esc_html_e( 'No products found.', 'zbooks-for-woocommerce' ); ?></td>
-						</tr>
-					<?php else : ?>
-						<?php
-						foreach ( $products as $product ) :
-							$product_id   = $product->get_id();
-							$zoho_item_id = $mappings[ $product_id ] ?? '';
-							$is_mapped    = ! empty( $zoho_item_id );
-							
-							// Sort items by relevance for this product.
-							$sorted_items = $this->sort_items_by_relevance( $zoho_items, $product );
-							// Limit to top 10 for initial display, but ensure mapped item is included.
-							$display_items = array_slice( $sorted_items, 0, 10 );
-							
-							// If product is mapped but the mapped item isn't in display_items, add it.
-							if ( $is_mapped && ! empty( $zoho_item_id ) ) {
-								$mapped_item_in_display = false;
-								foreach ( $display_items as $item ) {
-									if ( $item['item_id'] === $zoho_item_id ) {
-										$mapped_item_in_display = true;
-										break;
-									}
-								}
-								
-								// If mapped item not in display, find it and add it.
-								if ( ! $mapped_item_in_display ) {
-									foreach ( $zoho_items as $item ) {
-										if ( $item['item_id'] === $zoho_item_id ) {
-											// Add mapped item at the beginning.
-											array_unshift( $display_items, $item );
-											break;
-										}
-									}
-								}
-							}
-							?>
-							<tr data-product-id="<?php echo esc_attr( $product_id ); ?>">
-								<td>
-									<?php if ( ! $is_mapped ) : ?>
-										<input type="checkbox" class="zbooks-product-checkbox" value="<?php echo esc_attr( $product_id ); ?>">
-									<?php else : ?>
-										<span class="dashicons dashicons-yes" style="color: #00a32a;" title="<?php esc_attr_e( 'Mapped', 'zbooks-for-woocommerce' ); ?>"></span>
-									<?php endif; ?>
-								</td>
-								<td><?php echo esc_html( $product_id ); ?></td>
-								<td>
-									<a href="<?php echo esc_url( get_edit_post_link( $product_id ) ); ?>">
-										<?php echo esc_html( $product->get_name() ); ?>
-									</a>
-								</td>
-								<td><?php echo esc_html( $product->get_sku() ?: '-' ); ?></td>
-								<td>
-									<select id="zoho-item-<?php echo esc_attr( $product_id ); ?>"
-											name="zoho_item_id[<?php echo esc_attr( $product_id ); ?>]"
-											class="zbooks-zoho-item-select"
-											data-product-id="<?php echo esc_attr( $product_id ); ?>"
-											data-product-name="<?php echo esc_attr( $product->get_name() ); ?>"
-											data-product-sku="<?php echo esc_attr( $product->get_sku() ?: '' ); ?>"
-											style="width: 100%;">
-										<option value=""><?php esc_html_e( '-- Not Mapped --', 'zbooks-for-woocommerce' ); ?></option>
-										<?php foreach ( $display_items as $item ) : ?>
-											<?php
-											// Build option text without extra whitespace.
-											$option_text = trim( $item['name'] );
-											if ( ! empty( $item['sku'] ) ) {
-												$option_text .= ' (' . trim( $item['sku'] ) . ')';
-											}
-											?>
-											<option value="<?php echo esc_attr( $item['item_id'] ); ?>"
-													data-sku="<?php echo esc_attr( $item['sku'] ?? '' ); ?>"
-													<?php selected( $zoho_item_id, $item['item_id'] ); ?>><?php echo esc_html( $option_text ); ?></option>
-										<?php endforeach; ?>
-									</select>
-								</td>
-								<td>
-									<?php if ( ! $is_mapped ) : ?>
-										<button type="button" class="button button-small zbooks-create-single"
-												data-product-id="<?php echo esc_attr( $product_id ); ?>">
-											<?php esc_html_e( 'Create', 'zbooks-for-woocommerce' ); ?>
-										</button>
-										<button type="button" class="button button-small zbooks-save-mapping"
-												data-product-id="<?php echo esc_attr( $product_id ); ?>">
-											<?php esc_html_e( 'Link', 'zbooks-for-woocommerce' ); ?>
-										</button>
-									<?php else : ?>
-										<button type="button" class="button button-small zbooks-save-mapping"
-												data-product-id="<?php echo esc_attr( $product_id ); ?>"
-												disabled
-												style="opacity: 0.5; cursor: not-allowed;">
-											<?php esc_html_e( 'Linked', 'zbooks-for-woocommerce' ); ?>
-										</button>
-										<button type="button" class="button button-small zbooks-remove-mapping"
-												data-product-id="<?php echo esc_attr( $product_id ); ?>">
-											<?php esc_html_e( 'Unlink', 'zbooks-for-woocommerce' ); ?>
-										</button>
-									<?php endif; ?>
-								</td>
-							</tr>
-						<?php endforeach; ?>
-					<?php endif; ?>
+					<tr class="zbooks-grid-loading">
+						<td colspan="6"><?php esc_html_e( 'Loading products...', 'zbooks-for-woocommerce' ); ?></td>
+					</tr>
 				</tbody>
 			</table>
 
-			<?php if ( $total_pages > 1 ) : ?>
-				<div class="tablenav bottom">
-					<div class="tablenav-pages">
-						<?php
-						echo wp_kses_post(
-							paginate_links(
-								[
-									'base'      => add_query_arg( 'paged', '%#%' ),
-									'format'    => '',
-									'prev_text' => '&laquo;',
-									'next_text' => '&raquo;',
-									'total'     => $total_pages,
-									'current'   => $paged,
-								]
-							)
-						);
-						?>
-					</div>
+			<div class="tablenav bottom zbooks-grid-pager">
+				<div class="tablenav-pages">
+					<span class="displaying-num"></span>
+					<span class="pagination-links">
+						<button type="button" class="button zbooks-grid-page" data-page="first" aria-label="<?php esc_attr_e( 'First page', 'zbooks-for-woocommerce' ); ?>">&laquo;</button>
+						<button type="button" class="button zbooks-grid-page" data-page="prev" aria-label="<?php esc_attr_e( 'Previous page', 'zbooks-for-woocommerce' ); ?>">&lsaquo;</button>
+						<span class="paging-input zbooks-grid-page-info"></span>
+						<button type="button" class="button zbooks-grid-page" data-page="next" aria-label="<?php esc_attr_e( 'Next page', 'zbooks-for-woocommerce' ); ?>">&rsaquo;</button>
+						<button type="button" class="button zbooks-grid-page" data-page="last" aria-label="<?php esc_attr_e( 'Last page', 'zbooks-for-woocommerce' ); ?>">&raquo;</button>
+					</span>
 				</div>
-			<?php endif; ?>
-		</div><!-- .zbooks-products-tab -->
-		<?php
-	}
+			</div>
 
-	/**
-	 * Get WooCommerce products.
-	 *
-	 * @param string $filter Filter type (all, mapped, unmapped).
-	 * @param int    $page   Page number.
-	 * @param int    $per_page Products per page.
-	 * @return array Products.
-	 */
-	private function get_products( string $filter, int $page, int $per_page ): array {
-		$args = [
-			'status'  => 'publish',
-			'limit'   => $per_page,
-			'page'    => $page,
-			'orderby' => 'name',
-			'order'   => 'ASC',
-			'return'  => 'objects',
-		];
+			<!-- Mapping Import Modal -->
+			<div id="zbooks-import-modal" class="zbooks-modal" style="display: none;">
+				<div class="zbooks-modal-overlay"></div>
+				<div class="zbooks-modal-content zbooks-import-content">
+					<div class="zbooks-modal-header">
+						<h2><?php esc_html_e( 'Import Product Mappings', 'zbooks-for-woocommerce' ); ?></h2>
+						<button type="button" class="zbooks-modal-close">&times;</button>
+					</div>
+					<div class="zbooks-modal-body">
+						<p class="description">
+							<?php esc_html_e( 'Upload a CSV with two columns: a WooCommerce product ID or SKU, and a Zoho item ID or Zoho SKU. A header row using product_id, sku, zoho_item_id or zoho_sku picks the columns explicitly; the export below uses the same format.', 'zbooks-for-woocommerce' ); ?>
+						</p>
+						<p>
+							<input type="file" id="zbooks-import-file" accept=".csv,text/csv">
+						</p>
+						<div class="zbooks-import-preview" style="display: none;">
+							<p class="zbooks-import-summary"></p>
+							<label>
+								<input type="checkbox" id="zbooks-import-include-conflicts">
+								<?php esc_html_e( 'Also apply rows with conflicts', 'zbooks-for-woocommerce' ); ?>
+							</label>
+							<table class="widefat striped zbooks-import-table">
+								<thead>
+									<tr>
+										<th style="width: 50px;"><?php esc_html_e( 'Line', 'zbooks-for-woocommerce' ); ?></th>
+										<th><?php esc_html_e( 'Product', 'zbooks-for-woocommerce' ); ?></th>
+										<th><?php esc_html_e( 'Zoho Item', 'zbooks-for-woocommerce' ); ?></th>
+										<th style="width: 90px;"><?php esc_html_e( 'Status', 'zbooks-for-woocommerce' ); ?></th>
+										<th><?php esc_html_e( 'Issues', 'zbooks-for-woocommerce' ); ?></th>
+									</tr>
+								</thead>
+								<tbody></tbody>
+							</table>
+						</div>
+					</div>
+					<div class="zbooks-modal-footer">
+						<span class="zbooks-import-status"></span>
+						<button type="button" class="button zbooks-modal-close">
+							<?php esc_html_e( 'Close', 'zbooks-for-woocommerce' ); ?>
+						</button>
+						<button type="button" class="button button-primary zbooks-import-apply" disabled>
+							<?php esc_html_e( 'Apply Links', 'zbooks-for-woocommerce' ); ?>
+						</button>
+					</div>
+				</div>
+			</div>
 
-		$mappings   = $this->mapping_repo->get_all();
-		$mapped_ids = array_keys( $mappings );
+			<!-- Mapping Audit Modal -->
+			<div id="zbooks-audit-modal" class="zbooks-modal" style="display: none;">
+				<div class="zbooks-modal-overlay"></div>
+				<div class="zbooks-modal-content zbooks-audit-content">
+					<div class="zbooks-modal-header">
+						<h2><?php esc_html_e( 'Mapping Health Audit', 'zbooks-for-woocommerce' ); ?></h2>
+						<button type="button" class="zbooks-modal-close">&times;</button>
+					</div>
+					<div class="zbooks-modal-body">
+						<p class="description">
+							<?php esc_html_e( 'Checks every mapped product against a fresh copy of the Zoho item list: links to deleted or inactive items, mappings for deleted products, SKU drift and Zoho items linked to more than one product.', 'zbooks-for-woocommerce' ); ?>
+						</p>
+						<p class="zbooks-audit-summary"></p>
+						<table class="widefat striped zbooks-audit-table" style="display: none;">
+							<thead>
+								<tr>
+									<th><?php esc_html_e( 'Product', 'zbooks-for-woocommerce' ); ?></th>
+									<th><?php esc_html_e( 'Zoho Item', 'zbooks-for-woocommerce' ); ?></th>
+									<th><?php esc_html_e( 'Issues', 'zbooks-for-woocommerce' ); ?></th>
+									<th style="width: 200px;"><?php esc_html_e( 'Actions', 'zbooks-for-woocommerce' ); ?></th>
+								</tr>
+							</thead>
+							<tbody></tbody>
+						</table>
+					</div>
+					<div class="zbooks-modal-footer">
+						<span class="zbooks-audit-status"></span>
+						<button type="button" class="button zbooks-modal-close">
+							<?php esc_html_e( 'Close', 'zbooks-for-woocommerce' ); ?>
+						</button>
+						<button type="button" class="button button-primary zbooks-audit-rerun">
+							<?php esc_html_e( 'Run Again', 'zbooks-for-woocommerce' ); ?>
+						</button>
+					</div>
+				</div>
+			</div>
 
-		if ( $filter === 'mapped' && ! empty( $mapped_ids ) ) {
-			$args['include'] = $mapped_ids;
-		} elseif ( $filter === 'mapped' && empty( $mapped_ids ) ) {
-			return [];
-		} elseif ( $filter === 'unmapped' && ! empty( $mapped_ids ) ) {
-			$args['exclude'] = $mapped_ids;
-		}
+			<!-- Mapping History Drawer -->
+			<div id="zbooks-history-drawer" class="zbooks-history-drawer" aria-hidden="true">
+				<div class="zbooks-history-header">
+					<h2><?php esc_html_e( 'Mapping History', 'zbooks-for-woocommerce' ); ?></h2>
+					<button type="button" class="zbooks-modal-close zbooks-history-close" aria-label="<?php esc_attr_e( 'Close', 'zbooks-for-woocommerce' ); ?>">&times;</button>
+				</div>
+				<p class="description">
+					<?php esc_html_e( 'Link, unlink and auto-map changes made in this browser session. A change is only reverted while the product is still linked the way the change left it.', 'zbooks-for-woocommerce' ); ?>
+				</p>
+				<p class="zbooks-history-status"></p>
+				<div class="zbooks-history-list"></div>
+				<div class="zbooks-history-footer">
+					<button type="button" class="button zbooks-history-clear">
+						<?php esc_html_e( 'Clear History', 'zbooks-for-woocommerce' ); ?>
+					</button>
+				</div>
+			</div>
 
-		return wc_get_products( $args );
+			<!-- Undo Toast -->
+			<div id="zbooks-undo-toast" class="zbooks-undo-toast" role="status" style="display: none;">
+				<span class="zbooks-undo-toast-text"></span>
+				<button type="button" class="button button-small zbooks-undo-toast-undo">
+					<?php esc_html_e( 'Undo', 'zbooks-for-woocommerce' ); ?>
+				</button>
+				<button type="button" class="zbooks-undo-toast-dismiss" aria-label="<?php esc_attr_e( 'Dismiss', 'zbooks-for-woocommerce' ); ?>">&times;</button>
+			</div>
+		</div><!-- .zbooks-products-tab -->
+		<?php
 	}
 
 	/**
@@ -395,6 +458,271 @@ class ProductsTab {
 		return count( wc_get_products( $args ) );
 	}
 
+	/**
+	 * AJAX handler for a page of the product mapping grid.
+	 *
+	 * With ids_only set, returns every matching product ID instead of a page,
+	 * so bulk actions are not limited to the rows on screen.
+	 */
+	public function ajax_get_product_grid(): void {
+		check_ajax_referer( 'zbooks_mapping', 'nonce' );
+
+		if ( ! current_user_can( 'manage_woocommerce' ) ) {
+			wp_send_json_error( [ 'message' => __( 'Permission denied.', 'zbooks-for-woocommerce' ) ] );
+		}
+
+		$filter   = isset( $_POST['filter'] ) ? sanitize_key( wp_unslash( $_POST['filter'] ) ) : 'all';
+		$type     = isset( $_POST['type'] ) ? sanitize_key( wp_unslash( $_POST['type'] ) ) : '';
+		$search   = isset( $_POST['search'] ) ? sanitize_text_field( wp_unslash( $_POST['search'] ) ) : '';
+		$page     = isset( $_POST['page'] ) ? max( 1, absint( wp_unslash( $_POST['page'] ) ) ) : 1;
+		$per_page = isset( $_POST['per_page'] ) ? absint( wp_unslash( $_POST['per_page'] ) ) : self::GRID_PER_PAGE;
+		$per_page = min( self::GRID_MAX_PER_PAGE, max( 1, $per_page ) );
+
+		$args = $this->get_grid_query_args( $filter, $type, $search );
+
+		if ( ! empty( $_POST['ids_only'] ) ) {
+			$ids = [];
+			if ( $args !== null ) {
+				$args['limit']  = -1;
+				$args['return'] = 'ids';
+				$ids            = array_map( 'intval', wc_get_products( $args ) );
+			}
+
+			// Unmapped variations are mapped individually, so include them for auto-mapping.
+			if ( $filter === 'unmapped' && $search === '' && in_array( $type, [ '', 'variable' ], true ) ) {
+				$ids = array_merge( $ids, $this->get_unmapped_variation_ids() );
+			}
+
+			wp_send_json_success( [ 'ids' => $ids ] );
+		}
+
+		$rows  = [];
+		$total = 0;
+		$pages = 0;
+
+		if ( $args !== null ) {
+			$args['limit']    = $per_page;
+			$args['page']     = $page;
+			$args['paginate'] = true;
+
+			$result = wc_get_products( $args );
+			$total  = (int) $result->total;
+			$pages  = (int) $result->max_num_pages;
+
+			$mappings   = $this->mapping_repo->get_all();
+			$zoho_items = [];
+			foreach ( $this->get_zoho_items() as $item ) {
+				$zoho_items[ $item['item_id'] ] = $item;
+			}
+
+			foreach ( $result->products as $product ) {
+				$rows[] = $this->format_grid_row( $product, $mappings, $zoho_items );
+			}
+		}
+
+		$totals = $this->get_product_totals();
+
+		wp_send_json_success(
+			[
+				'rows'     => $rows,
+				'total'    => $total,
+				'pages'    => $pages,
+				'page'     => $page,
+				'per_page' => $per_page,
+				'totals'   => $totals,
+				'counts'   => [
+					'all'          => $totals['total'],
+					'mapped'       => $totals['mapped'],
+					'unmapped'     => $totals['unmapped'],
+					'sku_mismatch' => count( $this->get_sku_mismatch_ids() ),
+				],
+			]
+		);
+	}
+
+	/**
+	 * AJAX handler for the variation sub-rows of a variable product.
+	 */
+	public function ajax_get_product_variations(): void {
+		check_ajax_referer( 'zbooks_mapping', 'nonce' );
+
+		if ( ! current_user_can( 'manage_woocommerce' ) ) {
+			wp_send_json_error( [ 'message' => __( 'Permission denied.', 'zbooks-for-woocommerce' ) ] );
+		}
+
+		$product_id = isset( $_POST['product_id'] ) ? absint( wp_unslash( $_POST['product_id'] ) ) : 0;
+		$product    = $product_id ? wc_get_product( $product_id ) : null;
+
+		if ( ! $product || ! $product->is_type( 'variable' ) ) {
+			wp_send_json_error( [ 'message' => __( 'Variable product not found.', 'zbooks-for-woocommerce' ) ] );
+		}
+
+		$mappings   = $this->mapping_repo->get_all();
+		$zoho_items = [];
+		foreach ( $this->get_zoho_items() as $item ) {
+			$zoho_items[ $item['item_id'] ] = $item;
+		}
+
+		$rows = [];
+		foreach ( $product->get_children() as $variation_id ) {
+			$variation = wc_get_product( $variation_id );
+			if ( $variation ) {
+				$rows[] = $this->format_grid_row( $variation, $mappings, $zoho_items );
+			}
+		}
+
+		wp_send_json_success(
+			[
+				'product_id' => $product_id,
+				'rows'       => $rows,
+			]
+		);
+	}
+
+	/**
+	 * Get IDs of published variations that are not mapped yet.
+	 *
+	 * @return int[]
+	 */
+	private function get_unmapped_variation_ids(): array {
+		$args = [
+			'type'   => 'variation',
+			'status' => 'publish',
+			'limit'  => -1,
+			'return' => 'ids',
+		];
+
+		$mapped_ids = array_keys( $this->mapping_repo->get_all() );
+		if ( ! empty( $mapped_ids ) ) {
+			$args['exclude'] = $mapped_ids;
+		}
+
+		return array_map( 'intval', wc_get_products( $args ) );
+	}
+
+	/**
+	 * Build wc_get_products() arguments for the grid filters.
+	 *
+	 * @param string $filter Filter (all, mapped, unmapped, sku_mismatch).
+	 * @param string $type   Product type, or empty for all types.
+	 * @param string $search Name or SKU search term.
+	 * @return array|null Query arguments, or null when nothing can match.
+	 */
+	private function get_grid_query_args( string $filter, string $type, string $search ): ?array {
+		$args = [
+			'status'  => 'publish',
+			'orderby' => 'name',
+			'order'   => 'ASC',
+		];
+
+		$mapped_ids = array_map( 'intval', array_keys( $this->mapping_repo->get_all() ) );
+		$include    = null;
+		$exclude    = [];
+
+		if ( $filter === 'mapped' ) {
+			$include = $mapped_ids;
+		} elseif ( $filter === 'unmapped' ) {
+			$exclude = $mapped_ids;
+		} elseif ( $filter === 'sku_mismatch' ) {
+			$include = $this->get_sku_mismatch_ids();
+		}
+
+		if ( $search !== '' ) {
+			$data_store = \WC_Data_Store::load( 'product' );
+			$found_ids  = array_map( 'intval', $data_store->search_products( $search, '', false ) );
+			$include    = $include === null ? $found_ids : array_intersect( $include, $found_ids );
+		}
+
+		// WP_Query ignores post__not_in when post__in is set, so apply exclusions here.
+		if ( $include !== null ) {
+			$include = array_values( array_diff( $include, $exclude ) );
+			if ( empty( $include ) ) {
+				return null;
+			}
+			$args['include'] = $include;
+		} elseif ( ! empty( $exclude ) ) {
+			$args['exclude'] = $exclude;
+		}
+
+		if ( $type !== '' && array_key_exists( $type, wc_get_product_types() ) ) {
+			$args['type'] = $type;
+		}
+
+		return $args;
+	}
+
+	/**
+	 * Get IDs of mapped products whose SKU differs from their Zoho item's SKU.
+	 *
+	 * Products or items without a SKU are not counted as mismatches.
+	 *
+	 * @return int[]
+	 */
+	private function get_sku_mismatch_ids(): array {
+		global $wpdb;
+
+		$mappings = $this->mapping_repo->get_all();
+		if ( empty( $mappings ) ) {
+			return [];
+		}
+
+		$item_skus = [];
+		foreach ( $this->get_zoho_items() as $item ) {
+			$item_skus[ $item['item_id'] ] = strtolower( trim( (string) ( $item['sku'] ?? '' ) ) );
+		}
+
+		$mismatches = [];
+		foreach ( array_chunk( array_map( 'intval', array_keys( $mappings ) ), 500 ) as $chunk ) {
+			$placeholders = implode( ',', array_fill( 0, count( $chunk ), '%d' ) );
+            // phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared, WordPress.DB.PreparedSQLPlaceholders.UnfinishedPrepare -- Placeholders are built above.
+			$rows = $wpdb->get_results( $wpdb->prepare( "SELECT post_id, meta_value FROM {$wpdb->postmeta} WHERE meta_key = '_sku' AND post_id IN ({$placeholders})", $chunk ), ARRAY_A );
+
+			foreach ( $rows as $row ) {
+				$product_sku = strtolower( trim( (string) $row['meta_value'] ) );
+				$item_sku    = $item_skus[ $mappings[ $row['post_id'] ] ?? '' ] ?? '';
+
+				if ( $product_sku !== '' && $item_sku !== '' && $product_sku !== $item_sku ) {
+					$mismatches[] = (int) $row['post_id'];
+				}
+			}
+		}
+
+		return $mismatches;
+	}
+
+	/**
+	 * Format a product as a grid row.
+	 *
+	 * @param \WC_Product $product    Product.
+	 * @param array       $mappings   Product ID => Zoho item ID.
+	 * @param array       $zoho_items Zoho items keyed by item ID.
+	 * @return array
+	 */
+	private function format_grid_row( \WC_Product $product, array $mappings, array $zoho_items ): array {
+		$product_id   = $product->get_id();
+		$zoho_item_id = (string) ( $mappings[ $product_id ] ?? '' );
+		$item         = $zoho_items[ $zoho_item_id ] ?? null;
+		$product_sku  = (string) $product->get_sku();
+		$item_sku     = $item ? (string) ( $item['sku'] ?? '' ) : '';
+		$types        = wc_get_product_types();
+		$parent_id    = $product->get_parent_id();
+
+		return [
+			'id'              => $product_id,
+			'parent_id'       => $parent_id,
+			'name'            => $product->get_name(),
+			'sku'             => $product_sku,
+			'type'            => $product->get_type(),
+			'type_label'      => $types[ $product->get_type() ] ?? ( $product->is_type( 'variation' ) ? __( 'Variation', 'zbooks-for-woocommerce' ) : $product->get_type() ),
+			'edit_url'        => get_edit_post_link( $parent_id ? $parent_id : $product_id, 'raw' ),
+			'variation_count' => $product->is_type( 'variable' ) ? count( $product->get_children() ) : 0,
+			'zoho_item_id'    => $zoho_item_id,
+			'zoho_item_name'  => $item ? $item['name'] : '',
+			'zoho_item_sku'   => $item_sku,
+			'sku_mismatch'    => $product_sku !== '' && $item_sku !== '' && strtolower( trim( $product_sku ) ) !== strtolower( trim( $item_sku ) ),
+		];
+	}
+
 	/**
 	 * Get product totals for AJAX responses.
 	 *
@@ -428,83 +756,62 @@ class ProductsTab {
 			return $cached;
 		}
 
-		$items = $this->fetch_zoho_items();
-		if ( ! empty( $items ) ) {
-			set_transient( 'zbooks_zoho_items', $items, HOUR_IN_SECONDS );
+		$result = $this->fetch_zoho_items();
+		if ( $result['complete'] && ! empty( $result['items'] ) ) {
+			set_transient( 'zbooks_zoho_items', $result['items'], HOUR_IN_SECONDS );
 		}
 
-		$this->zoho_items_cache = $items;
-		return $items;
+		$this->zoho_items_cache = $result['items'];
+		return $result['items'];
+	}
+
+	/**
+	 * Fetch Zoho items from the API and replace the cached list.
+	 *
+	 * An incomplete list is kept for this request only, so the next request
+	 * tries the API again.
+	 *
+	 * @return array{items: array, complete: bool, error: ?string}
+	 */
+	private function refresh_zoho_items(): array {
+		delete_transient( 'zbooks_zoho_items' );
+
+		$result = $this->fetch_zoho_items();
+		if ( $result['complete'] && ! empty( $result['items'] ) ) {
+			set_transient( 'zbooks_zoho_items', $result['items'], HOUR_IN_SECONDS );
+		}
+
+		$this->zoho_items_cache = $result['items'];
+		return $result;
 	}
 
 	/**
 	 * Fetch Zoho items from API.
 	 *
-	 * @return array Zoho items.
+	 * @return array{items: array, complete: bool, error: ?string}
 	 */
 	private function fetch_zoho_items(): array {
 		if ( ! $this->client->is_configured() ) {
-			return [];
+			return [
+				'items'    => [],
+				'complete' => true,
+				'error'    => null,
+			];
 		}
 
-		try {
-			// Fetch all item types: sales, inventory, and service items.
-			// By default, Zoho API only returns 'sales' items, so we need to explicitly
-			// request all types to include items with inventory tracking enabled.
-			$response = $this->client->request(
-				function ( $client ) {
-					return $client->items->getList(
-						[
-							'per_page'  => 200,
-							'filter_by' => 'ItemType.All',
-						]
-					);
-				},
-				[
-					'endpoint' => 'items.getList',
-				]
-			);
-
-			$items = [];
-
-			// Convert object to array if needed.
-			if ( is_object( $response ) ) {
-				$response = json_decode( wp_json_encode( $response ), true );
-			}
-
-			if ( is_array( $response ) ) {
-				$items_data = $response['items'] ?? $response;
-				if ( is_array( $items_data ) ) {
-					foreach ( $items_data as $item ) {
-						if ( is_array( $item ) && isset( $item['item_id'], $item['name'] ) ) {
-							$items[] = [
-								'item_id' => $item['item_id'],
-								'name'    => $item['name'],
-								'sku'     => $item['sku'] ?? '',
-								'rate'    => $item['rate'] ?? 0,
-							];
-						}
-					}
-				}
-			}
+		$result = ZohoItemList::fetch( $this->client );
 
-			usort(
-				$items,
-				function ( $a, $b ) {
-					return strcasecmp( $a['name'], $b['name'] );
-				}
-			);
-
-			return $items;
-		} catch ( \Exception $e ) {
-			$this->logger->error(
-				'Failed to fetch Zoho items',
+		if ( ! $result['complete'] ) {
+			$this->logger->warning(
+				'Zoho item list is incomplete',
 				[
-					'error' => $e->getMessage(),
+					'fetched' => count( $result['items'] ),
+					'error'   => $result['error'],
 				]
 			);
-			return [];
 		}
+
+		return $result;
 	}
 
 	/**
@@ -600,8 +907,9 @@ class ProductsTab {
 			wp_send_json_error( [ 'message' => __( 'Product not found.', 'zbooks-for-woocommerce' ) ] );
 		}
 
-		// Save the mapping.
-		$result = $this->mapping_repo->set_mapping( $product_id, $zoho_item_id );
+		// Save the mapping, keeping the previous one so the change can be undone.
+		$previous_item_id = (string) $this->mapping_repo->get_zoho_item_id( $product_id );
+		$result           = $this->mapping_repo->set_mapping( $product_id, $zoho_item_id );
 
 		if ( $result ) {
 			// Get the Zoho item details.
@@ -624,12 +932,15 @@ class ProductsTab {
 
 			wp_send_json_success(
 				[
-					'message'      => __( 'Product linked successfully.', 'zbooks-for-woocommerce' ),
-					'product_id'   => $product_id,
-					'item_id'      => $zoho_item_id,
-					'item_name'    => $item_details ? $item_details['name'] : '',
-					'item_sku'     => $item_details ? ( $item_details['sku'] ?? '' ) : '',
-					'totals'       => $this->get_product_totals(),
+					'message'            => __( 'Product linked successfully.', 'zbooks-for-woocommerce' ),
+					'product_id'         => $product_id,
+					'product_name'       => $product->get_name(),
+					'item_id'            => $zoho_item_id,
+					'item_name'          => $item_details ? $item_details['name'] : '',
+					'item_sku'           => $item_details ? ( $item_details['sku'] ?? '' ) : '',
+					'previous_item_id'   => $previous_item_id,
+					'previous_item_name' => $this->get_item_name( $previous_item_id ),
+					'totals'             => $this->get_product_totals(),
 				]
 			);
 		} else {
@@ -659,7 +970,8 @@ class ProductsTab {
 			wp_send_json_error( [ 'message' => __( 'Product not found.', 'zbooks-for-woocommerce' ) ] );
 		}
 
-		// Remove the mapping.
+		// Remove the mapping, keeping the previous one so the change can be undone.
+		$previous_item_id = (string) $this->mapping_repo->get_zoho_item_id( $product_id );
 		$this->mapping_repo->remove_mapping( $product_id );
 
 		$this->logger->info(
@@ -671,9 +983,12 @@ class ProductsTab {
 
 		wp_send_json_success(
 			[
-				'message'    => __( 'Product unlinked successfully.', 'zbooks-for-woocommerce' ),
-				'product_id' => $product_id,
-				'totals'     => $this->get_product_totals(),
+				'message'            => __( 'Product unlinked successfully.', 'zbooks-for-woocommerce' ),
+				'product_id'         => $product_id,
+				'product_name'       => $product->get_name(),
+				'previous_item_id'   => $previous_item_id,
+				'previous_item_name' => $this->get_item_name( $previous_item_id ),
+				'totals'             => $this->get_product_totals(),
 			]
 		);
 	}
@@ -688,7 +1003,7 @@ class ProductsTab {
 			wp_send_json_error( [ 'message' => __( 'Permission denied.', 'zbooks-for-woocommerce' ) ] );
 		}
 
-		$zoho_items = $this->fetch_zoho_items();
+		$zoho_items = $this->get_zoho_items();
 		if ( empty( $zoho_items ) ) {
 			wp_send_json_error( [ 'message' => __( 'No Zoho items available for mapping.', 'zbooks-for-woocommerce' ) ] );
 		}
@@ -746,8 +1061,8 @@ class ProductsTab {
 			wp_send_json_error( [ 'message' => __( 'Product has no SKU.', 'zbooks-for-woocommerce' ) ] );
 		}
 
-		// Fetch Zoho items.
-		$zoho_items = $this->fetch_zoho_items();
+		// Use the cached list; the auto-map run refreshes it once before it starts.
+		$zoho_items = $this->get_zoho_items();
 		if ( empty( $zoho_items ) ) {
 			wp_send_json_error( [ 'message' => __( 'No Zoho items available for mapping.', 'zbooks-for-woocommerce' ) ] );
 		}
@@ -791,17 +1106,18 @@ class ProductsTab {
 
 			wp_send_json_success(
 				[
-					'message'      => sprintf(
+					'message'          => sprintf(
 						/* translators: %s: product name */
 						__( 'Successfully mapped: %s', 'zbooks-for-woocommerce' ),
 						$product->get_name()
 					),
-					'item_id'      => $matched_item['item_id'],
-					'item_name'    => $matched_item['name'],
-					'item_sku'     => $matched_item['sku'],
-					'product_id'   => $product_id,
-					'product_name' => $product->get_name(),
-					'totals'       => $this->get_product_totals(),
+					'item_id'          => $matched_item['item_id'],
+					'item_name'        => $matched_item['name'],
+					'item_sku'         => $matched_item['sku'],
+					'product_id'       => $product_id,
+					'product_name'     => $product->get_name(),
+					'previous_item_id' => '',
+					'totals'           => $this->get_product_totals(),
 				]
 			);
 		} else {
@@ -810,36 +1126,746 @@ class ProductsTab {
 	}
 
 	/**
-	 * AJAX handler for fetching Zoho items.
+	 * AJAX handler for reverting mapping changes from the session history.
+	 *
+	 * Each change carries the item the product was linked to by the change and
+	 * the item it had before. A change is only reverted while the product is
+	 * still linked to the item the change set, so later edits are never lost.
 	 */
-	public function ajax_fetch_zoho_items(): void {
+	public function ajax_revert_mappings(): void {
 		check_ajax_referer( 'zbooks_mapping', 'nonce' );
 
 		if ( ! current_user_can( 'manage_woocommerce' ) ) {
 			wp_send_json_error( [ 'message' => __( 'Permission denied.', 'zbooks-for-woocommerce' ) ] );
 		}
 
-		delete_transient( 'zbooks_zoho_items' );
+		// phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Decoded JSON; every change is sanitized field by field below.
+		$changes = isset( $_POST['changes'] ) ? json_decode( wp_unslash( $_POST['changes'] ), true ) : null;
 
-		$items = $this->fetch_zoho_items();
-		if ( ! empty( $items ) ) {
-			set_transient( 'zbooks_zoho_items', $items, HOUR_IN_SECONDS );
+		if ( ! is_array( $changes ) || empty( $changes ) ) {
+			wp_send_json_error( [ 'message' => __( 'No changes to revert.', 'zbooks-for-woocommerce' ) ] );
 		}
 
-		wp_send_json_success(
-			[
-				'message' => sprintf(
-					/* translators: %d: number of items fetched */
-					__( 'Fetched %d Zoho item(s).', 'zbooks-for-woocommerce' ),
-					count( $items )
-				),
-				'count'   => count( $items ),
-			]
-		);
-	}
+		if ( count( $changes ) > self::REVERT_MAX_CHANGES ) {
+			wp_send_json_error(
+				[
+					'message' => sprintf(
+						/* translators: %d: maximum number of changes */
+						__( 'Too many changes in one request. The limit is %d.', 'zbooks-for-woocommerce' ),
+						self::REVERT_MAX_CHANGES
+					),
+				]
+			);
+		}
 
-	/**
-	 * AJAX handler for bulk creating items in Zoho.
+		$set     = [];
+		$remove  = [];
+		$results = [];
+
+		foreach ( $changes as $change ) {
+			$product_id = isset( $change['product_id'] ) ? absint( $change['product_id'] ) : 0;
+			if ( ! $product_id ) {
+				continue;
+			}
+
+			$item_id          = sanitize_text_field( (string) ( $change['item_id'] ?? '' ) );
+			$previous_item_id = sanitize_text_field( (string) ( $change['previous_item_id'] ?? '' ) );
+			$current_item_id  = (string) $this->mapping_repo->get_zoho_item_id( $product_id );
+
+			if ( $current_item_id !== $item_id ) {
+				$results[ $product_id ] = 'conflict';
+				continue;
+			}
+
+			if ( $previous_item_id === '' ) {
+				$remove[] = $product_id;
+			} else {
+				$set[ $product_id ] = $previous_item_id;
+			}
+			$results[ $product_id ] = 'reverted';
+		}
+
+		if ( ( $set || $remove ) && ! $this->mapping_repo->update_mappings( $set, $remove ) ) {
+			wp_send_json_error( [ 'message' => __( 'Failed to save mapping.', 'zbooks-for-woocommerce' ) ] );
+		}
+
+		$this->logger->info(
+			'Mapping changes reverted',
+			[
+				'relinked' => count( $set ),
+				'unlinked' => count( $remove ),
+			]
+		);
+
+		wp_send_json_success(
+			[
+				'results' => $results,
+				'totals'  => $this->get_product_totals(),
+			]
+		);
+	}
+
+	/**
+	 * AJAX handler for the mapping health audit.
+	 *
+	 * Checks every mapping against the cached Zoho items, which the caller
+	 * refreshes first through zbooks_fetch_zoho_items. Only mappings with at
+	 * least one issue are returned, each with a suggested item to relink to
+	 * when an active item carries the product's SKU.
+	 */
+	public function ajax_audit_mappings(): void {
+		check_ajax_referer( 'zbooks_mapping', 'nonce' );
+
+		if ( ! current_user_can( 'manage_woocommerce' ) ) {
+			wp_send_json_error( [ 'message' => __( 'Permission denied.', 'zbooks-for-woocommerce' ) ] );
+		}
+
+		$zoho_items = $this->get_zoho_items();
+		if ( empty( $zoho_items ) ) {
+			// Without items every mapping would look broken.
+			wp_send_json_error( [ 'message' => __( 'No Zoho items available for mapping.', 'zbooks-for-woocommerce' ) ] );
+		}
+
+		$items_by_id  = [];
+		$items_by_sku = [];
+		foreach ( $zoho_items as $item ) {
+			$items_by_id[ (string) $item['item_id'] ] = $item;
+
+			$normalized = ItemMatcher::normalize_sku( (string) ( $item['sku'] ?? '' ) );
+			if ( $normalized !== '' && ( $item['status'] ?? 'active' ) !== 'inactive' ) {
+				$items_by_sku[ $normalized ][] = $item;
+			}
+		}
+
+		$mappings = $this->mapping_repo->get_all();
+		$by_item  = [];
+		foreach ( $mappings as $product_id => $item_id ) {
+			$by_item[ (string) $item_id ][] = (int) $product_id;
+		}
+
+		// An item missing from the list may be newer than the cache, so only a
+		// lookup that Zoho answers with "not found" marks it deleted.
+		$unverified = [];
+		$lookups    = 0;
+		foreach ( array_keys( $by_item ) as $item_id ) {
+			if ( isset( $items_by_id[ $item_id ] ) ) {
+				continue;
+			}
+
+			$found = $lookups < self::AUDIT_MAX_ITEM_LOOKUPS ? $this->lookup_zoho_item( $item_id ) : null;
+			++$lookups;
+
+			if ( is_array( $found ) ) {
+				$items_by_id[ $item_id ] = $found;
+			} elseif ( $found === null ) {
+				$unverified[ $item_id ] = true;
+			}
+		}
+
+		$summary = [
+			'checked'         => count( $mappings ),
+			'healthy'         => 0,
+			'item_missing'    => 0,
+			'item_unverified' => 0,
+			'item_inactive'   => 0,
+			'product_missing' => 0,
+			'sku_drift'       => 0,
+			'duplicate'       => 0,
+		];
+		$rows    = [];
+
+		foreach ( $mappings as $product_id => $item_id ) {
+			$product_id = (int) $product_id;
+			$item_id    = (string) $item_id;
+			$product    = wc_get_product( $product_id );
+			$item       = $items_by_id[ $item_id ] ?? null;
+			$issues     = [];
+
+			if ( ! $product ) {
+				$issues[] = 'product_missing';
+			}
+
+			if ( ! $item ) {
+				$issues[] = isset( $unverified[ $item_id ] ) ? 'item_unverified' : 'item_missing';
+			} elseif ( ( $item['status'] ?? 'active' ) === 'inactive' ) {
+				$issues[] = 'item_inactive';
+			}
+
+			$product_sku = $product ? (string) $product->get_sku() : '';
+			$item_sku    = $item ? (string) ( $item['sku'] ?? '' ) : '';
+			if ( $product_sku !== '' && $item_sku !== '' && strtolower( trim( $product_sku ) ) !== strtolower( trim( $item_sku ) ) ) {
+				$issues[] = 'sku_drift';
+			}
+
+			$shared_with = array_diff( $by_item[ $item_id ] ?? [], [ $product_id ] );
+			if ( $shared_with ) {
+				$issues[] = 'duplicate';
+			}
+
+			if ( empty( $issues ) ) {
+				++$summary['healthy'];
+				continue;
+			}
+
+			foreach ( $issues as $issue ) {
+				++$summary[ $issue ];
+			}
+
+			// Suggest an active item with the product's SKU, if it is not the current one.
+			$suggestion = null;
+			$candidates = $items_by_sku[ ItemMatcher::normalize_sku( $product_sku ) ] ?? [];
+			if ( $product && count( $candidates ) === 1 && (string) $candidates[0]['item_id'] !== $item_id ) {
+				$suggestion = [
+					'item_id' => $candidates[0]['item_id'],
+					'name'    => $candidates[0]['name'],
+					'sku'     => $candidates[0]['sku'] ?? '',
+				];
+			}
+
+			$rows[] = [
+				'product_id'   => $product_id,
+				'product_name' => $product ? $product->get_name() : '',
+				'product_sku'  => $product_sku,
+				'edit_url'     => $product ? get_edit_post_link( $product->get_parent_id() ?: $product_id, 'raw' ) : '',
+				'item_id'      => $item_id,
+				'item_name'    => $item ? $item['name'] : '',
+				'item_sku'     => $item_sku,
+				'item_url'     => ZohoUrlHelper::item( $item_id ),
+				'issues'       => $issues,
+				'shared_with'  => array_values(
+					array_map(
+						function ( $id ) {
+							$shared = wc_get_product( $id );
+							return [
+								'id'   => $id,
+								'name' => $shared ? $shared->get_name() : '#' . $id,
+							];
+						},
+						$shared_with
+					)
+				),
+				'suggestion'   => $suggestion,
+			];
+		}
+
+		$this->logger->info( 'Product mapping audit completed', $summary );
+
+		wp_send_json_success(
+			[
+				'rows'    => $rows,
+				'summary' => $summary,
+			]
+		);
+	}
+
+	/**
+	 * Look up a single Zoho item by ID.
+	 *
+	 * @param string $item_id Zoho item ID.
+	 * @return array|false|null The item, false when Zoho reports it does not exist, or null when the lookup failed.
+	 */
+	private function lookup_zoho_item( string $item_id ) {
+		try {
+			$response = $this->client->request(
+				function ( $client ) use ( $item_id ) {
+					return $client->items->get( $item_id );
+				},
+				[
+					'endpoint' => 'items.get',
+					'item_id'  => $item_id,
+				]
+			);
+		} catch ( \Exception $e ) {
+			return $this->is_not_found_error( $e ) ? false : null;
+		}
+
+		if ( is_object( $response ) ) {
+			$response = method_exists( $response, 'toArray' ) ? $response->toArray() : json_decode( wp_json_encode( $response ), true );
+		}
+
+		$item = is_array( $response ) ? ( $response['item'] ?? $response ) : null;
+
+		return is_array( $item ) && isset( $item['item_id'], $item['name'] ) ? ItemPreview::from_api( $item ) : null;
+	}
+
+	/**
+	 * Check whether an API error means the requested record does not exist.
+	 *
+	 * @param \Exception $e Exception from the Zoho client.
+	 * @return bool
+	 */
+	private function is_not_found_error( \Exception $e ): bool {
+		$status = $e instanceof \GuzzleHttp\Exception\RequestException && $e->getResponse() ?
+			$e->getResponse()->getStatusCode() :
+			(int) $e->getCode();
+
+		// Zoho answers an unknown ID with a "... does not exist." message.
+		return $status === 404 || (bool) preg_match( '/does not exist/i', $e->getMessage() );
+	}
+
+	/**
+	 * Get the name of a cached Zoho item.
+	 *
+	 * @param string $item_id Zoho item ID.
+	 * @return string Item name, or '' when the item is unknown.
+	 */
+	private function get_item_name( string $item_id ): string {
+		if ( $item_id === '' ) {
+			return '';
+		}
+
+		foreach ( $this->get_zoho_items() as $item ) {
+			if ( (string) $item['item_id'] === $item_id ) {
+				return $item['name'];
+			}
+		}
+
+		return '';
+	}
+
+	/**
+	 * AJAX handler for suggesting Zoho items for a single product.
+	 *
+	 * Scores items by SKU, normalized SKU, name and price without saving
+	 * anything; the user confirms each suggestion in the review queue.
+	 */
+	public function ajax_suggest_item_matches(): void {
+		check_ajax_referer( 'zbooks_mapping', 'nonce' );
+
+		if ( ! current_user_can( 'manage_woocommerce' ) ) {
+			wp_send_json_error( [ 'message' => __( 'Permission denied.', 'zbooks-for-woocommerce' ) ] );
+		}
+
+		$product_id = isset( $_POST['product_id'] ) ? absint( wp_unslash( $_POST['product_id'] ) ) : 0;
+
+		if ( ! $product_id ) {
+			wp_send_json_error( [ 'message' => __( 'Invalid product ID.', 'zbooks-for-woocommerce' ) ] );
+		}
+
+		if ( $this->mapping_repo->is_mapped( $product_id ) ) {
+			wp_send_json_error( [ 'message' => __( 'Product is already mapped.', 'zbooks-for-woocommerce' ) ] );
+		}
+
+		$product = wc_get_product( $product_id );
+		if ( ! $product ) {
+			wp_send_json_error( [ 'message' => __( 'Product not found.', 'zbooks-for-woocommerce' ) ] );
+		}
+
+		$zoho_items = $this->get_zoho_items();
+		if ( empty( $zoho_items ) ) {
+			wp_send_json_error( [ 'message' => __( 'No Zoho items available for mapping.', 'zbooks-for-woocommerce' ) ] );
+		}
+
+		$candidates = ItemMatcher::find_candidates(
+			$product->get_name(),
+			(string) $product->get_sku(),
+			(float) $product->get_price(),
+			$zoho_items
+		);
+
+		if ( empty( $candidates ) ) {
+			wp_send_json_error(
+				[
+					'message' => sprintf(
+						/* translators: %s: product name */
+						__( 'No likely Zoho item found for: %s', 'zbooks-for-woocommerce' ),
+						$product->get_name()
+					),
+				]
+			);
+		}
+
+		// Flag items that are already linked to another product.
+		$mapped_item_ids = array_flip( array_map( 'strval', array_values( $this->mapping_repo->get_all() ) ) );
+		foreach ( $candidates as &$candidate ) {
+			$candidate['already_mapped'] = isset( $mapped_item_ids[ $candidate['item_id'] ] );
+		}
+		unset( $candidate );
+
+		wp_send_json_success(
+			[
+				'product_id'    => $product_id,
+				'product_name'  => $product->get_name(),
+				'product_sku'   => $product->get_sku(),
+				'product_price' => (float) $product->get_price(),
+				'edit_url'      => get_edit_post_link( $product_id, 'raw' ),
+				'candidates'    => $candidates,
+			]
+		);
+	}
+
+	/**
+	 * AJAX handler for validating a mapping import.
+	 *
+	 * Expects `rows` as a JSON array of {line, product, item} references plus
+	 * optional `product_key` (product_id|sku) and `item_key` (zoho_item_id|zoho_sku)
+	 * naming the columns; without them each reference is tried as an ID first.
+	 * Nothing is saved here - the client links the accepted rows afterwards.
+	 */
+	public function ajax_preview_mapping_import(): void {
+		check_ajax_referer( 'zbooks_mapping', 'nonce' );
+
+		if ( ! current_user_can( 'manage_woocommerce' ) ) {
+			wp_send_json_error( [ 'message' => __( 'Permission denied.', 'zbooks-for-woocommerce' ) ] );
+		}
+
+		// phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Decoded JSON, each field is sanitized below.
+		$rows        = isset( $_POST['rows'] ) ? json_decode( wp_unslash( $_POST['rows'] ), true ) : null;
+		$product_key = isset( $_POST['product_key'] ) ? sanitize_key( wp_unslash( $_POST['product_key'] ) ) : '';
+		$item_key    = isset( $_POST['item_key'] ) ? sanitize_key( wp_unslash( $_POST['item_key'] ) ) : '';
+
+		if ( ! is_array( $rows ) || empty( $rows ) ) {
+			wp_send_json_error( [ 'message' => __( 'The file has no mapping rows.', 'zbooks-for-woocommerce' ) ] );
+		}
+
+		if ( count( $rows ) > self::IMPORT_MAX_ROWS ) {
+			wp_send_json_error(
+				[
+					'message' => sprintf(
+						/* translators: %d: maximum number of rows */
+						__( 'Import is limited to %d rows per file.', 'zbooks-for-woocommerce' ),
+						self::IMPORT_MAX_ROWS
+					),
+				]
+			);
+		}
+
+		// Validate against a fresh list so items added in Zoho since the last fetch resolve.
+		$refreshed = $this->refresh_zoho_items();
+		if ( ! $refreshed['complete'] ) {
+			// A partial list would report valid rows as unknown items.
+			wp_send_json_error(
+				[
+					'message' => sprintf(
+						/* translators: %s: error message */
+						__( 'Could not load the full Zoho item list: %s', 'zbooks-for-woocommerce' ),
+						$refreshed['error']
+					),
+				]
+			);
+		}
+
+		$zoho_items = $refreshed['items'];
+		if ( empty( $zoho_items ) ) {
+			wp_send_json_error( [ 'message' => __( 'No Zoho items available for mapping.', 'zbooks-for-woocommerce' ) ] );
+		}
+
+		// Index Zoho items by ID and lowercase SKU.
+		$items_by_id  = [];
+		$items_by_sku = [];
+		foreach ( $zoho_items as $item ) {
+			$items_by_id[ (string) $item['item_id'] ] = $item;
+			if ( ! empty( $item['sku'] ) ) {
+				$items_by_sku[ strtolower( trim( $item['sku'] ) ) ][] = $item;
+			}
+		}
+
+		$mappings    = $this->mapping_repo->get_all();
+		$item_owners = [];
+		foreach ( $mappings as $mapped_product_id => $mapped_item_id ) {
+			$item_owners[ (string) $mapped_item_id ] = (int) $mapped_product_id;
+		}
+
+		$results      = [];
+		$seen_product = [];
+		$seen_item    = [];
+		$counts       = [
+			'ok'        => 0,
+			'conflict'  => 0,
+			'error'     => 0,
+			'unchanged' => 0,
+		];
+
+		foreach ( $rows as $index => $row ) {
+			$product_ref = sanitize_text_field( (string) ( $row['product'] ?? '' ) );
+			$item_ref    = sanitize_text_field( (string) ( $row['item'] ?? '' ) );
+			$result      = [
+				'line'         => absint( $row['line'] ?? $index + 1 ),
+				'product_ref'  => $product_ref,
+				'item_ref'     => $item_ref,
+				'product_id'   => 0,
+				'product_name' => '',
+				'product_sku'  => '',
+				'item_id'      => '',
+				'item_name'    => '',
+				'item_sku'     => '',
+				'status'       => 'ok',
+				'issues'       => [],
+			];
+
+			// Resolve the WooCommerce product.
+			$product = null;
+			if ( $product_ref !== '' ) {
+				if ( $product_key !== 'sku' && ctype_digit( $product_ref ) ) {
+					$product = wc_get_product( (int) $product_ref );
+				}
+				if ( ! $product && $product_key !== 'product_id' ) {
+					$product_id = wc_get_product_id_by_sku( $product_ref );
+					$product    = $product_id ? wc_get_product( $product_id ) : null;
+				}
+			}
+
+			if ( $product ) {
+				$result['product_id']   = $product->get_id();
+				$result['product_name'] = $product->get_name();
+				$result['product_sku']  = $product->get_sku();
+			} else {
+				$result['issues'][] = $product_ref === '' ?
+					__( 'Missing product reference.', 'zbooks-for-woocommerce' ) :
+					__( 'Unknown WooCommerce product.', 'zbooks-for-woocommerce' );
+			}
+
+			// Resolve the Zoho item.
+			$item      = null;
+			$sku_items = $items_by_sku[ strtolower( $item_ref ) ] ?? [];
+			if ( $item_ref !== '' ) {
+				if ( $item_key !== 'zoho_sku' && isset( $items_by_id[ $item_ref ] ) ) {
+					$item = $items_by_id[ $item_ref ];
+				} elseif ( $item_key !== 'zoho_item_id' && count( $sku_items ) === 1 ) {
+					$item = $sku_items[0];
+				}
+			}
+
+			if ( $item ) {
+				$result['item_id']   = (string) $item['item_id'];
+				$result['item_name'] = $item['name'];
+				$result['item_sku']  = $item['sku'] ?? '';
+			} elseif ( $item_key !== 'zoho_item_id' && count( $sku_items ) > 1 ) {
+				$result['issues'][] = __( 'Several Zoho items share this SKU.', 'zbooks-for-woocommerce' );
+			} else {
+				$result['issues'][] = $item_ref === '' ?
+					__( 'Missing Zoho item reference.', 'zbooks-for-woocommerce' ) :
+					__( 'Unknown Zoho item.', 'zbooks-for-woocommerce' );
+			}
+
+			if ( $product && isset( $seen_product[ $product->get_id() ] ) ) {
+				$result['issues'][] = sprintf(
+					/* translators: %d: line number */
+					__( 'Product already listed on line %d.', 'zbooks-for-woocommerce' ),
+					$seen_product[ $product->get_id() ]
+				);
+			}
+
+			if ( ! empty( $result['issues'] ) ) {
+				$result['status'] = 'error';
+			} else {
+				$seen_product[ $product->get_id() ] = $result['line'];
+				$current_item                       = (string) ( $mappings[ $product->get_id() ] ?? '' );
+				$claimed_on                         = $seen_item[ $result['item_id'] ] ?? 0;
+
+				if ( ! $claimed_on ) {
+					$seen_item[ $result['item_id'] ] = $result['line'];
+				}
+
+				if ( $current_item === $result['item_id'] && ! $claimed_on ) {
+					$result['status'] = 'unchanged';
+				} else {
+					if ( $claimed_on ) {
+						$result['issues'][] = sprintf(
+							/* translators: %d: line number */
+							__( 'Zoho item is already assigned to another product on line %d.', 'zbooks-for-woocommerce' ),
+							$claimed_on
+						);
+					}
+
+					if ( $current_item !== '' && $current_item !== $result['item_id'] ) {
+						$result['issues'][] = __( 'Product is linked to a different Zoho item.', 'zbooks-for-woocommerce' );
+					}
+
+					$owner = $item_owners[ $result['item_id'] ] ?? 0;
+					if ( $owner && $owner !== $product->get_id() ) {
+						$result['issues'][] = sprintf(
+							/* translators: %d: product ID */
+							__( 'Zoho item is already linked to product #%d.', 'zbooks-for-woocommerce' ),
+							$owner
+						);
+					}
+
+					if ( $result['product_sku'] !== '' && $result['item_sku'] !== ''
+						&& strtolower( trim( $result['product_sku'] ) ) !== strtolower( trim( $result['item_sku'] ) ) ) {
+						$result['issues'][] = __( 'SKU mismatch.', 'zbooks-for-woocommerce' );
+					}
+
+					$result['status'] = empty( $result['issues'] ) ? 'ok' : 'conflict';
+				}
+			}
+
+			++$counts[ $result['status'] ];
+			$results[] = $result;
+		}
+
+		wp_send_json_success(
+			[
+				'rows'   => $results,
+				'counts' => $counts,
+			]
+		);
+	}
+
+	/**
+	 * AJAX handler for exporting current product mappings.
+	 *
+	 * Columns match what the import accepts.
+	 */
+	public function ajax_export_mappings(): void {
+		check_ajax_referer( 'zbooks_mapping', 'nonce' );
+
+		if ( ! current_user_can( 'manage_woocommerce' ) ) {
+			wp_send_json_error( [ 'message' => __( 'Permission denied.', 'zbooks-for-woocommerce' ) ] );
+		}
+
+		$items_by_id = [];
+		foreach ( $this->get_zoho_items() as $item ) {
+			$items_by_id[ (string) $item['item_id'] ] = $item;
+		}
+
+		$rows = [];
+		foreach ( $this->mapping_repo->get_all() as $product_id => $zoho_item_id ) {
+			$product = wc_get_product( (int) $product_id );
+			if ( ! $product ) {
+				continue;
+			}
+
+			$item   = $items_by_id[ (string) $zoho_item_id ] ?? null;
+			$rows[] = [
+				'product_id'     => $product->get_id(),
+				'sku'            => $product->get_sku(),
+				'product_name'   => $product->get_name(),
+				'zoho_item_id'   => (string) $zoho_item_id,
+				'zoho_sku'       => $item ? ( $item['sku'] ?? '' ) : '',
+				'zoho_item_name' => $item ? $item['name'] : '',
+			];
+		}
+
+		wp_send_json_success( [ 'rows' => $rows ] );
+	}
+
+	/**
+	 * AJAX handler for re-checking SKU consistency of a linked product.
+	 *
+	 * Compares against the cached Zoho item list. A mismatch is reported as a
+	 * successful check with status "mismatch" so the caller can show it per row.
+	 */
+	public function ajax_check_product_sku(): void {
+		check_ajax_referer( 'zbooks_mapping', 'nonce' );
+
+		if ( ! current_user_can( 'manage_woocommerce' ) ) {
+			wp_send_json_error( [ 'message' => __( 'Permission denied.', 'zbooks-for-woocommerce' ) ] );
+		}
+
+		$product_id = isset( $_POST['product_id'] ) ? absint( wp_unslash( $_POST['product_id'] ) ) : 0;
+
+		if ( ! $product_id ) {
+			wp_send_json_error( [ 'message' => __( 'Invalid product ID.', 'zbooks-for-woocommerce' ) ] );
+		}
+
+		$product = wc_get_product( $product_id );
+		if ( ! $product ) {
+			wp_send_json_error( [ 'message' => __( 'Product not found.', 'zbooks-for-woocommerce' ) ] );
+		}
+
+		$zoho_item_id = $this->mapping_repo->get_zoho_item_id( $product_id );
+		if ( ! $zoho_item_id ) {
+			wp_send_json_error( [ 'message' => __( 'Product not linked to Zoho.', 'zbooks-for-woocommerce' ) ] );
+		}
+
+		$item = null;
+		foreach ( $this->get_zoho_items() as $zoho_item ) {
+			if ( (string) $zoho_item['item_id'] === (string) $zoho_item_id ) {
+				$item = $zoho_item;
+				break;
+			}
+		}
+
+		if ( ! $item ) {
+			wp_send_json_error( [ 'message' => __( 'Linked Zoho item not found. Refresh Zoho items or relink.', 'zbooks-for-woocommerce' ) ] );
+		}
+
+		$product_sku = (string) $product->get_sku();
+		$item_sku    = (string) ( $item['sku'] ?? '' );
+
+		if ( $product_sku === '' || $item_sku === '' ) {
+			$status  = 'missing';
+			$message = __( 'SKU missing on one side.', 'zbooks-for-woocommerce' );
+		} elseif ( strtolower( trim( $product_sku ) ) === strtolower( trim( $item_sku ) ) ) {
+			$status  = 'match';
+			$message = __( 'SKUs match.', 'zbooks-for-woocommerce' );
+		} else {
+			$status  = 'mismatch';
+			$message = sprintf(
+				/* translators: 1: WooCommerce SKU, 2: Zoho SKU */
+				__( 'SKU mismatch: %1$s vs %2$s', 'zbooks-for-woocommerce' ),
+				$product_sku,
+				$item_sku
+			);
+		}
+
+		wp_send_json_success(
+			[
+				'product_id'  => $product_id,
+				'status'      => $status,
+				'message'     => $message,
+				'product_sku' => $product_sku,
+				'item_sku'    => $item_sku,
+			]
+		);
+	}
+
+	/**
+	 * AJAX handler for fetching Zoho items.
+	 */
+	public function ajax_fetch_zoho_items(): void {
+		check_ajax_referer( 'zbooks_mapping', 'nonce' );
+
+		if ( ! current_user_can( 'manage_woocommerce' ) ) {
+			wp_send_json_error( [ 'message' => __( 'Permission denied.', 'zbooks-for-woocommerce' ) ] );
+		}
+
+		$result = $this->refresh_zoho_items();
+		$items  = $result['items'];
+
+		if ( ! $result['complete'] ) {
+			if ( empty( $items ) ) {
+				wp_send_json_error(
+					[
+						'message' => sprintf(
+							/* translators: %s: error message */
+							__( 'Failed to fetch Zoho items: %s', 'zbooks-for-woocommerce' ),
+							$result['error']
+						),
+					]
+				);
+			}
+
+			wp_send_json_success(
+				[
+					'message'  => sprintf(
+						/* translators: 1: number of items fetched, 2: error message */
+						__( 'Fetched %1$d Zoho item(s), but the list is incomplete: %2$s', 'zbooks-for-woocommerce' ),
+						count( $items ),
+						$result['error']
+					),
+					'count'    => count( $items ),
+					'complete' => false,
+				]
+			);
+		}
+
+		wp_send_json_success(
+			[
+				'message'  => sprintf(
+					/* translators: %d: number of items fetched */
+					__( 'Fetched %d Zoho item(s).', 'zbooks-for-woocommerce' ),
+					count( $items )
+				),
+				'count'    => count( $items ),
+				'complete' => true,
+			]
+		);
+	}
+
+	/**
+	 * AJAX handler for bulk creating items in Zoho.
 	 */
 	public function ajax_bulk_create_items(): void {
 		check_ajax_referer( 'zbooks_mapping', 'nonce' );
@@ -1078,8 +2104,15 @@ class ProductsTab {
 		$product_sku  = isset( $_GET['product_sku'] ) ? sanitize_text_field( wp_unslash( $_GET['product_sku'] ) ) : '';
 		$product_name = isset( $_GET['product_name'] ) ? sanitize_text_field( wp_unslash( $_GET['product_name'] ) ) : '';
 		$page         = isset( $_GET['page'] ) ? absint( wp_unslash( $_GET['page'] ) ) : 1;
+		$inactive     = ! isset( $_GET['include_inactive'] ) || '1' === sanitize_text_field( wp_unslash( $_GET['include_inactive'] ) );
+		$product_type = isset( $_GET['product_type'] ) ? sanitize_key( wp_unslash( $_GET['product_type'] ) ) : '';
 
-		$zoho_items = $this->get_zoho_items();
+		$zoho_items = array_filter(
+			$this->get_zoho_items(),
+			function ( $item ) use ( $inactive, $product_type ) {
+				return ItemPreview::matches_filters( $item, $inactive, $product_type );
+			}
+		);
 
 		// Filter by search term.
 		if ( ! empty( $search ) ) {
@@ -1124,19 +2157,25 @@ class ProductsTab {
 		$total    = count( $zoho_items );
 		$items    = array_slice( $zoho_items, $offset, $per_page );
 
-		// Format for Select2.
+		// Format for Select2, with the preview details for the result card.
 		$results = array_map(
-			function ( $item ) {
+			function ( $item ) use ( $product_id ) {
 				$text = $item['name'];
 				if ( ! empty( $item['sku'] ) ) {
 					$text .= ' (' . $item['sku'] . ')';
 				}
-				return [
-					'id'   => $item['item_id'],
-					'text' => $text,
-				];
+
+				$linked_ids = array_diff( $this->mapping_repo->get_product_ids_by_item( (string) $item['item_id'] ), [ $product_id ] );
+
+				return array_merge(
+					ItemPreview::describe( $item, $linked_ids ),
+					[
+						'id'   => $item['item_id'],
+						'text' => $text,
+					]
+				);
 			},
-			$items
+			array_values( $items )
 		);
 
 		wp_send_json_success(
@@ -11,7 +11,10 @@ declare(strict_types=1);
 
 namespace Zbooks\Admin;
 
+use Zbooks\Model\ReconciliationReport;
+use Zbooks\Model\SyncStatus;
 use Zbooks\Service\ReconciliationService;
+use Zbooks\Repository\OrderMetaRepository;
 use Zbooks\Repository\ReconciliationRepository;
 
 defined( 'ABSPATH' ) || exit;
@@ -55,12 +58,18 @@ class ReconciliationPage {
 		// Priority 20 ensures this runs after SettingsPage (priority 10) creates the parent menu.
 		add_action( 'admin_menu', [ $this, 'add_menu_page' ], 20 );
 		add_action( 'wp_ajax_zbooks_run_reconciliation', [ $this, 'ajax_run_reconciliation' ] );
+		add_action( 'wp_ajax_zbooks_reconciliation_step', [ $this, 'ajax_reconciliation_step' ] );
+		add_action( 'wp_ajax_zbooks_cancel_reconciliation', [ $this, 'ajax_cancel_reconciliation' ] );
 		add_action( 'wp_ajax_zbooks_delete_report', [ $this, 'ajax_delete_report' ] );
 		add_action( 'wp_ajax_zbooks_delete_all_reports', [ $this, 'ajax_delete_all_reports' ] );
 		add_action( 'wp_ajax_zbooks_view_report', [ $this, 'ajax_view_report' ] );
+		add_action( 'wp_ajax_zbooks_reconciliation_trend', [ $this, 'ajax_reconciliation_trend' ] );
 		add_action( 'wp_ajax_zbooks_export_report_csv', [ $this, 'ajax_export_report_csv' ] );
 		add_action( 'wp_ajax_zbooks_reconciliation_sync', [ $this, 'ajax_reconciliation_sync' ] );
 		add_action( 'wp_ajax_zbooks_reconciliation_bulk_sync', [ $this, 'ajax_reconciliation_bulk_sync' ] );
+		add_action( 'wp_ajax_zbooks_reconciliation_diff', [ $this, 'ajax_reconciliation_diff' ] );
+		add_action( 'wp_ajax_zbooks_reconciliation_fix_refunds', [ $this, 'ajax_reconciliation_fix_refunds' ] );
+		add_action( 'wp_ajax_zbooks_reconciliation_link_invoice', [ $this, 'ajax_reconciliation_link_invoice' ] );
 		add_action( 'admin_enqueue_scripts', [ $this, 'enqueue_assets' ] );
 	}
 
@@ -176,9 +185,39 @@ class ReconciliationPage {
 				</div>
 
 				<div id="zbooks-reconciliation-progress" style="display: none; margin-top: 15px;">
-					<span class="spinner is-active" style="float: none; margin: 0 10px 0 0;"></span>
-					<span><?php esc_html_e( 'Running reconciliation...', 'zbooks-for-woocommerce' ); ?></span>
+					<div class="zbooks-recon-progress-header">
+						<span class="spinner is-active" style="float: none; margin: 0 10px 0 0;"></span>
+						<span><?php esc_html_e( 'Running reconciliation...', 'zbooks-for-woocommerce' ); ?></span>
+						<span class="zbooks-recon-discrepancy-count"></span>
+						<button type="button" class="button zbooks-cancel-reconciliation">
+							<?php esc_html_e( 'Cancel', 'zbooks-for-woocommerce' ); ?>
+						</button>
+					</div>
+					<ol class="zbooks-recon-phases">
+						<li data-phase="wc_orders">
+							<?php esc_html_e( 'Fetching WooCommerce orders', 'zbooks-for-woocommerce' ); ?>
+							<span class="zbooks-recon-phase-count"></span>
+						</li>
+						<li data-phase="zoho_invoices">
+							<?php esc_html_e( 'Fetching Zoho invoices', 'zbooks-for-woocommerce' ); ?>
+							<span class="zbooks-recon-phase-count"></span>
+						</li>
+						<li data-phase="zoho_payments">
+							<?php esc_html_e( 'Fetching Zoho payments', 'zbooks-for-woocommerce' ); ?>
+							<span class="zbooks-recon-phase-count"></span>
+						</li>
+						<li data-phase="matching">
+							<?php esc_html_e( 'Matching orders to invoices', 'zbooks-for-woocommerce' ); ?>
+							<span class="zbooks-recon-phase-count"></span>
+						</li>
+						<li data-phase="payments">
+							<?php esc_html_e( 'Checking payments and refunds', 'zbooks-for-woocommerce' ); ?>
+							<span class="zbooks-recon-phase-count"></span>
+						</li>
+					</ol>
 				</div>
+
+				<div id="zbooks-reconciliation-result"></div>
 			</div>
 
 			<!-- Latest Report Summary -->
@@ -218,22 +257,22 @@ class ReconciliationPage {
 							<span class="zbooks-card-label"><?php esc_html_e( 'Matched', 'zbooks-for-woocommerce' ); ?></span>
 							<span class="zbooks-card-desc"><?php esc_html_e( 'Orders synced correctly', 'zbooks-for-woocommerce' ); ?></span>
 						</div>
-						<div class="zbooks-card <?php echo ( $summary['missing_in_zoho'] ?? 0 ) > 0 ? 'zbooks-card-danger' : 'zbooks-card-neutral'; ?>">
+						<div class="zbooks-card <?php echo ( $summary['missing_in_zoho'] ?? 0 ) > 0 ? 'zbooks-card-danger' : 'zbooks-card-neutral'; ?>" data-discrepancy-types="missing_in_zoho">
 							<span class="zbooks-card-value"><?php echo esc_html( $summary['missing_in_zoho'] ?? 0 ); ?></span>
 							<span class="zbooks-card-label"><?php esc_html_e( 'Missing in Zoho', 'zbooks-for-woocommerce' ); ?></span>
 							<span class="zbooks-card-desc"><?php esc_html_e( 'Orders without invoices', 'zbooks-for-woocommerce' ); ?></span>
 						</div>
-						<div class="zbooks-card <?php echo ( $summary['amount_mismatches'] ?? 0 ) > 0 ? 'zbooks-card-warning' : 'zbooks-card-neutral'; ?>">
+						<div class="zbooks-card <?php echo ( $summary['amount_mismatches'] ?? 0 ) > 0 ? 'zbooks-card-warning' : 'zbooks-card-neutral'; ?>" data-discrepancy-types="amount_mismatch">
 							<span class="zbooks-card-value"><?php echo esc_html( $summary['amount_mismatches'] ?? 0 ); ?></span>
 							<span class="zbooks-card-label"><?php esc_html_e( 'Amount Mismatches', 'zbooks-for-woocommerce' ); ?></span>
 							<span class="zbooks-card-desc"><?php esc_html_e( 'Totals don\'t match', 'zbooks-for-woocommerce' ); ?></span>
 						</div>
-						<div class="zbooks-card <?php echo $payment_issues > 0 ? 'zbooks-card-warning' : 'zbooks-card-neutral'; ?>">
+						<div class="zbooks-card <?php echo $payment_issues > 0 ? 'zbooks-card-warning' : 'zbooks-card-neutral'; ?>" data-discrepancy-types="payment_mismatch refund_mismatch">
 							<span class="zbooks-card-value"><?php echo esc_html( $payment_issues ); ?></span>
 							<span class="zbooks-card-label"><?php esc_html_e( 'Payment Issues', 'zbooks-for-woocommerce' ); ?></span>
 							<span class="zbooks-card-desc"><?php esc_html_e( 'Payment or refund mismatch', 'zbooks-for-woocommerce' ); ?></span>
 						</div>
-						<div class="zbooks-card <?php echo $status_issues > 0 ? 'zbooks-card-info' : 'zbooks-card-neutral'; ?>">
+						<div class="zbooks-card <?php echo $status_issues > 0 ? 'zbooks-card-info' : 'zbooks-card-neutral'; ?>" data-discrepancy-types="status_mismatch">
 							<span class="zbooks-card-value"><?php echo esc_html( $status_issues ); ?></span>
 							<span class="zbooks-card-label"><?php esc_html_e( 'Status Mismatches', 'zbooks-for-woocommerce' ); ?></span>
 							<span class="zbooks-card-desc"><?php esc_html_e( 'Invoice status differs', 'zbooks-for-woocommerce' ); ?></span>
@@ -383,15 +422,30 @@ class ReconciliationPage {
 				</div>
 			<?php endif; ?>
 
+			<!-- Sync Health Trend -->
+			<div class="zbooks-recon-trend" id="zbooks-recon-trend" style="background: #fff; padding: 20px; margin: 20px 0; border: 1px solid #ccd0d4;">
+				<h2><?php esc_html_e( 'Sync Health Trend', 'zbooks-for-woocommerce' ); ?></h2>
+				<p class="description">
+					<?php esc_html_e( 'Results of completed reports over time. Click a point to open that report.', 'zbooks-for-woocommerce' ); ?>
+				</p>
+				<div class="zbooks-recon-trend-chart">
+					<p class="zbooks-recon-trend-loading"><?php esc_html_e( 'Loading...', 'zbooks-for-woocommerce' ); ?></p>
+				</div>
+			</div>
+
 			<!-- Report History -->
 			<div class="zbooks-report-history" style="background: #fff; padding: 20px; margin: 20px 0; border: 1px solid #ccd0d4;">
 				<h2 style="display: inline-block; margin-right: 20px;">
 					<?php esc_html_e( 'Report History', 'zbooks-for-woocommerce' ); ?>
 				</h2>
 				<?php if ( ! empty( $reports ) ) : ?>
+					<button type="button" class="button zbooks-compare-reports" style="vertical-align: middle;" disabled>
+						<?php esc_html_e( 'Compare Selected', 'zbooks-for-woocommerce' ); ?>
+					</button>
 					<button type="button" class="button zbooks-delete-all-reports" style="vertical-align: middle;">
 						<?php esc_html_e( 'Delete All Reports', 'zbooks-for-woocommerce' ); ?>
 					</button>
+					<p class="description"><?php esc_html_e( 'Select two completed reports to see which discrepancies were resolved, which are new, and which persist.', 'zbooks-for-woocommerce' ); ?></p>
 				<?php endif; ?>
 
 				<?php if ( empty( $reports ) ) : ?>
@@ -400,6 +454,7 @@ class ReconciliationPage {
 					<table class="widefat striped" style="margin-top: 15px;">
 						<thead>
 							<tr>
+								<td class="check-column"></td>
 								<th><?php esc_html_e( 'Date', 'zbooks-for-woocommerce' ); ?></th>
 								<th><?php esc_html_e( 'Period', 'zbooks-for-woocommerce' ); ?></th>
 								<th><?php esc_html_e( 'Status', 'zbooks-for-woocommerce' ); ?></th>
@@ -413,6 +468,13 @@ class ReconciliationPage {
 							<?php foreach ( $reports as $report ) : ?>
 								<?php $rpt_summary = $report->get_summary(); ?>
 								<tr data-report-id="<?php echo esc_attr( $report->get_id() ); ?>">
+									<th class="check-column">
+										<?php if ( $report->get_status() === 'completed' ) : ?>
+											<input type="checkbox" class="zbooks-compare-select"
+												value="<?php echo esc_attr( $report->get_id() ); ?>"
+												aria-label="<?php esc_attr_e( 'Select report to compare', 'zbooks-for-woocommerce' ); ?>">
+										<?php endif; ?>
+									</th>
 									<td><?php echo esc_html( $report->get_generated_at()->format( 'Y-m-d H:i' ) ); ?></td>
 									<td>
 										<?php
@@ -444,6 +506,13 @@ class ReconciliationPage {
 											data-report-id="<?php echo esc_attr( $report->get_id() ); ?>">
 											<?php esc_html_e( 'CSV', 'zbooks-for-woocommerce' ); ?>
 										</button>
+										<select class="zbooks-report-export" data-report-id="<?php echo esc_attr( $report->get_id() ); ?>"
+											aria-label="<?php esc_attr_e( 'Export report', 'zbooks-for-woocommerce' ); ?>">
+											<option value=""><?php esc_html_e( 'Export…', 'zbooks-for-woocommerce' ); ?></option>
+											<option value="json"><?php esc_html_e( 'JSON', 'zbooks-for-woocommerce' ); ?></option>
+											<option value="sheet"><?php esc_html_e( 'Spreadsheet CSV (by type)', 'zbooks-for-woocommerce' ); ?></option>
+											<option value="print"><?php esc_html_e( 'Printable / PDF', 'zbooks-for-woocommerce' ); ?></option>
+										</select>
 										<button type="button" class="button button-small zbooks-delete-report"
 											data-report-id="<?php echo esc_attr( $report->get_id() ); ?>">
 											<?php esc_html_e( 'Delete', 'zbooks-for-woocommerce' ); ?>
@@ -664,7 +733,10 @@ class ReconciliationPage {
 	}
 
 	/**
-	 * AJAX handler for running reconciliation.
+	 * AJAX handler for starting a reconciliation run.
+	 *
+	 * Only creates the job; the page then calls zbooks_reconciliation_step
+	 * until it reports done.
 	 */
 	public function ajax_run_reconciliation(): void {
 		check_ajax_referer( 'zbooks_reconciliation', 'nonce' );
@@ -684,21 +756,120 @@ class ReconciliationPage {
 			$start = new \DateTimeImmutable( $start_date . ' 00:00:00' );
 			$end   = new \DateTimeImmutable( $end_date . ' 23:59:59' );
 
-			$report = $this->service->run( $start, $end );
+			$job = $this->service->start_job( $start, $end );
+			$this->save_job( $job );
+
+			wp_send_json_success( $this->get_job_progress( $job ) );
+		} catch ( \Exception $e ) {
+			wp_send_json_error( [ 'message' => $e->getMessage() ] );
+		}
+	}
+
+	/**
+	 * AJAX handler for advancing a reconciliation run by one step.
+	 */
+	public function ajax_reconciliation_step(): void {
+		check_ajax_referer( 'zbooks_reconciliation', 'nonce' );
+
+		if ( ! current_user_can( 'manage_woocommerce' ) ) {
+			wp_send_json_error( [ 'message' => __( 'Permission denied.', 'zbooks-for-woocommerce' ) ] );
+		}
+
+		$report_id = absint( $_POST['report_id'] ?? 0 );
+		$job       = get_transient( $this->get_job_key( $report_id ) );
+
+		if ( ! $report_id || ! is_array( $job ) ) {
+			wp_send_json_error( [ 'message' => __( 'Reconciliation run not found or expired.', 'zbooks-for-woocommerce' ) ] );
+		}
+
+		$job = $this->service->run_job_step( $job );
 
+		// A cancel may have landed while the step ran; don't bring its job state back.
+		if ( ! empty( $job['cancelled'] )
+			|| ( $job['phase'] !== ReconciliationService::PHASE_DONE && $this->service->is_job_cancelled( $job ) )
+		) {
+			delete_transient( $this->get_job_key( $report_id ) );
+			wp_send_json_error( [ 'message' => __( 'Reconciliation was cancelled.', 'zbooks-for-woocommerce' ) ] );
+		}
+
+		if ( $job['phase'] !== ReconciliationService::PHASE_DONE ) {
+			$this->save_job( $job );
+			wp_send_json_success( $this->get_job_progress( $job ) );
+		}
+
+		delete_transient( $this->get_job_key( $report_id ) );
+
+		$progress = $this->get_job_progress( $job );
+		$report   = $this->repository->get( $report_id );
+
+		if ( $report ) {
 			// Send email if enabled.
 			$this->service->send_email_notification( $report );
+			$progress['report'] = $this->get_report_payload( $report );
+		}
 
-			wp_send_json_success(
-				[
-					'report_id' => $report->get_id(),
-					'status'    => $report->get_status(),
-					'summary'   => $report->get_summary(),
-				]
-			);
-		} catch ( \Exception $e ) {
-			wp_send_json_error( [ 'message' => $e->getMessage() ] );
+		wp_send_json_success( $progress );
+	}
+
+	/**
+	 * AJAX handler for cancelling a reconciliation run.
+	 */
+	public function ajax_cancel_reconciliation(): void {
+		check_ajax_referer( 'zbooks_reconciliation', 'nonce' );
+
+		if ( ! current_user_can( 'manage_woocommerce' ) ) {
+			wp_send_json_error( [ 'message' => __( 'Permission denied.', 'zbooks-for-woocommerce' ) ] );
 		}
+
+		$report_id = absint( $_POST['report_id'] ?? 0 );
+		$job       = get_transient( $this->get_job_key( $report_id ) );
+
+		if ( is_array( $job ) ) {
+			delete_transient( $this->get_job_key( $report_id ) );
+			$this->service->cancel_job( $job );
+		}
+
+		wp_send_json_success( [ 'message' => __( 'Reconciliation cancelled.', 'zbooks-for-woocommerce' ) ] );
+	}
+
+	/**
+	 * Get the transient key holding a run's job state.
+	 *
+	 * @param int $report_id Report ID.
+	 * @return string
+	 */
+	private function get_job_key( int $report_id ): string {
+		return 'zbooks_reconciliation_job_' . $report_id;
+	}
+
+	/**
+	 * Store a run's job state between steps.
+	 *
+	 * @param array $job Job state.
+	 */
+	private function save_job( array $job ): void {
+		set_transient( $this->get_job_key( (int) $job['report_id'] ), $job, HOUR_IN_SECONDS );
+	}
+
+	/**
+	 * Summarize job state for the progress display.
+	 *
+	 * @param array $job Job state.
+	 * @return array
+	 */
+	private function get_job_progress( array $job ): array {
+		$report = $this->repository->get( (int) $job['report_id'] );
+
+		return [
+			'report_id'     => (int) $job['report_id'],
+			'phase'         => $job['phase'],
+			'done'          => $job['phase'] === ReconciliationService::PHASE_DONE,
+			'wc_orders'     => count( $job['order_ids'] ),
+			'zoho_invoices' => count( $job['invoices'] ),
+			'zoho_payments' => count( $job['payments'] ),
+			'processed'     => (int) $job['cursor'],
+			'discrepancies' => $report ? $report->get_discrepancy_count() : 0,
+		];
 	}
 
 	/**
@@ -763,116 +934,99 @@ class ReconciliationPage {
 			wp_send_json_error( [ 'message' => __( 'Report not found.', 'zbooks-for-woocommerce' ) ] );
 		}
 
-		$summary       = $report->get_summary();
-		$discrepancies = $report->get_discrepancies();
+		wp_send_json_success( $this->get_report_payload( $report ) );
+	}
 
-		// Build HTML for discrepancies.
-		$discrepancies_html = '';
-		if ( ! empty( $discrepancies ) ) {
-			$zoho_org_id = get_option( 'zbooks_organization_id' );
-
-			$discrepancies_html  = '<table class="widefat striped">';
-			$discrepancies_html .= '<thead><tr>';
-			$discrepancies_html .= '<th>' . esc_html__( 'Type', 'zbooks-for-woocommerce' ) . '</th>';
-			$discrepancies_html .= '<th>' . esc_html__( 'Order', 'zbooks-for-woocommerce' ) . '</th>';
-			$discrepancies_html .= '<th>' . esc_html__( 'Order Status', 'zbooks-for-woocommerce' ) . '</th>';
-			$discrepancies_html .= '<th>' . esc_html__( 'Invoice', 'zbooks-for-woocommerce' ) . '</th>';
-			$discrepancies_html .= '<th>' . esc_html__( 'Invoice Status', 'zbooks-for-woocommerce' ) . '</th>';
-			$discrepancies_html .= '<th>' . esc_html__( 'Payment Status', 'zbooks-for-woocommerce' ) . '</th>';
-			$discrepancies_html .= '<th>' . esc_html__( 'Date', 'zbooks-for-woocommerce' ) . '</th>';
-			$discrepancies_html .= '<th>' . esc_html__( 'Details', 'zbooks-for-woocommerce' ) . '</th>';
-			$discrepancies_html .= '<th>' . esc_html__( 'Actions', 'zbooks-for-woocommerce' ) . '</th>';
-			$discrepancies_html .= '</tr></thead><tbody>';
+	/**
+	 * AJAX handler for the trend chart across saved reports.
+	 */
+	public function ajax_reconciliation_trend(): void {
+		check_ajax_referer( 'zbooks_reconciliation', 'nonce' );
 
-			foreach ( $discrepancies as $discrepancy ) {
-				$type_class = 'zbooks-badge zbooks-badge-' . esc_attr( $discrepancy['type'] );
-				$type_label = ucwords( str_replace( '_', ' ', $discrepancy['type'] ) );
-
-				// Order reference.
-				$order_ref = '—';
-				if ( ! empty( $discrepancy['order_id'] ) ) {
-					$order_url = admin_url( 'post.php?post=' . $discrepancy['order_id'] . '&action=edit' );
-					$order_ref = '<a href="' . esc_url( $order_url ) . '" target="_blank">#' .
-						esc_html( $discrepancy['order_number'] ?? $discrepancy['order_id'] ) . '</a>';
-				}
+		if ( ! current_user_can( 'manage_woocommerce' ) ) {
+			wp_send_json_error( [ 'message' => __( 'Permission denied.', 'zbooks-for-woocommerce' ) ] );
+		}
 
-				// Invoice reference.
-				$invoice_ref = '—';
-				if ( ! empty( $discrepancy['invoice_id'] ) && ! empty( $zoho_org_id ) ) {
-					$invoice_url = 'https://books.zoho.com/app/' . $zoho_org_id . '#/invoices/' . $discrepancy['invoice_id'];
-					$invoice_ref = '<a href="' . esc_url( $invoice_url ) . '" target="_blank" rel="noopener noreferrer">' .
-						esc_html( $discrepancy['invoice_number'] ?? $discrepancy['invoice_id'] ) . '</a>';
-				} elseif ( ! empty( $discrepancy['invoice_number'] ) ) {
-					$invoice_ref = esc_html( $discrepancy['invoice_number'] );
-				}
+		$limit  = (int) apply_filters( 'zbooks_reconciliation_trend_limit', 100 );
+		$points = [];
+
+		foreach ( $this->repository->get_summaries( max( 1, $limit ) ) as $row ) {
+			$summary  = $row['summary'];
+			$points[] = [
+				'report_id'         => $row['id'],
+				'period_start'      => $row['period_start'],
+				'period_end'        => $row['period_end'],
+				'generated_at'      => $row['generated_at'],
+				'matched'           => (int) ( $summary['matched_count'] ?? 0 ),
+				'missing_in_zoho'   => (int) ( $summary['missing_in_zoho'] ?? 0 ),
+				'amount_mismatches' => (int) ( $summary['amount_mismatches'] ?? 0 ),
+				'payment_issues'    => (int) ( $summary['payment_mismatches'] ?? 0 ) + (int) ( $summary['refund_mismatches'] ?? 0 ),
+			];
+		}
 
-				// Order status.
-				$order_status_html = '—';
-				if ( ! empty( $discrepancy['order_status'] ) ) {
-					$order_status_html = '<span class="zbooks-status zbooks-status-' . esc_attr( $discrepancy['order_status'] ) . '">' .
-						esc_html( ucwords( str_replace( '-', ' ', $discrepancy['order_status'] ) ) ) . '</span>';
-				}
+		wp_send_json_success( [ 'points' => $points ] );
+	}
 
-				// Invoice status.
-				$invoice_status_html = '—';
-				if ( ! empty( $discrepancy['invoice_status'] ) ) {
-					$invoice_status_html = '<span class="zbooks-status zbooks-status-' . esc_attr( $discrepancy['invoice_status'] ) . '">' .
-						esc_html( ucwords( str_replace( '_', ' ', $discrepancy['invoice_status'] ) ) ) . '</span>';
-				}
+	/**
+	 * Build the report data shown in the report modal.
+	 *
+	 * @param ReconciliationReport $report Report.
+	 * @return array
+	 */
+	private function get_report_payload( ReconciliationReport $report ): array {
+		$summary       = $report->get_summary();
+		$discrepancies = $report->get_discrepancies();
 
-				// Payment status.
-				$payment_status_html = '—';
-				if ( ! empty( $discrepancy['payment_status'] ) ) {
-					$payment_status_html = '<span class="zbooks-status zbooks-status-' . esc_attr( $discrepancy['payment_status'] ) . '">' .
-						esc_html( ucwords( str_replace( '_', ' ', $discrepancy['payment_status'] ) ) ) . '</span>';
-				}
+		$zoho_org_id = get_option( 'zbooks_organization_id' );
+		$rows        = [];
+		foreach ( $discrepancies as $discrepancy ) {
+			$rows[] = $this->format_discrepancy( $discrepancy, (string) $zoho_org_id );
+		}
 
-				$date = $discrepancy['order_date'] ?? $discrepancy['invoice_date'] ?? '—';
-
-				$discrepancies_html .= '<tr>';
-				$discrepancies_html .= '<td><span class="' . esc_attr( $type_class ) . '">' . esc_html( $type_label ) . '</span></td>';
-				$discrepancies_html .= '<td>' . $order_ref . '</td>';
-				$discrepancies_html .= '<td>' . $order_status_html . '</td>';
-				$discrepancies_html .= '<td>' . $invoice_ref . '</td>';
-				$discrepancies_html .= '<td>' . $invoice_status_html . '</td>';
-				$discrepancies_html .= '<td>' . $payment_status_html . '</td>';
-				$discrepancies_html .= '<td>' . esc_html( $date ) . '</td>';
-				$discrepancies_html .= '<td>' . wp_kses_post( $discrepancy['message'] ) . '</td>';
-
-				// Actions column.
-				$action_html = '—';
-				if ( $discrepancy['type'] === 'missing_in_zoho' && ! empty( $discrepancy['order_id'] ) ) {
-					$action_html = '<button type="button" class="button button-small zbooks-recon-sync" ' .
-						'data-order-id="' . esc_attr( $discrepancy['order_id'] ) . '">' .
-						esc_html__( 'Sync', 'zbooks-for-woocommerce' ) . '</button>';
-				} elseif ( ! empty( $discrepancy['order_id'] ) ) {
-					$action_html = '<a href="' . esc_url( admin_url( 'post.php?post=' . $discrepancy['order_id'] . '&action=edit' ) ) .
-						'" class="button button-small" target="_blank">' .
-						esc_html__( 'View', 'zbooks-for-woocommerce' ) . '</a>';
-				}
-				$discrepancies_html .= '<td>' . $action_html . '</td>';
+		return [
+			'id'                => $report->get_id(),
+			'status'            => $report->get_status(),
+			'error'             => $report->get_error(),
+			'period_start'      => $report->get_period_start()->format( 'Y-m-d' ),
+			'period_end'        => $report->get_period_end()->format( 'Y-m-d' ),
+			'generated_at'      => $report->get_generated_at()->format( 'Y-m-d H:i:s' ),
+			'summary'           => $summary,
+			'discrepancy_count' => count( $discrepancies ),
+			'discrepancies'     => $rows,
+		];
+	}
 
-				$discrepancies_html .= '</tr>';
-			}
+	/**
+	 * Format a stored discrepancy as a row for the report modal.
+	 *
+	 * @param array  $discrepancy Discrepancy from the report.
+	 * @param string $zoho_org_id Zoho organization ID, used for invoice links.
+	 * @return array
+	 */
+	private function format_discrepancy( array $discrepancy, string $zoho_org_id ): array {
+		$order_id   = absint( $discrepancy['order_id'] ?? 0 );
+		$invoice_id = (string) ( $discrepancy['invoice_id'] ?? '' );
 
-			$discrepancies_html .= '</tbody></table>';
-		} else {
-			$discrepancies_html = '<p>' . esc_html__( 'No discrepancies found. All orders match their invoices.', 'zbooks-for-woocommerce' ) . '</p>';
-		}
-
-		wp_send_json_success(
-			[
-				'id'                 => $report->get_id(),
-				'status'             => $report->get_status(),
-				'error'              => $report->get_error(),
-				'period_start'       => $report->get_period_start()->format( 'Y-m-d' ),
-				'period_end'         => $report->get_period_end()->format( 'Y-m-d' ),
-				'generated_at'       => $report->get_generated_at()->format( 'Y-m-d H:i:s' ),
-				'summary'            => $summary,
-				'discrepancy_count'  => count( $discrepancies ),
-				'discrepancies_html' => $discrepancies_html,
-			]
-		);
+		return [
+			'type'           => $discrepancy['type'],
+			'type_label'     => ucwords( str_replace( '_', ' ', $discrepancy['type'] ) ),
+			'order_id'       => $order_id,
+			'order_number'   => (string) ( $discrepancy['order_number'] ?? $order_id ),
+			'order_url'      => $order_id ? admin_url( 'post.php?post=' . $order_id . '&action=edit' ) : '',
+			'order_status'   => $discrepancy['order_status'] ?? '',
+			'invoice_id'     => $invoice_id,
+			'invoice_number' => (string) ( $discrepancy['invoice_number'] ?? $invoice_id ),
+			'invoice_url'    => $invoice_id && $zoho_org_id ? 'https://books.zoho.com/app/' . $zoho_org_id . '#/invoices/' . $invoice_id : '',
+			'invoice_status' => $discrepancy['invoice_status'] ?? '',
+			'payment_status' => $discrepancy['payment_status'] ?? '',
+			'date'           => $discrepancy['order_date'] ?? $discrepancy['invoice_date'] ?? '',
+			'wc_amount'      => $discrepancy['order_total'] ?? $discrepancy['order_paid'] ?? $discrepancy['wc_refund_total'] ?? null,
+			'zoho_amount'    => $discrepancy['invoice_total'] ?? $discrepancy['invoice_paid'] ?? $discrepancy['zoho_credits'] ?? null,
+			'difference'     => $discrepancy['difference'] ?? null,
+			'message'        => wp_kses_post( $discrepancy['message'] ?? '' ),
+			// Invoices without a WooCommerce order have nothing to re-sync.
+			'can_sync'       => $order_id > 0,
+		];
 	}
 
 	/**
@@ -1027,6 +1181,252 @@ class ReconciliationPage {
 		] );
 	}
 
+	/**
+	 * AJAX handler for comparing an order with its Zoho invoice line by line.
+	 */
+	public function ajax_reconciliation_diff(): void {
+		check_ajax_referer( 'zbooks_reconciliation', 'nonce' );
+
+		if ( ! current_user_can( 'manage_woocommerce' ) ) {
+			wp_send_json_error( [ 'message' => __( 'Permission denied.', 'zbooks-for-woocommerce' ) ] );
+		}
+
+		$order_id = absint( $_POST['order_id'] ?? 0 );
+		$order    = $order_id ? wc_get_order( $order_id ) : null;
+
+		if ( ! $order ) {
+			wp_send_json_error( [ 'message' => __( 'Order not found.', 'zbooks-for-woocommerce' ) ] );
+		}
+
+		$invoice_id = sanitize_text_field( wp_unslash( $_POST['invoice_id'] ?? '' ) );
+		if ( $invoice_id === '' ) {
+			$invoice_id = (string) $order->get_meta( '_zbooks_zoho_invoice_id' );
+		}
+
+		if ( $invoice_id === '' ) {
+			wp_send_json_error( [ 'message' => __( 'This order is not linked to a Zoho invoice.', 'zbooks-for-woocommerce' ) ] );
+		}
+
+		$invoice_service = \Zbooks\Plugin::get_instance()->get_service( 'invoice_service' );
+
+		if ( ! $invoice_service ) {
+			wp_send_json_error( [ 'message' => __( 'Invoice service not available.', 'zbooks-for-woocommerce' ) ] );
+		}
+
+		$invoice = $invoice_service->get_invoice( $invoice_id );
+
+		if ( ! $invoice ) {
+			wp_send_json_error( [ 'message' => __( 'Could not fetch the invoice from Zoho Books.', 'zbooks-for-woocommerce' ) ] );
+		}
+
+		$diff = $invoice_service->build_order_diff( $order, $invoice );
+
+		wp_send_json_success( [
+			'order'   => [
+				'id'       => $order->get_id(),
+				'number'   => $order->get_order_number(),
+				'status'   => $order->get_status(),
+				'currency' => $order->get_currency(),
+			],
+			'invoice' => [
+				'id'       => $invoice_id,
+				'number'   => $invoice['invoice_number'] ?? $invoice_id,
+				'status'   => $invoice['status'] ?? '',
+				'currency' => $invoice['currency_code'] ?? '',
+			],
+			'lines'   => $diff['lines'],
+			'totals'  => $diff['totals'],
+		] );
+	}
+
+	/**
+	 * AJAX handler for creating missing credit notes for an order's refunds.
+	 *
+	 * Refunds that already have a credit note are skipped by process_refund().
+	 */
+	public function ajax_reconciliation_fix_refunds(): void {
+		check_ajax_referer( 'zbooks_reconciliation', 'nonce' );
+
+		if ( ! current_user_can( 'manage_woocommerce' ) ) {
+			wp_send_json_error( [ 'message' => __( 'Permission denied.', 'zbooks-for-woocommerce' ) ] );
+		}
+
+		$order_id = absint( $_POST['order_id'] ?? 0 );
+		$order    = $order_id ? wc_get_order( $order_id ) : null;
+
+		if ( ! $order ) {
+			wp_send_json_error( [ 'message' => __( 'Order not found.', 'zbooks-for-woocommerce' ) ] );
+		}
+
+		$refunds = $order->get_refunds();
+
+		if ( empty( $refunds ) ) {
+			wp_send_json_error( [ 'message' => __( 'This order has no refunds.', 'zbooks-for-woocommerce' ) ] );
+		}
+
+		$orchestrator = \Zbooks\Plugin::get_instance()->get_service( 'sync_orchestrator' );
+
+		if ( ! $orchestrator ) {
+			wp_send_json_error( [ 'message' => __( 'Sync service not available.', 'zbooks-for-woocommerce' ) ] );
+		}
+
+		$credit_notes = [];
+		foreach ( $refunds as $refund ) {
+			$result = $orchestrator->process_refund( $order, $refund );
+
+			if ( ! $result['success'] ) {
+				wp_send_json_error( [ 'message' => $result['error'] ] );
+			}
+
+			if ( ! empty( $result['credit_note_id'] ) ) {
+				$credit_notes[] = $result['credit_note_id'];
+			}
+		}
+
+		wp_send_json_success( [
+			'message'      => __( 'Credit notes are up to date.', 'zbooks-for-woocommerce' ),
+			'credit_notes' => $credit_notes,
+		] );
+	}
+
+	/**
+	 * AJAX handler for linking a Zoho invoice to an existing order.
+	 */
+	public function ajax_reconciliation_link_invoice(): void {
+		check_ajax_referer( 'zbooks_reconciliation', 'nonce' );
+
+		if ( ! current_user_can( 'manage_woocommerce' ) ) {
+			wp_send_json_error( [ 'message' => __( 'Permission denied.', 'zbooks-for-woocommerce' ) ] );
+		}
+
+		$order_id   = absint( $_POST['order_id'] ?? 0 );
+		$invoice_id = sanitize_text_field( wp_unslash( $_POST['invoice_id'] ?? '' ) );
+		$order      = $order_id ? wc_get_order( $order_id ) : null;
+
+		if ( ! $order ) {
+			wp_send_json_error( [ 'message' => __( 'Order not found.', 'zbooks-for-woocommerce' ) ] );
+		}
+
+		if ( $invoice_id === '' ) {
+			wp_send_json_error( [ 'message' => __( 'Invalid invoice ID.', 'zbooks-for-woocommerce' ) ] );
+		}
+
+		$repository = new OrderMetaRepository();
+		$linked_id  = $repository->get_invoice_id( $order );
+
+		if ( $linked_id !== null && $linked_id !== $invoice_id ) {
+			wp_send_json_error( [
+				'message' => sprintf(
+					/* translators: %s: Zoho invoice ID */
+					__( 'This order is already linked to invoice %s.', 'zbooks-for-woocommerce' ),
+					$repository->get_invoice_number( $order ) ?? $linked_id
+				),
+			] );
+		}
+
+		$invoice_service = \Zbooks\Plugin::get_instance()->get_service( 'invoice_service' );
+		$invoice         = $invoice_service ? $invoice_service->get_invoice( $invoice_id ) : null;
+
+		if ( ! $invoice ) {
+			wp_send_json_error( [ 'message' => __( 'Could not fetch the invoice from Zoho Books.', 'zbooks-for-woocommerce' ) ] );
+		}
+
+		$other_order_ids = array_diff( $repository->get_order_ids_by_invoice_id( $invoice_id ), [ $order->get_id() ] );
+		$other_order     = $other_order_ids ? wc_get_order( reset( $other_order_ids ) ) : null;
+
+		if ( $other_order ) {
+			wp_send_json_error( [
+				'message' => sprintf(
+					/* translators: 1: Zoho invoice number, 2: WooCommerce order number */
+					__( 'Invoice %1$s is already linked to order #%2$s.', 'zbooks-for-woocommerce' ),
+					$invoice['invoice_number'] ?? $invoice_id,
+					$other_order->get_order_number()
+				),
+			] );
+		}
+
+		// A typo in the order ID would link the wrong order, so ask before linking one that doesn't match.
+		if ( empty( $_POST['confirmed'] ) ) {
+			$mismatches = $this->get_link_mismatches( $order, $invoice, $repository );
+
+			if ( ! empty( $mismatches ) ) {
+				wp_send_json_error( [
+					'message'          => implode( ' ', $mismatches ),
+					'confirm_required' => true,
+				] );
+			}
+		}
+
+		$repository->update_sync_meta(
+			order: $order,
+			status: SyncStatus::SYNCED,
+			invoice_id: $invoice_id,
+			contact_id: isset( $invoice['customer_id'] ) ? (string) $invoice['customer_id'] : null,
+			invoice_number: isset( $invoice['invoice_number'] ) ? (string) $invoice['invoice_number'] : null,
+			contact_name: isset( $invoice['customer_name'] ) ? (string) $invoice['customer_name'] : null
+		);
+
+		if ( ! empty( $invoice['status'] ) ) {
+			$repository->set_invoice_status( $order, (string) $invoice['status'] );
+		}
+
+		$order->add_order_note(
+			sprintf(
+				/* translators: %s: Zoho invoice number */
+				__( 'Linked to Zoho invoice %s from reconciliation.', 'zbooks-for-woocommerce' ),
+				$invoice['invoice_number'] ?? $invoice_id
+			)
+		);
+
+		wp_send_json_success( [
+			'message'      => __( 'Invoice linked to order.', 'zbooks-for-woocommerce' ),
+			'order_id'     => $order->get_id(),
+			'order_number' => $order->get_order_number(),
+			'order_url'    => $order->get_edit_order_url(),
+		] );
+	}
+
+	/**
+	 * Describe how an invoice differs from the order it is about to be linked to.
+	 *
+	 * @param \WC_Order           $order      WooCommerce order.
+	 * @param array               $invoice    Zoho invoice.
+	 * @param OrderMetaRepository $repository Order meta repository.
+	 * @return string[] Mismatch messages, empty when the reference and customer match.
+	 */
+	private function get_link_mismatches( \WC_Order $order, array $invoice, OrderMetaRepository $repository ): array {
+		$mismatches = [];
+		$reference  = trim( (string) ( $invoice['reference_number'] ?? '' ) );
+
+		if ( $reference === '' ) {
+			$mismatches[] = __( 'The invoice has no reference number.', 'zbooks-for-woocommerce' );
+		} elseif ( $reference !== (string) $order->get_order_number() ) {
+			$mismatches[] = sprintf(
+				/* translators: 1: Invoice reference number, 2: WooCommerce order number */
+				__( 'The invoice reference "%1$s" does not match order #%2$s.', 'zbooks-for-woocommerce' ),
+				$reference,
+				$order->get_order_number()
+			);
+		}
+
+		$contact_id = $repository->get_contact_id( $order );
+		if ( $contact_id === null && $order->get_billing_email() ) {
+			$customer_service = \Zbooks\Plugin::get_instance()->get_service( 'customer_service' );
+			$contact_id       = $customer_service ? $customer_service->find_contact_by_email( $order->get_billing_email() ) : null;
+		}
+
+		if ( $contact_id === null || $contact_id !== (string) ( $invoice['customer_id'] ?? '' ) ) {
+			$mismatches[] = sprintf(
+				/* translators: 1: Zoho customer name, 2: WooCommerce billing email */
+				__( 'The invoice customer "%1$s" is not the Zoho contact for %2$s.', 'zbooks-for-woocommerce' ),
+				$invoice['customer_name'] ?? '',
+				$order->get_billing_email() ? $order->get_billing_email() : $order->get_formatted_billing_full_name()
+			);
+		}
+
+		return $mismatches;
+	}
+
 	/**
 	 * Get sync configuration for an order based on status mappings.
 	 *
@@ -13,6 +13,7 @@ namespace Zbooks\Admin;
 
 use Zbooks\Api\ZohoClient;
 use Zbooks\Api\TokenManager;
+use Zbooks\Helper\ZohoItemList;
 use Zbooks\Repository\ItemMappingRepository;
 
 defined( 'ABSPATH' ) || exit;
@@ -1105,58 +1106,14 @@ class SetupWizard {
 			return [];
 		}
 
-		try {
-			// Fetch all item types: sales, inventory, and service items.
-			// By default, Zoho API only returns 'sales' items, so we need to explicitly
-			// request all types to include items with inventory tracking enabled.
-			$response = $this->client->request(
-				function ( $client ) {
-					return $client->items->getList(
-						[
-							'per_page'  => 200,
-							'filter_by' => 'ItemType.All',
-						]
-					);
-				},
-				[
-					'endpoint' => 'items.getList',
-				]
-			);
-
-			$items = [];
-
-			// Convert object to array if needed.
-			if ( is_object( $response ) ) {
-				$response = json_decode( wp_json_encode( $response ), true );
-			}
+		$result = ZohoItemList::fetch( $this->client );
 
-			if ( is_array( $response ) ) {
-				$items_data = $response['items'] ?? $response;
-				if ( is_array( $items_data ) ) {
-					foreach ( $items_data as $item ) {
-						if ( is_array( $item ) && isset( $item['item_id'], $item['name'] ) ) {
-							$items[] = [
-								'item_id' => $item['item_id'],
-								'name'    => $item['name'],
-								'sku'     => $item['sku'] ?? '',
-							];
-						}
-					}
-				}
-			}
-
-			usort(
-				$items,
-				function ( $a, $b ) {
-					return strcasecmp( $a['name'], $b['name'] );
-				}
-			);
-
-			set_transient( 'zbooks_zoho_items', $items, HOUR_IN_SECONDS );
-			return $items;
-		} catch ( \Exception $e ) {
-			return [];
+		// Only cache a complete list; the products tab treats cached items as the whole catalog.
+		if ( $result['complete'] ) {
+			set_transient( 'zbooks_zoho_items', $result['items'], HOUR_IN_SECONDS );
 		}
+
+		return $result['items'];
 	}
 
 	/**
@@ -235,14 +235,31 @@ class ZohoClient {
 		// Record the request.
 		$this->rate_limiter->record_request();
 
+		$started_at = microtime( true );
+
 		try {
-			return $request( $this->get_client() );
+			$result = $request( $this->get_client() );
+
+			// Only described calls are logged; they make up the request timeline in the log viewer.
+			if ( ! empty( $context['endpoint'] ) ) {
+				$this->log_request_completed(
+					array_merge(
+						$context,
+						[
+							'duration_ms' => (int) round( ( microtime( true ) - $started_at ) * 1000 ),
+						]
+					)
+				);
+			}
+
+			return $result;
 		} catch ( \Exception $e ) {
 			$this->logger->error(
 				'API request failed',
 				array_merge(
 					[
-						'error' => $e->getMessage(),
+						'error'       => $e->getMessage(),
+						'duration_ms' => (int) round( ( microtime( true ) - $started_at ) * 1000 ),
 					],
 					$context
 				)
@@ -453,7 +470,9 @@ class ZohoClient {
 		// Sanitize URL for logging (hide org_id).
 		$log_url = preg_replace( '/organization_id=\d+/', 'organization_id=***', $url );
 
-		$response = wp_remote_request( $url, $args );
+		$started_at = microtime( true );
+		$response   = wp_remote_request( $url, $args );
+		$duration   = (int) round( ( microtime( true ) - $started_at ) * 1000 );
 
 		if ( is_wp_error( $response ) ) {
 			$this->logger->error(
@@ -463,6 +482,7 @@ class ZohoClient {
 					'endpoint'    => $path,
 					'request_url' => $log_url,
 					'error'       => $response->get_error_message(),
+					'duration_ms' => $duration,
 				]
 			);
 			throw new \RuntimeException( $response->get_error_message() );
@@ -481,6 +501,7 @@ class ZohoClient {
 					'request_url'   => $log_url,
 					'status_code'   => $status_code,
 					'response_body' => substr( $body, 0, 500 ),
+					'duration_ms'   => $duration,
 				]
 			);
 			throw new \RuntimeException( 'Invalid JSON response from Zoho API' );
@@ -499,22 +520,39 @@ class ZohoClient {
 					'status_code'   => $status_code,
 					'zoho_code'     => $code,
 					'zoho_message'  => $message,
+					'duration_ms'   => $duration,
 				]
 			);
 			throw new \RuntimeException( $message );
 		}
 
-		// Log successful API request at INFO level so it's visible in log viewer.
-		$this->logger->info(
-			'Zoho API request completed',
+		$this->log_request_completed(
 			[
 				'method'      => strtoupper( $method ),
 				'endpoint'    => $path,
 				'request_url' => $log_url,
 				'status_code' => $status_code,
+				'duration_ms' => $duration,
 			]
 		);
 
 		return $result;
 	}
+
+	/**
+	 * Log a successful API request.
+	 *
+	 * Requests made during a correlated sync are logged at INFO so they show in
+	 * that run's timeline. Everything else (settings screens, pickers, cron
+	 * lookups) is logged at DEBUG to keep the log from filling with routine calls.
+	 *
+	 * @param array $context Request details.
+	 */
+	private function log_request_completed( array $context ): void {
+		if ( $this->logger->get_correlation_id() !== null ) {
+			$this->logger->info( 'Zoho API request completed', $context );
+		} else {
+			$this->logger->debug( 'Zoho API request completed', $context );
+		}
+	}
 }
@@ -0,0 +1,204 @@
+<?php
+/**
+ * Fuzzy matcher for WooCommerce products and Zoho items.
+ *
+ * @package Zbooks
+ * @author talas9
+ * @link https://github.com/talas9/zbooks-for-woocommerce
+ */
+
+declare(strict_types=1);
+
+namespace Zbooks\Helper;
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Helper class for fuzzy product-to-item matching.
+ *
+ * Confidence is a 0-100 score built from SKU equality (exact, then
+ * normalized, then partial), name similarity and price proximity.
+ */
+class ItemMatcher {
+
+	/**
+	 * Minimum confidence for an item to be suggested.
+	 */
+	public const MIN_CONFIDENCE = 40;
+
+	/**
+	 * Highest confidence for a match that rests on the name.
+	 *
+	 * An exact SKU match scores at least 90 even with a bad price, so
+	 * name matches stay below it whatever the price nudge adds.
+	 */
+	private const NAME_MATCH_MAX = 85;
+
+	/**
+	 * Find the best candidate Zoho items for a product.
+	 *
+	 * @param string $name  Product name.
+	 * @param string $sku   Product SKU.
+	 * @param float  $price Product price (0 when unknown).
+	 * @param array  $items Zoho items with item_id, name, sku and rate.
+	 * @param int    $limit Maximum number of candidates.
+	 * @return array[] Candidates sorted by confidence, each with item_id, name, sku, rate, confidence and reasons.
+	 */
+	public static function find_candidates( string $name, string $sku, float $price, array $items, int $limit = 5 ): array {
+		$candidates = [];
+
+		foreach ( $items as $item ) {
+			$match = self::score( $name, $sku, $price, $item );
+
+			if ( $match['confidence'] < self::MIN_CONFIDENCE ) {
+				continue;
+			}
+
+			$candidates[] = [
+				'item_id'    => $item['item_id'],
+				'name'       => $item['name'],
+				'sku'        => $item['sku'] ?? '',
+				'rate'       => (float) ( $item['rate'] ?? 0 ),
+				'confidence' => $match['confidence'],
+				'reasons'    => $match['reasons'],
+			];
+		}
+
+		usort(
+			$candidates,
+			function ( $a, $b ) {
+				if ( $a['confidence'] !== $b['confidence'] ) {
+					return $b['confidence'] <=> $a['confidence'];
+				}
+				return strcasecmp( $a['name'], $b['name'] );
+			}
+		);
+
+		return array_slice( $candidates, 0, $limit );
+	}
+
+	/**
+	 * Score a single Zoho item against a product.
+	 *
+	 * @param string $name  Product name.
+	 * @param string $sku   Product SKU.
+	 * @param float  $price Product price.
+	 * @param array  $item  Zoho item.
+	 * @return array{confidence: int, reasons: string[]}
+	 */
+	public static function score( string $name, string $sku, float $price, array $item ): array {
+		$reasons  = [];
+		$item_sku = (string) ( $item['sku'] ?? '' );
+
+		// SKU evidence.
+		$sku_score = 0;
+		if ( $sku !== '' && $item_sku !== '' ) {
+			$normalized_sku  = self::normalize_sku( $sku );
+			$normalized_item = self::normalize_sku( $item_sku );
+
+			if ( mb_strtolower( trim( $sku ) ) === mb_strtolower( trim( $item_sku ) ) ) {
+				$sku_score = 100;
+				$reasons[] = 'sku';
+			} elseif ( $normalized_sku !== '' && $normalized_sku === $normalized_item ) {
+				$sku_score = 90;
+				$reasons[] = 'normalized_sku';
+			} elseif ( min( strlen( $normalized_sku ), strlen( $normalized_item ) ) >= 4
+				&& ( strpos( $normalized_item, $normalized_sku ) !== false || strpos( $normalized_sku, $normalized_item ) !== false ) ) {
+				$sku_score = 70;
+				$reasons[] = 'partial_sku';
+			}
+		}
+
+		// Name evidence, capped so a name alone never beats a normalized SKU match.
+		$name_similarity = self::name_similarity( $name, (string) ( $item['name'] ?? '' ) );
+		$name_score      = (int) round( $name_similarity * 0.8 );
+		if ( $name_similarity >= 50 ) {
+			$reasons[] = 'name';
+		}
+
+		$confidence = max( $sku_score, $name_score );
+
+		// Price proximity nudges the score either way.
+		$rate = (float) ( $item['rate'] ?? 0 );
+		if ( $price > 0 && $rate > 0 ) {
+			$difference = abs( $price - $rate ) / max( $price, $rate );
+
+			if ( $difference <= 0.01 ) {
+				$confidence += 10;
+				$reasons[]   = 'price';
+			} elseif ( $difference <= 0.1 ) {
+				$confidence += 5;
+				$reasons[]   = 'price';
+			} elseif ( $difference > 0.5 ) {
+				$confidence -= 10;
+			}
+		}
+
+		if ( $name_score > $sku_score ) {
+			$confidence = min( $confidence, self::NAME_MATCH_MAX );
+		}
+
+		return [
+			'confidence' => max( 0, min( 100, $confidence ) ),
+			'reasons'    => $reasons,
+		];
+	}
+
+	/**
+	 * Normalize a SKU for comparison.
+	 *
+	 * Drops case, whitespace and punctuation so "AB-001", "ab 001" and
+	 * "AB_001" compare equal.
+	 *
+	 * @param string $sku SKU.
+	 * @return string Normalized SKU.
+	 */
+	public static function normalize_sku( string $sku ): string {
+		return (string) preg_replace( '/[^\p{L}\p{N}]/u', '', mb_strtolower( $sku ) );
+	}
+
+	/**
+	 * Name similarity as a 0-100 percentage.
+	 *
+	 * Takes the better of character similarity and word overlap, so
+	 * reordered words ("Shirt Blue" vs "Blue Shirt") still score well.
+	 *
+	 * @param string $a First name.
+	 * @param string $b Second name.
+	 * @return float Similarity percentage.
+	 */
+	public static function name_similarity( string $a, string $b ): float {
+		$a = self::normalize_name( $a );
+		$b = self::normalize_name( $b );
+
+		if ( $a === '' || $b === '' ) {
+			return 0.0;
+		}
+
+		if ( $a === $b ) {
+			return 100.0;
+		}
+
+		similar_text( $a, $b, $percent );
+
+		$a_words = array_unique( explode( ' ', $a ) );
+		$b_words = array_unique( explode( ' ', $b ) );
+		$union   = count( array_unique( array_merge( $a_words, $b_words ) ) );
+		$overlap = $union > 0 ? count( array_intersect( $a_words, $b_words ) ) / $union * 100 : 0;
+
+		return (float) max( $percent, $overlap );
+	}
+
+	/**
+	 * Normalize a product name for comparison.
+	 *
+	 * @param string $name Name.
+	 * @return string Lowercase words separated by single spaces.
+	 */
+	private static function normalize_name( string $name ): string {
+		$name = mb_strtolower( $name );
+		$name = (string) preg_replace( '/[^\p{L}\p{N}]+/u', ' ', $name );
+
+		return trim( $name );
+	}
+}
@@ -0,0 +1,93 @@
+<?php
+/**
+ * Zoho item preview helper.
+ *
+ * @package Zbooks
+ * @author talas9
+ * @link https://github.com/talas9/zbooks-for-woocommerce
+ */
+
+declare(strict_types=1);
+
+namespace Zbooks\Helper;
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Helper for the item details shown in the Zoho item pickers.
+ *
+ * Items cached before these fields were stored only carry item_id, name,
+ * sku and rate, so every field has a default.
+ */
+class ItemPreview {
+
+	/**
+	 * Reduce a Zoho items.getList entry to the fields the plugin caches.
+	 *
+	 * @param array $item Item as returned by the Zoho API.
+	 * @return array Item with item_id, name, sku, rate, status, product_type, item_type, stock_on_hand, tax_name and tax_percentage.
+	 */
+	public static function from_api( array $item ): array {
+		return [
+			'item_id'        => $item['item_id'],
+			'name'           => $item['name'],
+			'sku'            => $item['sku'] ?? '',
+			'rate'           => $item['rate'] ?? 0,
+			'status'         => $item['status'] ?? 'active',
+			'product_type'   => $item['product_type'] ?? '',
+			'item_type'      => $item['item_type'] ?? '',
+			'stock_on_hand'  => isset( $item['stock_on_hand'] ) && $item['stock_on_hand'] !== '' ? (float) $item['stock_on_hand'] : null,
+			'tax_name'       => $item['tax_name'] ?? '',
+			'tax_percentage' => isset( $item['tax_percentage'] ) && $item['tax_percentage'] !== '' ? (float) $item['tax_percentage'] : null,
+		];
+	}
+
+	/**
+	 * Build the preview details for an item.
+	 *
+	 * @param array $item               Cached or API item.
+	 * @param int[] $linked_product_ids Other products already linked to the item.
+	 * @return array Preview fields plus linked_products (id, name, edit_url).
+	 */
+	public static function describe( array $item, array $linked_product_ids = [] ): array {
+		$item = self::from_api( $item );
+
+		$linked = [];
+		foreach ( $linked_product_ids as $product_id ) {
+			$product = wc_get_product( $product_id );
+			if ( ! $product ) {
+				continue;
+			}
+
+			$linked[] = [
+				'id'       => $product->get_id(),
+				'name'     => $product->get_name(),
+				'edit_url' => get_edit_post_link( $product->get_parent_id() ?: $product->get_id(), 'raw' ),
+			];
+		}
+
+		$item['linked_products'] = $linked;
+
+		return $item;
+	}
+
+	/**
+	 * Check an item against the picker filters.
+	 *
+	 * @param array  $item             Cached item.
+	 * @param bool   $include_inactive Whether inactive items are shown.
+	 * @param string $product_type     'goods', 'service' or '' for both.
+	 * @return bool
+	 */
+	public static function matches_filters( array $item, bool $include_inactive, string $product_type ): bool {
+		if ( ! $include_inactive && ( $item['status'] ?? 'active' ) === 'inactive' ) {
+			return false;
+		}
+
+		if ( $product_type !== '' && ( $item['product_type'] ?? '' ) !== $product_type ) {
+			return false;
+		}
+
+		return true;
+	}
+}
@@ -0,0 +1,119 @@
+<?php
+/**
+ * Zoho item list helper.
+ *
+ * @package Zbooks
+ * @author talas9
+ * @link https://github.com/talas9/zbooks-for-woocommerce
+ */
+
+declare(strict_types=1);
+
+namespace Zbooks\Helper;
+
+use Zbooks\Api\ZohoClient;
+
+defined( 'ABSPATH' ) || exit;
+
+/**
+ * Helper for loading the full Zoho item list used by the item pickers.
+ */
+class ZohoItemList {
+
+	/**
+	 * Maximum number of pages fetched in one run.
+	 */
+	public const MAX_PAGES = 50;
+
+	/**
+	 * Items requested per page (the Zoho maximum).
+	 */
+	public const PER_PAGE = 200;
+
+	/**
+	 * Fetch every Zoho item, page by page, sorted by name.
+	 *
+	 * Checks like the mapping audit treat a missing item as deleted, so the
+	 * result says whether the list is complete. When a later page fails, or
+	 * the page limit is reached, the items fetched so far are still returned
+	 * with complete set to false; callers should not cache that list.
+	 *
+	 * @param ZohoClient $client Zoho client.
+	 * @return array{items: array, complete: bool, error: ?string}
+	 */
+	public static function fetch( ZohoClient $client ): array {
+		$items    = [];
+		$page     = 1;
+		$complete = true;
+		$error    = null;
+
+		try {
+			do {
+				// Zoho only returns 'sales' items by default, so request every item type
+				// to include items with inventory tracking enabled.
+				$response = $client->request(
+					function ( $zoho ) use ( $page ) {
+						return $zoho->items->getList(
+							[
+								'page'      => $page,
+								'per_page'  => self::PER_PAGE,
+								'filter_by' => 'ItemType.All',
+							]
+						);
+					},
+					[
+						'endpoint' => 'items.getList',
+						'page'     => $page,
+					]
+				);
+
+				// Convert object to array if needed.
+				if ( is_object( $response ) ) {
+					$response = json_decode( wp_json_encode( $response ), true );
+				}
+
+				$has_more = false;
+
+				if ( is_array( $response ) ) {
+					$items_data = $response['items'] ?? $response;
+					if ( is_array( $items_data ) ) {
+						foreach ( $items_data as $item ) {
+							if ( is_array( $item ) && isset( $item['item_id'], $item['name'] ) ) {
+								$items[] = ItemPreview::from_api( $item );
+							}
+						}
+					}
+
+					$has_more = ! empty( $response['page_context']['has_more_page'] );
+				}
+
+				++$page;
+			} while ( $has_more && $page <= self::MAX_PAGES );
+
+			if ( $has_more ) {
+				$complete = false;
+				$error    = sprintf(
+					/* translators: %d: number of items fetched */
+					__( 'Stopped after the first %d items.', 'zbooks-for-woocommerce' ),
+					self::MAX_PAGES * self::PER_PAGE
+				);
+			}
+		} catch ( \Exception $e ) {
+			$complete = false;
+			$error    = $e->getMessage();
+		}
+
+		usort(
+			$items,
+			function ( $a, $b ) {
+				return strcasecmp( $a['name'], $b['name'] );
+			}
+		);
+
+		return [
+			'items'    => $items,
+			'complete' => $complete,
+			'error'    => $error,
+		];
+	}
+}
@@ -45,6 +45,7 @@ class AjaxHandlers {
 		add_action( 'wp_ajax_zbooks_bulk_sync', [ $this, 'handle_bulk_sync' ] );
 		add_action( 'wp_ajax_zbooks_bulk_sync_date_range', [ $this, 'handle_bulk_sync_date_range' ] );
 		add_action( 'wp_ajax_zbooks_get_orders_by_date', [ $this, 'handle_get_orders_by_date' ] );
+		add_action( 'wp_ajax_zbooks_preview_bulk_sync', [ $this, 'handle_preview_bulk_sync' ] );
 		add_action( 'wp_ajax_zbooks_test_connection', [ $this, 'handle_test_connection' ] );
 		add_action( 'wp_ajax_zbooks_apply_payment', [ $this, 'handle_apply_payment' ] );
 		add_action( 'wp_ajax_zbooks_refresh_bank_accounts', [ $this, 'handle_refresh_bank_accounts' ] );
@@ -91,9 +92,20 @@ class AjaxHandlers {
 		$sync_config = $this->get_sync_config_for_order( $order );
 		$as_draft    = $sync_config['as_draft'];
 
+		// Keep the sync and payment calls in one log timeline.
+		$previous_correlation_id = $this->orchestrator->begin_correlation( $order );
+
 		// Manual sync always uses force=true to actually re-sync (not just return cached result).
 		$result = $this->orchestrator->sync_order( $order, $as_draft, true );
 
+		// Apply payment if order status matches apply_payment mapping and order is paid.
+		$payment_result = null;
+		if ( $result->success && $sync_config['should_apply_payment'] && ! $as_draft && $order->is_paid() ) {
+			$payment_result = $this->orchestrator->apply_payment( $order );
+		}
+
+		$this->orchestrator->end_correlation( $previous_correlation_id );
+
 		if ( ! $result->success ) {
 			wp_send_json_error(
 				[
@@ -103,12 +115,6 @@ class AjaxHandlers {
 			return;
 		}
 
-		// Apply payment if order status matches apply_payment mapping and order is paid.
-		$payment_result = null;
-		if ( $sync_config['should_apply_payment'] && ! $as_draft && $order->is_paid() ) {
-			$payment_result = $this->orchestrator->apply_payment( $order );
-		}
-
 		// Get repository to fetch display names.
 		$repository = new \Zbooks\Repository\OrderMetaRepository();
 
@@ -510,4 +516,141 @@ class AjaxHandlers {
 			]
 		);
 	}
+
+	/**
+	 * Handle bulk sync preview AJAX request.
+	 *
+	 * Reports what a bulk sync would do for each order without touching Zoho:
+	 * skip (already synced), create as draft or submit, plus any warnings.
+	 */
+	public function handle_preview_bulk_sync(): void {
+		check_ajax_referer( 'zbooks_ajax_nonce', 'nonce' );
+
+		if ( ! current_user_can( 'edit_shop_orders' ) ) {
+			wp_send_json_error(
+				[
+					'message' => __( 'Permission denied.', 'zbooks-for-woocommerce' ),
+				]
+			);
+		}
+
+		$order_ids = isset( $_POST['order_ids'] ) ? array_map( 'absint', (array) $_POST['order_ids'] ) : [];
+
+		if ( empty( $order_ids ) ) {
+			wp_send_json_error(
+				[
+					'message' => __( 'No orders selected.', 'zbooks-for-woocommerce' ),
+				]
+			);
+		}
+
+		$repository      = new \Zbooks\Repository\OrderMetaRepository();
+		$item_mapping    = new \Zbooks\Repository\ItemMappingRepository();
+		$payment_mapping = new \Zbooks\Repository\PaymentMethodMappingRepository();
+
+		$preview = [];
+		foreach ( $order_ids as $order_id ) {
+			$order = wc_get_order( $order_id );
+
+			if ( ! $order ) {
+				continue;
+			}
+
+			$preview[] = $this->build_sync_preview( $order, $repository, $item_mapping, $payment_mapping );
+		}
+
+		wp_send_json_success(
+			[
+				'orders' => $preview,
+			]
+		);
+	}
+
+	/**
+	 * Build the planned sync action and warnings for a single order.
+	 *
+	 * @param \WC_Order                                         $order           WooCommerce order.
+	 * @param \Zbooks\Repository\OrderMetaRepository            $repository      Order meta repository.
+	 * @param \Zbooks\Repository\ItemMappingRepository          $item_mapping    Item mapping repository.
+	 * @param \Zbooks\Repository\PaymentMethodMappingRepository $payment_mapping Payment mapping repository.
+	 * @return array Preview row with action, action_label and warnings.
+	 */
+	private function build_sync_preview(
+		\WC_Order $order,
+		\Zbooks\Repository\OrderMetaRepository $repository,
+		\Zbooks\Repository\ItemMappingRepository $item_mapping,
+		\Zbooks\Repository\PaymentMethodMappingRepository $payment_mapping
+	): array {
+		$sync_config = $this->get_sync_config_for_order( $order );
+		$warnings    = [];
+
+		if ( $repository->get_invoice_id( $order ) !== null ) {
+			// Manual and bulk sync force a re-sync, so a selected order is updated in Zoho.
+			$action       = 'resync';
+			$action_label = __( 'Already synced, will be re-synced if selected', 'zbooks-for-woocommerce' );
+		} elseif ( $sync_config['as_draft'] ) {
+			$action       = 'draft';
+			$action_label = __( 'Create draft invoice', 'zbooks-for-woocommerce' );
+		} else {
+			$action       = 'create';
+			$action_label = __( 'Create invoice', 'zbooks-for-woocommerce' );
+		}
+
+		// Unmapped products still sync as name-only line items, so this only warns.
+		$unmapped = [];
+		foreach ( $order->get_items() as $item ) {
+			$product = $item->get_product();
+			if ( ! $product ) {
+				continue;
+			}
+
+			$zoho_item_id = $item_mapping->get_zoho_item_id( $product->get_id() );
+			if ( $zoho_item_id === null || $zoho_item_id === '' ) {
+				$unmapped[] = $product->get_name();
+			}
+		}
+
+		if ( ! empty( $unmapped ) ) {
+			$warnings[] = [
+				'type'     => 'unmapped_products',
+				'blocking' => false,
+				'message'  => sprintf(
+					/* translators: %s: Comma-separated list of product names */
+					__( 'Products not linked to Zoho items, will be added by name only: %s', 'zbooks-for-woocommerce' ),
+					implode( ', ', $unmapped )
+				),
+			];
+		}
+
+		// An unmapped gateway only matters when the sync would also apply a payment.
+		$payment_method = $order->get_payment_method();
+		if ( $payment_method
+			&& $sync_config['should_apply_payment']
+			&& ! $sync_config['as_draft']
+			&& $order->is_paid()
+			&& $payment_mapping->get_zoho_account_id( $payment_method ) === null
+		) {
+			$warnings[] = [
+				'type'     => 'unmapped_gateway',
+				'blocking' => false,
+				'message'  => sprintf(
+					/* translators: %s: Payment gateway title */
+					__( 'Payment gateway "%s" is not mapped to a Zoho account', 'zbooks-for-woocommerce' ),
+					$order->get_payment_method_title() ? $order->get_payment_method_title() : $payment_method
+				),
+			];
+		}
+
+		return [
+			'id'             => $order->get_id(),
+			'number'         => $order->get_order_number(),
+			'customer'       => $order->get_formatted_billing_full_name(),
+			'total'          => $order->get_total(),
+			'status'         => wc_get_order_status_name( $order->get_status() ),
+			'action'         => $action,
+			'action_label'   => $action_label,
+			'invoice_number' => $repository->get_invoice_number( $order ),
+			'warnings'       => $warnings,
+		];
+	}
 }
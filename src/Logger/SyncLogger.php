@@ -56,6 +56,13 @@ class SyncLogger {
 	 */
 	private ?NotificationQueue $notification_queue = null;
 
+	/**
+	 * Correlation ID added to every entry while set.
+	 *
+	 * @var string|null
+	 */
+	private ?string $correlation_id = null;
+
 	/**
 	 * Constructor.
 	 */
@@ -138,6 +145,26 @@ class SyncLogger {
 		$this->log( 'INFO', $message, $context );
 	}
 
+	/**
+	 * Get the active correlation ID.
+	 *
+	 * @return string|null
+	 */
+	public function get_correlation_id(): ?string {
+		return $this->correlation_id;
+	}
+
+	/**
+	 * Set the correlation ID used to group entries written by one operation.
+	 *
+	 * Pass null to stop tagging entries.
+	 *
+	 * @param string|null $correlation_id Correlation ID.
+	 */
+	public function set_correlation_id( ?string $correlation_id ): void {
+		$this->correlation_id = $correlation_id;
+	}
+
 	/**
 	 * Log an error message.
 	 *
@@ -183,6 +210,10 @@ class SyncLogger {
 		// Check and rotate if needed.
 		$this->maybe_rotate_log();
 
+		if ( $this->correlation_id !== null && ! isset( $context['correlation_id'] ) ) {
+			$context['correlation_id'] = $this->correlation_id;
+		}
+
 		$timestamp      = gmdate( 'Y-m-d H:i:s' );
 		$context_string = ! empty( $context ) ? ' ' . wp_json_encode( $context ) : '';
 
@@ -424,6 +455,93 @@ class SyncLogger {
 		return $entries;
 	}
 
+	/**
+	 * Query log entries across a date range.
+	 *
+	 * Entries are returned most recent first. Stats count every entry that
+	 * matches the filters other than level, so the level totals stay useful
+	 * while a level filter is applied.
+	 *
+	 * @param array $filters {
+	 *     Optional filters.
+	 *
+	 *     @type string $date_from Start date (Y-m-d).
+	 *     @type string $date_to   End date (Y-m-d).
+	 *     @type string $level     Log level.
+	 *     @type int    $order_id  Order ID referenced in the entry context.
+	 *     @type string $search    Case-insensitive text to find in message or context.
+	 * }
+	 * @param int   $offset  Number of matching entries to skip.
+	 * @param int   $limit   Maximum number of entries to return (0 for all).
+	 * @return array{entries: array, total: int, stats: array}
+	 */
+	public function query_logs( array $filters, int $offset = 0, int $limit = 100 ): array {
+		$date_from = $filters['date_from'] ?? '';
+		$date_to   = $filters['date_to'] ?? '';
+		$level     = $filters['level'] ?? '';
+		$matches   = [];
+		$stats     = [
+			'total'   => 0,
+			'INFO'    => 0,
+			'ERROR'   => 0,
+			'WARNING' => 0,
+			'DEBUG'   => 0,
+		];
+
+		// Files are sorted newest first, and read_log returns newest first within a file.
+		foreach ( $this->get_log_files() as $file ) {
+			if ( ( $date_from && $file['date'] < $date_from ) || ( $date_to && $file['date'] > $date_to ) ) {
+				continue;
+			}
+
+			foreach ( $this->read_log( $file['date'], 0 ) as $entry ) {
+				if ( ! $this->entry_matches( $entry, $filters ) ) {
+					continue;
+				}
+
+				++$stats['total'];
+				if ( isset( $stats[ $entry['level'] ] ) ) {
+					++$stats[ $entry['level'] ];
+				}
+
+				if ( empty( $level ) || $entry['level'] === $level ) {
+					$matches[] = $entry;
+				}
+			}
+		}
+
+		return [
+			'entries' => $limit > 0 ? array_slice( $matches, $offset, $limit ) : array_slice( $matches, $offset ),
+			'total'   => count( $matches ),
+			'stats'   => $stats,
+		];
+	}
+
+	/**
+	 * Check a log entry against the order ID and search filters.
+	 *
+	 * @param array $entry   Parsed log entry.
+	 * @param array $filters Filters passed to query_logs().
+	 * @return bool
+	 */
+	private function entry_matches( array $entry, array $filters ): bool {
+		if ( ! empty( $filters['order_id'] ) ) {
+			$order_id = $entry['context']['order_id'] ?? null;
+			if ( $order_id === null || (int) $order_id !== (int) $filters['order_id'] ) {
+				return false;
+			}
+		}
+
+		if ( ! empty( $filters['search'] ) ) {
+			$haystack = $entry['message'] . ' ' . ( ! empty( $entry['context'] ) ? wp_json_encode( $entry['context'] ) : '' );
+			if ( stripos( $haystack, $filters['search'] ) === false ) {
+				return false;
+			}
+		}
+
+		return true;
+	}
+
 	/**
 	 * Parse a single log line.
 	 *
@@ -357,6 +357,10 @@ final class Plugin {
 			true
 		);
 
+		// Bulk sync worker pool size: Orders settings value, overridable by filter.
+		$sync_behavior     = get_option( 'zbooks_sync_behavior', [] );
+		$bulk_sync_workers = (int) apply_filters( 'zbooks_bulk_sync_workers', (int) ( $sync_behavior['bulk_sync_workers'] ?? 3 ) );
+
 		// Localize admin script with global config and data for lazy loading.
 		wp_localize_script(
 			'zbooks-admin',
@@ -365,12 +369,16 @@ final class Plugin {
 				'ajax_url'             => admin_url( 'admin-ajax.php' ),
 				'nonce'                => wp_create_nonce( 'zbooks_ajax_nonce' ),
 				'reconciliation_nonce' => wp_create_nonce( 'zbooks_reconciliation' ),
+				'user_id'              => get_current_user_id(),
+				'bulk_sync_workers'    => max( 1, min( 10, $bulk_sync_workers ) ),
 				'i18n'                 => [
 					'syncing'                  => __( 'Syncing...', 'zbooks-for-woocommerce' ),
 					'sync_success'             => __( 'Sync successful!', 'zbooks-for-woocommerce' ),
 					'sync_error'               => __( 'Sync failed. Please try again.', 'zbooks-for-woocommerce' ),
 					'confirm_bulk_sync'        => __( 'Are you sure you want to sync the selected orders?', 'zbooks-for-woocommerce' ),
-					'bulk_sync_leave_warning'  => __( 'Bulk sync is in progress. Leaving this page will cancel the sync. Are you sure you want to leave?', 'zbooks-for-woocommerce' ),
+					'bulk_sync_leave_warning'  => __( 'Bulk sync is in progress. Leaving this page will pause the sync until you resume it. Are you sure you want to leave?', 'zbooks-for-woocommerce' ),
+					'resume_bulk_sync'         => __( 'Resume previous bulk sync', 'zbooks-for-woocommerce' ),
+					'discard_bulk_sync'        => __( 'Discard', 'zbooks-for-woocommerce' ),
 					'session_expired'          => __( 'Session expired. Please refresh the page and try again.', 'zbooks-for-woocommerce' ),
 					'permission_denied'        => __( 'Permission denied. You may not have access to this feature.', 'zbooks-for-woocommerce' ),
 					'server_error'             => __( 'Server error. Please check your server logs or try again later.', 'zbooks-for-woocommerce' ),
@@ -407,6 +415,10 @@ final class Plugin {
 					'failed'                   => __( 'Failed', 'zbooks-for-woocommerce' ),
 					'mapping_product'          => __( 'Mapping product', 'zbooks-for-woocommerce' ),
 					'of'                       => __( 'of', 'zbooks-for-woocommerce' ),
+					'show_inactive'            => __( 'Show inactive', 'zbooks-for-woocommerce' ),
+					'already_linked_to'        => __( 'Already linked to', 'zbooks-for-woocommerce' ),
+					'confirm_duplicate_link'   => __( 'This Zoho item is already linked to:', 'zbooks-for-woocommerce' ),
+					'duplicate_link_proceed'   => __( 'Link it to this product as well?', 'zbooks-for-woocommerce' ),
 				],
 			]
 		);
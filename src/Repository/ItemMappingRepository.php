@@ -55,6 +55,16 @@ class ItemMappingRepository {
 		return $mappings[ $product_id ] ?? null;
 	}
 
+	/**
+	 * Get the WooCommerce products linked to a Zoho item.
+	 *
+	 * @param string $zoho_item_id Zoho item ID.
+	 * @return int[] Product IDs.
+	 */
+	public function get_product_ids_by_item( string $zoho_item_id ): array {
+		return array_map( 'intval', array_keys( $this->get_all(), $zoho_item_id, true ) );
+	}
+
 	/**
 	 * Set mapping for a product.
 	 *
@@ -98,6 +108,28 @@ class ItemMappingRepository {
 		return update_option( self::OPTION_NAME, $merged );
 	}
 
+	/**
+	 * Set and remove several mappings with a single option write.
+	 *
+	 * @param array<int, string> $set    Product ID => Zoho item ID to set.
+	 * @param int[]              $remove Product IDs to unmap.
+	 * @return bool
+	 */
+	public function update_mappings( array $set, array $remove ): bool {
+		$mappings = $this->get_all();
+
+		foreach ( $set as $product_id => $zoho_item_id ) {
+			$mappings[ (int) $product_id ] = (string) $zoho_item_id;
+		}
+
+		foreach ( $remove as $product_id ) {
+			unset( $mappings[ (int) $product_id ] );
+		}
+
+		$this->cache = $mappings;
+		return update_option( self::OPTION_NAME, $mappings );
+	}
+
 	/**
 	 * Clear all mappings.
 	 *
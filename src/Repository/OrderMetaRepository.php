@@ -300,6 +300,31 @@ class OrderMetaRepository {
 		return $status === SyncStatus::SYNCED || $status === SyncStatus::DRAFT;
 	}
 
+	/**
+	 * Get the orders linked to a Zoho invoice.
+	 *
+	 * @param string $invoice_id Zoho invoice ID.
+	 * @return int[] Order IDs.
+	 */
+	public function get_order_ids_by_invoice_id( string $invoice_id ): array {
+		$query = new \WC_Order_Query(
+			[
+				'limit'      => -1,
+				'type'       => 'shop_order',
+				'return'     => 'ids',
+				'meta_query' => [
+					[
+						'key'     => self::META_INVOICE_ID,
+						'value'   => $invoice_id,
+						'compare' => '=',
+					],
+				],
+			]
+		);
+
+		return array_map( 'intval', $query->get_orders() );
+	}
+
 	/**
 	 * Get orders with failed sync status.
 	 *
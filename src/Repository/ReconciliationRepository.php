@@ -213,6 +213,43 @@ class ReconciliationRepository {
 		];
 	}
 
+	/**
+	 * Get summaries of completed reports, oldest first.
+	 *
+	 * Skips the discrepancies column so the whole history can be loaded cheaply.
+	 *
+	 * @param int $limit Maximum number of reports (most recent are kept).
+	 * @return array<int, array{id: int, period_start: string, period_end: string, generated_at: string, summary: array}>
+	 */
+	public function get_summaries( int $limit = 100 ): array {
+		global $wpdb;
+
+		$table_name = $this->get_table_name();
+        // phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared -- Table name is safe.
+		$rows = $wpdb->get_results(
+			$wpdb->prepare(
+				"SELECT id, period_start, period_end, generated_at, summary FROM {$table_name} WHERE status = %s ORDER BY generated_at DESC LIMIT %d",
+				'completed',
+				$limit
+			),
+			ARRAY_A
+		);
+
+		$summaries = [];
+		foreach ( array_reverse( $rows ) as $row ) {
+			$summary     = json_decode( (string) $row['summary'], true );
+			$summaries[] = [
+				'id'           => (int) $row['id'],
+				'period_start' => $row['period_start'],
+				'period_end'   => $row['period_end'],
+				'generated_at' => $row['generated_at'],
+				'summary'      => is_array( $summary ) ? $summary : [],
+			];
+		}
+
+		return $summaries;
+	}
+
 	/**
 	 * Get reports by status.
 	 *
@@ -136,6 +136,9 @@ class BulkSyncService {
 				]
 			);
 
+			// Keep the sync and payment calls in one log timeline.
+			$previous_correlation_id = $this->orchestrator->begin_correlation( $order );
+
 			$result = $this->orchestrator->sync_order( $order, $as_draft );
 
 			// Apply payment if:
@@ -168,6 +171,8 @@ class BulkSyncService {
 				}
 			}
 
+			$this->orchestrator->end_correlation( $previous_correlation_id );
+
 			if ( $result->success ) {
 				++$results['success'];
 			} else {
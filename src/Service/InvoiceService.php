@@ -927,6 +927,155 @@ class InvoiceService {
 		return $discrepancies;
 	}
 
+	/**
+	 * Build a line-by-line comparison of an order and its Zoho invoice.
+	 *
+	 * Lines are matched the same way as compare_line_items() (mapped item_id,
+	 * then name). Invoice lines with no matching order item are listed last.
+	 *
+	 * @param WC_Order $order   WooCommerce order.
+	 * @param array    $invoice Zoho invoice data (from get_invoice()).
+	 * @return array{lines: array, totals: array}
+	 */
+	public function build_order_diff( WC_Order $order, array $invoice ): array {
+		$tolerance = 0.01;
+
+		$invoice_lines = array_values( $invoice['line_items'] ?? [] );
+		$unmatched     = array_keys( $invoice_lines );
+		$lines         = [];
+
+		$find_invoice_line = function ( ?string $item_id, string $name ) use ( $invoice_lines, &$unmatched ): array {
+			foreach ( [ 'item_id', 'name' ] as $matched_by ) {
+				foreach ( $unmatched as $position => $index ) {
+					$line = $invoice_lines[ $index ];
+					if ( $matched_by === 'item_id' ) {
+						$is_match = $item_id !== null && $item_id !== '' && (string) ( $line['item_id'] ?? '' ) === $item_id;
+					} else {
+						$is_match = strtolower( trim( (string) ( $line['name'] ?? '' ) ) ) === strtolower( trim( $name ) );
+					}
+
+					if ( $is_match ) {
+						unset( $unmatched[ $position ] );
+						return [ $line, $matched_by ];
+					}
+				}
+			}
+
+			return [ null, '' ];
+		};
+
+		$wc_lines = [];
+		foreach ( $order->get_items() as $item ) {
+			if ( ! $item instanceof WC_Order_Item_Product || $item->get_quantity() <= 0 ) {
+				continue;
+			}
+
+			$product    = $item->get_product();
+			$quantity   = (float) $item->get_quantity();
+			$wc_lines[] = [
+				'name'     => $item->get_name(),
+				'item_id'  => $product ? $this->item_mapping->get_zoho_item_id( $product->get_id() ) : null,
+				'quantity' => $quantity,
+				'rate'     => round( (float) $item->get_subtotal() / $quantity, 2 ),
+				'total'    => round( (float) $item->get_subtotal(), 2 ),
+			];
+		}
+
+		foreach ( $order->get_fees() as $fee ) {
+			$wc_lines[] = [
+				'name'     => $fee->get_name(),
+				'item_id'  => null,
+				'quantity' => 1.0,
+				'rate'     => round( (float) $fee->get_total(), 2 ),
+				'total'    => round( (float) $fee->get_total(), 2 ),
+			];
+		}
+
+		foreach ( $wc_lines as $wc_line ) {
+			[ $invoice_line, $matched_by ] = $find_invoice_line( $wc_line['item_id'], $wc_line['name'] );
+
+			$zoho = null;
+			if ( $invoice_line !== null ) {
+				$zoho = [
+					'quantity' => (float) ( $invoice_line['quantity'] ?? 0 ),
+					'rate'     => (float) ( $invoice_line['rate'] ?? 0 ),
+					'total'    => (float) ( $invoice_line['item_total'] ?? 0 ),
+				];
+			}
+
+			$lines[] = $this->build_diff_line( $wc_line['name'], $matched_by, $wc_line, $zoho, $tolerance );
+		}
+
+		foreach ( $unmatched as $index ) {
+			$invoice_line = $invoice_lines[ $index ];
+			$lines[]      = $this->build_diff_line(
+				(string) ( $invoice_line['name'] ?? $invoice_line['description'] ?? '' ),
+				'',
+				null,
+				[
+					'quantity' => (float) ( $invoice_line['quantity'] ?? 0 ),
+					'rate'     => (float) ( $invoice_line['rate'] ?? 0 ),
+					'total'    => (float) ( $invoice_line['item_total'] ?? 0 ),
+				],
+				$tolerance
+			);
+		}
+
+		$fee_total = 0.0;
+		foreach ( $order->get_fees() as $fee ) {
+			$fee_total += (float) $fee->get_total();
+		}
+
+		$totals = [
+			'subtotal'   => [ (float) $order->get_subtotal() + $fee_total, (float) ( $invoice['sub_total'] ?? 0 ) ],
+			'discount'   => [ (float) $order->get_discount_total(), (float) ( $invoice['discount_total'] ?? $invoice['discount'] ?? 0 ) ],
+			'shipping'   => [ (float) $order->get_shipping_total(), (float) ( $invoice['shipping_charge'] ?? 0 ) ],
+			'tax'        => [ (float) $order->get_total_tax(), (float) ( $invoice['tax_total'] ?? 0 ) ],
+			'adjustment' => [ 0.0, (float) ( $invoice['adjustment'] ?? 0 ) ],
+			'total'      => [ (float) $order->get_total(), (float) ( $invoice['total'] ?? 0 ) ],
+		];
+
+		$total_rows = [];
+		foreach ( $totals as $key => [ $wc_value, $zoho_value ] ) {
+			$total_rows[] = [
+				'key'     => $key,
+				'wc'      => round( $wc_value, 2 ),
+				'zoho'    => round( $zoho_value, 2 ),
+				'differs' => abs( $wc_value - $zoho_value ) > $tolerance,
+			];
+		}
+
+		return [
+			'lines'  => $lines,
+			'totals' => $total_rows,
+		];
+	}
+
+	/**
+	 * Build one row of an order/invoice diff.
+	 *
+	 * @param string     $name       Line name.
+	 * @param string     $matched_by How the lines were matched (item_id, name, or empty).
+	 * @param array|null $wc         Order line quantity/rate/total, or null if only on the invoice.
+	 * @param array|null $zoho       Invoice line quantity/rate/total, or null if only on the order.
+	 * @param float      $tolerance  Amount tolerance.
+	 * @return array
+	 */
+	private function build_diff_line( string $name, string $matched_by, ?array $wc, ?array $zoho, float $tolerance ): array {
+		$differs = [];
+		foreach ( [ 'quantity', 'rate', 'total' ] as $field ) {
+			$differs[ $field ] = $wc === null || $zoho === null || abs( $wc[ $field ] - $zoho[ $field ] ) > $tolerance;
+		}
+
+		return [
+			'name'       => $name,
+			'matched_by' => $matched_by,
+			'wc'         => $wc === null ? null : array_intersect_key( $wc, $differs ),
+			'zoho'       => $zoho,
+			'differs'    => $differs,
+		];
+	}
+
 	/**
 	 * Void an invoice in Zoho Books.
 	 *
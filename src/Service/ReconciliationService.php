@@ -24,9 +24,59 @@ defined( 'ABSPATH' ) || exit;
  *
  * Uses an optimized approach: fetch all Zoho invoices once for the period,
  * build a lookup map, then iterate through WooCommerce orders locally.
+ * The work is split into job steps so the admin page can show progress.
  */
 class ReconciliationService {
 
+	/**
+	 * Job phases, in the order they run.
+	 */
+	public const PHASE_WC_ORDERS     = 'wc_orders';
+	public const PHASE_ZOHO_INVOICES = 'zoho_invoices';
+	public const PHASE_ZOHO_PAYMENTS = 'zoho_payments';
+	public const PHASE_MATCHING      = 'matching';
+	public const PHASE_PAYMENTS      = 'payments';
+	public const PHASE_DONE          = 'done';
+
+	/**
+	 * Orders compared per job step.
+	 */
+	private const BATCH_SIZE = 100;
+
+	/**
+	 * Invoice fields kept in the job state.
+	 *
+	 * The job is stored in a transient and rewritten on every step, so list
+	 * responses are cut down to what matching and the report rows read.
+	 */
+	private const INVOICE_FIELDS = [
+		'invoice_id',
+		'invoice_number',
+		'reference_number',
+		'date',
+		'status',
+		'currency_code',
+		'total',
+		'balance',
+		'sub_total',
+		'tax_total',
+		'shipping_charge',
+		'discount',
+		'adjustment',
+		'credits_applied',
+	];
+
+	/**
+	 * Payment fields kept in the job state.
+	 */
+	private const PAYMENT_FIELDS = [
+		'payment_id',
+		'payment_date',
+		'payment_mode',
+		'amount',
+		'invoices',
+	];
+
 	/**
 	 * Zoho client.
 	 *
@@ -104,11 +154,34 @@ class ReconciliationService {
 	/**
 	 * Run reconciliation for a date range.
 	 *
+	 * Runs every step of a reconciliation job in one go (used by the scheduled run).
+	 *
 	 * @param \DateTimeInterface $start Period start.
 	 * @param \DateTimeInterface $end   Period end.
 	 * @return ReconciliationReport
 	 */
 	public function run( \DateTimeInterface $start, \DateTimeInterface $end ): ReconciliationReport {
+		$job = $this->start_job( $start, $end );
+
+		while ( $job['phase'] !== self::PHASE_DONE ) {
+			$job = $this->run_job_step( $job );
+		}
+
+		return $this->repository->get( $job['report_id'] ) ?? new ReconciliationReport( $start, $end );
+	}
+
+	/**
+	 * Start an incremental reconciliation job.
+	 *
+	 * Creates the report in "running" state and returns the job state that
+	 * run_job_step() advances one bounded step at a time, so the admin page
+	 * can poll progress instead of waiting on one long request.
+	 *
+	 * @param \DateTimeInterface $start Period start.
+	 * @param \DateTimeInterface $end   Period end.
+	 * @return array Job state.
+	 */
+	public function start_job( \DateTimeInterface $start, \DateTimeInterface $end ): array {
 		$report = new ReconciliationReport( $start, $end );
 		$report->set_status( 'running' );
 		$this->repository->save( $report );
@@ -122,51 +195,120 @@ class ReconciliationService {
 			]
 		);
 
+		return [
+			'report_id'    => $report->get_id(),
+			'start'        => $start->format( 'Y-m-d H:i:s' ),
+			'end'          => $end->format( 'Y-m-d H:i:s' ),
+			'phase'        => self::PHASE_WC_ORDERS,
+			'page'         => 1,
+			'cursor'       => 0,
+			'order_ids'    => [],
+			'invoices'     => [],
+			'payments'     => [],
+			'matched_refs' => [],
+			'wc_total'     => 0.0,
+			'zoho_total'   => 0.0,
+		];
+	}
+
+	/**
+	 * Advance a reconciliation job by one step.
+	 *
+	 * Each step does one bounded piece of work: one query, one API page, or
+	 * one batch of orders. The report is saved after every step.
+	 *
+	 * @param array $job Job state from start_job() or a previous step.
+	 * @return array Updated job state.
+	 */
+	public function run_job_step( array $job ): array {
+		$report = $this->repository->get( (int) $job['report_id'] );
+
+		if ( ! $report || $job['phase'] === self::PHASE_DONE ) {
+			$job['phase'] = self::PHASE_DONE;
+			return $job;
+		}
+
+		if ( $report->get_status() !== 'running' ) {
+			$job['phase']     = self::PHASE_DONE;
+			$job['cancelled'] = true;
+			return $job;
+		}
+
+		$start = new \DateTimeImmutable( $job['start'] );
+		$end   = new \DateTimeImmutable( $job['end'] );
+
 		try {
-			// Step 1: Fetch all Zoho invoices for the period (optimized - single batch).
-			$zoho_invoices = $this->fetch_zoho_invoices( $start, $end );
-
-			// Step 2: Fetch all Zoho payments for the period (optimized - single batch).
-			// This is optional - if it fails, we continue without payment data.
-			$zoho_payments = [];
-			try {
-				$zoho_payments = $this->fetch_zoho_payments( $start, $end );
-			} catch ( \Throwable $e ) {
-				$this->logger->warning(
-					'Failed to fetch payments for reconciliation - continuing without payment data',
-					[
-						'error'   => $e->getMessage(),
-						'file'    => $e->getFile(),
-						'line'    => $e->getLine(),
-						'trace'   => $e->getTraceAsString(),
-					]
-				);
-			}
+			switch ( $job['phase'] ) {
+				case self::PHASE_WC_ORDERS:
+					$job['order_ids'] = array_map(
+						function ( \WC_Order $order ) {
+							return $order->get_id();
+						},
+						$this->get_wc_orders( $start, $end )
+					);
+					$job['phase']     = self::PHASE_ZOHO_INVOICES;
+					break;
+
+				case self::PHASE_ZOHO_INVOICES:
+					$page             = $this->fetch_zoho_invoice_page( $start, $end, $job['page'] );
+					$job['invoices']  = array_merge( $job['invoices'], $page['items'] );
+					$has_more         = $page['has_more'];
+					++$job['page'];
+
+					// Safety limit to prevent infinite loops.
+					if ( $has_more && $job['page'] > 100 ) {
+						$this->logger->warning(
+							'Reconciliation reached page limit',
+							[
+								'pages_fetched'    => $job['page'] - 1,
+								'invoices_fetched' => count( $job['invoices'] ),
+							]
+						);
+						$has_more = false;
+					}
 
-			// Step 3: Build lookup maps.
-			$invoice_map = $this->build_invoice_map( $zoho_invoices );
-			$payment_map = $this->build_payment_map( $zoho_payments );
+					if ( ! $has_more ) {
+						$this->logger->debug(
+							'Fetched Zoho invoices for reconciliation',
+							[
+								'count' => count( $job['invoices'] ),
+								'pages' => $job['page'] - 1,
+							]
+						);
+						$job['phase'] = self::PHASE_ZOHO_PAYMENTS;
+						$job['page']  = 1;
+					}
+					break;
 
-			// Step 4: Get WooCommerce orders for the period.
-			$wc_orders = $this->get_wc_orders( $start, $end );
+				case self::PHASE_ZOHO_PAYMENTS:
+					$job = $this->fetch_payments_step( $job, $start, $end );
+					break;
 
-			// Step 5: Compare and collect discrepancies.
-			$this->compare_orders( $report, $wc_orders, $invoice_map, $zoho_invoices, $payment_map );
+				case self::PHASE_MATCHING:
+					$job = $this->match_orders_step( $job, $report );
+					break;
 
-			// Mark as completed.
-			$report->set_status( 'completed' );
+				case self::PHASE_PAYMENTS:
+					$job = $this->check_payments_step( $job, $report );
+					break;
+			}
 
-			$this->logger->info(
-				'Reconciliation completed',
-				[
-					'report_id'         => $report->get_id(),
-					'summary'           => $report->get_summary(),
-					'discrepancy_count' => $report->get_discrepancy_count(),
-				]
-			);
+			if ( $job['phase'] === self::PHASE_DONE ) {
+				$report->set_status( 'completed' );
+
+				$this->logger->info(
+					'Reconciliation completed',
+					[
+						'report_id'         => $report->get_id(),
+						'summary'           => $report->get_summary(),
+						'discrepancy_count' => $report->get_discrepancy_count(),
+					]
+				);
+			}
 		} catch ( \Exception $e ) {
 			$report->set_status( 'failed' );
 			$report->set_error( $e->getMessage() );
+			$job['phase'] = self::PHASE_DONE;
 
 			$this->logger->error(
 				'Reconciliation failed',
@@ -177,180 +319,441 @@ class ReconciliationService {
 			);
 		}
 
+		// The run may have been cancelled while this step was working. Saving
+		// now would put the report back to "running", so drop the step instead.
+		if ( $this->is_job_cancelled( $job ) ) {
+			$job['phase']     = self::PHASE_DONE;
+			$job['cancelled'] = true;
+
+			$this->logger->debug( 'Discarded reconciliation step after cancel', [ 'report_id' => $report->get_id() ] );
+
+			return $job;
+		}
+
+		$this->repository->save( $report );
+
+		return $job;
+	}
+
+	/**
+	 * Check whether a job's report has stopped running since the job started.
+	 *
+	 * Reads the stored report, so a cancel from another request is seen.
+	 *
+	 * @param array $job Job state.
+	 * @return bool True if the report was cancelled, failed or deleted.
+	 */
+	public function is_job_cancelled( array $job ): bool {
+		$report = $this->repository->get( (int) $job['report_id'] );
+
+		return ! $report || $report->get_status() !== 'running';
+	}
+
+	/**
+	 * Cancel a reconciliation job.
+	 *
+	 * Marks the report as failed; steps still in flight check this status
+	 * before saving and stop.
+	 *
+	 * @param array $job Job state.
+	 */
+	public function cancel_job( array $job ): void {
+		$report = $this->repository->get( (int) $job['report_id'] );
+
+		if ( ! $report || $report->get_status() !== 'running' ) {
+			return;
+		}
+
+		$report->set_status( 'failed' );
+		$report->set_error( __( 'Cancelled by user.', 'zbooks-for-woocommerce' ) );
 		$this->repository->save( $report );
 
-		return $report;
+		$this->logger->info( 'Reconciliation cancelled', [ 'report_id' => $report->get_id() ] );
 	}
 
 	/**
-	 * Fetch all Zoho invoices for a date range.
+	 * Fetch one page of Zoho payments for a job.
 	 *
-	 * Uses pagination to fetch all invoices in batches.
+	 * Payment data is optional - if fetching fails, the job continues without it.
 	 *
+	 * @param array              $job   Job state.
 	 * @param \DateTimeInterface $start Period start.
 	 * @param \DateTimeInterface $end   Period end.
-	 * @return array Array of invoice data.
+	 * @return array Updated job state.
 	 */
-	private function fetch_zoho_invoices( \DateTimeInterface $start, \DateTimeInterface $end ): array {
-		if ( ! $this->client->is_configured() ) {
-			throw new \RuntimeException( __( 'Zoho Books API is not configured.', 'zbooks-for-woocommerce' ) );
+	private function fetch_payments_step( array $job, \DateTimeInterface $start, \DateTimeInterface $end ): array {
+		try {
+			$page            = $this->fetch_zoho_payment_page( $start, $end, $job['page'] );
+			$job['payments'] = array_merge( $job['payments'], $page['items'] );
+			$has_more        = $page['has_more'];
+		} catch ( \Throwable $e ) {
+			$this->logger->warning(
+				'Failed to fetch payments for reconciliation - continuing without payment data',
+				[
+					'error' => $e->getMessage(),
+					'file'  => $e->getFile(),
+					'line'  => $e->getLine(),
+					'trace' => $e->getTraceAsString(),
+				]
+			);
+			$job['payments'] = [];
+			$has_more        = false;
 		}
 
-		$all_invoices = [];
-		$page         = 1;
-		$per_page     = 200;
-		$has_more     = true;
+		++$job['page'];
 
-		while ( $has_more ) {
-			$response = $this->client->request(
-				function ( $client ) use ( $start, $end, $page, $per_page ) {
-					return $client->invoices->getList(
-						[
-							'date_start' => $start->format( 'Y-m-d' ),
-							'date_end'   => $end->format( 'Y-m-d' ),
-							'page'       => $page,
-							'per_page'   => $per_page,
-						]
-					);
-				},
+		// Limit to 5 pages (1000 payments) for performance.
+		if ( $has_more && $job['page'] > 5 ) {
+			$this->logger->warning(
+				'Reconciliation reached page limit for payments',
+				[
+					'pages_fetched'    => $job['page'] - 1,
+					'payments_fetched' => count( $job['payments'] ),
+				]
+			);
+			$has_more = false;
+		}
+
+		if ( ! $has_more ) {
+			$this->logger->debug(
+				'Fetched Zoho payments for reconciliation',
 				[
-					'endpoint'   => 'invoices.getList',
-					'page'       => $page,
-					'date_range' => $start->format( 'Y-m-d' ) . ' to ' . $end->format( 'Y-m-d' ),
+					'count' => count( $job['payments'] ),
+					'pages' => $job['page'] - 1,
 				]
 			);
+			$job['phase'] = self::PHASE_MATCHING;
+		}
+
+		return $job;
+	}
+
+	/**
+	 * Compare the next batch of orders against their invoices.
+	 *
+	 * Records missing invoices, amount mismatches and status mismatches. Once
+	 * every order is matched, flags orphan invoices and stores the totals.
+	 *
+	 * @param array                $job    Job state.
+	 * @param ReconciliationReport $report Report to populate.
+	 * @return array Updated job state.
+	 */
+	private function match_orders_step( array $job, ReconciliationReport $report ): array {
+		$settings    = $this->get_settings();
+		$tolerance   = (float) ( $settings['amount_tolerance'] ?? 0.05 );
+		$invoice_map = $this->build_invoice_map( $job['invoices'] );
+		$payment_map = $this->build_payment_map( $job['payments'] );
+
+		if ( $job['cursor'] === 0 ) {
+			$report->update_summary( 'total_wc_orders', count( $job['order_ids'] ) );
+			$report->update_summary( 'total_zoho_invoices', count( $job['invoices'] ) );
+		}
+
+		$batch = array_slice( $job['order_ids'], $job['cursor'], self::BATCH_SIZE );
 
-			// Convert response to array.
-			if ( is_object( $response ) ) {
-				$response = json_decode( wp_json_encode( $response ), true );
+		foreach ( $batch as $order_id ) {
+			$order = wc_get_order( $order_id );
+			if ( ! $order instanceof \WC_Order ) {
+				continue;
 			}
 
-			$invoices = $response['invoices'] ?? $response ?? [];
+			$order_number     = $order->get_order_number();
+			$order_total      = (float) $order->get_total();
+			$job['wc_total'] += $order_total;
 
-			if ( empty( $invoices ) ) {
-				$has_more = false;
-			} else {
-				$all_invoices = array_merge( $all_invoices, $invoices );
+			$zoho_invoice_id = $order->get_meta( '_zoho_invoice_id' );
+			$invoice         = $invoice_map[ $order_number ] ?? null;
+
+			if ( ! $invoice && ! $zoho_invoice_id ) {
+				// No invoice found in Zoho.
+				if ( $this->should_have_synced( $order ) ) {
+					$report->increment_summary( 'missing_in_zoho' );
+					$report->add_discrepancy(
+						[
+							'type'         => 'missing_in_zoho',
+							'order_id'     => $order->get_id(),
+							'order_number' => $order_number,
+							'order_total'  => $order_total,
+							'order_status' => $order->get_status(),
+							'order_date'   => $order->get_date_created()->format( 'Y-m-d' ),
+							'message'      => __( 'Order not found in Zoho Books', 'zbooks-for-woocommerce' ),
+						]
+					);
+				}
+				continue;
+			}
 
-				// Check if there are more pages.
-				$page_context = $response['page_context'] ?? [];
-				$has_more     = ! empty( $page_context['has_more_page'] );
-				++$page;
+			if ( ! $invoice ) {
+				continue;
 			}
 
-			// Safety limit to prevent infinite loops.
-			if ( $page > 100 ) {
-				$this->logger->warning(
-					'Reconciliation reached page limit',
+			// Invoice found - compare amounts.
+			$job['matched_refs'][ $order_number ] = true;
+			$invoice_total                        = (float) ( $invoice['total'] ?? 0 );
+			$job['zoho_total']                   += $invoice_total;
+
+			$difference = abs( $order_total - $invoice_total );
+
+			if ( $difference > $tolerance ) {
+				$report->increment_summary( 'amount_mismatches' );
+
+				// Perform detailed breakdown to identify the source of mismatch.
+				$breakdown = $this->get_detailed_breakdown( $order, $invoice, $tolerance );
+
+				$report->add_discrepancy(
 					[
-						'pages_fetched'    => $page - 1,
-						'invoices_fetched' => count( $all_invoices ),
+						'type'           => 'amount_mismatch',
+						'order_id'       => $order->get_id(),
+						'order_number'   => $order_number,
+						'order_status'   => $order->get_status(),
+						'order_total'    => $order_total,
+						'order_date'     => $order->get_date_created()->format( 'Y-m-d' ),
+						'invoice_id'     => $invoice['invoice_id'] ?? '',
+						'invoice_number' => $invoice['invoice_number'] ?? '',
+						'invoice_status' => $invoice['status'] ?? '',
+						'payment_status' => $this->get_payment_status( $order, $invoice, $payment_map ),
+						'invoice_total'  => $invoice_total,
+						'invoice_date'   => $invoice['date'] ?? '',
+						'difference'     => $difference,
+						'breakdown'      => $breakdown,
+						'message'        => $this->format_breakdown_message( $order_total, $invoice_total, $difference, $breakdown, $order->get_currency() ),
+					]
+				);
+			} else {
+				$report->increment_summary( 'matched_count' );
+			}
+
+			// Check status alignment.
+			$this->check_status_alignment( $report, $order, $invoice, $payment_map );
+		}
+
+		$job['cursor'] += count( $batch );
+
+		if ( $job['cursor'] < count( $job['order_ids'] ) ) {
+			return $job;
+		}
+
+		// Check for orphan invoices (in Zoho but not in WC).
+		foreach ( $job['invoices'] as $invoice ) {
+			$ref = $invoice['reference_number'] ?? '';
+			if ( ! empty( $ref ) && ! isset( $job['matched_refs'][ $ref ] ) ) {
+				$report->increment_summary( 'missing_in_wc' );
+				$report->add_discrepancy(
+					[
+						'type'             => 'missing_in_wc',
+						'invoice_id'       => $invoice['invoice_id'] ?? '',
+						'invoice_number'   => $invoice['invoice_number'] ?? '',
+						'invoice_status'   => $invoice['status'] ?? '',
+						'reference_number' => $ref,
+						'invoice_total'    => (float) ( $invoice['total'] ?? 0 ),
+						'invoice_date'     => $invoice['date'] ?? '',
+						'message'          => __( 'Invoice has no matching WooCommerce order', 'zbooks-for-woocommerce' ),
 					]
 				);
-				break;
 			}
 		}
 
-		$this->logger->debug(
-			'Fetched Zoho invoices for reconciliation',
+		// Update totals.
+		$report->update_summary( 'wc_total_amount', round( $job['wc_total'], 2 ) );
+		$report->update_summary( 'zoho_total_amount', round( $job['zoho_total'], 2 ) );
+		$report->update_summary( 'amount_difference', round( abs( $job['wc_total'] - $job['zoho_total'] ), 2 ) );
+
+		$job['phase']  = self::PHASE_PAYMENTS;
+		$job['cursor'] = 0;
+
+		return $job;
+	}
+
+	/**
+	 * Check payments and refunds for the next batch of matched orders.
+	 *
+	 * @param array                $job    Job state.
+	 * @param ReconciliationReport $report Report to populate.
+	 * @return array Updated job state.
+	 */
+	private function check_payments_step( array $job, ReconciliationReport $report ): array {
+		$settings    = $this->get_settings();
+		$tolerance   = (float) ( $settings['amount_tolerance'] ?? 0.05 );
+		$invoice_map = $this->build_invoice_map( $job['invoices'] );
+		$payment_map = $this->build_payment_map( $job['payments'] );
+		$batch       = array_slice( $job['order_ids'], $job['cursor'], self::BATCH_SIZE );
+
+		foreach ( $batch as $order_id ) {
+			$order = wc_get_order( $order_id );
+			if ( ! $order instanceof \WC_Order ) {
+				continue;
+			}
+
+			$invoice = $invoice_map[ $order->get_order_number() ] ?? null;
+			if ( $invoice ) {
+				$this->check_payment_alignment( $report, $order, $invoice, $tolerance, $payment_map );
+			}
+		}
+
+		$job['cursor'] += count( $batch );
+
+		if ( $job['cursor'] >= count( $job['order_ids'] ) ) {
+			$job['phase'] = self::PHASE_DONE;
+		}
+
+		return $job;
+	}
+
+	/**
+	 * Fetch one page of Zoho invoices for a date range.
+	 *
+	 * @param \DateTimeInterface $start Period start.
+	 * @param \DateTimeInterface $end   Period end.
+	 * @param int                $page  Page number.
+	 * @return array{items: array, has_more: bool}
+	 * @throws \RuntimeException If API is not configured.
+	 */
+	private function fetch_zoho_invoice_page( \DateTimeInterface $start, \DateTimeInterface $end, int $page ): array {
+		if ( ! $this->client->is_configured() ) {
+			throw new \RuntimeException( __( 'Zoho Books API is not configured.', 'zbooks-for-woocommerce' ) );
+		}
+
+		$per_page = 200;
+		$response = $this->client->request(
+			function ( $client ) use ( $start, $end, $page, $per_page ) {
+				return $client->invoices->getList(
+					[
+						'date_start' => $start->format( 'Y-m-d' ),
+						'date_end'   => $end->format( 'Y-m-d' ),
+						'page'       => $page,
+						'per_page'   => $per_page,
+					]
+				);
+			},
 			[
-				'count' => count( $all_invoices ),
-				'pages' => $page - 1,
+				'endpoint'   => 'invoices.getList',
+				'page'       => $page,
+				'date_range' => $start->format( 'Y-m-d' ) . ' to ' . $end->format( 'Y-m-d' ),
 			]
 		);
 
-		return $all_invoices;
+		// Convert response to array.
+		if ( is_object( $response ) ) {
+			$response = json_decode( wp_json_encode( $response ), true );
+		}
+
+		$invoices = $response['invoices'] ?? $response ?? [];
+
+		if ( empty( $invoices ) ) {
+			return [
+				'items'    => [],
+				'has_more' => false,
+			];
+		}
+
+		return [
+			'items'    => array_map(
+				function ( $invoice ) {
+					return $this->slim_invoice( (array) $invoice );
+				},
+				$invoices
+			),
+			'has_more' => ! empty( $response['page_context']['has_more_page'] ),
+		];
 	}
 
 	/**
-	 * Fetch all Zoho payments for the date range.
+	 * Fetch one page of Zoho payments, keeping those within the date range.
 	 *
 	 * @param \DateTimeInterface $start Start date.
 	 * @param \DateTimeInterface $end   End date.
-	 * @return array Array of payments.
+	 * @param int                $page  Page number.
+	 * @return array{items: array, has_more: bool}
 	 * @throws \RuntimeException If API is not configured.
 	 */
-	private function fetch_zoho_payments( \DateTimeInterface $start, \DateTimeInterface $end ): array {
+	private function fetch_zoho_payment_page( \DateTimeInterface $start, \DateTimeInterface $end, int $page ): array {
 		if ( ! $this->client->is_configured() ) {
 			throw new \RuntimeException( __( 'Zoho Books API is not configured.', 'zbooks-for-woocommerce' ) );
 		}
 
-		$all_payments = [];
-		$page         = 1;
-		$per_page     = 200;
-		$has_more     = true;
+		$per_page = 200;
 
 		// Note: Zoho Books API doesn't support date filtering for payments via getList.
 		// We fetch recent payments and filter in PHP.
-		while ( $has_more ) {
-			$response = $this->client->request(
-				function ( $client ) use ( $page, $per_page ) {
-					return $client->customerpayments->getList(
-						[
-							'page'     => $page,
-							'per_page' => $per_page,
-						]
-					);
-				},
-				[
-					'endpoint' => 'customerpayments.getList',
-					'page'     => $page,
-				]
-			);
+		$response = $this->client->request(
+			function ( $client ) use ( $page, $per_page ) {
+				return $client->customerpayments->getList(
+					[
+						'page'     => $page,
+						'per_page' => $per_page,
+					]
+				);
+			},
+			[
+				'endpoint' => 'customerpayments.getList',
+				'page'     => $page,
+			]
+		);
 
-			// Convert response to array.
-			if ( is_object( $response ) ) {
-				$response = json_decode( wp_json_encode( $response ), true );
-			}
+		// Convert response to array.
+		if ( is_object( $response ) ) {
+			$response = json_decode( wp_json_encode( $response ), true );
+		}
 
-			$payments = $response['customerpayments'] ?? $response ?? [];
+		$payments = $response['customerpayments'] ?? $response ?? [];
 
-			if ( empty( $payments ) ) {
-				$has_more = false;
-			} else {
-				// Filter payments by date range.
-				$start_ts = $start->getTimestamp();
-				$end_ts   = $end->getTimestamp();
-
-				foreach ( $payments as $payment ) {
-					$payment_date = $payment['payment_date'] ?? '';
-					if ( ! empty( $payment_date ) ) {
-						$payment_ts = strtotime( $payment_date );
-						if ( false !== $payment_ts && $payment_ts >= $start_ts && $payment_ts <= $end_ts ) {
-							$all_payments[] = $payment;
-						}
-					}
-				}
+		if ( empty( $payments ) ) {
+			return [
+				'items'    => [],
+				'has_more' => false,
+			];
+		}
 
-				// Check if there are more pages.
-				$page_context = $response['page_context'] ?? [];
-				$has_more     = ! empty( $page_context['has_more_page'] );
-				++$page;
-			}
+		// Filter payments by date range.
+		$start_ts = $start->getTimestamp();
+		$end_ts   = $end->getTimestamp();
+		$in_range = [];
 
-			// Safety limit to prevent infinite loops.
-			// Limit to 5 pages (1000 payments) for performance.
-			if ( $page > 5 ) {
-				$this->logger->warning(
-					'Reconciliation reached page limit for payments',
-					[
-						'pages_fetched'    => $page - 1,
-						'payments_fetched' => count( $all_payments ),
-					]
-				);
-				break;
+		foreach ( $payments as $payment ) {
+			$payment_date = $payment['payment_date'] ?? '';
+			if ( ! empty( $payment_date ) ) {
+				$payment_ts = strtotime( $payment_date );
+				if ( false !== $payment_ts && $payment_ts >= $start_ts && $payment_ts <= $end_ts ) {
+					$in_range[] = $this->slim_payment( $payment );
+				}
 			}
 		}
 
-		$this->logger->debug(
-			'Fetched Zoho payments for reconciliation',
-			[
-				'count' => count( $all_payments ),
-				'pages' => $page - 1,
-			]
-		);
+		return [
+			'items'    => $in_range,
+			'has_more' => ! empty( $response['page_context']['has_more_page'] ),
+		];
+	}
+
+	/**
+	 * Reduce an invoice to the fields kept in the job state.
+	 *
+	 * @param array $invoice Invoice from invoices.getList.
+	 * @return array
+	 */
+	private function slim_invoice( array $invoice ): array {
+		return array_intersect_key( $invoice, array_flip( self::INVOICE_FIELDS ) );
+	}
 
-		return $all_payments;
+	/**
+	 * Reduce a payment to the fields kept in the job state.
+	 *
+	 * @param array $payment Payment from customerpayments.getList.
+	 * @return array
+	 */
+	private function slim_payment( array $payment ): array {
+		$slim = array_intersect_key( $payment, array_flip( self::PAYMENT_FIELDS ) );
+
+		if ( isset( $slim['invoices'] ) && is_array( $slim['invoices'] ) ) {
+			$slim['invoices'] = array_map(
+				function ( $invoice_payment ) {
+					return array_intersect_key( (array) $invoice_payment, array_flip( [ 'invoice_id', 'amount_applied' ] ) );
+				},
+				$slim['invoices']
+			);
+		}
+
+		return $slim;
 	}
 
 	/**
@@ -479,132 +882,6 @@ class ReconciliationService {
 		return array_values( $all_orders );
 	}
 
-	/**
-	 * Compare orders against invoice map and populate report.
-	 *
-	 * @param ReconciliationReport $report      Report to populate.
-	 * @param array                $wc_orders   WooCommerce orders.
-	 * @param array                $invoice_map Invoice lookup map.
-	 * @param array                $all_zoho    All Zoho invoices (for orphan detection).
-	 */
-	private function compare_orders(
-		ReconciliationReport $report,
-		array $wc_orders,
-		array $invoice_map,
-		array $all_zoho,
-		array $payment_map
-	): void {
-		$settings  = $this->get_settings();
-		$tolerance = (float) ( $settings['amount_tolerance'] ?? 0.05 );
-
-		$wc_total     = 0.0;
-		$zoho_total   = 0.0;
-		$matched_refs = [];
-
-		$report->update_summary( 'total_wc_orders', count( $wc_orders ) );
-		$report->update_summary( 'total_zoho_invoices', count( $all_zoho ) );
-
-		foreach ( $wc_orders as $order ) {
-			$order_number = $order->get_order_number();
-			$order_total  = (float) $order->get_total();
-			$wc_total    += $order_total;
-
-			$zoho_invoice_id = $order->get_meta( '_zoho_invoice_id' );
-			$invoice         = $invoice_map[ $order_number ] ?? null;
-
-			// Check if order should have been synced.
-			$should_sync = $this->should_have_synced( $order );
-
-			if ( ! $invoice && ! $zoho_invoice_id ) {
-				// No invoice found in Zoho.
-				if ( $should_sync ) {
-					$report->increment_summary( 'missing_in_zoho' );
-					$report->add_discrepancy(
-						[
-							'type'         => 'missing_in_zoho',
-							'order_id'     => $order->get_id(),
-							'order_number' => $order_number,
-							'order_total'  => $order_total,
-							'order_status' => $order->get_status(),
-							'order_date'   => $order->get_date_created()->format( 'Y-m-d' ),
-							'message'      => __( 'Order not found in Zoho Books', 'zbooks-for-woocommerce' ),
-						]
-					);
-				}
-				continue;
-			}
-
-			// Invoice found - compare amounts.
-			if ( $invoice ) {
-				$matched_refs[ $order_number ] = true;
-				$invoice_total                 = (float) ( $invoice['total'] ?? 0 );
-				$zoho_total                   += $invoice_total;
-
-				$difference = abs( $order_total - $invoice_total );
-
-				if ( $difference > $tolerance ) {
-					$report->increment_summary( 'amount_mismatches' );
-
-					// Perform detailed breakdown to identify the source of mismatch.
-					$breakdown = $this->get_detailed_breakdown( $order, $invoice, $tolerance );
-
-					$report->add_discrepancy(
-						[
-							'type'           => 'amount_mismatch',
-							'order_id'       => $order->get_id(),
-							'order_number'   => $order_number,
-							'order_status'   => $order->get_status(),
-							'order_total'    => $order_total,
-							'order_date'     => $order->get_date_created()->format( 'Y-m-d' ),
-							'invoice_id'     => $invoice['invoice_id'] ?? '',
-							'invoice_number' => $invoice['invoice_number'] ?? '',
-							'invoice_status' => $invoice['status'] ?? '',
-							'payment_status' => $this->get_payment_status( $order, $invoice, $payment_map ),
-							'invoice_total'  => $invoice_total,
-							'invoice_date'   => $invoice['date'] ?? '',
-							'difference'     => $difference,
-							'breakdown'      => $breakdown,
-							'message'        => $this->format_breakdown_message( $order_total, $invoice_total, $difference, $breakdown, $order->get_currency() ),
-						]
-					);
-				} else {
-					$report->increment_summary( 'matched_count' );
-				}
-
-				// Check status alignment.
-				$this->check_status_alignment( $report, $order, $invoice, $payment_map );
-
-				// Check payment alignment.
-				$this->check_payment_alignment( $report, $order, $invoice, $tolerance, $payment_map );
-			}
-		}
-
-		// Check for orphan invoices (in Zoho but not in WC).
-		foreach ( $all_zoho as $invoice ) {
-			$ref = $invoice['reference_number'] ?? '';
-			if ( ! empty( $ref ) && ! isset( $matched_refs[ $ref ] ) ) {
-				$report->increment_summary( 'missing_in_wc' );
-				$report->add_discrepancy(
-					[
-						'type'             => 'missing_in_wc',
-						'invoice_id'       => $invoice['invoice_id'] ?? '',
-						'invoice_number'   => $invoice['invoice_number'] ?? '',
-						'invoice_status'   => $invoice['status'] ?? '',
-						'reference_number' => $ref,
-						'invoice_total'    => (float) ( $invoice['total'] ?? 0 ),
-						'invoice_date'     => $invoice['date'] ?? '',
-						'message'          => __( 'Invoice has no matching WooCommerce order', 'zbooks-for-woocommerce' ),
-					]
-				);
-			}
-		}
-
-		// Update totals.
-		$report->update_summary( 'wc_total_amount', round( $wc_total, 2 ) );
-		$report->update_summary( 'zoho_total_amount', round( $zoho_total, 2 ) );
-		$report->update_summary( 'amount_difference', round( abs( $wc_total - $zoho_total ), 2 ) );
-	}
-
 	/**
 	 * Check if order should have been synced based on current triggers.
 	 *
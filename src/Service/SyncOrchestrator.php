@@ -248,6 +248,9 @@ class SyncOrchestrator {
 		$order_id     = $order->get_id();
 		$order_number = $order->get_order_number();
 
+		// Tag every entry written during this sync so the log viewer can group them.
+		$previous_correlation_id = $this->begin_correlation( $order );
+
 		$this->logger->info(
 			'Starting sync for order',
 			[
@@ -268,6 +271,7 @@ class SyncOrchestrator {
 					'order_number' => $order_number,
 				]
 			);
+			$this->end_correlation( $previous_correlation_id );
 			return SyncResult::pending( __( 'Sync already in progress', 'zbooks-for-woocommerce' ) );
 		}
 
@@ -440,7 +444,34 @@ class SyncOrchestrator {
 			return $result;
 		} finally {
 			$this->release_sync_lock( $order_id );
+			$this->end_correlation( $previous_correlation_id );
+		}
+	}
+
+	/**
+	 * Start tagging log entries with a correlation ID for an order.
+	 *
+	 * Nested calls (retry, conflict check, payment after sync) keep the
+	 * caller's ID so the whole operation lands in one timeline.
+	 *
+	 * @param WC_Order $order WooCommerce order.
+	 * @return string|null The previous correlation ID, to pass to end_correlation().
+	 */
+	public function begin_correlation( WC_Order $order ): ?string {
+		$previous_correlation_id = $this->logger->get_correlation_id();
+		if ( $previous_correlation_id === null ) {
+			$this->logger->set_correlation_id( 'order-' . $order->get_id() . '-' . substr( md5( uniqid( '', true ) ), 0, 8 ) );
 		}
+		return $previous_correlation_id;
+	}
+
+	/**
+	 * Restore the correlation ID that was active before begin_correlation().
+	 *
+	 * @param string|null $previous_correlation_id Value returned by begin_correlation().
+	 */
+	public function end_correlation( ?string $previous_correlation_id ): void {
+		$this->logger->set_correlation_id( $previous_correlation_id );
 	}
 
 	/**
@@ -995,6 +1026,22 @@ class SyncOrchestrator {
 	 * @return array{success: bool, payment_id: ?string, error: ?string}
 	 */
 	public function apply_payment( WC_Order $order ): array {
+		$previous_correlation_id = $this->begin_correlation( $order );
+
+		try {
+			return $this->apply_payment_to_invoice( $order );
+		} finally {
+			$this->end_correlation( $previous_correlation_id );
+		}
+	}
+
+	/**
+	 * Apply payment to an order's invoice, syncing the order first if needed.
+	 *
+	 * @param WC_Order $order WooCommerce order.
+	 * @return array{success: bool, payment_id: ?string, error: ?string}
+	 */
+	private function apply_payment_to_invoice( WC_Order $order ): array {
 		$order_id = $order->get_id();
 
 		// Check if payment service is available.
@@ -1306,6 +1353,25 @@ class SyncOrchestrator {
 		bool $as_draft = false,
 		bool $with_payment = true
 	): array {
+		// Keep the sync and payment calls in one log timeline.
+		$previous_correlation_id = $this->begin_correlation( $order );
+
+		try {
+			return $this->sync_then_apply_payment( $order, $as_draft, $with_payment );
+		} finally {
+			$this->end_correlation( $previous_correlation_id );
+		}
+	}
+
+	/**
+	 * Sync an order, then apply payment if it is paid.
+	 *
+	 * @param WC_Order $order        WooCommerce order.
+	 * @param bool     $as_draft     Create invoice as draft.
+	 * @param bool     $with_payment Apply payment if order is paid.
+	 * @return array{sync: SyncResult, payment: ?array, overall_success: bool, error: ?string}
+	 */
+	private function sync_then_apply_payment( WC_Order $order, bool $as_draft, bool $with_payment ): array {
 		// First sync the order.
 		$sync_result = $this->sync_order( $order, $as_draft );
 
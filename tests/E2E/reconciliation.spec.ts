@@ -347,6 +347,58 @@ test.describe('Report History', () => {
 	});
 });
 
+/**
+ * Tests for comparing two reports (diffReports in reconciliation.js)
+ */
+test.describe('Report Comparison', () => {
+	test.beforeEach(async ({ page }) => {
+		await page.goto('/wp-admin/admin.php?page=zbooks-reconciliation');
+	});
+
+	test('discrepancy cleared inside the later period is resolved', async ({
+		page,
+	}) => {
+		const groups = await page.evaluate(() => {
+			// Rows shaped like the zbooks_view_report payload.
+			const older = {
+				period_start: '2026-01-01',
+				period_end: '2026-01-31',
+				discrepancies: [
+					{ type: 'missing_in_zoho', order_id: 1, date: '2026-01-25' },
+					{ type: 'missing_in_zoho', order_id: 2, date: '2026-01-05' },
+					{ type: 'amount_mismatch', order_id: 3, date: '2026-01-26' },
+				],
+			};
+			const newer = {
+				period_start: '2026-01-20',
+				period_end: '2026-02-20',
+				discrepancies: [
+					{ type: 'amount_mismatch', order_id: 3, date: '2026-01-26' },
+					{ type: 'missing_in_zoho', order_id: 4, date: '2026-02-01' },
+				],
+			};
+			const diff = (window as any).ZbooksReconciliation.diffReports(
+				older,
+				newer
+			);
+			const ids = (rows: Array<{ order_id: number }>) =>
+				rows.map((row) => row.order_id);
+
+			return {
+				resolved: ids(diff.resolved),
+				unchecked: ids(diff.unchecked),
+				added: ids(diff.added),
+				persisting: ids(diff.persisting),
+			};
+		});
+
+		expect(groups.resolved).toEqual([1]);
+		expect(groups.unchecked).toEqual([2]);
+		expect(groups.added).toEqual([4]);
+		expect(groups.persisting).toEqual([3]);
+	});
+});
+
 test.describe('Reconciliation CSS Styling', () => {
 	test.beforeEach(async ({ page }) => {
 		await page.goto('/wp-admin/admin.php?page=zbooks-reconciliation');
@@ -0,0 +1,191 @@
+<?php
+/**
+ * Unit tests for ItemMatcher.
+ *
+ * @package Zbooks
+ * @subpackage Tests
+ */
+
+declare(strict_types=1);
+
+namespace Zbooks\Tests\Unit\Helper;
+
+use Zbooks\Tests\TestCase;
+use Zbooks\Helper\ItemMatcher;
+
+/**
+ * Test cases for ItemMatcher.
+ */
+class ItemMatcherTest extends TestCase {
+
+	/**
+	 * Test normalize_sku drops case, whitespace and punctuation.
+	 */
+	public function test_normalize_sku_ignores_case_and_punctuation(): void {
+		$this->assertSame( 'ab001', ItemMatcher::normalize_sku( 'AB-001' ) );
+		$this->assertSame( 'ab001', ItemMatcher::normalize_sku( 'ab 001' ) );
+		$this->assertSame( 'ab001', ItemMatcher::normalize_sku( 'AB_001' ) );
+		$this->assertSame( 'ab001', ItemMatcher::normalize_sku( ' a.b/001 ' ) );
+	}
+
+	/**
+	 * Test normalize_sku keeps non-ASCII letters.
+	 */
+	public function test_normalize_sku_keeps_unicode_letters(): void {
+		$this->assertSame( 'äö12', ItemMatcher::normalize_sku( 'ÄÖ-12' ) );
+	}
+
+	/**
+	 * Test normalize_sku returns an empty string for punctuation only.
+	 */
+	public function test_normalize_sku_empty_for_punctuation_only(): void {
+		$this->assertSame( '', ItemMatcher::normalize_sku( '--_ ' ) );
+	}
+
+	/**
+	 * Test name_similarity scores reordered words as a full match.
+	 */
+	public function test_name_similarity_reordered_words(): void {
+		$this->assertEqualsWithDelta( 100.0, ItemMatcher::name_similarity( 'Shirt Blue', 'Blue Shirt' ), 0.01 );
+		$this->assertEqualsWithDelta( 100.0, ItemMatcher::name_similarity( 'Cotton, Blue - Shirt', 'blue shirt cotton' ), 0.01 );
+	}
+
+	/**
+	 * Test name_similarity ignores case and punctuation.
+	 */
+	public function test_name_similarity_identical_names(): void {
+		$this->assertSame( 100.0, ItemMatcher::name_similarity( 'Blue Shirt!', 'blue  shirt' ) );
+	}
+
+	/**
+	 * Test name_similarity returns zero when either name is empty.
+	 */
+	public function test_name_similarity_empty_name(): void {
+		$this->assertSame( 0.0, ItemMatcher::name_similarity( '', 'Blue Shirt' ) );
+		$this->assertSame( 0.0, ItemMatcher::name_similarity( 'Blue Shirt', '---' ) );
+	}
+
+	/**
+	 * Test name_similarity scores a partial word overlap between none and full.
+	 */
+	public function test_name_similarity_partial_overlap(): void {
+		$similarity = ItemMatcher::name_similarity( 'Blue Cotton Shirt', 'Blue Shirt' );
+
+		$this->assertGreaterThan( 50.0, $similarity );
+		$this->assertLessThan( 100.0, $similarity );
+	}
+
+	/**
+	 * Test find_candidates ranks exact SKU, then normalized SKU, then name matches.
+	 */
+	public function test_find_candidates_ranking(): void {
+		$items = [
+			[
+				'item_id' => 'name',
+				'name'    => 'Blue Cotton Shirt',
+				'sku'     => 'ZZZ-9',
+				'rate'    => 0,
+			],
+			[
+				'item_id' => 'unrelated',
+				'name'    => 'Xylophone',
+				'sku'     => 'XY-9',
+				'rate'    => 0,
+			],
+			[
+				'item_id' => 'normalized',
+				'name'    => 'Hat',
+				'sku'     => 'bcs 100',
+				'rate'    => 0,
+			],
+			[
+				'item_id' => 'exact',
+				'name'    => 'Shirt',
+				'sku'     => 'BCS-100',
+				'rate'    => 0,
+			],
+		];
+
+		$candidates = ItemMatcher::find_candidates( 'Blue Cotton Shirt', 'BCS-100', 0.0, $items );
+
+		$this->assertSame( [ 'exact', 'normalized', 'name' ], array_column( $candidates, 'item_id' ) );
+		$this->assertSame( 100, $candidates[0]['confidence'] );
+		$this->assertContains( 'sku', $candidates[0]['reasons'] );
+		$this->assertSame( 90, $candidates[1]['confidence'] );
+		$this->assertContains( 'normalized_sku', $candidates[1]['reasons'] );
+		$this->assertContains( 'name', $candidates[2]['reasons'] );
+	}
+
+	/**
+	 * Test find_candidates honours the limit.
+	 */
+	public function test_find_candidates_limit(): void {
+		$items = [
+			[
+				'item_id' => 'a',
+				'name'    => 'Blue Shirt',
+				'sku'     => 'BS-1',
+			],
+			[
+				'item_id' => 'b',
+				'name'    => 'Blue Shirt Large',
+				'sku'     => 'BS-1-L',
+			],
+			[
+				'item_id' => 'c',
+				'name'    => 'Blue Shirt Small',
+				'sku'     => 'BS-1-S',
+			],
+		];
+
+		$this->assertCount( 2, ItemMatcher::find_candidates( 'Blue Shirt', 'BS-1', 0.0, $items, 2 ) );
+	}
+
+	/**
+	 * Test a name match with a matching price never outranks an exact SKU match.
+	 */
+	public function test_name_and_price_never_outrank_exact_sku(): void {
+		// Exact SKU, but the price is far off so it takes the penalty.
+		$exact_sku = [
+			'item_id' => 'exact',
+			'name'    => 'Something Else',
+			'sku'     => 'BCS-100',
+			'rate'    => 100,
+		];
+
+		// Identical name and price, different SKU.
+		$name_only = [
+			'item_id' => 'name',
+			'name'    => 'Blue Cotton Shirt',
+			'sku'     => 'OTHER',
+			'rate'    => 20,
+		];
+
+		$exact_score = ItemMatcher::score( 'Blue Cotton Shirt', 'BCS-100', 20.0, $exact_sku );
+		$name_score  = ItemMatcher::score( 'Blue Cotton Shirt', 'BCS-100', 20.0, $name_only );
+
+		$this->assertContains( 'price', $name_score['reasons'] );
+		$this->assertGreaterThan( $name_score['confidence'], $exact_score['confidence'] );
+
+		$candidates = ItemMatcher::find_candidates( 'Blue Cotton Shirt', 'BCS-100', 20.0, [ $name_only, $exact_sku ] );
+
+		$this->assertSame( 'exact', $candidates[0]['item_id'] );
+	}
+
+	/**
+	 * Test a name match without a SKU still stays below an exact SKU with no price.
+	 */
+	public function test_name_and_price_below_exact_sku_without_product_sku(): void {
+		$name_only = [
+			'item_id' => 'name',
+			'name'    => 'Blue Cotton Shirt',
+			'sku'     => '',
+			'rate'    => 20,
+		];
+
+		$match = ItemMatcher::score( 'Blue Cotton Shirt', '', 20.0, $name_only );
+
+		$this->assertLessThan( 90, $match['confidence'] );
+		$this->assertContains( 'name', $match['reasons'] );
+	}
+}
@@ -0,0 +1,195 @@
+<?php
+/**
+ * Unit tests for ItemPreview.
+ *
+ * @package Zbooks
+ * @subpackage Tests
+ */
+
+declare(strict_types=1);
+
+namespace Zbooks\Tests\Unit\Helper;
+
+use Zbooks\Tests\TestCase;
+use Zbooks\Helper\ItemPreview;
+
+/**
+ * Test cases for ItemPreview.
+ */
+class ItemPreviewTest extends TestCase {
+
+	/**
+	 * Test from_api fills defaults for an item cached with only the original fields.
+	 */
+	public function test_from_api_fills_defaults(): void {
+		$item = ItemPreview::from_api(
+			[
+				'item_id' => '100',
+				'name'    => 'Blue Shirt',
+			]
+		);
+
+		$this->assertSame(
+			[
+				'item_id'        => '100',
+				'name'           => 'Blue Shirt',
+				'sku'            => '',
+				'rate'           => 0,
+				'status'         => 'active',
+				'product_type'   => '',
+				'item_type'      => '',
+				'stock_on_hand'  => null,
+				'tax_name'       => '',
+				'tax_percentage' => null,
+			],
+			$item
+		);
+	}
+
+	/**
+	 * Test from_api casts numeric stock and tax to floats and treats empty strings as missing.
+	 */
+	public function test_from_api_stock_and_tax(): void {
+		$item = ItemPreview::from_api(
+			[
+				'item_id'        => '100',
+				'name'           => 'Blue Shirt',
+				'stock_on_hand'  => '12',
+				'tax_percentage' => '5.5',
+			]
+		);
+
+		$this->assertSame( 12.0, $item['stock_on_hand'] );
+		$this->assertSame( 5.5, $item['tax_percentage'] );
+
+		$item = ItemPreview::from_api(
+			[
+				'item_id'        => '100',
+				'name'           => 'Blue Shirt',
+				'stock_on_hand'  => '',
+				'tax_percentage' => '',
+			]
+		);
+
+		$this->assertNull( $item['stock_on_hand'] );
+		$this->assertNull( $item['tax_percentage'] );
+	}
+
+	/**
+	 * Test from_api drops fields the plugin does not cache.
+	 */
+	public function test_from_api_drops_extra_fields(): void {
+		$item = ItemPreview::from_api(
+			[
+				'item_id'     => '100',
+				'name'        => 'Blue Shirt',
+				'description' => 'Not cached',
+			]
+		);
+
+		$this->assertArrayNotHasKey( 'description', $item );
+	}
+
+	/**
+	 * Test matches_filters hides inactive items unless they are included.
+	 */
+	public function test_matches_filters_inactive(): void {
+		$inactive = [ 'status' => 'inactive' ];
+
+		$this->assertFalse( ItemPreview::matches_filters( $inactive, false, '' ) );
+		$this->assertTrue( ItemPreview::matches_filters( $inactive, true, '' ) );
+		$this->assertTrue( ItemPreview::matches_filters( [ 'status' => 'active' ], false, '' ) );
+	}
+
+	/**
+	 * Test matches_filters treats an item without a status as active.
+	 */
+	public function test_matches_filters_missing_status_is_active(): void {
+		$this->assertTrue( ItemPreview::matches_filters( [ 'item_id' => '100' ], false, '' ) );
+	}
+
+	/**
+	 * Test matches_filters filters by goods or service and shows both for an empty type.
+	 */
+	public function test_matches_filters_product_type(): void {
+		$goods   = [ 'product_type' => 'goods' ];
+		$service = [ 'product_type' => 'service' ];
+
+		$this->assertTrue( ItemPreview::matches_filters( $goods, false, 'goods' ) );
+		$this->assertFalse( ItemPreview::matches_filters( $service, false, 'goods' ) );
+		$this->assertTrue( ItemPreview::matches_filters( $service, false, 'service' ) );
+		$this->assertFalse( ItemPreview::matches_filters( $goods, false, 'service' ) );
+		$this->assertTrue( ItemPreview::matches_filters( $goods, false, '' ) );
+		$this->assertTrue( ItemPreview::matches_filters( $service, false, '' ) );
+
+		// Items cached before product_type was stored only show without a type filter.
+		$this->assertFalse( ItemPreview::matches_filters( [], false, 'goods' ) );
+	}
+
+	/**
+	 * Test describe lists the linked products and skips products that no longer exist.
+	 */
+	public function test_describe_linked_products(): void {
+		$this->skip_if_no_woocommerce();
+
+		wp_set_current_user( self::factory()->user->create( [ 'role' => 'administrator' ] ) );
+
+		$product = $this->create_test_product( [ 'name' => 'Linked Shirt' ] );
+
+		$item = ItemPreview::describe(
+			[
+				'item_id' => '100',
+				'name'    => 'Blue Shirt',
+			],
+			[ $product->get_id(), 999999 ]
+		);
+
+		$this->assertSame( 'active', $item['status'] );
+		$this->assertCount( 1, $item['linked_products'] );
+		$this->assertSame( $product->get_id(), $item['linked_products'][0]['id'] );
+		$this->assertSame( 'Linked Shirt', $item['linked_products'][0]['name'] );
+		$this->assertStringContainsString( 'post=' . $product->get_id(), $item['linked_products'][0]['edit_url'] );
+	}
+
+	/**
+	 * Test describe links a variation to its parent product's edit screen.
+	 */
+	public function test_describe_variation_links_parent(): void {
+		$this->skip_if_no_woocommerce();
+
+		wp_set_current_user( self::factory()->user->create( [ 'role' => 'administrator' ] ) );
+
+		$parent = new \WC_Product_Variable();
+		$parent->set_name( 'Shirt' );
+		$parent->save();
+
+		$variation = new \WC_Product_Variation();
+		$variation->set_parent_id( $parent->get_id() );
+		$variation->save();
+
+		$item = ItemPreview::describe(
+			[
+				'item_id' => '100',
+				'name'    => 'Blue Shirt',
+			],
+			[ $variation->get_id() ]
+		);
+
+		$this->assertSame( $variation->get_id(), $item['linked_products'][0]['id'] );
+		$this->assertStringContainsString( 'post=' . $parent->get_id(), $item['linked_products'][0]['edit_url'] );
+	}
+
+	/**
+	 * Test describe returns an empty linked_products list when nothing else is linked.
+	 */
+	public function test_describe_without_linked_products(): void {
+		$item = ItemPreview::describe(
+			[
+				'item_id' => '100',
+				'name'    => 'Blue Shirt',
+			]
+		);
+
+		$this->assertSame( [], $item['linked_products'] );
+	}
+}
@@ -0,0 +1,98 @@
+<?php
+/**
+ * Unit tests for ZohoItemList.
+ *
+ * @package Zbooks
+ * @subpackage Tests
+ */
+
+declare(strict_types=1);
+
+namespace Zbooks\Tests\Unit\Helper;
+
+use Mockery;
+use Zbooks\Tests\TestCase;
+use Zbooks\Api\ZohoClient;
+use Zbooks\Helper\ZohoItemList;
+
+/**
+ * Test cases for ZohoItemList.
+ */
+class ZohoItemListTest extends TestCase {
+
+	/**
+	 * Tear down test fixtures.
+	 */
+	public function tear_down(): void {
+		Mockery::close();
+		parent::tear_down();
+	}
+
+	/**
+	 * Test fetch follows has_more_page and sorts the items by name.
+	 */
+	public function test_fetch_reads_every_page(): void {
+		$client = Mockery::mock( ZohoClient::class );
+		$client->shouldReceive( 'request' )->twice()->andReturn(
+			$this->page( [ 'b' => 'Bolt' ], true ),
+			$this->page( [ 'a' => 'anchor' ], false )
+		);
+
+		$result = ZohoItemList::fetch( $client );
+
+		$this->assertTrue( $result['complete'] );
+		$this->assertNull( $result['error'] );
+		$this->assertSame( [ 'a', 'b' ], array_column( $result['items'], 'item_id' ) );
+	}
+
+	/**
+	 * Test a failure on a later page keeps the items already fetched and marks the list incomplete.
+	 */
+	public function test_fetch_keeps_items_when_a_later_page_fails(): void {
+		$client = Mockery::mock( ZohoClient::class );
+		$client->shouldReceive( 'request' )->once()->ordered()->andReturn( $this->page( [ 'a' => 'Anchor' ], true ) );
+		$client->shouldReceive( 'request' )->once()->ordered()->andThrow( new \Exception( 'Rate limit exceeded' ) );
+
+		$result = ZohoItemList::fetch( $client );
+
+		$this->assertFalse( $result['complete'] );
+		$this->assertSame( 'Rate limit exceeded', $result['error'] );
+		$this->assertSame( [ 'a' ], array_column( $result['items'], 'item_id' ) );
+	}
+
+	/**
+	 * Test reaching the page limit marks the list incomplete.
+	 */
+	public function test_fetch_stops_at_page_limit(): void {
+		$client = Mockery::mock( ZohoClient::class );
+		$client->shouldReceive( 'request' )->times( ZohoItemList::MAX_PAGES )->andReturn( $this->page( [ 'a' => 'Anchor' ], true ) );
+
+		$result = ZohoItemList::fetch( $client );
+
+		$this->assertFalse( $result['complete'] );
+		$this->assertNotEmpty( $result['error'] );
+		$this->assertCount( ZohoItemList::MAX_PAGES, $result['items'] );
+	}
+
+	/**
+	 * Helper: Build an items.getList response.
+	 *
+	 * @param array $names    Item names keyed by item ID.
+	 * @param bool  $has_more Whether Zoho reports another page.
+	 * @return array
+	 */
+	private function page( array $names, bool $has_more ): array {
+		$items = [];
+		foreach ( $names as $item_id => $name ) {
+			$items[] = [
+				'item_id' => (string) $item_id,
+				'name'    => $name,
+			];
+		}
+
+		return [
+			'items'        => $items,
+			'page_context' => [ 'has_more_page' => $has_more ],
+		];
+	}
+}
@@ -706,6 +706,54 @@ class InvoiceServiceTest extends TestCase {
 		$this->assertEquals( 'found_by_invoice_num', $result );
 	}
 
+	/**
+	 * Test order diff flags differing line and total cells.
+	 */
+	public function test_build_order_diff_flags_differences(): void {
+		$order = $this->create_order_with_product( 100.00 );
+
+		$invoice = [
+			'sub_total'  => 90.00,
+			'tax_total'  => 0,
+			'total'      => 95.00,
+			'adjustment' => 5.00,
+			'line_items' => [
+				[
+					'name'       => 'Test Product',
+					'quantity'   => 1,
+					'rate'       => 90.00,
+					'item_total' => 90.00,
+				],
+				[
+					'name'       => 'Extra Line',
+					'quantity'   => 2,
+					'rate'       => 1.00,
+					'item_total' => 2.00,
+				],
+			],
+		];
+
+		$diff = $this->service->build_order_diff( $order, $invoice );
+
+		$this->assertCount( 2, $diff['lines'] );
+
+		$product_line = $diff['lines'][0];
+		$this->assertEquals( 'name', $product_line['matched_by'] );
+		$this->assertFalse( $product_line['differs']['quantity'] );
+		$this->assertTrue( $product_line['differs']['rate'] );
+		$this->assertTrue( $product_line['differs']['total'] );
+
+		$extra_line = $diff['lines'][1];
+		$this->assertNull( $extra_line['wc'] );
+		$this->assertEquals( 'Extra Line', $extra_line['name'] );
+
+		$totals = array_column( $diff['totals'], null, 'key' );
+		$this->assertTrue( $totals['subtotal']['differs'] );
+		$this->assertTrue( $totals['adjustment']['differs'] );
+		$this->assertTrue( $totals['total']['differs'] );
+		$this->assertFalse( $totals['shipping']['differs'] );
+	}
+
 	/**
 	 * Helper: Create order with a product.
 	 *
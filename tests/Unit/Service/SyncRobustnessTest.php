@@ -61,6 +61,8 @@ class SyncRobustnessTest extends TestCase {
 		$this->mock_logger->shouldReceive( 'debug' )->andReturnNull();
 		$this->mock_logger->shouldReceive( 'warning' )->andReturnNull();
 		$this->mock_logger->shouldReceive( 'error' )->andReturnNull();
+		$this->mock_logger->shouldReceive( 'get_correlation_id' )->andReturnNull();
+		$this->mock_logger->shouldReceive( 'set_correlation_id' )->andReturnNull();
 	}
 
 	/**
@@ -601,10 +603,179 @@ class SyncRobustnessTest extends TestCase {
 		delete_transient( 'zbooks_sync_lock_' . $order->get_id() );
 	}
 
+	// ==========================================================================
+	// Correlation ID Tests
+	// ==========================================================================
+
+	/**
+	 * Test sync_order tags its log entries with a new correlation ID and clears it after.
+	 */
+	public function test_sync_order_sets_and_restores_correlation_id(): void {
+		$order = $this->create_test_order();
+		$state = $this->create_correlation_state();
+
+		// Hold the lock so the sync stops right after it starts.
+		set_transient( 'zbooks_sync_lock_' . $order->get_id(), time(), 60 );
+
+		$orchestrator = new SyncOrchestrator(
+			Mockery::mock( CustomerService::class ),
+			Mockery::mock( InvoiceService::class ),
+			new OrderMetaRepository(),
+			$this->create_tracking_logger( $state )
+		);
+
+		$orchestrator->sync_order( $order );
+
+		$ids = array_unique( array_column( $state->entries, 'correlation_id' ) );
+
+		$this->assertCount( 1, $ids );
+		$this->assertMatchesRegularExpression( '/^order-' . $order->get_id() . '-[a-f0-9]{8}$/', (string) reset( $ids ) );
+		$this->assertNull( $state->correlation_id );
+
+		delete_transient( 'zbooks_sync_lock_' . $order->get_id() );
+	}
+
+	/**
+	 * Test sync_order keeps a caller's correlation ID and leaves it in place.
+	 */
+	public function test_sync_order_keeps_existing_correlation_id(): void {
+		$order = $this->create_test_order();
+		$state = $this->create_correlation_state();
+
+		$state->correlation_id = 'outer-run';
+		set_transient( 'zbooks_sync_lock_' . $order->get_id(), time(), 60 );
+
+		$orchestrator = new SyncOrchestrator(
+			Mockery::mock( CustomerService::class ),
+			Mockery::mock( InvoiceService::class ),
+			new OrderMetaRepository(),
+			$this->create_tracking_logger( $state )
+		);
+
+		$orchestrator->sync_order( $order );
+
+		$this->assertSame( [ 'outer-run' ], array_values( array_unique( array_column( $state->entries, 'correlation_id' ) ) ) );
+		$this->assertSame( 'outer-run', $state->correlation_id );
+
+		delete_transient( 'zbooks_sync_lock_' . $order->get_id() );
+	}
+
+	/**
+	 * Test apply_payment on an unsynced order keeps the nested sync in its correlation ID.
+	 */
+	public function test_apply_payment_shares_correlation_id_with_nested_sync(): void {
+		$order = $this->create_test_order();
+		$state = $this->create_correlation_state();
+
+		// The nested sync hits the lock, so the payment is never applied.
+		set_transient( 'zbooks_sync_lock_' . $order->get_id(), time(), 60 );
+
+		$mock_payment = Mockery::mock( PaymentService::class );
+		$mock_payment->shouldNotReceive( 'apply_payment' );
+
+		$orchestrator = new SyncOrchestrator(
+			Mockery::mock( CustomerService::class ),
+			Mockery::mock( InvoiceService::class ),
+			new OrderMetaRepository(),
+			$this->create_tracking_logger( $state ),
+			$mock_payment
+		);
+
+		$result = $orchestrator->apply_payment( $order );
+
+		$this->assertFalse( $result['success'] );
+		$this->assertContains( 'Order not synced - syncing before payment', array_column( $state->entries, 'message' ) );
+		$this->assertContains( 'Starting sync for order', array_column( $state->entries, 'message' ) );
+		$this->assertCount( 1, array_unique( array_column( $state->entries, 'correlation_id' ) ) );
+		$this->assertNotNull( $state->entries[0]['correlation_id'] );
+		$this->assertNull( $state->correlation_id );
+
+		delete_transient( 'zbooks_sync_lock_' . $order->get_id() );
+	}
+
+	/**
+	 * Test a sync followed by a payment inside begin_correlation() share one correlation ID.
+	 *
+	 * This is the manual and bulk sync path.
+	 */
+	public function test_sync_then_payment_share_correlation_id(): void {
+		$order = $this->create_test_order();
+		$state = $this->create_correlation_state();
+
+		set_transient( 'zbooks_sync_lock_' . $order->get_id(), time(), 60 );
+
+		$orchestrator = new SyncOrchestrator(
+			Mockery::mock( CustomerService::class ),
+			Mockery::mock( InvoiceService::class ),
+			new OrderMetaRepository(),
+			$this->create_tracking_logger( $state ),
+			Mockery::mock( PaymentService::class )
+		);
+
+		$previous = $orchestrator->begin_correlation( $order );
+		$orchestrator->sync_order( $order, false, true );
+		$orchestrator->apply_payment( $order );
+		$orchestrator->end_correlation( $previous );
+
+		$this->assertCount( 1, array_unique( array_column( $state->entries, 'correlation_id' ) ) );
+		$this->assertMatchesRegularExpression( '/^order-' . $order->get_id() . '-/', (string) $state->entries[0]['correlation_id'] );
+		$this->assertNull( $previous );
+		$this->assertNull( $state->correlation_id );
+
+		delete_transient( 'zbooks_sync_lock_' . $order->get_id() );
+	}
+
 	// ==========================================================================
 	// Helper Methods
 	// ==========================================================================
 
+	/**
+	 * Helper: Create the state shared with a tracking logger.
+	 *
+	 * @return \stdClass With correlation_id (current ID) and entries (message and correlation_id per log call).
+	 */
+	private function create_correlation_state(): \stdClass {
+		$state                 = new \stdClass();
+		$state->correlation_id = null;
+		$state->entries        = [];
+
+		return $state;
+	}
+
+	/**
+	 * Helper: Create a logger mock that keeps a real correlation ID and records it on every entry.
+	 *
+	 * @param \stdClass $state State from create_correlation_state().
+	 * @return SyncLogger|\Mockery\MockInterface
+	 */
+	private function create_tracking_logger( \stdClass $state ) {
+		$logger = Mockery::mock( SyncLogger::class );
+
+		$logger->shouldReceive( 'get_correlation_id' )->andReturnUsing(
+			function () use ( $state ) {
+				return $state->correlation_id;
+			}
+		);
+		$logger->shouldReceive( 'set_correlation_id' )->andReturnUsing(
+			function ( $correlation_id ) use ( $state ) {
+				$state->correlation_id = $correlation_id;
+			}
+		);
+
+		foreach ( [ 'info', 'debug', 'warning', 'error' ] as $level ) {
+			$logger->shouldReceive( $level )->andReturnUsing(
+				function ( $message ) use ( $state ) {
+					$state->entries[] = [
+						'message'        => $message,
+						'correlation_id' => $state->correlation_id,
+					];
+				}
+			);
+		}
+
+		return $logger;
+	}
+
 	/**
 	 * Helper: Create a paid order.
 	 *